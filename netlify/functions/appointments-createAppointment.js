@@ -20,10 +20,11 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
 import { validateCreateAppointment } from '../../shared/validators/appointment.validator.js';
-import { generateUniqueId } from '../../shared/utils/idGenerator.js';
-import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
-import { APPOINTMENT_STATUS } from '../../shared/constants/enums.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { APPOINTMENT_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function createAppointment(event) {
   if (event.httpMethod !== 'POST') {
@@ -80,12 +81,7 @@ async function createAppointment(event) {
   const tokenNo = lastAppointment.length > 0 ? lastAppointment[0].tokenNo + 1 : 1;
 
   // Generate appointment ID
-  const appointmentId = await generateUniqueId(
-    db,
-    COLLECTIONS.APPOINTMENTS,
-    'appointmentId',
-    BILL_PREFIXES.APPOINTMENT
-  );
+  const appointmentId = await generateDocumentNumber(db, DOCUMENT_TYPE.APPOINTMENT);
 
   // Create appointment document
   const now = new Date();
@@ -108,6 +104,14 @@ async function createAppointment(event) {
 
   await db.collection(COLLECTIONS.APPOINTMENTS).insertOne(appointment);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.APPOINTMENT,
+    entityId: appointment._id,
+    entityRef: appointment.appointmentId,
+    action: AUDIT_ACTION.CREATE,
+    after: appointment,
+  });
+
   // Return with patient and doctor info
   const response = {
     ...appointment,
@@ -133,4 +137,4 @@ async function createAppointment(event) {
   );
 }
 
-export const handler = withErrorHandler(createAppointment);
+export const handler = withErrorHandler(createAppointment, { permission: 'appointments-createAppointment' });
@@ -58,4 +58,4 @@ async function getAppointmentById(event) {
   return success({ appointment: appointments[0] });
 }
 
-export const handler = withErrorHandler(getAppointmentById);
+export const handler = withErrorHandler(getAppointmentById, { permission: 'appointments-getAppointmentById' });
@@ -163,4 +163,4 @@ async function getAppointments(event) {
   });
 }
 
-export const handler = withErrorHandler(getAppointments);
+export const handler = withErrorHandler(getAppointments, { permission: 'appointments-getAppointments' });
@@ -21,7 +21,8 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
-import { APPOINTMENT_STATUS } from '../../shared/constants/enums.js';
+import { recordAudit } from './utils/audit.js';
+import { APPOINTMENT_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function updateAppointment(event) {
   if (event.httpMethod !== 'PUT') {
@@ -99,10 +100,19 @@ async function updateAppointment(event) {
     { returnDocument: 'after' }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.APPOINTMENT,
+    entityId: appointment._id,
+    entityRef: appointment.appointmentId,
+    action: AUDIT_ACTION.UPDATE,
+    before: appointment,
+    after: result,
+  });
+
   return success(
     { appointment: result },
     'Appointment updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updateAppointment);
+export const handler = withErrorHandler(updateAppointment, { permission: 'appointments-updateAppointment' });
@@ -0,0 +1,100 @@
+/**
+ * Get Audit Logs API
+ * Search the audit trail of all writes
+ *
+ * Endpoint: GET /.netlify/functions/audit-getAuditLogs
+ *
+ * Query Parameters:
+ *   - entityType: patient | doctor | opd_bill | ... (see AUDIT_ENTITY)
+ *   - entity: Entity ObjectId or human-readable ref (billNo, patientId...)
+ *   - userId: Acting user
+ *   - action: create | update | delete
+ *   - dateFrom: Start date (ISO)
+ *   - dateTo: End date (ISO)
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, logs: [...], pagination: {...} }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getAuditLogs(event) {
+  const {
+    entityType,
+    entity,
+    userId,
+    action,
+    dateFrom,
+    dateTo,
+    page = '1',
+    limit = '50',
+  } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 50));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = {};
+
+  // Entity type filter
+  if (entityType) {
+    filter.entityType = entityType;
+  }
+
+  // Entity filter (ObjectId or ref such as billNo / patientId)
+  if (entity && entity.trim()) {
+    const value = entity.trim();
+    filter.$or = [{ entityRef: value }];
+    if (ObjectId.isValid(value)) {
+      filter.$or.push({ entityId: new ObjectId(value) });
+    }
+  }
+
+  // Acting user filter
+  if (userId && ObjectId.isValid(userId)) {
+    filter.userId = new ObjectId(userId);
+  }
+
+  // Action filter
+  if (action) {
+    filter.action = action;
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = endDate;
+    }
+  }
+
+  const collection = db.collection(COLLECTIONS.AUDIT_LOGS);
+
+  const [logs, total] = await Promise.all([
+    collection
+      .find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: logs,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'logs',
+  });
+}
+
+export const handler = withErrorHandler(getAuditLogs, { permission: 'audit-getAuditLogs' });
@@ -10,12 +10,13 @@
  *   }
  * 
  * Response:
- *   { success: true, user: Object, token: string }
+ *   { success: true, user: Object, token: string, refreshToken: string, expiresAt: Date }
  */
 
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, unauthorized } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { createSession } from './utils/auth.js';
 import crypto from 'crypto';
 
 // Verify password against stored hash
@@ -25,16 +26,6 @@ function verifyPassword(password, storedHash) {
   return hash === verifyHash;
 }
 
-// Generate a simple token (in production, use JWT)
-function generateToken(userId) {
-  const payload = {
-    userId,
-    timestamp: Date.now(),
-    random: crypto.randomBytes(16).toString('hex'),
-  };
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
-}
-
 async function login(event) {
   if (event.httpMethod !== 'POST') {
     return badRequest('Method not allowed');
@@ -71,8 +62,8 @@ async function login(event) {
     return unauthorized('Invalid username or password');
   }
 
-  // Generate token
-  const token = generateToken(user._id.toString());
+  // Start a session and issue signed tokens
+  const { token, refreshToken, expiresAt } = await createSession(db, user, event);
 
   // Update last login
   await db.collection(COLLECTIONS.USERS).updateOne(
@@ -86,7 +77,9 @@ async function login(event) {
   return success({
     user: userWithoutPassword,
     token,
+    refreshToken,
+    expiresAt,
   }, 'Login successful');
 }
 
-export const handler = withErrorHandler(login);
+export const handler = withErrorHandler(login, { public: true });
@@ -0,0 +1,32 @@
+/**
+ * Logout API
+ * 
+ * Endpoint: POST /.netlify/functions/auth-logout
+ * 
+ * Headers:
+ *   Authorization: Bearer <token>
+ * 
+ * Response:
+ *   { success: true, message: string }
+ * 
+ * Revokes the session behind the token, so both the access token and its
+ * refresh token stop working immediately.
+ */
+
+import { getDb } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { revokeSession, REVOKE_REASON } from './utils/auth.js';
+
+async function logout(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const db = await getDb();
+  await revokeSession(db, event.session._id, REVOKE_REASON.LOGOUT);
+
+  return success(null, 'Logged out successfully');
+}
+
+export const handler = withErrorHandler(logout);
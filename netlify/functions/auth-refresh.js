@@ -0,0 +1,44 @@
+/**
+ * Refresh Token API
+ * 
+ * Endpoint: POST /.netlify/functions/auth-refresh
+ * 
+ * Request Body:
+ *   {
+ *     refreshToken: string (required)
+ *   }
+ * 
+ * Response:
+ *   { success: true, user: Object, token: string, refreshToken: string, expiresAt: Date }
+ * 
+ * The refresh token is rotated: the one sent is no longer valid afterwards.
+ */
+
+import { getDb } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { rotateSession } from './utils/auth.js';
+
+async function refresh(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (!data.refreshToken) {
+    return badRequest('Refresh token is required');
+  }
+
+  const db = await getDb();
+  const { user, token, refreshToken, expiresAt } = await rotateSession(db, data.refreshToken);
+
+  return success({
+    user,
+    token,
+    refreshToken,
+    expiresAt,
+  });
+}
+
+export const handler = withErrorHandler(refresh, { public: true });
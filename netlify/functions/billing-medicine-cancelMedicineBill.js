@@ -0,0 +1,161 @@
+/**
+ * Cancel Medicine Bill API
+ * Voids a bill and puts its stock back atomically; the bill number is kept
+ * so the series has no gaps
+ *
+ * Endpoint: POST /.netlify/functions/billing-medicine-cancelMedicineBill
+ *
+ * Request Body:
+ *   {
+ *     billId: string (required) - Bill ObjectId or billNo,
+ *     reason: string (required)
+ *   }
+ *
+ * Lines sold by the unit go back to the batch's loose stock. Schedule register
+ * entries for the bill are kept but marked cancelled.
+ *
+ * Response:
+ *   { success: true, message: string, bill: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { success, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ValidationError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement } from './utils/stockLedger.js';
+import { BILL_STATUS, STOCK_STATUS, STOCK_MOVEMENT_TYPE, SALE_UNIT, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function cancelMedicineBill(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (!data.billId) return badRequest('Bill ID is required');
+  if (!data.reason || !data.reason.trim()) return badRequest('Cancellation reason is required');
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(data.billId)
+    ? { _id: new ObjectId(data.billId) }
+    : { billNo: data.billId };
+
+  const bill = await db.collection(COLLECTIONS.MEDICINE_BILLS).findOne(query);
+  if (!bill) {
+    return notFound('Bill');
+  }
+  if (bill.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Bill is already cancelled');
+  }
+  if (bill.isReturn) {
+    return badRequest('Credit notes cannot be cancelled');
+  }
+
+  const now = new Date();
+  const cancellation = {
+    status: BILL_STATUS.CANCELLED,
+    cancelReason: data.reason.trim(),
+    cancelledBy: event.user.name,
+    cancelledById: event.user._id,
+    cancelledAt: now,
+    updatedAt: now,
+  };
+
+  let cancelledBill;
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      // Items already taken back on a credit note are back in stock
+      const returns = await txDb.collection(COLLECTIONS.MEDICINE_BILLS)
+        .countDocuments({ returnBillRef: bill._id, isReturn: true }, { session });
+      if (returns > 0) {
+        throw new ValidationError('Bill has returns against it; return the remaining items instead');
+      }
+
+      cancelledBill = await txDb.collection(COLLECTIONS.MEDICINE_BILLS).findOneAndUpdate(
+        { _id: bill._id, status: { $ne: BILL_STATUS.CANCELLED } },
+        { $set: cancellation },
+        { returnDocument: 'after', session }
+      );
+      if (!cancelledBill) {
+        throw new ValidationError('Bill is already cancelled');
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.MEDICINE_BILL,
+        entityId: bill._id,
+        entityRef: bill.billNo,
+        action: AUDIT_ACTION.UPDATE,
+        before: bill,
+        after: cancelledBill,
+        remarks: `Cancelled: ${cancellation.cancelReason}`,
+        session,
+      });
+
+      await txDb.collection(COLLECTIONS.SCHEDULE_REGISTER).updateMany(
+        { billId: bill._id },
+        { $set: { cancelled: true, cancelReason: cancellation.cancelReason, cancelledAt: now } },
+        { session }
+      );
+
+      // Put each item's quantity back on its batch
+      for (const item of bill.items) {
+        const batch = await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+          .findOne({ _id: item.batchId }, { session });
+        if (!batch) {
+          throw new ValidationError(`Stock batch ${item.batchNo} no longer exists`);
+        }
+
+        const medicine = await txDb.collection(COLLECTIONS.MEDICINES)
+          .findOne({ _id: item.medicineId }, { session });
+
+        const isLoose = item.saleUnit === SALE_UNIT.UNIT;
+        const loose = batch.looseQty || 0;
+        const newQty = batch.currentQty + (isLoose ? 0 : item.quantity);
+        const newLoose = loose + (isLoose ? item.quantity : 0);
+        let newStatus = batch.status;
+        if (batch.status !== STOCK_STATUS.EXPIRED) {
+          newStatus = newQty <= (medicine?.reorderLevel || 0)
+            ? STOCK_STATUS.LOW
+            : STOCK_STATUS.ACTIVE;
+        }
+
+        await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).updateOne(
+          { _id: batch._id },
+          {
+            $set: {
+              currentQty: newQty,
+              looseQty: newLoose,
+              status: newStatus,
+              updatedAt: now,
+            },
+          },
+          { session }
+        );
+
+        await recordStockMovement(txDb, event, {
+          batch,
+          type: STOCK_MOVEMENT_TYPE.RETURN,
+          quantity: newQty - batch.currentQty,
+          balanceBefore: batch.currentQty,
+          looseQuantity: newLoose - loose,
+          looseBefore: loose,
+          reference: { type: AUDIT_ENTITY.MEDICINE_BILL, id: bill._id, number: bill.billNo },
+          remarks: 'Bill cancelled',
+          date: now,
+          session,
+        });
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to cancel bill. Please try again.');
+  }
+
+  return success({ bill: cancelledBill }, 'Bill cancelled and stock restored');
+}
+
+export const handler = withErrorHandler(cancelMedicineBill, { permission: 'billing-medicine-cancelMedicineBill' });
@@ -9,20 +9,42 @@
  *     patientId?: string,
  *     patientName: string (required),
  *     patientPhone?: string,
+ *     patientAddress?: string (defaults to the registered patient's address),
  *     doctorId?: string,
  *     prescriptionId?: string,
  *     items: [{
  *       medicineId: string (required),
- *       batchId: string (required),
- *       quantity: number (required)
+ *       batchId?: string (omit to allocate batches automatically),
+ *       quantity: number (required),
+ *       saleUnit?: 'pack' | 'unit' (default 'pack'),
+ *       substitutedFor?: string (medicine prescribed, when this one is dispensed instead)
  *     }] (required),
  *     discountType?: 'percentage' | 'fixed',
  *     discountValue?: number,
+ *     interState?: boolean (IGST instead of CGST/SGST),
  *     paymentMode: 'cash' | 'card' | 'upi' | 'mixed' (required),
  *     paymentDetails?: { cash, card, upi, upiRef },
- *     remarks?: string
+ *     remarks?: string,
+ *     interactionOverrideReason?: string
  *   }
  * 
+ * Items without a batchId are split across the medicine's unexpired batches,
+ * earliest expiry first (FEFO), giving one bill line per batch used.
+ * Expired batches are never sold, even when picked by hand.
+ *
+ * Medicines with more than one unit per pack can be sold by the unit
+ * (saleUnit 'unit'). Units come from the batch's loose stock first, opening
+ * whole packs as needed; the unit price is the pack price / packSize.
+ *
+ * Bills with Schedule H, H1 or X drugs need the prescribing doctor, patient
+ * name and address; each scheduled line is written to the schedule register.
+ *
+ * Medicines are checked against the drug interaction table and the
+ * patient's allergies; blocking warnings need interactionOverrideReason.
+ *
+ * Prices are GST-inclusive; the taxable value and CGST/SGST (or IGST) are
+ * carved out per item and summarized per HSN code and rate in gstBreakdown.
+ *
  * Response:
  *   { success: true, message: string, bill: Object }
  */
@@ -30,10 +52,23 @@
 import { ObjectId } from 'mongodb';
 import { getDb, getClient, COLLECTIONS, withTransaction } from './utils/db.js';
 import { created, badRequest, notFound, unprocessable } from './utils/response.js';
-import { withErrorHandler, InsufficientStockError } from './utils/errorHandler.js';
-import { generateUniqueId } from '../../shared/utils/idGenerator.js';
-import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
-import { PAYMENT_STATUS, STOCK_STATUS } from '../../shared/constants/enums.js';
+import { withErrorHandler, AppError, InsufficientStockError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement } from './utils/stockLedger.js';
+import { reviewInteractions } from './utils/interactions.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { computeGst } from '../../shared/utils/gst.js';
+import { allocateFefo, isExpiredBatch } from '../../shared/utils/fefo.js';
+import {
+  canSellLoose,
+  unitLabel,
+  saleUnitPrices,
+  availableStock,
+  stockDeduction,
+} from '../../shared/utils/packs.js';
+import { scheduleOf, addressLine, missingScheduleDetails } from '../../shared/utils/schedule.js';
+import { PAYMENT_STATUS, BILL_STATUS, STOCK_STATUS, STOCK_MOVEMENT_TYPE, SALE_UNIT, SALE_UNIT_OPTIONS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function generateMedicineBill(event) {
   if (event.httpMethod !== 'POST') {
@@ -53,10 +88,15 @@ async function generateMedicineBill(event) {
   for (let i = 0; i < data.items.length; i++) {
     const item = data.items[i];
     if (!item.medicineId) return badRequest(`Item ${i + 1}: Medicine ID is required`);
-    if (!item.batchId) return badRequest(`Item ${i + 1}: Batch ID is required`);
     if (!item.quantity || item.quantity <= 0) {
       return badRequest(`Item ${i + 1}: Valid quantity is required`);
     }
+    if (item.saleUnit && !SALE_UNIT_OPTIONS.includes(item.saleUnit)) {
+      return badRequest(`Item ${i + 1}: Invalid sale unit`);
+    }
+    if (item.substitutedFor && !ObjectId.isValid(item.substitutedFor)) {
+      return badRequest(`Item ${i + 1}: Invalid substituted medicine ID`);
+    }
   }
 
   const db = await getDb();
@@ -88,9 +128,13 @@ async function generateMedicineBill(event) {
     prescription = await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).findOne(prescriptionQuery);
   }
 
-  // Fetch all medicines and batches, validate stock
+  // Allocate stock for each line. Lines without a batchId are split across
+  // non-expired batches, earliest expiry first (FEFO).
+  const now = new Date();
   const billItems = [];
-  const stockUpdates = [];
+  const stockUpdates = new Map(); // batch _id -> { batch, medicine, packs, units }
+  const scheduledMedicines = new Map(); // medicine _id -> medicine
+  const billedMedicines = new Map(); // medicine _id -> medicine
 
   for (const item of data.items) {
     // Get medicine
@@ -103,61 +147,151 @@ async function generateMedicineBill(event) {
       return notFound(`Medicine (${item.medicineId})`);
     }
 
-    // Get batch
-    const batchQuery = ObjectId.isValid(item.batchId)
-      ? { _id: new ObjectId(item.batchId) }
-      : { batchNo: item.batchId, medicineId: medicine._id };
-    
-    const batch = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOne(batchQuery);
-    if (!batch) {
-      return notFound(`Stock batch (${item.batchId})`);
+    // Medicine prescribed, when this one is dispensed in its place
+    let substitutedFor = null;
+    if (item.substitutedFor) {
+      const original = await db.collection(COLLECTIONS.MEDICINES).findOne(
+        { _id: new ObjectId(item.substitutedFor) },
+        { projection: { name: 1 } }
+      );
+      if (!original) {
+        return notFound(`Medicine (${item.substitutedFor})`);
+      }
+      if (original._id.equals(medicine._id)) {
+        return badRequest(`${medicine.name} cannot be substituted for itself`);
+      }
+      substitutedFor = { medicineId: original._id, medicineName: original.name };
+    }
+
+    billedMedicines.set(String(medicine._id), medicine);
+
+    const saleUnit = item.saleUnit || SALE_UNIT.PACK;
+    const packSize = Number(medicine.packSize) || 1;
+    if (saleUnit === SALE_UNIT.UNIT && !canSellLoose(medicine)) {
+      return badRequest(`${medicine.name} can only be sold by the pack`);
+    }
+
+    const reserved = new Map(
+      [...stockUpdates.entries()].map(([batchId, update]) => [batchId, { packs: update.packs, units: update.units }])
+    );
+    let allocations;
+
+    if (item.batchId) {
+      // Batch picked by hand
+      const batchQuery = ObjectId.isValid(item.batchId)
+        ? { _id: new ObjectId(item.batchId) }
+        : { batchNo: item.batchId, medicineId: medicine._id };
+      
+      const batch = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOne(batchQuery);
+      if (!batch) {
+        return notFound(`Stock batch (${item.batchId})`);
+      }
+      if (isExpiredBatch(batch, now)) {
+        return unprocessable(`Batch ${batch.batchNo} of ${medicine.name} has expired`, {
+          medicine: medicine.name,
+          batchNo: batch.batchNo,
+          expiryDate: batch.expiryDate,
+        });
+      }
+
+      const stock = availableStock(batch, packSize, reserved.get(String(batch._id)));
+      const available = saleUnit === SALE_UNIT.UNIT ? stock.units : stock.packs;
+      if (available < item.quantity) {
+        return unprocessable(`Insufficient stock for ${medicine.name}`, {
+          medicine: medicine.name,
+          batchNo: batch.batchNo,
+          available,
+          requested: item.quantity,
+        });
+      }
+      allocations = [{ batch, quantity: item.quantity }];
+    } else {
+      const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+        .find({
+          medicineId: medicine._id,
+          $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
+        })
+        .toArray();
+
+      const result = allocateFefo(batches, item.quantity, { asOf: now, reserved, saleUnit, packSize });
+      if (result.shortfall > 0) {
+        return unprocessable(`Insufficient stock for ${medicine.name}`, {
+          medicine: medicine.name,
+          available: result.available,
+          requested: item.quantity,
+        });
+      }
+      allocations = result.allocations;
+    }
+
+    const scheduleType = scheduleOf(medicine);
+    if (scheduleType) {
+      scheduledMedicines.set(String(medicine._id), medicine);
     }
 
-    // Check stock availability
-    if (batch.currentQty < item.quantity) {
-      return unprocessable(`Insufficient stock for ${medicine.name}`, {
-        medicine: medicine.name,
+    // One bill line per batch
+    for (const { batch, quantity } of allocations) {
+      const { mrp, sellingPrice } = saleUnitPrices(batch, saleUnit, packSize);
+
+      billItems.push({
+        medicineId: medicine._id,
+        batchId: batch._id,
+        medicineName: medicine.name,
+        hsnCode: medicine.hsnCode || null,
         batchNo: batch.batchNo,
-        available: batch.currentQty,
-        requested: item.quantity,
+        expiryDate: batch.expiryDate,
+        quantity,
+        saleUnit,
+        packSize,
+        packUnit: medicine.packUnit || null,
+        unitLabel: unitLabel(medicine),
+        mrp,
+        sellingPrice,
+        packMrp: batch.mrp,
+        packPrice: batch.sellingPrice || batch.mrp,
+        discount: 0,
+        gstRate: batch.gstRate ?? medicine.gstRate ?? 0,
+        amount: quantity * sellingPrice,
+        scheduleType,
+        substitutedFor,
       });
+
+      const key = String(batch._id);
+      const update = stockUpdates.get(key) || { batch, medicine, packs: 0, units: 0 };
+      if (saleUnit === SALE_UNIT.UNIT) {
+        update.units += quantity;
+      } else {
+        update.packs += quantity;
+      }
+      stockUpdates.set(key, update);
     }
+  }
 
-    // Calculate item amount
-    const sellingPrice = batch.sellingPrice || batch.mrp;
-    const amount = item.quantity * sellingPrice;
-
-    billItems.push({
-      medicineId: medicine._id,
-      batchId: batch._id,
-      medicineName: medicine.name,
-      batchNo: batch.batchNo,
-      expiryDate: batch.expiryDate,
-      quantity: item.quantity,
-      mrp: batch.mrp,
-      sellingPrice,
-      discount: 0,
-      gstRate: batch.gstRate || 0,
-      amount,
+  // Scheduled drugs can only be sold against a doctor's prescription
+  const patientAddress = addressLine(data.patientAddress) || addressLine(patient?.address) || null;
+  if (scheduledMedicines.size > 0) {
+    const missing = missingScheduleDetails({
+      doctorId: doctor?._id,
+      patientName: data.patientName,
+      patientAddress,
     });
-
-    // Prepare stock update
-    const newQty = batch.currentQty - item.quantity;
-    let newStatus = batch.status;
-    if (newQty === 0) {
-      newStatus = STOCK_STATUS.EXHAUSTED;
-    } else if (newQty <= medicine.reorderLevel) {
-      newStatus = STOCK_STATUS.LOW;
+    if (missing.length > 0) {
+      const names = [...scheduledMedicines.values()].map((m) => `${m.name} (Sch. ${m.scheduleType})`);
+      return badRequest(`${names.join(', ')} need ${missing.join(', ')}`);
     }
+  }
 
-    stockUpdates.push({
-      batchId: batch._id,
-      newQty,
-      newStatus,
-    });
+  // Interactions among the medicines and with the patient's allergies
+  const interactions = await reviewInteractions(db, event, {
+    medicines: [...billedMedicines.values()],
+    allergies: patient?.allergies,
+    overrideReason: data.interactionOverrideReason,
+  });
+  if (interactions.error) {
+    return interactions.error;
   }
 
-  // Calculate bill totals (prices are GST-inclusive, no separate GST)
+  // Calculate bill totals
   const subtotal = billItems.reduce((sum, item) => sum + item.amount, 0);
 
   let discountAmount = 0;
@@ -169,14 +303,13 @@ async function generateMedicineBill(event) {
     }
   }
 
-  const taxableAmount = subtotal - discountAmount;
-  
-  // GST is inclusive in medicine prices, so no separate GST calculation
-  const cgst = 0;
-  const sgst = 0;
-  
-  const grandTotal = Math.round(taxableAmount);
-  const roundOff = grandTotal - taxableAmount;
+  // GST is included in medicine prices, so it is carved out of the net amount
+  const interState = Boolean(data.interState);
+  const gst = computeGst(billItems, { discountAmount, inclusive: true, interState });
+  const { taxableAmount, cgst, sgst, igst, totalTax } = gst;
+
+  const grandTotal = Math.round(taxableAmount + totalTax);
+  const roundOff = grandTotal - (taxableAmount + totalTax);
 
   // Calculate payment
   const paymentDetails = data.paymentDetails || {};
@@ -194,33 +327,31 @@ async function generateMedicineBill(event) {
       : PAYMENT_STATUS.PENDING;
 
   // Generate bill number
-  const billNo = await generateUniqueId(
-    db,
-    COLLECTIONS.MEDICINE_BILLS,
-    'billNo',
-    BILL_PREFIXES.MEDICINE_BILL
-  );
+  const billNo = await generateDocumentNumber(db, DOCUMENT_TYPE.MEDICINE_BILL);
 
   // Create bill and update stock using transaction
-  const now = new Date();
-  
   const bill = {
     _id: new ObjectId(),
     billNo,
     patientId: patient ? patient._id : null,
     patientName: data.patientName,
     patientPhone: data.patientPhone || null,
+    patientAddress,
     doctorId: doctor ? doctor._id : null,
     prescriptionId: prescription ? prescription._id : null,
     billDate: now,
-    items: billItems,
+    items: gst.items,
     subtotal,
     discountType: data.discountType || null,
     discountValue: data.discountValue || 0,
     discountAmount,
+    interState,
     taxableAmount,
     cgst,
     sgst,
+    igst,
+    totalTax,
+    gstBreakdown: gst.breakdown,
     grandTotal,
     roundOff,
     paymentMode: data.paymentMode,
@@ -233,9 +364,12 @@ async function generateMedicineBill(event) {
     paymentStatus,
     paidAmount,
     dueAmount,
+    status: BILL_STATUS.ACTIVE,
     returnBillRef: null,
     isReturn: false,
     remarks: data.remarks || null,
+    interactionWarnings: interactions.warnings,
+    interactionOverride: interactions.override,
     createdBy: data.createdBy || 'Pharmacy',
     createdAt: now,
   };
@@ -246,22 +380,113 @@ async function generateMedicineBill(event) {
       // Insert bill
       await txDb.collection(COLLECTIONS.MEDICINE_BILLS).insertOne(bill, { session });
 
-      // Update stock for each item
-      for (const update of stockUpdates) {
-        await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).updateOne(
-          { _id: update.batchId },
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.MEDICINE_BILL,
+        entityId: bill._id,
+        entityRef: bill.billNo,
+        action: AUDIT_ACTION.CREATE,
+        after: bill,
+        session,
+      });
+
+      // One register entry per scheduled line
+      const registerEntries = billItems
+        .filter((item) => item.scheduleType)
+        .map((item) => {
+          const medicine = scheduledMedicines.get(String(item.medicineId));
+          return {
+            _id: new ObjectId(),
+            entryDate: now,
+            scheduleType: item.scheduleType,
+            billId: bill._id,
+            billNo: bill.billNo,
+            isReturn: false,
+            medicineId: item.medicineId,
+            medicineName: item.medicineName,
+            genericName: medicine.genericName || null,
+            manufacturer: medicine.manufacturer || null,
+            batchNo: item.batchNo,
+            expiryDate: item.expiryDate,
+            quantity: item.quantity,
+            saleUnit: item.saleUnit,
+            packUnit: item.packUnit,
+            unitLabel: item.unitLabel,
+            patientId: bill.patientId,
+            patientName: bill.patientName,
+            patientPhone: bill.patientPhone,
+            patientAddress,
+            doctorId: doctor._id,
+            doctorName: doctor.name,
+            doctorRegistrationNo: doctor.registrationNo || null,
+            prescriptionId: bill.prescriptionId,
+            prescriptionNo: prescription?.prescriptionId || null,
+            dispensedBy: event.user?.name || bill.createdBy,
+            cancelled: false,
+            createdAt: now,
+          };
+        });
+      if (registerEntries.length > 0) {
+        await txDb.collection(COLLECTIONS.SCHEDULE_REGISTER).insertMany(registerEntries, { session });
+      }
+
+      // Deduct stock per batch; the guard fails if another sale got there
+      // first or the batch was marked expired in the meantime. Unit sales
+      // take loose units first and open whole packs for the rest.
+      for (const { batch, medicine, packs, units } of stockUpdates.values()) {
+        const packSize = Number(medicine.packSize) || 1;
+        const deduction = stockDeduction(batch, { packs, units }, packSize);
+        if (!deduction) {
+          throw new InsufficientStockError(medicine.name, packs || units, batch.currentQty);
+        }
+
+        const updated = await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOneAndUpdate(
+          {
+            _id: batch._id,
+            currentQty: { $gte: deduction.packs },
+            ...(deduction.loose < 0 ? { looseQty: { $gte: -deduction.loose } } : {}),
+            status: { $ne: STOCK_STATUS.EXPIRED },
+            expiryDate: { $gt: now },
+          },
           {
-            $set: {
-              currentQty: update.newQty,
-              status: update.newStatus,
-              updatedAt: now,
-            },
+            $inc: { currentQty: -deduction.packs, looseQty: deduction.loose },
+            $set: { updatedAt: now },
           },
-          { session }
+          { session, returnDocument: 'after' }
         );
+        if (!updated) {
+          throw new InsufficientStockError(medicine.name, packs || units, batch.currentQty);
+        }
+
+        await recordStockMovement(txDb, event, {
+          batch,
+          type: STOCK_MOVEMENT_TYPE.SALE,
+          quantity: -deduction.packs,
+          balanceBefore: updated.currentQty + deduction.packs,
+          looseQuantity: deduction.loose,
+          looseBefore: updated.looseQty - deduction.loose,
+          reference: { type: AUDIT_ENTITY.MEDICINE_BILL, id: bill._id, number: bill.billNo },
+          remarks: deduction.opened > 0 ? `${deduction.opened} pack(s) opened for loose sale` : null,
+          date: now,
+          session,
+        });
+
+        let newStatus = updated.status;
+        if (updated.currentQty === 0 && !updated.looseQty) {
+          newStatus = STOCK_STATUS.EXHAUSTED;
+        } else if (updated.currentQty <= medicine.reorderLevel) {
+          newStatus = STOCK_STATUS.LOW;
+        }
+        if (newStatus !== updated.status) {
+          await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).updateOne(
+            { _id: batch._id },
+            { $set: { status: newStatus } },
+            { session }
+          );
+        }
       }
     });
   } catch (error) {
+    if (error instanceof AppError) throw error;
     console.error('Transaction failed:', error);
     return unprocessable('Failed to generate bill. Please try again.');
   }
@@ -289,4 +514,4 @@ async function generateMedicineBill(event) {
   );
 }
 
-export const handler = withErrorHandler(generateMedicineBill);
+export const handler = withErrorHandler(generateMedicineBill, { permission: 'billing-medicine-generateMedicineBill' });
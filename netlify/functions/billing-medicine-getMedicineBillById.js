@@ -5,6 +5,8 @@
  * 
  * Response:
  *   { success: true, bill: Object }
+ *   bill.returns lists credit notes issued against the bill;
+ *   bill.originalBill is set when the bill is itself a credit note.
  */
 
 import { ObjectId } from 'mongodb';
@@ -45,6 +47,28 @@ async function getMedicineBillById(event) {
       },
     },
     { $unwind: { path: '$doctor', preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: COLLECTIONS.MEDICINE_BILLS,
+        let: { billId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$returnBillRef', '$$billId'] }, isReturn: true } },
+          { $sort: { billDate: 1 } },
+          { $project: { billNo: 1, billDate: 1, items: 1, grandTotal: 1, remarks: 1 } },
+        ],
+        as: 'returns',
+      },
+    },
+    {
+      $lookup: {
+        from: COLLECTIONS.MEDICINE_BILLS,
+        localField: 'returnBillRef',
+        foreignField: '_id',
+        as: 'originalBill',
+      },
+    },
+    { $unwind: { path: '$originalBill', preserveNullAndEmptyArrays: true } },
+    { $project: { 'originalBill.items': 0 } },
   ];
 
   const bills = await db.collection(COLLECTIONS.MEDICINE_BILLS)
@@ -58,4 +82,4 @@ async function getMedicineBillById(event) {
   return success({ bill: bills[0] });
 }
 
-export const handler = withErrorHandler(getMedicineBillById);
+export const handler = withErrorHandler(getMedicineBillById, { permission: 'billing-medicine-getMedicineBillById' });
@@ -93,6 +93,8 @@ async function getMedicineBills(event) {
         grandTotal: 1,
         paymentMode: 1,
         paymentStatus: 1,
+        status: 1,
+        cancelReason: 1,
         paidAmount: 1,
         dueAmount: 1,
         'patient._id': 1,
@@ -117,4 +119,4 @@ async function getMedicineBills(event) {
   });
 }
 
-export const handler = withErrorHandler(getMedicineBills);
+export const handler = withErrorHandler(getMedicineBills, { permission: 'billing-medicine-getMedicineBills' });
@@ -0,0 +1,399 @@
+/**
+ * Return Medicine Bill API
+ * Takes medicines back against a bill, restores stock and issues a credit note
+ *
+ * The credit note is stored in the medicine bills collection as a negative
+ * bill (isReturn: true) linked to the original through returnBillRef.
+ *
+ * Endpoint: POST /.netlify/functions/billing-medicine-returnMedicineBill
+ *
+ * Request Body:
+ *   {
+ *     billId: string (required) - Original bill ObjectId or billNo,
+ *     items: [{
+ *       batchId: string (required),
+ *       quantity: number (required),
+ *       saleUnit?: 'pack' | 'unit' (default 'pack') - As sold on the bill
+ *     }] (required),
+ *     refundMode?: 'cash' | 'card' | 'upi' (default: original payment mode, or cash),
+ *     reason?: string
+ *   }
+ *
+ * The credit is first set off against what is still due on the bill, whose
+ * dueAmount and paymentStatus are updated; only the rest, up to what the
+ * patient has paid, is refunded through refundMode. The credit note records
+ * both (adjustedAmount, paidAmount as the negative refund).
+ *
+ * Units returned from a loose sale go back to the batch's loose stock.
+ * Returned scheduled drugs are written to the schedule register as negative
+ * entries against the credit note.
+ *
+ * Response:
+ *   { success: true, message: string, bill: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ValidationError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement } from './utils/stockLedger.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { computeGst, negateGst } from '../../shared/utils/gst.js';
+import {
+  PAYMENT_MODE,
+  PAYMENT_STATUS,
+  BILL_STATUS,
+  STOCK_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  SALE_UNIT,
+  SALE_UNIT_OPTIONS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+const toPaise = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Key for a batch sold in a sale unit; lines from before loose sales count as packs
+ */
+function lineKey(batchId, saleUnit) {
+  return `${batchId}:${saleUnit || SALE_UNIT.PACK}`;
+}
+
+/**
+ * Sum returned quantities per batch and sale unit across existing credit notes
+ * Return bills store negative quantities.
+ */
+function getReturnedQuantities(returnBills) {
+  const returned = {};
+  for (const returnBill of returnBills) {
+    for (const item of returnBill.items || []) {
+      const key = lineKey(item.batchId, item.saleUnit);
+      returned[key] = (returned[key] || 0) + Math.abs(item.quantity);
+    }
+  }
+  return returned;
+}
+
+async function returnMedicineBill(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  // Validate required fields
+  if (!data.billId) return badRequest('Bill ID is required');
+  if (!data.items || !Array.isArray(data.items) || data.items.length === 0) {
+    return badRequest('At least one item to return is required');
+  }
+  if (data.refundMode && ![PAYMENT_MODE.CASH, PAYMENT_MODE.CARD, PAYMENT_MODE.UPI].includes(data.refundMode)) {
+    return badRequest('Refund mode must be cash, card or upi');
+  }
+
+  // Merge requested quantities per batch and sale unit
+  const requested = {};
+  for (let i = 0; i < data.items.length; i++) {
+    const item = data.items[i];
+    const quantity = Number(item.quantity);
+    if (!item.batchId) return badRequest(`Item ${i + 1}: Batch ID is required`);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return badRequest(`Item ${i + 1}: Valid quantity is required`);
+    }
+    if (item.saleUnit && !SALE_UNIT_OPTIONS.includes(item.saleUnit)) {
+      return badRequest(`Item ${i + 1}: Invalid sale unit`);
+    }
+    const key = lineKey(item.batchId, item.saleUnit);
+    requested[key] = (requested[key] || 0) + quantity;
+  }
+
+  const db = await getDb();
+
+  const billQuery = ObjectId.isValid(data.billId)
+    ? { _id: new ObjectId(data.billId) }
+    : { billNo: data.billId };
+
+  const originalBill = await db.collection(COLLECTIONS.MEDICINE_BILLS).findOne(billQuery);
+  if (!originalBill) {
+    return notFound('Bill');
+  }
+  if (originalBill.isReturn) {
+    return badRequest('Cannot return against a credit note');
+  }
+  if (originalBill.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Cannot return against a cancelled bill');
+  }
+
+  // Sold quantity and line details per batch and sale unit on the original bill
+  const soldItems = {};
+  for (const item of originalBill.items) {
+    const key = lineKey(item.batchId, item.saleUnit);
+    if (soldItems[key]) {
+      soldItems[key].quantity += item.quantity;
+    } else {
+      soldItems[key] = { ...item };
+    }
+  }
+
+  for (const key of Object.keys(requested)) {
+    if (!soldItems[key]) {
+      const [batchId, saleUnit] = key.split(':');
+      return badRequest(`Batch ${batchId} was not sold by the ${saleUnit} on bill ${originalBill.billNo}`);
+    }
+  }
+
+  // Bill-level discount is refunded in proportion to the returned value
+  const discountRatio = originalBill.subtotal > 0
+    ? (originalBill.discountAmount || 0) / originalBill.subtotal
+    : 0;
+
+  const billNo = await generateDocumentNumber(db, DOCUMENT_TYPE.CREDIT_NOTE);
+
+  const now = new Date();
+  const refundMode = data.refundMode ||
+    (originalBill.paymentMode === PAYMENT_MODE.MIXED ? PAYMENT_MODE.CASH : originalBill.paymentMode);
+
+  let returnBill;
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      // Check against earlier returns inside the transaction; the update of
+      // the original bill below makes concurrent returns conflict and retry
+      const previousReturns = await txDb.collection(COLLECTIONS.MEDICINE_BILLS)
+        .find({ returnBillRef: originalBill._id, isReturn: true }, { session })
+        .toArray();
+      const returned = getReturnedQuantities(previousReturns);
+
+      const returnItems = [];
+      for (const [key, quantity] of Object.entries(requested)) {
+        const sold = soldItems[key];
+        const returnable = sold.quantity - (returned[key] || 0);
+        if (quantity > returnable) {
+          throw new ValidationError(`Cannot return more ${sold.medicineName} than was sold`, {
+            medicine: sold.medicineName,
+            batchNo: sold.batchNo,
+            sold: sold.quantity,
+            alreadyReturned: returned[key] || 0,
+            requested: quantity,
+          });
+        }
+
+        returnItems.push({
+          medicineId: sold.medicineId,
+          batchId: sold.batchId,
+          medicineName: sold.medicineName,
+          hsnCode: sold.hsnCode || null,
+          batchNo: sold.batchNo,
+          expiryDate: sold.expiryDate,
+          quantity,
+          saleUnit: sold.saleUnit || SALE_UNIT.PACK,
+          packSize: sold.packSize || null,
+          packUnit: sold.packUnit || null,
+          unitLabel: sold.unitLabel || null,
+          mrp: sold.mrp,
+          sellingPrice: sold.sellingPrice,
+          discount: 0,
+          gstRate: sold.gstRate || 0,
+          amount: quantity * sold.sellingPrice,
+          scheduleType: sold.scheduleType || null,
+        });
+      }
+
+      // GST is reversed at the original rates; totals are negative on a credit note
+      const returnedValue = returnItems.reduce((sum, item) => sum + item.amount, 0);
+      const gst = negateGst(computeGst(returnItems, {
+        discountAmount: returnedValue * discountRatio,
+        inclusive: true,
+        interState: Boolean(originalBill.interState),
+      }));
+      const { taxableAmount, cgst, sgst, igst, totalTax } = gst;
+
+      const subtotal = -returnedValue;
+      const discountAmount = subtotal * discountRatio;
+      const grandTotal = Math.round(taxableAmount + totalTax);
+      const roundOff = grandTotal - (taxableAmount + totalTax);
+
+      // Set the credit off against the due first; refund only what was paid
+      const billNow = await txDb.collection(COLLECTIONS.MEDICINE_BILLS)
+        .findOne({ _id: originalBill._id }, { session });
+      const credit = -grandTotal;
+      const due = billNow.dueAmount || 0;
+      const adjustedAmount = toPaise(Math.min(due, credit));
+      const refunded = previousReturns.reduce((sum, note) => sum - (note.paidAmount || 0), 0);
+      const refundAmount = toPaise(Math.max(0, Math.min(credit - adjustedAmount, (billNow.paidAmount || 0) - refunded)));
+
+      returnBill = {
+        _id: new ObjectId(),
+        billNo,
+        patientId: originalBill.patientId,
+        patientName: originalBill.patientName,
+        patientPhone: originalBill.patientPhone,
+        doctorId: originalBill.doctorId,
+        prescriptionId: originalBill.prescriptionId,
+        billDate: now,
+        items: gst.items,
+        subtotal,
+        discountType: originalBill.discountType,
+        discountValue: originalBill.discountValue,
+        discountAmount,
+        interState: Boolean(originalBill.interState),
+        taxableAmount,
+        cgst,
+        sgst,
+        igst,
+        totalTax,
+        gstBreakdown: gst.breakdown,
+        grandTotal,
+        roundOff,
+        paymentMode: refundMode,
+        paymentDetails: {
+          cash: refundMode === PAYMENT_MODE.CASH && refundAmount ? -refundAmount : 0,
+          card: refundMode === PAYMENT_MODE.CARD && refundAmount ? -refundAmount : 0,
+          upi: refundMode === PAYMENT_MODE.UPI && refundAmount ? -refundAmount : 0,
+          upiRef: null,
+        },
+        paymentStatus: PAYMENT_STATUS.PAID,
+        paidAmount: refundAmount ? -refundAmount : 0,
+        adjustedAmount,
+        dueAmount: 0,
+        status: BILL_STATUS.ACTIVE,
+        returnBillRef: originalBill._id,
+        returnBillNo: originalBill.billNo,
+        isReturn: true,
+        remarks: data.reason || null,
+        createdBy: event.user?.name || 'Pharmacy',
+        createdAt: now,
+      };
+
+      await txDb.collection(COLLECTIONS.MEDICINE_BILLS).insertOne(returnBill, { session });
+
+      const dueAmount = toPaise(due - adjustedAmount);
+      let paymentStatus = billNow.paymentStatus;
+      if (adjustedAmount > 0) {
+        paymentStatus = dueAmount <= 0
+          ? PAYMENT_STATUS.PAID
+          : billNow.paidAmount > 0 ? PAYMENT_STATUS.PARTIAL : PAYMENT_STATUS.PENDING;
+      }
+      const updatedBill = await txDb.collection(COLLECTIONS.MEDICINE_BILLS).findOneAndUpdate(
+        { _id: originalBill._id },
+        { $set: { dueAmount, paymentStatus, updatedAt: now } },
+        { returnDocument: 'after', session }
+      );
+
+      if (adjustedAmount > 0) {
+        await recordAudit(txDb, event, {
+          entityType: AUDIT_ENTITY.MEDICINE_BILL,
+          entityId: originalBill._id,
+          entityRef: originalBill.billNo,
+          action: AUDIT_ACTION.UPDATE,
+          before: billNow,
+          after: updatedBill,
+          remarks: `Credit note ${returnBill.billNo} adjusted against due`,
+          session,
+        });
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.MEDICINE_BILL,
+        entityId: returnBill._id,
+        entityRef: returnBill.billNo,
+        action: AUDIT_ACTION.CREATE,
+        after: returnBill,
+        remarks: `Return against ${originalBill.billNo}`,
+        session,
+      });
+
+      // Scheduled drugs taken back, with the prescriber and patient of the sale
+      const scheduledReturns = returnItems.filter((item) => item.scheduleType);
+      if (scheduledReturns.length > 0) {
+        const saleEntries = await txDb.collection(COLLECTIONS.SCHEDULE_REGISTER)
+          .find({ billId: originalBill._id, isReturn: false }, { session })
+          .toArray();
+        const saleEntryByMedicine = new Map(saleEntries.map((entry) => [String(entry.medicineId), entry]));
+
+        const registerEntries = scheduledReturns
+          .filter((item) => saleEntryByMedicine.has(String(item.medicineId)))
+          .map((item) => ({
+            ...saleEntryByMedicine.get(String(item.medicineId)),
+            _id: new ObjectId(),
+            entryDate: now,
+            billId: returnBill._id,
+            billNo: returnBill.billNo,
+            isReturn: true,
+            originalBillNo: originalBill.billNo,
+            batchNo: item.batchNo,
+            expiryDate: item.expiryDate,
+            quantity: -item.quantity,
+            saleUnit: item.saleUnit,
+            dispensedBy: event.user?.name || returnBill.createdBy,
+            createdAt: now,
+          }));
+        if (registerEntries.length > 0) {
+          await txDb.collection(COLLECTIONS.SCHEDULE_REGISTER).insertMany(registerEntries, { session });
+        }
+      }
+
+      // Put the returned quantity back on each batch
+      for (const item of returnItems) {
+        const batch = await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+          .findOne({ _id: item.batchId }, { session });
+        if (!batch) {
+          throw new ValidationError(`Stock batch ${item.batchNo} no longer exists`);
+        }
+
+        const medicine = await txDb.collection(COLLECTIONS.MEDICINES)
+          .findOne({ _id: item.medicineId }, { session });
+
+        const isLoose = item.saleUnit === SALE_UNIT.UNIT;
+        const loose = batch.looseQty || 0;
+        const newQty = batch.currentQty + (isLoose ? 0 : item.quantity);
+        const newLoose = loose + (isLoose ? item.quantity : 0);
+        let newStatus = batch.status;
+        if (batch.status !== STOCK_STATUS.EXPIRED) {
+          newStatus = newQty <= (medicine?.reorderLevel || 0)
+            ? STOCK_STATUS.LOW
+            : STOCK_STATUS.ACTIVE;
+        }
+
+        await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).updateOne(
+          { _id: batch._id },
+          {
+            $set: {
+              currentQty: newQty,
+              looseQty: newLoose,
+              status: newStatus,
+              updatedAt: now,
+            },
+          },
+          { session }
+        );
+
+        await recordStockMovement(txDb, event, {
+          batch,
+          type: STOCK_MOVEMENT_TYPE.RETURN,
+          quantity: newQty - batch.currentQty,
+          balanceBefore: batch.currentQty,
+          looseQuantity: newLoose - loose,
+          looseBefore: loose,
+          reference: { type: AUDIT_ENTITY.MEDICINE_BILL, id: returnBill._id, number: returnBill.billNo },
+          remarks: `Return against ${originalBill.billNo}`,
+          date: now,
+          session,
+        });
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to process return. Please try again.');
+  }
+
+  return created(
+    { bill: returnBill },
+    'Medicine return processed successfully'
+  );
+}
+
+export const handler = withErrorHandler(returnMedicineBill, { permission: 'billing-medicine-returnMedicineBill' });
@@ -0,0 +1,82 @@
+/**
+ * Cancel Misc Bill API
+ * Voids a bill; the bill number is kept so the series has no gaps
+ *
+ * Endpoint: POST /.netlify/functions/billing-misc-cancelMiscBill
+ *
+ * Request Body:
+ *   {
+ *     billId: string (required) - Bill ObjectId or billNo,
+ *     reason: string (required)
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, bill: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { BILL_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function cancelMiscBill(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (!data.billId) return badRequest('Bill ID is required');
+  if (!data.reason || !data.reason.trim()) return badRequest('Cancellation reason is required');
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(data.billId)
+    ? { _id: new ObjectId(data.billId) }
+    : { billNo: data.billId };
+
+  const bill = await db.collection(COLLECTIONS.MISC_BILLS).findOne(query);
+  if (!bill) {
+    return notFound('Bill');
+  }
+  if (bill.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Bill is already cancelled');
+  }
+
+  const now = new Date();
+  const cancellation = {
+    status: BILL_STATUS.CANCELLED,
+    cancelReason: data.reason.trim(),
+    cancelledBy: event.user.name,
+    cancelledById: event.user._id,
+    cancelledAt: now,
+    updatedAt: now,
+  };
+
+  // Guard on status so two concurrent cancels cannot both succeed
+  const result = await db.collection(COLLECTIONS.MISC_BILLS).findOneAndUpdate(
+    { _id: bill._id, status: { $ne: BILL_STATUS.CANCELLED } },
+    { $set: cancellation },
+    { returnDocument: 'after' }
+  );
+
+  if (!result) {
+    return badRequest('Bill is already cancelled');
+  }
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.MISC_BILL,
+    entityId: bill._id,
+    entityRef: bill.billNo,
+    action: AUDIT_ACTION.UPDATE,
+    before: bill,
+    after: result,
+    remarks: `Cancelled: ${cancellation.cancelReason}`,
+  });
+
+  return success({ bill: result }, 'Bill cancelled successfully');
+}
+
+export const handler = withErrorHandler(cancelMiscBill, { permission: 'billing-misc-cancelMiscBill' });
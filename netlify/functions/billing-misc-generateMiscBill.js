@@ -11,7 +11,7 @@
  *     patientPhone?: string,
  *     referredBy?: string (doctor ID),
  *     category: 'laboratory' | 'radiology' | 'procedure' | 'other',
- *     items: [{ code?, description, category, quantity, rate }] (required),
+ *     items: [{ serviceId?, code?, description, category, quantity, rate }] (required),
  *     discountType?: 'percentage' | 'fixed',
  *     discountValue?: number,
  *     paymentMode: 'cash' | 'card' | 'upi' | 'mixed' (required),
@@ -19,6 +19,10 @@
  *     remarks?: string
  *   }
  * 
+ * Items picked from the service master (serviceId) take their GST flag,
+ * rate and SAC code from it; GST is added on top of taxable rates. Manual
+ * items are treated as exempt.
+ *
  * Response:
  *   { success: true, message: string, bill: Object }
  */
@@ -27,9 +31,11 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
-import { generateUniqueId } from '../../shared/utils/idGenerator.js';
-import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
-import { PAYMENT_STATUS, MISC_BILL_CATEGORY } from '../../shared/constants/enums.js';
+import { recordAudit } from './utils/audit.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { computeGst } from '../../shared/utils/gst.js';
+import { PAYMENT_STATUS, BILL_STATUS, MISC_BILL_CATEGORY, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function generateMiscBill(event) {
   if (event.httpMethod !== 'POST') {
@@ -66,15 +72,31 @@ async function generateMiscBill(event) {
     referringDoctor = await db.collection(COLLECTIONS.DOCTORS).findOne(doctorQuery);
   }
 
+  // GST settings of the services on the bill
+  const serviceIds = data.items
+    .map((item) => item.serviceId)
+    .filter((id) => id && ObjectId.isValid(id))
+    .map((id) => new ObjectId(id));
+  const services = serviceIds.length > 0
+    ? await db.collection(COLLECTIONS.SERVICE_ITEMS).find({ _id: { $in: serviceIds } }).toArray()
+    : [];
+  const servicesById = new Map(services.map((s) => [String(s._id), s]));
+
   // Calculate bill amounts
-  const items = data.items.map((item) => ({
-    code: item.code || null,
-    description: item.description,
-    category: item.category || data.category,
-    quantity: Number(item.quantity) || 1,
-    rate: Number(item.rate) || 0,
-    amount: (Number(item.quantity) || 1) * (Number(item.rate) || 0),
-  }));
+  const items = data.items.map((item) => {
+    const service = servicesById.get(String(item.serviceId));
+    return {
+      serviceId: service ? service._id : null,
+      code: item.code || null,
+      description: item.description,
+      category: item.category || data.category,
+      hsnCode: service?.sacCode || null,
+      gstRate: service?.taxable ? Number(service.gstRate) || 0 : 0,
+      quantity: Number(item.quantity) || 1,
+      rate: Number(item.rate) || 0,
+      amount: (Number(item.quantity) || 1) * (Number(item.rate) || 0),
+    };
+  });
 
   const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
 
@@ -88,11 +110,11 @@ async function generateMiscBill(event) {
     }
   }
 
-  const taxableAmount = subtotal - discountAmount;
-  const cgst = 0;
-  const sgst = 0;
-  const grandTotal = Math.round(taxableAmount + cgst + sgst);
-  const roundOff = grandTotal - (taxableAmount + cgst + sgst);
+  // Services are billed within the state, so taxable ones carry CGST + SGST
+  const gst = computeGst(items, { discountAmount });
+  const { taxableAmount, cgst, sgst, igst, totalTax } = gst;
+  const grandTotal = Math.round(taxableAmount + totalTax);
+  const roundOff = grandTotal - (taxableAmount + totalTax);
 
   // Calculate payment
   const paymentDetails = data.paymentDetails || {};
@@ -110,12 +132,7 @@ async function generateMiscBill(event) {
       : PAYMENT_STATUS.PENDING;
 
   // Generate bill number
-  const billNo = await generateUniqueId(
-    db,
-    COLLECTIONS.MISC_BILLS,
-    'billNo',
-    BILL_PREFIXES.MISC_BILL
-  );
+  const billNo = await generateDocumentNumber(db, DOCUMENT_TYPE.MISC_BILL);
 
   // Create bill document
   const now = new Date();
@@ -128,7 +145,7 @@ async function generateMiscBill(event) {
     referredBy: referringDoctor ? referringDoctor._id : null,
     billDate: now,
     category: data.category,
-    items,
+    items: gst.items,
     subtotal,
     discountType: data.discountType || null,
     discountValue: data.discountValue || 0,
@@ -136,6 +153,9 @@ async function generateMiscBill(event) {
     taxableAmount,
     cgst,
     sgst,
+    igst,
+    totalTax,
+    gstBreakdown: gst.breakdown,
     grandTotal,
     roundOff,
     paymentMode: data.paymentMode,
@@ -148,6 +168,7 @@ async function generateMiscBill(event) {
     paymentStatus,
     paidAmount,
     dueAmount,
+    status: BILL_STATUS.ACTIVE,
     remarks: data.remarks || null,
     createdBy: data.createdBy || 'Lab',
     createdAt: now,
@@ -155,6 +176,14 @@ async function generateMiscBill(event) {
 
   await db.collection(COLLECTIONS.MISC_BILLS).insertOne(bill);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.MISC_BILL,
+    entityId: bill._id,
+    entityRef: bill.billNo,
+    action: AUDIT_ACTION.CREATE,
+    after: bill,
+  });
+
   // Return with related info
   const response = {
     ...bill,
@@ -178,4 +207,4 @@ async function generateMiscBill(event) {
   );
 }
 
-export const handler = withErrorHandler(generateMiscBill);
+export const handler = withErrorHandler(generateMiscBill, { permission: 'billing-misc-generateMiscBill' });
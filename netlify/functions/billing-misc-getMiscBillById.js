@@ -58,4 +58,4 @@ async function getMiscBillById(event) {
   return success({ bill: bills[0] });
 }
 
-export const handler = withErrorHandler(getMiscBillById);
+export const handler = withErrorHandler(getMiscBillById, { permission: 'billing-misc-getMiscBillById' });
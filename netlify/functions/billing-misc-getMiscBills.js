@@ -100,6 +100,8 @@ async function getMiscBills(event) {
         items: 1,
         grandTotal: 1,
         paymentStatus: 1,
+        status: 1,
+        cancelReason: 1,
         paidAmount: 1,
         dueAmount: 1,
         'patient._id': 1,
@@ -124,4 +126,4 @@ async function getMiscBills(event) {
   });
 }
 
-export const handler = withErrorHandler(getMiscBills);
+export const handler = withErrorHandler(getMiscBills, { permission: 'billing-misc-getMiscBills' });
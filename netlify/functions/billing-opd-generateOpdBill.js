@@ -16,6 +16,9 @@
  *     remarks?: string
  *   }
  * 
+ * Consultations are GST-exempt unless clinic settings mark OPD services
+ * taxable (opdGst); GST is then added on top of the rates.
+ *
  * Response:
  *   { success: true, message: string, bill: Object }
  */
@@ -24,9 +27,11 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
-import { generateUniqueId } from '../../shared/utils/idGenerator.js';
-import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
-import { PAYMENT_STATUS } from '../../shared/constants/enums.js';
+import { recordAudit } from './utils/audit.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { computeGst } from '../../shared/utils/gst.js';
+import { PAYMENT_STATUS, BILL_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function generateOpdBill(event) {
   if (event.httpMethod !== 'POST') {
@@ -80,9 +85,17 @@ async function generateOpdBill(event) {
     }
   }
 
+  // Consultations are exempt unless marked taxable in clinic settings
+  const settings = await db
+    .collection(COLLECTIONS.CLINIC_SETTINGS)
+    .findOne({}, { projection: { opdGst: 1 } });
+  const opdGst = settings?.opdGst || {};
+
   // Calculate bill amounts
   const items = data.items.map((item) => ({
     description: item.description,
+    hsnCode: opdGst.sacCode || null,
+    gstRate: opdGst.taxable ? Number(opdGst.gstRate) || 0 : 0,
     quantity: Number(item.quantity) || 1,
     rate: Number(item.rate) || 0,
     amount: (Number(item.quantity) || 1) * (Number(item.rate) || 0),
@@ -100,11 +113,10 @@ async function generateOpdBill(event) {
     }
   }
 
-  const taxableAmount = subtotal - discountAmount;
-  const cgst = 0; // No GST on medical services typically
-  const sgst = 0;
-  const grandTotal = Math.round(taxableAmount + cgst + sgst);
-  const roundOff = grandTotal - (taxableAmount + cgst + sgst);
+  const gst = computeGst(items, { discountAmount });
+  const { taxableAmount, cgst, sgst, igst, totalTax } = gst;
+  const grandTotal = Math.round(taxableAmount + totalTax);
+  const roundOff = grandTotal - (taxableAmount + totalTax);
 
   // Calculate payment
   const paymentDetails = data.paymentDetails || {};
@@ -122,12 +134,7 @@ async function generateOpdBill(event) {
       : PAYMENT_STATUS.PENDING;
 
   // Generate bill number
-  const billNo = await generateUniqueId(
-    db,
-    COLLECTIONS.OPD_BILLS,
-    'billNo',
-    BILL_PREFIXES.OPD_BILL
-  );
+  const billNo = await generateDocumentNumber(db, DOCUMENT_TYPE.OPD_BILL);
 
   // Create bill document
   const now = new Date();
@@ -138,7 +145,7 @@ async function generateOpdBill(event) {
     doctorId: doctor._id,
     appointmentId: appointment ? appointment._id : null,
     billDate: now,
-    items,
+    items: gst.items,
     subtotal,
     discountType: data.discountType || null,
     discountValue: data.discountValue || 0,
@@ -146,6 +153,9 @@ async function generateOpdBill(event) {
     taxableAmount,
     cgst,
     sgst,
+    igst,
+    totalTax,
+    gstBreakdown: gst.breakdown,
     grandTotal,
     roundOff,
     paymentMode: data.paymentMode,
@@ -158,6 +168,7 @@ async function generateOpdBill(event) {
     paymentStatus,
     paidAmount,
     dueAmount,
+    status: BILL_STATUS.ACTIVE,
     remarks: data.remarks || null,
     createdBy: data.createdBy || 'Reception',
     createdAt: now,
@@ -165,6 +176,14 @@ async function generateOpdBill(event) {
 
   await db.collection(COLLECTIONS.OPD_BILLS).insertOne(bill);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.OPD_BILL,
+    entityId: bill._id,
+    entityRef: bill.billNo,
+    action: AUDIT_ACTION.CREATE,
+    after: bill,
+  });
+
   // Return with patient and doctor info for printing
   const response = {
     ...bill,
@@ -191,4 +210,4 @@ async function generateOpdBill(event) {
   );
 }
 
-export const handler = withErrorHandler(generateOpdBill);
+export const handler = withErrorHandler(generateOpdBill, { permission: 'billing-opd-generateOpdBill' });
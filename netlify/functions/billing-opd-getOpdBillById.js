@@ -58,4 +58,4 @@ async function getOpdBillById(event) {
   return success({ bill: bills[0] });
 }
 
-export const handler = withErrorHandler(getOpdBillById);
+export const handler = withErrorHandler(getOpdBillById, { permission: 'billing-opd-getOpdBillById' });
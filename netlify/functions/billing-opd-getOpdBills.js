@@ -113,6 +113,8 @@ async function getOpdBills(event) {
         grandTotal: 1,
         paymentMode: 1,
         paymentStatus: 1,
+        status: 1,
+        cancelReason: 1,
         paidAmount: 1,
         dueAmount: 1,
         'patient._id': 1,
@@ -139,4 +141,4 @@ async function getOpdBills(event) {
   });
 }
 
-export const handler = withErrorHandler(getOpdBills);
+export const handler = withErrorHandler(getOpdBills, { permission: 'billing-opd-getOpdBills' });
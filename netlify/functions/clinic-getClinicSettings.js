@@ -10,6 +10,9 @@
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { resolveNumbering } from '../../shared/utils/documentNumber.js';
+import { resolveReorderSettings } from '../../shared/utils/reorder.js';
 
 async function getClinicSettings(event) {
   const db = await getDb();
@@ -39,10 +42,17 @@ async function getClinicSettings(event) {
       letterheadFooter: '',
       invoiceTerms: '',
       prescriptionFooter: '',
+      opdGst: { taxable: false, gstRate: 0, sacCode: null },
     };
   }
 
+  // Fill in document types not configured yet
+  settings.numbering = Object.fromEntries(
+    Object.values(DOCUMENT_TYPE).map((type) => [type, resolveNumbering(settings.numbering, type)])
+  );
+  settings.reorder = resolveReorderSettings(settings.reorder);
+
   return success({ settings });
 }
 
-export const handler = withErrorHandler(getClinicSettings);
+export const handler = withErrorHandler(getClinicSettings, { permission: 'clinic-getClinicSettings' });
@@ -18,8 +18,16 @@
  *     letterheadHeader?: string,
  *     letterheadFooter?: string,
  *     invoiceTerms?: string,
- *     prescriptionFooter?: string
+ *     prescriptionFooter?: string,
+ *     opdGst?: { taxable: boolean, gstRate: number, sacCode?: string },
+ *     numbering?: {
+ *       [documentType]: { prefix: string, format: string, resetYearly: boolean }
+ *     },
+ *     reorder?: { consumptionDays, leadTimeDays, safetyDays, coverDays }
  *   }
+ *
+ * Numbering formats use the tokens {PREFIX}, {FY}, {YYYY}, {YY}, {MM} and
+ * {SEQ} / {SEQ:n}; see shared/utils/documentNumber.js.
  * 
  * Response:
  *   { success: true, message: string, settings: Object }
@@ -28,6 +36,55 @@
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY, GST_RATE_OPTIONS } from '../../shared/constants/enums.js';
+import { DOCUMENT_TYPE, DOCUMENT_TYPE_LABELS } from '../../shared/constants/billPrefixes.js';
+import {
+  formatDocumentNumber,
+  resolveNumbering,
+  validateNumbering,
+} from '../../shared/utils/documentNumber.js';
+import { validateReorderSettings } from '../../shared/utils/reorder.js';
+
+/**
+ * Validate and normalize the numbering settings
+ * @returns {{ numbering?: Object, error?: string }}
+ */
+function normalizeNumbering(input) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    return { error: 'numbering must be an object' };
+  }
+
+  const types = Object.values(DOCUMENT_TYPE);
+  const unknown = Object.keys(input).find((type) => !types.includes(type));
+  if (unknown) {
+    return { error: `Unknown document type: ${unknown}` };
+  }
+
+  const numbering = {};
+  for (const type of types) {
+    const config = resolveNumbering(input, type);
+    const normalized = {
+      prefix: typeof config.prefix === 'string' ? config.prefix.trim() : config.prefix,
+      format: typeof config.format === 'string' ? config.format.trim() : config.format,
+      resetYearly: Boolean(config.resetYearly),
+    };
+
+    const error = validateNumbering(normalized);
+    if (error) {
+      return { error: `${DOCUMENT_TYPE_LABELS[type]}: ${error}` };
+    }
+    numbering[type] = normalized;
+  }
+
+  // Medicine bills and credit notes share a collection and must not overlap
+  const sample = (config) => formatDocumentNumber(config.format, { prefix: config.prefix, sequence: 1 });
+  if (sample(numbering[DOCUMENT_TYPE.MEDICINE_BILL]) === sample(numbering[DOCUMENT_TYPE.CREDIT_NOTE])) {
+    return { error: 'Medicine bills and credit notes need different prefixes or formats' };
+  }
+
+  return { numbering };
+}
 
 async function updateClinicSettings(event) {
   if (event.httpMethod !== 'PUT') {
@@ -35,6 +92,42 @@ async function updateClinicSettings(event) {
   }
 
   const data = event.parsedBody || {};
+
+  if (data.opdGst !== undefined) {
+    const opdGst = data.opdGst || {};
+    const taxable = Boolean(opdGst.taxable);
+    if (taxable && !(GST_RATE_OPTIONS.includes(Number(opdGst.gstRate)) && Number(opdGst.gstRate) > 0)) {
+      return badRequest('Valid GST rate is required for taxable OPD services');
+    }
+    data.opdGst = {
+      taxable,
+      gstRate: taxable ? Number(opdGst.gstRate) : 0,
+      sacCode: opdGst.sacCode?.trim() || null,
+    };
+  }
+
+  if (data.numbering !== undefined) {
+    const { numbering, error } = normalizeNumbering(data.numbering);
+    if (error) {
+      return badRequest(error);
+    }
+    data.numbering = numbering;
+  }
+
+  if (data.reorder !== undefined) {
+    const reorder = {
+      consumptionDays: Number(data.reorder?.consumptionDays),
+      leadTimeDays: Number(data.reorder?.leadTimeDays),
+      safetyDays: Number(data.reorder?.safetyDays),
+      coverDays: Number(data.reorder?.coverDays),
+    };
+    const error = validateReorderSettings(reorder);
+    if (error) {
+      return badRequest(error);
+    }
+    data.reorder = reorder;
+  }
+
   const db = await getDb();
   const collection = db.collection(COLLECTIONS.CLINIC_SETTINGS);
 
@@ -73,6 +166,9 @@ async function updateClinicSettings(event) {
       letterheadFooter: data.letterheadFooter || '',
       invoiceTerms: data.invoiceTerms || '',
       prescriptionFooter: data.prescriptionFooter || '',
+      ...(data.opdGst && { opdGst: data.opdGst }),
+      ...(data.numbering && { numbering: data.numbering }),
+      ...(data.reorder && { reorder: data.reorder }),
       createdAt: now,
       updatedAt: now,
     };
@@ -81,10 +177,19 @@ async function updateClinicSettings(event) {
     settings = newSettings;
   }
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.CLINIC_SETTINGS,
+    entityId: settings._id,
+    entityRef: settings.clinicName,
+    action: existing ? AUDIT_ACTION.UPDATE : AUDIT_ACTION.CREATE,
+    before: existing,
+    after: settings,
+  });
+
   return success(
     { settings },
     'Clinic settings updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updateClinicSettings);
+export const handler = withErrorHandler(updateClinicSettings, { permission: 'clinic-updateClinicSettings' });
@@ -26,6 +26,8 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, conflict } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function addDoctor(event) {
   if (event.httpMethod !== 'POST') {
@@ -94,10 +96,18 @@ async function addDoctor(event) {
 
   await collection.insertOne(doctor);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.DOCTOR,
+    entityId: doctor._id,
+    entityRef: doctor.doctorId,
+    action: AUDIT_ACTION.CREATE,
+    after: doctor,
+  });
+
   return created(
     { doctor },
     'Doctor added successfully'
   );
 }
 
-export const handler = withErrorHandler(addDoctor);
+export const handler = withErrorHandler(addDoctor, { permission: 'doctors-addDoctor' });
@@ -34,4 +34,4 @@ async function getDoctorById(event) {
   return success({ doctor });
 }
 
-export const handler = withErrorHandler(getDoctorById);
+export const handler = withErrorHandler(getDoctorById, { permission: 'doctors-getDoctorById' });
@@ -47,4 +47,4 @@ async function getDoctors(event) {
   return success({ doctors });
 }
 
-export const handler = withErrorHandler(getDoctors);
+export const handler = withErrorHandler(getDoctors, { permission: 'doctors-getDoctors' });
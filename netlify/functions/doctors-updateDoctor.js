@@ -28,6 +28,8 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function updateDoctor(event) {
   if (event.httpMethod !== 'PUT') {
@@ -76,10 +78,19 @@ async function updateDoctor(event) {
     { returnDocument: 'after' }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.DOCTOR,
+    entityId: doctor._id,
+    entityRef: doctor.doctorId,
+    action: AUDIT_ACTION.UPDATE,
+    before: doctor,
+    after: result,
+  });
+
   return success(
     { doctor: result },
     'Doctor updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updateDoctor);
+export const handler = withErrorHandler(updateDoctor, { permission: 'doctors-updateDoctor' });
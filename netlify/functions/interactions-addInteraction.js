@@ -0,0 +1,84 @@
+/**
+ * Add Interaction API
+ * Add an entry to the drug interaction and contraindication table
+ *
+ * Endpoint: POST /.netlify/functions/interactions-addInteraction
+ *
+ * Request Body:
+ *   {
+ *     type: 'drug' | 'allergy' (required),
+ *     drug: string (required) - Generic name or composition ingredient,
+ *     interactsWith: string (required) - Second drug, or the allergen for allergy entries,
+ *     severity: 'blocking' | 'advisory' (required),
+ *     description?: string - Shown to the doctor or pharmacist
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, interaction: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { created, badRequest, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateCreateInteraction } from '../../shared/validators/interaction.validator.js';
+import { AUDIT_ACTION, AUDIT_ENTITY, INTERACTION_TYPE } from '../../shared/constants/enums.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function addInteraction(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreateInteraction(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.DRUG_INTERACTIONS);
+
+  // One entry per pair, in either order for drug pairs
+  const exact = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+  const pairs = [{ drug: exact(data.drug), interactsWith: exact(data.interactsWith) }];
+  if (data.type === INTERACTION_TYPE.DRUG) {
+    pairs.push({ drug: exact(data.interactsWith), interactsWith: exact(data.drug) });
+  }
+  const existing = await collection.findOne({ type: data.type, $or: pairs });
+  if (existing) {
+    return conflict(`${existing.drug} with ${existing.interactsWith} is already in the table`);
+  }
+
+  const now = new Date();
+  const interaction = {
+    _id: new ObjectId(),
+    type: data.type,
+    drug: data.drug,
+    interactsWith: data.interactsWith,
+    severity: data.severity,
+    description: data.description || null,
+    isActive: true,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await collection.insertOne(interaction);
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.DRUG_INTERACTION,
+    entityId: interaction._id,
+    entityRef: `${interaction.drug} / ${interaction.interactsWith}`,
+    action: AUDIT_ACTION.CREATE,
+    after: interaction,
+  });
+
+  return created(
+    { interaction },
+    'Interaction added successfully'
+  );
+}
+
+export const handler = withErrorHandler(addInteraction, { permission: 'interactions-addInteraction' });
@@ -0,0 +1,59 @@
+/**
+ * Get Interactions API
+ * List the clinic's drug interaction and contraindication table
+ *
+ * Endpoint: GET /.netlify/functions/interactions-getInteractions
+ *
+ * Query Parameters:
+ *   - search: Drug or interacting drug / allergy
+ *   - type: drug | allergy
+ *   - includeInactive: true to include deactivated entries
+ *
+ * Response:
+ *   { success: true, interactions: [...], count: number }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { INTERACTION_TYPE_OPTIONS } from '../../shared/constants/enums.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getInteractions(event) {
+  const { search = '', type, includeInactive = 'false' } = event.query;
+
+  if (type && !INTERACTION_TYPE_OPTIONS.includes(type)) {
+    return badRequest(`Type must be one of ${INTERACTION_TYPE_OPTIONS.join(', ')}`);
+  }
+
+  const db = await getDb();
+  const filter = {};
+
+  if (includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  if (search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [
+      { drug: searchRegex },
+      { interactsWith: searchRegex },
+    ];
+  }
+
+  const interactions = await db.collection(COLLECTIONS.DRUG_INTERACTIONS)
+    .find(filter)
+    .sort({ drug: 1, interactsWith: 1 })
+    .toArray();
+
+  return success({
+    interactions,
+    count: interactions.length,
+  });
+}
+
+export const handler = withErrorHandler(getInteractions, { permission: 'interactions-getInteractions' });
@@ -0,0 +1,79 @@
+/**
+ * Update Interaction API
+ *
+ * Endpoint: PUT /.netlify/functions/interactions-updateInteraction
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Interaction ObjectId,
+ *     type?, drug?, interactsWith?, severity?, description?, isActive?
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, interaction: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateUpdateInteraction } from '../../shared/validators/interaction.validator.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function updateInteraction(event) {
+  if (event.httpMethod !== 'PUT') {
+    return badRequest('Method not allowed');
+  }
+
+  const { id, ...body } = event.parsedBody || {};
+  if (!id) {
+    return badRequest('Interaction ID is required');
+  }
+  if (!ObjectId.isValid(id)) {
+    return badRequest('Invalid interaction ID');
+  }
+
+  const validation = validateUpdateInteraction(body);
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.DRUG_INTERACTIONS);
+
+  const interaction = await collection.findOne({ _id: new ObjectId(id) });
+  if (!interaction) {
+    return notFound('Interaction');
+  }
+
+  // Only fields present in the request are changed
+  const updateFields = { updatedAt: new Date() };
+  for (const field of Object.keys(body)) {
+    if (validation.data[field] !== undefined) {
+      updateFields[field] = validation.data[field] === '' ? null : validation.data[field];
+    }
+  }
+
+  const result = await collection.findOneAndUpdate(
+    { _id: interaction._id },
+    { $set: updateFields },
+    { returnDocument: 'after' }
+  );
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.DRUG_INTERACTION,
+    entityId: interaction._id,
+    entityRef: `${interaction.drug} / ${interaction.interactsWith}`,
+    action: AUDIT_ACTION.UPDATE,
+    before: interaction,
+    after: result,
+  });
+
+  return success(
+    { interaction: result },
+    'Interaction updated successfully'
+  );
+}
+
+export const handler = withErrorHandler(updateInteraction, { permission: 'interactions-updateInteraction' });
@@ -18,8 +18,8 @@
  *     gstRate?: number,
  *     reorderLevel: number (required),
  *     rackLocation?: string,
- *     isScheduled?: boolean,
- *     scheduleType?: string
+ *     scheduleType?: 'H' | 'H1' | 'X' | 'none' - Sales of H, H1 and X drugs go
+ *       to the schedule register
  *   }
  * 
  * Response:
@@ -30,6 +30,9 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, conflict } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { SCHEDULE_TYPE, SCHEDULE_TYPE_OPTIONS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+import { scheduleOf } from '../../shared/utils/schedule.js';
 
 async function addMedicine(event) {
   if (event.httpMethod !== 'POST') {
@@ -44,6 +47,9 @@ async function addMedicine(event) {
   if (!data.packSize) return badRequest('Pack size is required');
   if (!data.packUnit) return badRequest('Pack unit is required');
   if (data.reorderLevel === undefined) return badRequest('Reorder level is required');
+  if (data.scheduleType && !SCHEDULE_TYPE_OPTIONS.includes(data.scheduleType)) {
+    return badRequest('Invalid schedule type');
+  }
 
   const db = await getDb();
   const collection = db.collection(COLLECTIONS.MEDICINES);
@@ -92,8 +98,8 @@ async function addMedicine(event) {
     gstRate: Number(data.gstRate) || 0,
     reorderLevel: Number(data.reorderLevel),
     rackLocation: data.rackLocation || null,
-    isScheduled: data.isScheduled || false,
-    scheduleType: data.scheduleType || 'none',
+    isScheduled: Boolean(scheduleOf(data)),
+    scheduleType: data.scheduleType || SCHEDULE_TYPE.NONE,
     isActive: true,
     createdAt: now,
     updatedAt: now,
@@ -101,10 +107,18 @@ async function addMedicine(event) {
 
   await collection.insertOne(medicine);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.MEDICINE,
+    entityId: medicine._id,
+    entityRef: medicine.medicineId,
+    action: AUDIT_ACTION.CREATE,
+    after: medicine,
+  });
+
   return created(
     { medicine },
     'Medicine added successfully'
   );
 }
 
-export const handler = withErrorHandler(addMedicine);
+export const handler = withErrorHandler(addMedicine, { permission: 'medicine-addMedicine' });
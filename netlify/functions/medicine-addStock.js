@@ -26,10 +26,12 @@
  */
 
 import { ObjectId } from 'mongodb';
-import { getDb, COLLECTIONS } from './utils/db.js';
-import { created, badRequest, notFound, conflict } from './utils/response.js';
-import { withErrorHandler } from './utils/errorHandler.js';
-import { STOCK_STATUS } from '../../shared/constants/enums.js';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, conflict, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement } from './utils/stockLedger.js';
+import { STOCK_STATUS, STOCK_MOVEMENT_TYPE, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function addStock(event) {
   if (event.httpMethod !== 'POST') {
@@ -107,7 +109,38 @@ async function addStock(event) {
     updatedAt: now,
   };
 
-  await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).insertOne(stockBatch);
+  // Batch and its opening purchase movement are written together
+  try {
+    await withTransaction(async (session, txDb) => {
+      await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).insertOne(stockBatch, { session });
+
+      await recordStockMovement(txDb, event, {
+        batch: stockBatch,
+        type: STOCK_MOVEMENT_TYPE.PURCHASE,
+        quantity: stockBatch.initialQty,
+        balanceBefore: 0,
+        reference: stockBatch.purchaseInvoiceNo
+          ? { type: 'purchase_invoice', number: stockBatch.purchaseInvoiceNo }
+          : null,
+        remarks: stockBatch.supplier ? `Supplier: ${stockBatch.supplier}` : null,
+        date: now,
+        session,
+      });
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.STOCK_BATCH,
+        entityId: stockBatch._id,
+        entityRef: `${medicine.name} / ${stockBatch.batchNo}`,
+        action: AUDIT_ACTION.CREATE,
+        after: stockBatch,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to add stock. Please try again.');
+  }
 
   // Return with medicine info
   const response = {
@@ -127,4 +160,4 @@ async function addStock(event) {
   );
 }
 
-export const handler = withErrorHandler(addStock);
+export const handler = withErrorHandler(addStock, { permission: 'medicine-addStock' });
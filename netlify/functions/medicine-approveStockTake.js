@@ -0,0 +1,158 @@
+/**
+ * Approve Stock Take API
+ * Closes a stock-take and posts its variances to stock
+ *
+ * Endpoint: POST /.netlify/functions/medicine-approveStockTake
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Stock take ObjectId,
+ *     remarks?: string
+ *   }
+ *
+ * Each counted line with a variance becomes an adjustment movement on its
+ * batch. The variances (counted - snapshot) in packs and in loose units are
+ * applied to the batch's currentQty and looseQty, so sales made while
+ * counting are not undone. Uncounted lines are
+ * left as they are. The variance report is kept on the session.
+ *
+ * Response:
+ *   { success: true, message: string, stockTake: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { success, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ConflictError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { adjustBatchStock } from './utils/stockLedger.js';
+import { computeStockTakeVariance } from '../../shared/utils/stockTake.js';
+import {
+  STOCK_TAKE_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function approveStockTake(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+  if (!data.id || !ObjectId.isValid(data.id)) {
+    return badRequest('Valid stock take ID is required');
+  }
+
+  const db = await getDb();
+
+  const stockTake = await db.collection(COLLECTIONS.STOCK_TAKES).findOne({ _id: new ObjectId(data.id) });
+  if (!stockTake) {
+    return notFound('Stock take');
+  }
+  if (stockTake.status !== STOCK_TAKE_STATUS.IN_PROGRESS) {
+    return badRequest(`Stock take ${stockTake.stockTakeNo} is ${stockTake.status.replace('_', ' ')}`);
+  }
+
+  const { items, summary } = computeStockTakeVariance(stockTake.items);
+  if (summary.countedItems === 0) {
+    return badRequest('No quantities have been counted yet');
+  }
+
+  const variances = items.filter((item) => item.variance || item.looseVariance);
+
+  const [batches, medicines] = await Promise.all([
+    db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+      .find({ _id: { $in: variances.map((item) => item.batchId) } })
+      .toArray(),
+    db.collection(COLLECTIONS.MEDICINES)
+      .find({ _id: { $in: variances.map((item) => item.medicineId) } })
+      .project({ reorderLevel: 1 })
+      .toArray(),
+  ]);
+  const batchById = new Map(batches.map((b) => [String(b._id), b]));
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+
+  const missing = variances.find((item) => !batchById.has(String(item.batchId)));
+  if (missing) {
+    return badRequest(`Batch ${missing.batchNo} of ${missing.medicineName} no longer exists`);
+  }
+
+  const now = new Date();
+  const reference = {
+    type: AUDIT_ENTITY.STOCK_TAKE,
+    id: stockTake._id,
+    number: stockTake.stockTakeNo,
+  };
+
+  // Quantity each line was adjusted by; uncounted and matched lines stay 0
+  const adjusted = new Map(variances.map((item) => [String(item.batchId), item]));
+  const reportItems = items.map((item) => ({
+    ...item,
+    adjustedQty: adjusted.get(String(item.batchId))?.variance || 0,
+    adjustedLooseQty: adjusted.get(String(item.batchId))?.looseVariance || 0,
+  }));
+
+  let updated;
+  try {
+    await withTransaction(async (session, txDb) => {
+      updated = await txDb.collection(COLLECTIONS.STOCK_TAKES).findOneAndUpdate(
+        { _id: stockTake._id, status: STOCK_TAKE_STATUS.IN_PROGRESS },
+        {
+          $set: {
+            status: STOCK_TAKE_STATUS.APPROVED,
+            items: reportItems,
+            countedItems: summary.countedItems,
+            summary,
+            approvalRemarks: data.remarks || null,
+            approvedBy: event.user.name,
+            approvedById: event.user._id,
+            approvedAt: now,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: 'after', session }
+      );
+      if (!updated) {
+        throw new ConflictError('Stock take was closed by someone else, please reload');
+      }
+
+      for (const item of variances) {
+        await adjustBatchStock(txDb, event, {
+          batch: batchById.get(String(item.batchId)),
+          medicine: medicineById.get(String(item.medicineId)),
+          quantity: item.variance,
+          looseQuantity: item.looseVariance,
+          type: STOCK_MOVEMENT_TYPE.ADJUSTMENT,
+          reference,
+          remarks: `Stock take: system ${item.systemQty} + ${item.systemLooseQty || 0} loose, ` +
+            `counted ${item.countedQty} + ${item.countedLooseQty || 0} loose`,
+          date: now,
+          session,
+        });
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.STOCK_TAKE,
+        entityId: stockTake._id,
+        entityRef: stockTake.stockTakeNo,
+        action: AUDIT_ACTION.UPDATE,
+        before: { status: stockTake.status },
+        after: { status: STOCK_TAKE_STATUS.APPROVED, summary },
+        remarks: `Approved: ${variances.length} batch(es) adjusted, net ₹${summary.netValue.toFixed(2)}`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to approve stock take. Please try again.');
+  }
+
+  return success(
+    { stockTake: updated },
+    `Stock take ${stockTake.stockTakeNo} approved; ${variances.length} batch(es) adjusted`
+  );
+}
+
+export const handler = withErrorHandler(approveStockTake, { permission: 'medicine-approveStockTake' });
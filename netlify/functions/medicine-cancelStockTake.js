@@ -0,0 +1,80 @@
+/**
+ * Cancel Stock Take API
+ * Abandons an open stock-take without touching stock
+ *
+ * Endpoint: POST /.netlify/functions/medicine-cancelStockTake
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Stock take ObjectId,
+ *     reason: string (required)
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, stockTake: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { STOCK_TAKE_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function cancelStockTake(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+  if (!data.id || !ObjectId.isValid(data.id)) {
+    return badRequest('Valid stock take ID is required');
+  }
+  if (!data.reason || !data.reason.trim()) {
+    return badRequest('Cancellation reason is required');
+  }
+
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.STOCK_TAKES);
+
+  const stockTake = await collection.findOne({ _id: new ObjectId(data.id) }, { projection: { items: 0 } });
+  if (!stockTake) {
+    return notFound('Stock take');
+  }
+  if (stockTake.status !== STOCK_TAKE_STATUS.IN_PROGRESS) {
+    return badRequest(`Stock take ${stockTake.stockTakeNo} is ${stockTake.status.replace('_', ' ')}`);
+  }
+
+  const now = new Date();
+  const updated = await collection.findOneAndUpdate(
+    { _id: stockTake._id, status: STOCK_TAKE_STATUS.IN_PROGRESS },
+    {
+      $set: {
+        status: STOCK_TAKE_STATUS.CANCELLED,
+        cancelReason: data.reason.trim(),
+        cancelledBy: event.user.name,
+        cancelledById: event.user._id,
+        cancelledAt: now,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: 'after', projection: { items: 0 } }
+  );
+  if (!updated) {
+    return conflict('Stock take was closed by someone else, please reload');
+  }
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.STOCK_TAKE,
+    entityId: stockTake._id,
+    entityRef: stockTake.stockTakeNo,
+    action: AUDIT_ACTION.UPDATE,
+    before: { status: stockTake.status },
+    after: { status: STOCK_TAKE_STATUS.CANCELLED },
+    remarks: `Cancelled: ${data.reason.trim()}`,
+  });
+
+  return success({ stockTake: updated }, `Stock take ${stockTake.stockTakeNo} cancelled`);
+}
+
+export const handler = withErrorHandler(cancelStockTake, { permission: 'medicine-cancelStockTake' });
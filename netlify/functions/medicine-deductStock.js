@@ -9,19 +9,35 @@
  *     medicineId: string (required),
  *     batchId: string (required),
  *     quantity: number (required, positive),
+ *     saleUnit?: 'pack' | 'unit' (default 'pack'),
  *     reason: 'sale' | 'expired' | 'damaged' | 'adjustment' (required),
  *     remarks?: string
  *   }
  * 
+ * Expired batches can be written off but not deducted as a sale. The reason
+ * is recorded as the stock movement type. Units come from the batch's loose
+ * stock first, opening packs as needed, as when billing; the change to loose
+ * units is recorded on the movement as looseQuantity.
+ * 
  * Response:
  *   { success: true, message: string, stockBatch: Object }
  */
 
 import { ObjectId } from 'mongodb';
-import { getDb, COLLECTIONS } from './utils/db.js';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
 import { success, badRequest, notFound, unprocessable } from './utils/response.js';
-import { withErrorHandler } from './utils/errorHandler.js';
-import { STOCK_STATUS } from '../../shared/constants/enums.js';
+import { withErrorHandler, AppError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { adjustBatchStock } from './utils/stockLedger.js';
+import {
+  STOCK_MOVEMENT_TYPE,
+  SALE_UNIT,
+  SALE_UNIT_OPTIONS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+import { isExpiredBatch } from '../../shared/utils/fefo.js';
+import { availableStock, stockDeduction } from '../../shared/utils/packs.js';
 
 async function deductStock(event) {
   if (event.httpMethod !== 'POST') {
@@ -35,8 +51,18 @@ async function deductStock(event) {
   if (!data.batchId) return badRequest('Batch ID is required');
   if (!data.quantity || data.quantity <= 0) return badRequest('Valid quantity is required');
   if (!data.reason) return badRequest('Reason is required');
-
-  const validReasons = ['sale', 'expired', 'damaged', 'adjustment'];
+  if (data.saleUnit && !SALE_UNIT_OPTIONS.includes(data.saleUnit)) {
+    return badRequest('Invalid sale unit');
+  }
+  const saleUnit = data.saleUnit || SALE_UNIT.PACK;
+
+  // Each reason is recorded as the stock movement type of the same name
+  const validReasons = [
+    STOCK_MOVEMENT_TYPE.SALE,
+    STOCK_MOVEMENT_TYPE.EXPIRED,
+    STOCK_MOVEMENT_TYPE.DAMAGED,
+    STOCK_MOVEMENT_TYPE.ADJUSTMENT,
+  ];
   if (!validReasons.includes(data.reason)) {
     return badRequest(`Reason must be one of: ${validReasons.join(', ')}`);
   }
@@ -63,47 +89,74 @@ async function deductStock(event) {
     return notFound('Stock batch');
   }
 
+  // Expired stock can only be written off, not sold
+  const expired = isExpiredBatch(stockBatch);
+  if (expired && data.reason === STOCK_MOVEMENT_TYPE.SALE) {
+    return unprocessable(`Batch ${stockBatch.batchNo} has expired and cannot be sold`, {
+      batchNo: stockBatch.batchNo,
+      expiryDate: stockBatch.expiryDate,
+    });
+  }
+
   // Check if sufficient stock
-  if (stockBatch.currentQty < data.quantity) {
+  const packSize = Number(medicine.packSize) || 1;
+  const taken = saleUnit === SALE_UNIT.UNIT ? { units: data.quantity } : { packs: data.quantity };
+  const deduction = stockDeduction(stockBatch, taken, packSize);
+  if (!deduction) {
+    const available = availableStock(stockBatch, packSize);
     return unprocessable('Insufficient stock', {
-      available: stockBatch.currentQty,
+      available: saleUnit === SALE_UNIT.UNIT ? available.units : available.packs,
       requested: data.quantity,
+      saleUnit,
     });
   }
 
-  // Calculate new quantity and status
-  const newQty = stockBatch.currentQty - data.quantity;
-  let newStatus = stockBatch.status;
-
-  if (newQty === 0) {
-    newStatus = STOCK_STATUS.EXHAUSTED;
-  } else if (newQty <= medicine.reorderLevel) {
-    newStatus = STOCK_STATUS.LOW;
-  }
-
-  // Update stock batch
+  // Update stock batch and record the movement together; the quantity guard
+  // fails if the batch changed since it was read
   const now = new Date();
-  const updateResult = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOneAndUpdate(
-    { _id: stockBatch._id },
-    {
-      $set: {
-        currentQty: newQty,
-        status: newStatus,
-        updatedAt: now,
-      },
-    },
-    { returnDocument: 'after' }
-  );
+  let updateResult;
+  try {
+    await withTransaction(async (session, txDb) => {
+      updateResult = await adjustBatchStock(txDb, event, {
+        batch: stockBatch,
+        medicine,
+        quantity: -deduction.packs,
+        looseQuantity: deduction.loose,
+        type: data.reason,
+        remarks: data.remarks || null,
+        date: now,
+        session,
+      });
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.STOCK_BATCH,
+        entityId: stockBatch._id,
+        entityRef: `${medicine.name} / ${stockBatch.batchNo}`,
+        action: AUDIT_ACTION.UPDATE,
+        before: stockBatch,
+        after: updateResult,
+        remarks: `Deducted ${data.quantity} ${saleUnit}(s) (${data.reason})${data.remarks ? `: ${data.remarks}` : ''}`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to deduct stock. Please try again.');
+  }
 
   return success(
     { 
       stockBatch: updateResult,
       deducted: data.quantity,
+      saleUnit,
       previousQty: stockBatch.currentQty,
-      newQty,
+      newQty: updateResult.currentQty,
+      previousLooseQty: stockBatch.looseQty || 0,
+      newLooseQty: updateResult.looseQty,
     },
     'Stock deducted successfully'
   );
 }
 
-export const handler = withErrorHandler(deductStock);
+export const handler = withErrorHandler(deductStock, { permission: 'medicine-deductStock' });
@@ -7,6 +7,8 @@
  * Query Parameters:
  *   - medicineId: Filter by specific medicine (optional)
  * 
+ * totalStock counts whole packs; totalLoose counts units left in opened packs.
+ *
  * Response:
  *   { success: true, stock: [...] }
  */
@@ -24,7 +26,7 @@ async function getCurrentStock(event) {
   // Build match stage
   const matchStage = {
     status: { $in: ['active', 'low'] },
-    currentQty: { $gt: 0 },
+    $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
   };
 
   if (medicineId) {
@@ -39,12 +41,14 @@ async function getCurrentStock(event) {
       $group: {
         _id: '$medicineId',
         totalStock: { $sum: '$currentQty' },
+        totalLoose: { $sum: { $ifNull: ['$looseQty', 0] } },
         batches: {
           $push: {
             _id: '$_id',
             batchNo: '$batchNo',
             expiryDate: '$expiryDate',
             currentQty: '$currentQty',
+            looseQty: { $ifNull: ['$looseQty', 0] },
             mrp: '$mrp',
             sellingPrice: '$sellingPrice',
           },
@@ -74,6 +78,7 @@ async function getCurrentStock(event) {
         packUnit: '$medicine.packUnit',
         reorderLevel: '$medicine.reorderLevel',
         totalStock: 1,
+        totalLoose: 1,
         batches: 1,
         avgPurchasePrice: { $round: ['$avgPurchasePrice', 2] },
         nearestExpiry: '$minExpiry',
@@ -90,4 +95,4 @@ async function getCurrentStock(event) {
   return success({ stock });
 }
 
-export const handler = withErrorHandler(getCurrentStock);
+export const handler = withErrorHandler(getCurrentStock, { permission: 'medicine-getCurrentStock' });
@@ -30,7 +30,7 @@ async function getExpiringStock(event) {
     {
       $match: {
         expiryDate: { $lte: futureDate },
-        currentQty: { $gt: 0 },
+        $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
         status: { $ne: 'exhausted' },
       },
     },
@@ -53,7 +53,12 @@ async function getExpiringStock(event) {
             ],
           },
         },
-        isExpired: { $lte: ['$expiryDate', now] },
+        isExpired: {
+          $or: [
+            { $lte: ['$expiryDate', now] },
+            { $eq: ['$status', 'expired'] },
+          ],
+        },
       },
     },
     {
@@ -62,15 +67,28 @@ async function getExpiringStock(event) {
         batchNo: 1,
         expiryDate: 1,
         currentQty: 1,
+        looseQty: { $ifNull: ['$looseQty', 0] },
         mrp: 1,
         purchasePrice: 1,
         daysToExpiry: 1,
         isExpired: 1,
-        stockValue: { $multiply: ['$currentQty', '$purchasePrice'] },
+        // Loose units are valued at the pack price / pack size
+        stockValue: {
+          $multiply: [
+            {
+              $add: [
+                '$currentQty',
+                { $divide: [{ $ifNull: ['$looseQty', 0] }, { $ifNull: ['$medicine.packSize', 1] }] },
+              ],
+            },
+            '$purchasePrice',
+          ],
+        },
         medicine: {
           _id: '$medicine._id',
           medicineId: '$medicine.medicineId',
           name: '$medicine.name',
+          category: '$medicine.category',
           packUnit: '$medicine.packUnit',
         },
       },
@@ -108,4 +126,4 @@ async function getExpiringStock(event) {
   });
 }
 
-export const handler = withErrorHandler(getExpiringStock);
+export const handler = withErrorHandler(getExpiringStock, { permission: 'medicine-getExpiringStock' });
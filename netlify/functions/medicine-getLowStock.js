@@ -103,4 +103,4 @@ async function getLowStock(event) {
   });
 }
 
-export const handler = withErrorHandler(getLowStock);
+export const handler = withErrorHandler(getLowStock, { permission: 'medicine-getLowStock' });
@@ -61,4 +61,4 @@ async function getMedicineById(event) {
   return success({ medicine: response });
 }
 
-export const handler = withErrorHandler(getMedicineById);
+export const handler = withErrorHandler(getMedicineById, { permission: 'medicine-getMedicineById' });
@@ -68,14 +68,17 @@ async function getMedicines(event) {
               $match: {
                 $expr: { $eq: ['$medicineId', '$$medicineId'] },
                 status: { $in: ['active', 'low'] },
-                currentQty: { $gt: 0 },
+                $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
               },
             },
             {
               $group: {
                 _id: null,
                 totalStock: { $sum: '$currentQty' },
-                batches: { $push: { batchNo: '$batchNo', qty: '$currentQty', expiry: '$expiryDate' } },
+                totalLoose: { $sum: { $ifNull: ['$looseQty', 0] } },
+                batches: {
+                  $push: { batchNo: '$batchNo', qty: '$currentQty', loose: { $ifNull: ['$looseQty', 0] }, expiry: '$expiryDate' },
+                },
               },
             },
           ],
@@ -87,6 +90,9 @@ async function getMedicines(event) {
           currentStock: {
             $ifNull: [{ $arrayElemAt: ['$stockInfo.totalStock', 0] }, 0],
           },
+          currentLoose: {
+            $ifNull: [{ $arrayElemAt: ['$stockInfo.totalLoose', 0] }, 0],
+          },
           stockBatches: {
             $ifNull: [{ $arrayElemAt: ['$stockInfo.batches', 0] }, []],
           },
@@ -120,4 +126,4 @@ async function getMedicines(event) {
   });
 }
 
-export const handler = withErrorHandler(getMedicines);
+export const handler = withErrorHandler(getMedicines, { permission: 'medicine-getMedicines' });
@@ -0,0 +1,188 @@
+/**
+ * Get Reorder Suggestions API
+ * Medicines due for reorder, based on their sales over the consumption
+ * window rather than the fixed reorder level
+ *
+ * Endpoint: GET /.netlify/functions/medicine-getReorderSuggestions
+ *
+ * Query Parameters:
+ *   - days: Override the consumption window from settings (7-365)
+ *
+ * Net sales come from medicine bills (credit notes deducted, cancelled bills
+ * ignored). Sales and stock are in packs: loose units sold, and loose units
+ * left in opened packs, count as fractions of a pack. Stock counts only
+ * unexpired batches; quantities on draft or
+ * ordered purchase orders count as already on the way. Each medicine is
+ * suggested to the supplier it was last bought from, with that supplier's
+ * lead time.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     suggestions: [{ _id, medicineId, name, currentStock, onOrder, soldQty, avgDailyUse,
+ *                     reorderPoint, daysOfStock, suggestedQty, supplierId, supplierName, lastRate, ... }],
+ *     settings: { consumptionDays, leadTimeDays, safetyDays, coverDays },
+ *     count: number
+ *   }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { resolveReorderSettings, computeReorderSuggestion } from '../../shared/utils/reorder.js';
+import {
+  BILL_STATUS,
+  STOCK_STATUS,
+  PURCHASE_ORDER_STATUS,
+  SALE_UNIT,
+} from '../../shared/constants/enums.js';
+
+// Packs to two decimals, e.g. 3 packs and 5 of 10 tablets -> 3.5
+const roundQty = (value) => Math.round(value * 100) / 100;
+
+async function getReorderSuggestions(event) {
+  const db = await getDb();
+
+  const clinicSettings = await db.collection(COLLECTIONS.CLINIC_SETTINGS).findOne({}, { projection: { reorder: 1 } });
+  const settings = resolveReorderSettings(clinicSettings?.reorder);
+
+  if (event.query.days !== undefined) {
+    const days = parseInt(event.query.days, 10);
+    if (!(days >= 7 && days <= 365)) {
+      return badRequest('days must be between 7 and 365');
+    }
+    settings.consumptionDays = days;
+  }
+
+  const now = new Date();
+  const since = new Date(now);
+  since.setDate(since.getDate() - settings.consumptionDays);
+
+  const [medicines, sales, stock, onOrder, lastPurchases, suppliers] = await Promise.all([
+    db.collection(COLLECTIONS.MEDICINES)
+      .find({ isActive: true })
+      .project({ medicineId: 1, name: 1, genericName: 1, category: 1, packUnit: 1, packSize: 1, reorderLevel: 1 })
+      .toArray(),
+
+    // Credit notes carry negative quantities, so the sums are net of returns
+    db.collection(COLLECTIONS.MEDICINE_BILLS).aggregate([
+      { $match: { billDate: { $gte: since }, status: { $ne: BILL_STATUS.CANCELLED } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.medicineId',
+          soldPacks: {
+            $sum: { $cond: [{ $eq: ['$items.saleUnit', SALE_UNIT.UNIT] }, 0, '$items.quantity'] },
+          },
+          soldUnits: {
+            $sum: { $cond: [{ $eq: ['$items.saleUnit', SALE_UNIT.UNIT] }, '$items.quantity', 0] },
+          },
+        },
+      },
+    ]).toArray(),
+
+    db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).aggregate([
+      {
+        $match: {
+          $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
+          status: { $nin: [STOCK_STATUS.EXPIRED, STOCK_STATUS.EXHAUSTED] },
+          expiryDate: { $gt: now },
+        },
+      },
+      {
+        $group: {
+          _id: '$medicineId',
+          packs: { $sum: '$currentQty' },
+          looseUnits: { $sum: { $ifNull: ['$looseQty', 0] } },
+        },
+      },
+    ]).toArray(),
+
+    db.collection(COLLECTIONS.PURCHASE_ORDERS).aggregate([
+      { $match: { status: { $in: [PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.ORDERED] } } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.medicineId', onOrder: { $sum: '$items.quantity' } } },
+    ]).toArray(),
+
+    db.collection(COLLECTIONS.PURCHASES).aggregate([
+      { $match: { status: { $ne: BILL_STATUS.CANCELLED } } },
+      { $sort: { invoiceDate: -1, createdAt: -1 } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.medicineId',
+          supplierId: { $first: '$supplierId' },
+          supplierName: { $first: '$supplierName' },
+          lastRate: { $first: '$items.purchasePrice' },
+          lastPurchaseDate: { $first: '$invoiceDate' },
+        },
+      },
+    ]).toArray(),
+
+    db.collection(COLLECTIONS.SUPPLIERS)
+      .find({})
+      .project({ name: 1, leadTimeDays: 1, isActive: 1 })
+      .toArray(),
+  ]);
+
+  const byMedicine = (rows) => new Map(rows.map((row) => [String(row._id), row]));
+  const salesById = byMedicine(sales);
+  const stockById = byMedicine(stock);
+  const onOrderById = byMedicine(onOrder);
+  const lastPurchaseById = byMedicine(lastPurchases);
+  const supplierById = byMedicine(suppliers);
+
+  const suggestions = [];
+  for (const medicine of medicines) {
+    const key = String(medicine._id);
+    const lastPurchase = lastPurchaseById.get(key);
+    const supplier = lastPurchase ? supplierById.get(String(lastPurchase.supplierId)) : null;
+
+    const packSize = Number(medicine.packSize) || 1;
+    const stockRow = stockById.get(key);
+    const salesRow = salesById.get(key);
+    const currentStock = roundQty((stockRow?.packs || 0) + (stockRow?.looseUnits || 0) / packSize);
+    const soldQty = roundQty((salesRow?.soldPacks || 0) + (salesRow?.soldUnits || 0) / packSize);
+    const ordered = onOrderById.get(key)?.onOrder || 0;
+
+    const suggestion = computeReorderSuggestion({
+      currentStock,
+      soldQty,
+      onOrder: ordered,
+      leadTimeDays: supplier?.leadTimeDays,
+      settings,
+    });
+    if (!suggestion.isDue || suggestion.suggestedQty <= 0) continue;
+
+    suggestions.push({
+      _id: medicine._id,
+      medicineId: medicine.medicineId,
+      name: medicine.name,
+      genericName: medicine.genericName,
+      category: medicine.category,
+      packUnit: medicine.packUnit,
+      reorderLevel: medicine.reorderLevel,
+      currentStock,
+      soldQty,
+      onOrder: ordered,
+      ...suggestion,
+      // Inactive suppliers are shown but not preselected for the order
+      supplierId: supplier?.isActive ? supplier._id : null,
+      supplierName: lastPurchase?.supplierName || null,
+      leadTimeDays: Number.isInteger(supplier?.leadTimeDays) ? supplier.leadTimeDays : settings.leadTimeDays,
+      lastRate: lastPurchase?.lastRate || null,
+      lastPurchaseDate: lastPurchase?.lastPurchaseDate || null,
+    });
+  }
+
+  // Most urgent first
+  suggestions.sort((a, b) => a.daysOfStock - b.daysOfStock || b.avgDailyUse - a.avgDailyUse);
+
+  return success({
+    suggestions,
+    settings,
+    count: suggestions.length,
+  });
+}
+
+export const handler = withErrorHandler(getReorderSuggestions, { permission: 'medicine-getReorderSuggestions' });
@@ -10,7 +10,7 @@
  *   - includeExhausted: true to include exhausted batches
  * 
  * Response:
- *   { success: true, batches: [...], totalStock: number }
+ *   { success: true, batches: [...], totalStock: number, totalLoose: number }
  */
 
 import { ObjectId } from 'mongodb';
@@ -51,22 +51,26 @@ async function getStockBatches(event) {
     .sort({ expiryDate: 1 })
     .toArray();
 
-  const totalStock = batches
-    .filter(b => b.status !== 'exhausted')
-    .reduce((sum, batch) => sum + batch.currentQty, 0);
+  const inStock = batches.filter(b => b.status !== 'exhausted');
+  const totalStock = inStock.reduce((sum, batch) => sum + batch.currentQty, 0);
+  const totalLoose = inStock.reduce((sum, batch) => sum + (batch.looseQty || 0), 0);
 
   return success({
     medicine: {
       _id: medicine._id,
       medicineId: medicine.medicineId,
       name: medicine.name,
+      category: medicine.category,
+      packSize: medicine.packSize,
+      packUnit: medicine.packUnit,
       reorderLevel: medicine.reorderLevel,
     },
     batches,
     totalStock,
+    totalLoose,
     batchCount: batches.length,
     isLowStock: totalStock <= medicine.reorderLevel,
   });
 }
 
-export const handler = withErrorHandler(getStockBatches);
+export const handler = withErrorHandler(getStockBatches, { permission: 'medicine-getStockBatches' });
@@ -0,0 +1,155 @@
+/**
+ * Get Stock Ledger API
+ * Stock movements of a medicine with running balances, reconciled per batch
+ *
+ * Endpoint: GET /.netlify/functions/medicine-getStockLedger
+ *
+ * Query Parameters:
+ *   - medicineId: Medicine (required)
+ *   - batchId: Limit to one batch
+ *
+ * Full packs (quantity, against currentQty) and loose units from opened packs
+ * (looseQuantity, against looseQty) are balanced and reconciled separately.
+ * Batches added before the ledger existed have no purchase movement; their
+ * unrecorded quantity is shown as an opening balance. Any other gap between
+ * the ledger and a batch's quantities is reported as a difference.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     medicine: Object,
+ *     movements: [{ ...movement, balance, looseBalance }],
+ *     batches: [{ _id, batchNo, expiryDate, status, currentQty, openingQty, ledgerQty, difference,
+ *                 looseQty, openingLooseQty, ledgerLooseQty, looseDifference }],
+ *     summary: { currentQty, ledgerQty, difference, looseQty, ledgerLooseQty, looseDifference, reconciled }
+ *   }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { STOCK_MOVEMENT_TYPE } from '../../shared/constants/enums.js';
+
+async function getStockLedger(event) {
+  const { medicineId, batchId } = event.query;
+
+  if (!medicineId) {
+    return badRequest('Medicine ID is required');
+  }
+
+  const db = await getDb();
+
+  const medicineQuery = ObjectId.isValid(medicineId)
+    ? { _id: new ObjectId(medicineId) }
+    : { medicineId };
+
+  const medicine = await db.collection(COLLECTIONS.MEDICINES).findOne(medicineQuery);
+  if (!medicine) {
+    return notFound('Medicine');
+  }
+
+  const filter = { medicineId: medicine._id };
+  if (batchId) {
+    if (!ObjectId.isValid(batchId)) return badRequest('Invalid batch ID');
+    filter._id = new ObjectId(batchId);
+  }
+
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find(filter)
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  const recorded = await db.collection(COLLECTIONS.STOCK_MOVEMENTS)
+    .find({ batchId: { $in: batches.map((batch) => batch._id) } })
+    .sort({ createdAt: 1, _id: 1 })
+    .toArray();
+
+  // Opening balances for batches that predate the ledger
+  const openings = [];
+  const batchRows = batches.map((batch) => {
+    const own = recorded.filter((m) => String(m.batchId) === String(batch._id));
+    const movedQty = own.reduce((sum, m) => sum + m.quantity, 0);
+    const movedLoose = own.reduce((sum, m) => sum + (m.looseQuantity || 0), 0);
+    const looseQty = batch.looseQty || 0;
+    const hasPurchase = own.some((m) => m.type === STOCK_MOVEMENT_TYPE.PURCHASE);
+    const openingQty = hasPurchase ? 0 : batch.currentQty - movedQty;
+    const openingLooseQty = hasPurchase ? 0 : looseQty - movedLoose;
+
+    if (openingQty !== 0 || openingLooseQty !== 0) {
+      openings.push({
+        _id: `opening-${batch._id}`,
+        medicineId: batch.medicineId,
+        batchId: batch._id,
+        batchNo: batch.batchNo,
+        type: 'opening',
+        quantity: openingQty,
+        balanceBefore: 0,
+        balanceAfter: openingQty,
+        looseQuantity: openingLooseQty,
+        looseBefore: 0,
+        looseAfter: openingLooseQty,
+        referenceType: null,
+        referenceId: null,
+        referenceNo: null,
+        remarks: 'Balance before the stock ledger was kept',
+        userName: null,
+        createdAt: batch.createdAt,
+      });
+    }
+
+    const ledgerQty = openingQty + movedQty;
+    const ledgerLooseQty = openingLooseQty + movedLoose;
+    return {
+      _id: batch._id,
+      batchNo: batch.batchNo,
+      expiryDate: batch.expiryDate,
+      status: batch.status,
+      currentQty: batch.currentQty,
+      openingQty,
+      ledgerQty,
+      difference: batch.currentQty - ledgerQty,
+      looseQty,
+      openingLooseQty,
+      ledgerLooseQty,
+      looseDifference: looseQty - ledgerLooseQty,
+    };
+  });
+
+  // Running balances across all batches of the medicine
+  let balance = 0;
+  let looseBalance = 0;
+  const movements = [...openings, ...recorded]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .map((movement) => {
+      balance += movement.quantity;
+      looseBalance += movement.looseQuantity || 0;
+      return { ...movement, balance, looseBalance };
+    });
+
+  const currentQty = batchRows.reduce((sum, batch) => sum + batch.currentQty, 0);
+  const looseQty = batchRows.reduce((sum, batch) => sum + batch.looseQty, 0);
+
+  return success({
+    medicine: {
+      _id: medicine._id,
+      medicineId: medicine.medicineId,
+      name: medicine.name,
+      packUnit: medicine.packUnit,
+      packSize: medicine.packSize,
+    },
+    movements,
+    batches: batchRows,
+    summary: {
+      currentQty,
+      ledgerQty: balance,
+      difference: currentQty - balance,
+      looseQty,
+      ledgerLooseQty: looseBalance,
+      looseDifference: looseQty - looseBalance,
+      reconciled: batchRows.every((batch) => batch.difference === 0 && batch.looseDifference === 0),
+    },
+  });
+}
+
+export const handler = withErrorHandler(getStockLedger, { permission: 'medicine-getStockLedger' });
@@ -0,0 +1,51 @@
+/**
+ * Get Stock Take By ID API
+ * A stock-take session with its count sheet and variance report
+ *
+ * Endpoint: GET /.netlify/functions/medicine-getStockTakeById
+ *
+ * Query Parameters:
+ *   - id: Stock take ObjectId or stockTakeNo (required)
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     stockTake: { ...session, items: [{ ...item, variance, varianceValue }] },
+ *     summary: { totalItems, countedItems, shortQty, excessQty, shortValue, excessValue, netValue, ... }
+ *   }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { computeStockTakeVariance } from '../../shared/utils/stockTake.js';
+
+async function getStockTakeById(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Stock take ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { stockTakeNo: id };
+
+  const stockTake = await db.collection(COLLECTIONS.STOCK_TAKES).findOne(query);
+  if (!stockTake) {
+    return notFound('Stock take');
+  }
+
+  // Approved sessions keep the summary they were posted with
+  const { items, summary } = computeStockTakeVariance(stockTake.items);
+
+  return success({
+    stockTake: { ...stockTake, items },
+    summary: stockTake.summary || summary,
+  });
+}
+
+export const handler = withErrorHandler(getStockTakeById, { permission: 'medicine-getStockTakeById' });
@@ -0,0 +1,49 @@
+/**
+ * Get Stock Takes API
+ * List physical stock-take sessions, newest first
+ *
+ * Endpoint: GET /.netlify/functions/medicine-getStockTakes
+ *
+ * Query Parameters:
+ *   - status: in_progress | approved | cancelled
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, stockTakes: [...], pagination: {...} }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getStockTakes(event) {
+  const { status, page = '1', limit = '20' } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = status ? { status } : {};
+
+  const [stockTakes, total] = await Promise.all([
+    db.collection(COLLECTIONS.STOCK_TAKES)
+      .find(filter)
+      .project({ items: 0 })
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray(),
+    db.collection(COLLECTIONS.STOCK_TAKES).countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: stockTakes,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'stockTakes',
+  });
+}
+
+export const handler = withErrorHandler(getStockTakes, { permission: 'medicine-getStockTakes' });
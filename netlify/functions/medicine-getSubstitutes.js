@@ -0,0 +1,65 @@
+/**
+ * Get Substitutes API
+ * In-stock alternatives to a medicine with the same composition and strength
+ *
+ * Endpoint: GET /.netlify/functions/medicine-getSubstitutes
+ *
+ * Query Parameters:
+ *   - medicineId: Medicine to substitute (required)
+ *
+ * Medicines are matched on composition, or on generic name when the
+ * composition is not recorded. A medicine without a recorded strength has no
+ * substitutes. Alternatives are sorted by unit price, then by the expiry of
+ * the batch that would be sold first.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     medicine: { _id, medicineId, name, genericName, composition, strength },
+ *     substitutes: [{
+ *       medicine: { _id, medicineId, name, manufacturer, packSize, packUnit, ... },
+ *       stock: { packs, units, price, unitPrice, nearestExpiry }
+ *     }]
+ *   }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { findSubstitutes } from './utils/substitutes.js';
+
+async function getSubstitutes(event) {
+  const { medicineId } = event.query;
+
+  if (!medicineId) {
+    return badRequest('Medicine ID is required');
+  }
+
+  const db = await getDb();
+
+  const medicineQuery = ObjectId.isValid(medicineId)
+    ? { _id: new ObjectId(medicineId) }
+    : { medicineId: medicineId };
+
+  const medicine = await db.collection(COLLECTIONS.MEDICINES).findOne(medicineQuery);
+  if (!medicine) {
+    return notFound('Medicine');
+  }
+
+  const substitutes = await findSubstitutes(db, medicine);
+
+  return success({
+    medicine: {
+      _id: medicine._id,
+      medicineId: medicine.medicineId,
+      name: medicine.name,
+      genericName: medicine.genericName,
+      composition: medicine.composition,
+      strength: medicine.strength,
+    },
+    substitutes,
+  });
+}
+
+export const handler = withErrorHandler(getSubstitutes, { permission: 'medicine-getSubstitutes' });
@@ -0,0 +1,64 @@
+/**
+ * Mark Expired Stock (scheduled)
+ * Flags stock batches past their expiry date as expired so they drop out of
+ * current stock and can no longer be billed
+ *
+ * Schedule: nightly at 18:30 UTC (midnight IST)
+ *
+ * Netlify does not expose scheduled functions by URL in production; locally
+ * it can be triggered with `netlify functions:invoke medicine-markExpiredStock`.
+ *
+ * Response:
+ *   { success: true, message: string, markedCount: number }
+ */
+
+import { schedule } from '@netlify/functions';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { STOCK_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function markExpiredStock(event) {
+  const db = await getDb();
+  const now = new Date();
+
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find({
+      expiryDate: { $lte: now },
+      status: { $nin: [STOCK_STATUS.EXPIRED, STOCK_STATUS.EXHAUSTED] },
+    })
+    .toArray();
+
+  if (batches.length === 0) {
+    return success({ markedCount: 0 }, 'No newly expired stock');
+  }
+
+  await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).updateMany(
+    { _id: { $in: batches.map((batch) => batch._id) } },
+    { $set: { status: STOCK_STATUS.EXPIRED, updatedAt: now } }
+  );
+
+  // No user behind a scheduled run; the audit entries are attributed to the system
+  const systemEvent = { ...event, user: { name: 'System', role: null } };
+  for (const batch of batches) {
+    await recordAudit(db, systemEvent, {
+      entityType: AUDIT_ENTITY.STOCK_BATCH,
+      entityId: batch._id,
+      entityRef: batch.batchNo,
+      action: AUDIT_ACTION.UPDATE,
+      before: batch,
+      after: { ...batch, status: STOCK_STATUS.EXPIRED, updatedAt: now },
+      remarks: 'Marked expired by nightly stock check',
+    });
+  }
+
+  console.log(`Marked ${batches.length} stock batch(es) as expired`);
+
+  return success(
+    { markedCount: batches.length },
+    `Marked ${batches.length} stock batch(es) as expired`
+  );
+}
+
+export const handler = schedule('30 18 * * *', withErrorHandler(markExpiredStock, { public: true }));
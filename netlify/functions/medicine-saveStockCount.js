@@ -0,0 +1,136 @@
+/**
+ * Save Stock Count API
+ * Saves counted quantities on an open stock-take; any number of lines can
+ * be saved at a time and re-saved until the session is approved
+ *
+ * Endpoint: POST /.netlify/functions/medicine-saveStockCount
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Stock take ObjectId,
+ *     counts: [{
+ *       batchId: string,
+ *       countedQty: number | null - Full packs,
+ *       countedLooseQty?: number - Loose units from opened packs (default 0)
+ *     }] (required)
+ *   }
+ *
+ * A countedQty of null clears the count for that line. Each save is audited
+ * against the stock take with the before and after count of every line it
+ * changed.
+ *
+ * Response:
+ *   { success: true, message: string, countedItems: number, totalItems: number }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { isCounted } from '../../shared/utils/stockTake.js';
+import { STOCK_TAKE_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function saveStockCount(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (!data.id || !ObjectId.isValid(data.id)) return badRequest('Valid stock take ID is required');
+  if (!Array.isArray(data.counts) || data.counts.length === 0) return badRequest('Counts are required');
+  if (data.counts.length > 1000) return badRequest('Save at most 1000 lines at a time');
+
+  for (const count of data.counts) {
+    if (!count.batchId || !ObjectId.isValid(count.batchId)) {
+      return badRequest('Invalid batch ID');
+    }
+    if (count.countedQty !== null && !(Number.isInteger(count.countedQty) && count.countedQty >= 0)) {
+      return badRequest(`Counted quantity must be a whole number of 0 or more (batch ${count.batchId})`);
+    }
+    if (count.countedLooseQty !== undefined && count.countedLooseQty !== null &&
+      !(Number.isInteger(count.countedLooseQty) && count.countedLooseQty >= 0)) {
+      return badRequest(`Counted loose units must be a whole number of 0 or more (batch ${count.batchId})`);
+    }
+  }
+
+  // Loose units go with the pack count; clearing the count clears both
+  const looseCount = (count) => (count.countedQty === null ? null : count.countedLooseQty || 0);
+
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.STOCK_TAKES);
+  const stockTakeId = new ObjectId(data.id);
+
+  const stockTake = await collection.findOne({ _id: stockTakeId }, { projection: { status: 1, stockTakeNo: 1, items: 1 } });
+  if (!stockTake) {
+    return notFound('Stock take');
+  }
+  if (stockTake.status !== STOCK_TAKE_STATUS.IN_PROGRESS) {
+    return badRequest(`Stock take ${stockTake.stockTakeNo} is ${stockTake.status.replace('_', ' ')}`);
+  }
+
+  // One positional update per line, so staff counting different shelves
+  // at the same time don't overwrite each other
+  const now = new Date();
+  const result = await collection.bulkWrite(
+    data.counts.map((count) => ({
+      updateOne: {
+        filter: {
+          _id: stockTakeId,
+          status: STOCK_TAKE_STATUS.IN_PROGRESS,
+          'items.batchId': new ObjectId(count.batchId),
+        },
+        update: {
+          $set: {
+            'items.$.countedQty': count.countedQty,
+            'items.$.countedLooseQty': looseCount(count),
+            'items.$.countedAt': count.countedQty === null ? null : now,
+            'items.$.countedBy': count.countedQty === null ? null : event.user.name,
+          },
+        },
+      },
+    })),
+    { ordered: false }
+  );
+
+  if (result.matchedCount < data.counts.length) {
+    return badRequest('Some batches are not on this stock take, or it was closed meanwhile');
+  }
+
+  const updated = await collection.findOne({ _id: stockTakeId }, { projection: { items: 1 } });
+  const countedItems = updated.items.filter(isCounted).length;
+  await collection.updateOne({ _id: stockTakeId }, { $set: { countedItems, updatedAt: now } });
+
+  // Before and after count of each changed line, keyed by medicine and batch
+  const itemByBatch = new Map(stockTake.items.map((item) => [String(item.batchId), item]));
+  const before = {};
+  const after = {};
+  for (const count of data.counts) {
+    const item = itemByBatch.get(String(count.batchId));
+    const previous = { packs: item?.countedQty ?? null, loose: item?.countedLooseQty ?? null };
+    const next = { packs: count.countedQty, loose: looseCount(count) };
+    if (previous.packs === next.packs && previous.loose === next.loose) continue;
+    const key = item ? `${item.medicineName} (${item.batchNo})` : String(count.batchId);
+    before[key] = previous;
+    after[key] = next;
+  }
+  if (Object.keys(after).length > 0) {
+    await recordAudit(db, event, {
+      entityType: AUDIT_ENTITY.STOCK_TAKE,
+      entityId: stockTake._id,
+      entityRef: stockTake.stockTakeNo,
+      action: AUDIT_ACTION.UPDATE,
+      before: { counts: before },
+      after: { counts: after },
+      remarks: `Counted ${Object.keys(after).length} line(s)`,
+    });
+  }
+
+  return success(
+    { countedItems, totalItems: updated.items.length },
+    `Saved ${data.counts.length} count(s)`
+  );
+}
+
+export const handler = withErrorHandler(saveStockCount, { permission: 'medicine-saveStockCount' });
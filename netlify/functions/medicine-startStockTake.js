@@ -0,0 +1,142 @@
+/**
+ * Start Stock Take API
+ * Opens a physical stock-take session and snapshots the system quantity of
+ * every batch in stock: full packs (systemQty) and loose units from opened
+ * packs (systemLooseQty), counted separately
+ *
+ * Endpoint: POST /.netlify/functions/medicine-startStockTake
+ *
+ * Request Body:
+ *   {
+ *     category?: string - Only count medicines of this category,
+ *     remarks?: string
+ *   }
+ *
+ * Only one session can be in progress at a time.
+ *
+ * Response:
+ *   { success: true, message: string, stockTake: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { created, badRequest, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { generateUniqueId } from '../../shared/utils/idGenerator.js';
+import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
+import {
+  STOCK_STATUS,
+  STOCK_TAKE_STATUS,
+  MEDICINE_CATEGORY_OPTIONS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function startStockTake(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (data.category && !MEDICINE_CATEGORY_OPTIONS.includes(data.category)) {
+    return badRequest('Invalid category');
+  }
+
+  const db = await getDb();
+
+  const open = await db.collection(COLLECTIONS.STOCK_TAKES).findOne({ status: STOCK_TAKE_STATUS.IN_PROGRESS });
+  if (open) {
+    return conflict(`Stock take ${open.stockTakeNo} is already in progress`);
+  }
+
+  const medicineFilter = data.category ? { category: data.category } : {};
+  const medicines = await db.collection(COLLECTIONS.MEDICINES)
+    .find(medicineFilter)
+    .project({ medicineId: 1, name: 1, category: 1, packUnit: 1, packSize: 1 })
+    .toArray();
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find({
+      medicineId: { $in: medicines.map((m) => m._id) },
+      $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
+      status: { $ne: STOCK_STATUS.EXHAUSTED },
+    })
+    .toArray();
+
+  if (batches.length === 0) {
+    return badRequest('No stock to count');
+  }
+
+  // Count sheet order: medicine name, then earliest expiry
+  const items = batches
+    .map((batch) => {
+      const medicine = medicineById.get(String(batch.medicineId));
+      return {
+        batchId: batch._id,
+        medicineId: batch.medicineId,
+        medicineName: medicine.name,
+        category: medicine.category,
+        packUnit: medicine.packUnit || null,
+        packSize: Number(medicine.packSize) || 1,
+        batchNo: batch.batchNo,
+        expiryDate: batch.expiryDate,
+        systemQty: batch.currentQty,
+        systemLooseQty: batch.looseQty || 0,
+        purchasePrice: batch.purchasePrice || 0,
+        countedQty: null,
+        countedLooseQty: null,
+        countedAt: null,
+        countedBy: null,
+      };
+    })
+    .sort((a, b) => a.medicineName.localeCompare(b.medicineName) || new Date(a.expiryDate) - new Date(b.expiryDate));
+
+  const stockTakeNo = await generateUniqueId(
+    db,
+    COLLECTIONS.STOCK_TAKES,
+    'stockTakeNo',
+    BILL_PREFIXES.STOCK_TAKE
+  );
+
+  const now = new Date();
+  const stockTake = {
+    _id: new ObjectId(),
+    stockTakeNo,
+    status: STOCK_TAKE_STATUS.IN_PROGRESS,
+    category: data.category || null,
+    items,
+    totalItems: items.length,
+    countedItems: 0,
+    summary: null,
+    remarks: data.remarks || null,
+    startedBy: event.user.name,
+    startedById: event.user._id,
+    startedAt: now,
+    approvedBy: null,
+    approvedById: null,
+    approvedAt: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await db.collection(COLLECTIONS.STOCK_TAKES).insertOne(stockTake);
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.STOCK_TAKE,
+    entityId: stockTake._id,
+    entityRef: stockTakeNo,
+    action: AUDIT_ACTION.CREATE,
+    after: { stockTakeNo, category: stockTake.category, totalItems: items.length },
+    remarks: `Stock take started for ${items.length} batch(es)${data.category ? ` (${data.category})` : ''}`,
+  });
+
+  return created(
+    { stockTake },
+    `Stock take ${stockTakeNo} started`
+  );
+}
+
+export const handler = withErrorHandler(startStockTake, { permission: 'medicine-startStockTake' });
@@ -15,6 +15,7 @@
  *     reorderLevel?: number,
  *     gstRate?: number,
  *     hsnCode?: string,
+ *     scheduleType?: 'H' | 'H1' | 'X' | 'none',
  *     isActive?: boolean
  *   }
  * 
@@ -26,6 +27,9 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { SCHEDULE_TYPE_OPTIONS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+import { scheduleOf } from '../../shared/utils/schedule.js';
 
 async function updateMedicine(event) {
   if (event.httpMethod !== 'PUT') {
@@ -58,7 +62,7 @@ async function updateMedicine(event) {
   const allowedFields = [
     'name', 'genericName', 'category', 'manufacturer',
     'packSize', 'packUnit', 'reorderLevel', 'gstRate',
-    'hsnCode', 'isActive'
+    'hsnCode', 'scheduleType', 'isActive'
   ];
 
   for (const field of allowedFields) {
@@ -67,6 +71,13 @@ async function updateMedicine(event) {
     }
   }
 
+  if (data.scheduleType !== undefined) {
+    if (!SCHEDULE_TYPE_OPTIONS.includes(data.scheduleType)) {
+      return badRequest('Invalid schedule type');
+    }
+    updateFields.isScheduled = Boolean(scheduleOf(data));
+  }
+
   // Update medicine
   const result = await db.collection(COLLECTIONS.MEDICINES).findOneAndUpdate(
     { _id: medicine._id },
@@ -74,10 +85,19 @@ async function updateMedicine(event) {
     { returnDocument: 'after' }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.MEDICINE,
+    entityId: medicine._id,
+    entityRef: medicine.medicineId,
+    action: AUDIT_ACTION.UPDATE,
+    before: medicine,
+    after: result,
+  });
+
   return success(
     { medicine: result },
     'Medicine updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updateMedicine);
+export const handler = withErrorHandler(updateMedicine, { permission: 'medicine-updateMedicine' });
@@ -25,9 +25,11 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest } from './utils/response.js';
 import { withErrorHandler, ValidationError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
 import { validateCreatePatient } from '../../shared/validators/patient.validator.js';
 import { generateUniqueId } from '../../shared/utils/idGenerator.js';
 import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 /**
  * Main handler function
@@ -84,6 +86,14 @@ async function addPatient(event) {
   // Insert patient
   await collection.insertOne(patient);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PATIENT,
+    entityId: patient._id,
+    entityRef: patient.patientId,
+    action: AUDIT_ACTION.CREATE,
+    after: patient,
+  });
+
   return created(
     { patient },
     'Patient registered successfully'
@@ -91,4 +101,4 @@ async function addPatient(event) {
 }
 
 // Export wrapped handler
-export const handler = withErrorHandler(addPatient);
+export const handler = withErrorHandler(addPatient, { permission: 'patients-addPatient' });
@@ -14,6 +14,8 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function deletePatient(event) {
   if (event.httpMethod !== 'DELETE') {
@@ -43,14 +45,23 @@ async function deletePatient(event) {
         updatedAt: new Date(),
       },
     },
-    { returnDocument: 'after' }
+    { returnDocument: 'before' }
   );
 
   if (!result) {
     return notFound('Patient');
   }
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PATIENT,
+    entityId: result._id,
+    entityRef: result.patientId,
+    action: AUDIT_ACTION.DELETE,
+    before: result,
+    after: { ...result, isActive: false },
+  });
+
   return success({}, 'Patient deleted successfully');
 }
 
-export const handler = withErrorHandler(deletePatient);
+export const handler = withErrorHandler(deletePatient, { permission: 'patients-deletePatient' });
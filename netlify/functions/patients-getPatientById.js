@@ -43,4 +43,4 @@ async function getPatientById(event) {
   return success({ patient });
 }
 
-export const handler = withErrorHandler(getPatientById);
+export const handler = withErrorHandler(getPatientById, { permission: 'patients-getPatientById' });
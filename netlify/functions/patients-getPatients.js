@@ -91,4 +91,4 @@ async function getPatients(event) {
 }
 
 // Export wrapped handler
-export const handler = withErrorHandler(getPatients);
+export const handler = withErrorHandler(getPatients, { permission: 'patients-getPatients' });
@@ -17,7 +17,9 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound, conflict } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
 import { validateUpdatePatient } from '../../shared/validators/patient.validator.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function updatePatient(event) {
   if (event.httpMethod !== 'PUT') {
@@ -77,10 +79,19 @@ async function updatePatient(event) {
     { returnDocument: 'after' }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PATIENT,
+    entityId: existingPatient._id,
+    entityRef: existingPatient.patientId,
+    action: AUDIT_ACTION.UPDATE,
+    before: existingPatient,
+    after: result,
+  });
+
   return success(
     { patient: result },
     'Patient updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updatePatient);
+export const handler = withErrorHandler(updatePatient, { permission: 'patients-updatePatient' });
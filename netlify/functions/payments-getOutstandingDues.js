@@ -0,0 +1,117 @@
+/**
+ * Get Outstanding Dues API
+ * Patients with unpaid balances across OPD, misc and medicine bills
+ *
+ * Endpoint: GET /.netlify/functions/payments-getOutstandingDues
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     patients: [{
+ *       key, patientId, patient, patientName, patientPhone,
+ *       totalDue, oldestBillDate,
+ *       bills: [{ _id, billType, billNo, billDate, grandTotal, paidAmount, dueAmount }]
+ *     }],
+ *     totalDue: number
+ *   }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { BILL_CONFIG } from './utils/billing.js';
+import { BILL_STATUS } from '../../shared/constants/enums.js';
+
+// Bills that still owe money
+const DUE_FILTER = {
+  dueAmount: { $gt: 0 },
+  status: { $ne: BILL_STATUS.CANCELLED },
+  isReturn: { $ne: true },
+};
+
+const DUE_PROJECTION = {
+  _id: 1,
+  billNo: 1,
+  billDate: 1,
+  patientId: 1,
+  patientName: 1,
+  patientPhone: 1,
+  grandTotal: 1,
+  paidAmount: 1,
+  dueAmount: 1,
+};
+
+async function getOutstandingDues() {
+  const db = await getDb();
+
+  // One query per bill collection, tagged with its bill type
+  const dueBills = (await Promise.all(
+    Object.entries(BILL_CONFIG).map(async ([billType, config]) => {
+      const bills = await db.collection(config.collection)
+        .find(DUE_FILTER)
+        .project(DUE_PROJECTION)
+        .toArray();
+      return bills.map((bill) => ({ ...bill, billType }));
+    })
+  )).flat();
+
+  // Registered patients for the bills that reference one
+  const patientRefs = dueBills.filter((b) => b.patientId).map((b) => b.patientId);
+  const patients = patientRefs.length
+    ? await db.collection(COLLECTIONS.PATIENTS)
+      .find({ _id: { $in: patientRefs } })
+      .project({ patientId: 1, name: 1, phone: 1, age: 1, gender: 1 })
+      .toArray()
+    : [];
+  const patientsById = new Map(patients.map((p) => [String(p._id), p]));
+
+  // Group by patient; walk-ins are grouped by name and phone
+  const groups = new Map();
+  for (const bill of dueBills) {
+    const patient = bill.patientId ? patientsById.get(String(bill.patientId)) : null;
+    const key = patient
+      ? String(patient._id)
+      : `${(bill.patientName || 'Walk-in').toLowerCase()}|${bill.patientPhone || ''}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        patientId: patient ? patient._id : null,
+        patient: patient || null,
+        patientName: patient?.name || bill.patientName || 'Walk-in',
+        patientPhone: patient?.phone || bill.patientPhone || null,
+        totalDue: 0,
+        oldestBillDate: bill.billDate,
+        bills: [],
+      });
+    }
+
+    const group = groups.get(key);
+    group.totalDue += bill.dueAmount;
+    if (new Date(bill.billDate) < new Date(group.oldestBillDate)) {
+      group.oldestBillDate = bill.billDate;
+    }
+    group.bills.push({
+      _id: bill._id,
+      billType: bill.billType,
+      billNo: bill.billNo,
+      billDate: bill.billDate,
+      grandTotal: bill.grandTotal,
+      paidAmount: bill.paidAmount,
+      dueAmount: bill.dueAmount,
+    });
+  }
+
+  const result = [...groups.values()];
+  for (const group of result) {
+    group.totalDue = Math.round(group.totalDue * 100) / 100;
+    group.bills.sort((a, b) => new Date(a.billDate) - new Date(b.billDate));
+  }
+  result.sort((a, b) => b.totalDue - a.totalDue);
+
+  const totalDue = Math.round(result.reduce((sum, g) => sum + g.totalDue, 0) * 100) / 100;
+
+  return success({ patients: result, totalDue });
+}
+
+export const handler = withErrorHandler(getOutstandingDues, { permission: 'payments-getOutstandingDues' });
@@ -0,0 +1,101 @@
+/**
+ * Get Payments API
+ * List follow-up payments collected against bills
+ *
+ * Endpoint: GET /.netlify/functions/payments-getPayments
+ *
+ * Query Parameters:
+ *   - billType: opd | misc | medicine
+ *   - billId: Bill ObjectId or billNo
+ *   - patientId: Filter by patient
+ *   - dateFrom, dateTo: Date range
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, payments: [...], pagination: {...} }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getPayments(event) {
+  const {
+    billType,
+    billId,
+    patientId,
+    dateFrom,
+    dateTo,
+    page = '1',
+    limit = '20',
+  } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = {};
+
+  // Bill filters
+  if (billType) {
+    filter.billType = billType;
+  }
+  if (billId) {
+    if (ObjectId.isValid(billId)) {
+      filter.billId = new ObjectId(billId);
+    } else {
+      filter.billNo = billId;
+    }
+  }
+
+  // Patient filter
+  if (patientId) {
+    filter.patientId = ObjectId.isValid(patientId)
+      ? new ObjectId(patientId)
+      : patientId;
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.createdAt = {};
+    if (dateFrom) filter.createdAt.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      filter.createdAt.$lte = endDate;
+    }
+  }
+
+  const pipeline = [
+    { $match: filter },
+    { $sort: { createdAt: -1 } },
+    { $skip: skip },
+    { $limit: limitNum },
+    {
+      $lookup: {
+        from: COLLECTIONS.PATIENTS,
+        localField: 'patientId',
+        foreignField: '_id',
+        as: 'patient',
+      },
+    },
+    { $unwind: { path: '$patient', preserveNullAndEmptyArrays: true } },
+  ];
+
+  const [payments, total] = await Promise.all([
+    db.collection(COLLECTIONS.PAYMENTS).aggregate(pipeline).toArray(),
+    db.collection(COLLECTIONS.PAYMENTS).countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: payments,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'payments',
+  });
+}
+
+export const handler = withErrorHandler(getPayments, { permission: 'payments-getPayments' });
@@ -0,0 +1,181 @@
+/**
+ * Record Payment API
+ * Collects a follow-up payment against a bill with an outstanding due
+ *
+ * Endpoint: POST /.netlify/functions/payments-recordPayment
+ *
+ * Request Body:
+ *   {
+ *     billType: 'opd' | 'misc' | 'medicine' (required),
+ *     billId: string (required) - Bill ObjectId or billNo,
+ *     amount: number (required) - Must not exceed the due,
+ *     paymentMode: 'cash' | 'card' | 'upi' | 'mixed' (required),
+ *     paymentDetails?: { cash, card, upi, upiRef } - Required split for mixed,
+ *     remarks?: string
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, payment: Object, bill: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ValidationError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { getBillConfig, billQuery } from './utils/billing.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import {
+  PAYMENT_MODE,
+  PAYMENT_MODE_OPTIONS,
+  PAYMENT_STATUS,
+  BILL_STATUS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function recordPayment(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  // Validate required fields
+  const config = getBillConfig(data.billType);
+  if (!config) return badRequest('Valid bill type is required');
+  if (!data.billId) return badRequest('Bill ID is required');
+  if (!PAYMENT_MODE_OPTIONS.includes(data.paymentMode)) {
+    return badRequest('Valid payment mode is required');
+  }
+
+  // Amounts are kept to the paisa
+  const amount = Math.round(Number(data.amount) * 100) / 100;
+  if (!amount || amount <= 0) return badRequest('Valid amount is required');
+
+  const details = data.paymentDetails || {};
+  const paymentDetails = {
+    cash: Number(details.cash) || 0,
+    card: Number(details.card) || 0,
+    upi: Number(details.upi) || 0,
+    upiRef: details.upiRef || null,
+  };
+  if (data.paymentMode === PAYMENT_MODE.MIXED) {
+    const splitTotal = paymentDetails.cash + paymentDetails.card + paymentDetails.upi;
+    if (Math.abs(splitTotal - amount) > 0.01) {
+      return badRequest('Cash, card and UPI split must add up to the amount');
+    }
+  } else {
+    paymentDetails[data.paymentMode] = amount;
+  }
+
+  const db = await getDb();
+
+  const bill = await db.collection(config.collection).findOne(billQuery(data.billId));
+  if (!bill) {
+    return notFound('Bill');
+  }
+  if (bill.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Cannot collect payment on a cancelled bill');
+  }
+  if (bill.isReturn) {
+    return badRequest('Cannot collect payment on a credit note');
+  }
+  if (!(bill.dueAmount > 0)) {
+    return badRequest('Bill has no outstanding due');
+  }
+  if (amount > bill.dueAmount) {
+    return badRequest(`Amount exceeds the outstanding due of ₹${bill.dueAmount.toFixed(2)}`);
+  }
+
+  // OPD bills only carry the patient reference
+  const patient = bill.patientId
+    ? await db.collection(COLLECTIONS.PATIENTS).findOne({ _id: bill.patientId })
+    : null;
+
+  const receiptNo = await generateDocumentNumber(db, DOCUMENT_TYPE.PAYMENT_RECEIPT);
+
+  const now = new Date();
+  let payment;
+  let updatedBill;
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      const paidAmount = Math.round((bill.paidAmount + amount) * 100) / 100;
+      const dueAmount = Math.round((bill.dueAmount - amount) * 100) / 100;
+
+      // Guard on the due we validated against so concurrent payments conflict
+      updatedBill = await txDb.collection(config.collection).findOneAndUpdate(
+        { _id: bill._id, dueAmount: bill.dueAmount },
+        {
+          $set: {
+            paidAmount,
+            dueAmount,
+            paymentStatus: dueAmount <= 0 ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIAL,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: 'after', session }
+      );
+      if (!updatedBill) {
+        throw new ValidationError('Bill was updated by someone else, please reload and try again');
+      }
+
+      payment = {
+        _id: new ObjectId(),
+        receiptNo,
+        billType: data.billType,
+        billId: bill._id,
+        billNo: bill.billNo,
+        billDate: bill.billDate,
+        patientId: bill.patientId || null,
+        patientName: bill.patientName || patient?.name || null,
+        patientPhone: bill.patientPhone || patient?.phone || null,
+        amount,
+        paymentMode: data.paymentMode,
+        paymentDetails,
+        billTotal: bill.grandTotal,
+        paidBefore: bill.paidAmount,
+        balanceAfter: dueAmount,
+        remarks: data.remarks || null,
+        receivedBy: event.user.name,
+        receivedById: event.user._id,
+        createdAt: now,
+      };
+
+      await txDb.collection(COLLECTIONS.PAYMENTS).insertOne(payment, { session });
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.PAYMENT,
+        entityId: payment._id,
+        entityRef: payment.receiptNo,
+        action: AUDIT_ACTION.CREATE,
+        after: payment,
+        session,
+      });
+
+      await recordAudit(txDb, event, {
+        entityType: config.auditEntity,
+        entityId: bill._id,
+        entityRef: bill.billNo,
+        action: AUDIT_ACTION.UPDATE,
+        before: bill,
+        after: updatedBill,
+        remarks: `Payment ${payment.receiptNo}`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to record payment. Please try again.');
+  }
+
+  return created(
+    { payment, bill: updatedBill },
+    'Payment recorded successfully'
+  );
+}
+
+export const handler = withErrorHandler(recordPayment, { permission: 'payments-recordPayment' });
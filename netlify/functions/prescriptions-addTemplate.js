@@ -0,0 +1,121 @@
+/**
+ * Add Prescription Template API
+ * Save a doctor's prescription as a reusable template
+ *
+ * Endpoint: POST /.netlify/functions/prescriptions-addTemplate
+ *
+ * Request Body:
+ *   {
+ *     doctorId: string (required),
+ *     name: string (required) - e.g. "Viral fever",
+ *     diagnosis?: string,
+ *     medicines?: [{ medicineId?, name, dosage, frequency, duration, timing, instructions }],
+ *     investigations?: string[],
+ *     advice?: string
+ *   }
+ *
+ * Doctors may only save templates for themselves (the doctor record linked
+ * to their account); admins for any doctor. Template names are unique per
+ * doctor. Medicines linked to the catalog keep
+ * their generic name and composition for interaction checks.
+ *
+ * Response:
+ *   { success: true, message: string, template: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { created, badRequest, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { resolveOwnDoctor } from './utils/prescriptions.js';
+import { validateCreateTemplate } from '../../shared/validators/prescriptionTemplate.validator.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function addTemplate(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreateTemplate(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+
+  const { doctor, error } = await resolveOwnDoctor(db, event, data.doctorId);
+  if (error) {
+    return error;
+  }
+
+  const collection = db.collection(COLLECTIONS.PRESCRIPTION_TEMPLATES);
+  const existing = await collection.findOne({
+    doctorId: doctor._id,
+    name: { $regex: new RegExp(`^${escapeRegex(data.name)}$`, 'i') },
+    isActive: true,
+  });
+  if (existing) {
+    return conflict(`${doctor.name} already has a template named ${existing.name}`);
+  }
+
+  // Resolve catalog medicines
+  const catalogIds = data.medicines.filter((med) => med.medicineId).map((med) => med.medicineId);
+  if (catalogIds.some((id) => !ObjectId.isValid(id))) {
+    return badRequest('Invalid medicine ID');
+  }
+  const catalog = await db.collection(COLLECTIONS.MEDICINES)
+    .find({ _id: { $in: catalogIds.map((id) => new ObjectId(id)) } })
+    .project({ name: 1, genericName: 1, composition: 1 })
+    .toArray();
+  const catalogById = new Map(catalog.map((m) => [String(m._id), m]));
+
+  const now = new Date();
+  const template = {
+    _id: new ObjectId(),
+    doctorId: doctor._id,
+    name: data.name,
+    diagnosis: data.diagnosis || null,
+    medicines: data.medicines.map((med) => {
+      const catalogMedicine = med.medicineId ? catalogById.get(med.medicineId) : null;
+      return {
+        medicineId: catalogMedicine ? catalogMedicine._id : null,
+        name: med.name,
+        genericName: catalogMedicine?.genericName || null,
+        composition: catalogMedicine?.composition || null,
+        dosage: med.dosage || '',
+        frequency: med.frequency || '',
+        duration: med.duration || '',
+        timing: med.timing || '',
+        instructions: med.instructions || null,
+      };
+    }),
+    investigations: data.investigations.filter(Boolean),
+    advice: data.advice || null,
+    isActive: true,
+    createdBy: event.user.name,
+    createdById: event.user._id,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await collection.insertOne(template);
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PRESCRIPTION_TEMPLATE,
+    entityId: template._id,
+    entityRef: template.name,
+    action: AUDIT_ACTION.CREATE,
+    after: template,
+  });
+
+  return created(
+    { template },
+    'Template saved successfully'
+  );
+}
+
+export const handler = withErrorHandler(addTemplate, { permission: 'prescriptions-addTemplate' });
@@ -0,0 +1,79 @@
+/**
+ * Delete Prescription Template API (Soft Delete)
+ *
+ * Endpoint: DELETE /.netlify/functions/prescriptions-deleteTemplate?id={id}
+ *
+ * Query Parameters:
+ *   - id: Template ObjectId (required)
+ *
+ * Doctors may only delete their own templates (the doctor record linked to
+ * their account); admins may delete any.
+ *
+ * Response:
+ *   { success: true, message: string }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { resolveOwnDoctor } from './utils/prescriptions.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function deleteTemplate(event) {
+  if (event.httpMethod !== 'DELETE') {
+    return badRequest('Method not allowed');
+  }
+
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Template ID is required');
+  }
+  if (!ObjectId.isValid(id)) {
+    return badRequest('Invalid template ID');
+  }
+
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.PRESCRIPTION_TEMPLATES);
+
+  const template = await collection.findOne({ _id: new ObjectId(id), isActive: true });
+  if (!template) {
+    return notFound('Template');
+  }
+
+  const { error } = await resolveOwnDoctor(db, event, template.doctorId);
+  if (error) {
+    return error;
+  }
+
+  // Soft delete - set isActive to false
+  const result = await collection.findOneAndUpdate(
+    { _id: template._id, isActive: true },
+    {
+      $set: {
+        isActive: false,
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'before' }
+  );
+
+  if (!result) {
+    return notFound('Template');
+  }
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PRESCRIPTION_TEMPLATE,
+    entityId: result._id,
+    entityRef: result.name,
+    action: AUDIT_ACTION.DELETE,
+    before: result,
+    after: { ...result, isActive: false },
+  });
+
+  return success({}, 'Template deleted successfully');
+}
+
+export const handler = withErrorHandler(deleteTemplate, { permission: 'prescriptions-deleteTemplate' });
@@ -12,13 +12,24 @@
  *     complaints?: string,
  *     examination?: string,
  *     vitals?: { bp, pulse, temperature, weight },
- *     medicines?: [{ name, dosage, frequency, duration, timing, instructions }],
+ *     medicines?: [{ medicineId?, name, dosage, frequency, duration, timing, instructions }],
  *     investigations?: string[],
  *     advice?: string,
  *     followUpDate?: string (ISO date),
- *     isBlank?: boolean
+ *     isBlank?: boolean,
+ *     interactionOverrideReason?: string
  *   }
  * 
+ * medicineId links a line to the pharmacy catalog so it can be dispensed;
+ * lines without one are kept as written.
+ *
+ * The prescription starts at version 1; corrections go through
+ * prescriptions-updatePrescription rather than a new prescription.
+ *
+ * Medicines are checked against the drug interaction table and the patient's
+ * allergies. Blocking warnings need interactionOverrideReason (422 listing
+ * the warnings otherwise); all warnings are kept on the prescription.
+ *
  * Response:
  *   { success: true, message: string, prescription: Object }
  */
@@ -27,8 +38,12 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { created, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
-import { generateUniqueId } from '../../shared/utils/idGenerator.js';
-import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
+import { recordAudit } from './utils/audit.js';
+import { reviewInteractions } from './utils/interactions.js';
+import { resolvePrescriptionMedicines } from './utils/prescriptions.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function generatePrescription(event) {
   if (event.httpMethod !== 'POST') {
@@ -76,23 +91,24 @@ async function generatePrescription(event) {
     appointment = await db.collection(COLLECTIONS.APPOINTMENTS).findOne(appointmentQuery);
   }
 
-  // Generate prescription ID
-  const prescriptionId = await generateUniqueId(
-    db,
-    COLLECTIONS.OPD_PRESCRIPTIONS,
-    'prescriptionId',
-    BILL_PREFIXES.PRESCRIPTION
-  );
+  // Resolve catalog medicines
+  const resolved = await resolvePrescriptionMedicines(db, data.medicines);
+  if (resolved.error) {
+    return resolved.error;
+  }
 
-  // Validate and format medicines
-  const medicines = (data.medicines || []).map((med) => ({
-    name: med.name || '',
-    dosage: med.dosage || '',
-    frequency: med.frequency || '',
-    duration: med.duration || '',
-    timing: med.timing || '',
-    instructions: med.instructions || null,
-  }));
+  // Interactions among the medicines and with the patient's allergies
+  const interactions = await reviewInteractions(db, event, {
+    medicines: resolved.checks,
+    allergies: patient.allergies,
+    overrideReason: data.interactionOverrideReason,
+  });
+  if (interactions.error) {
+    return interactions.error;
+  }
+
+  // Generate prescription ID
+  const prescriptionId = await generateDocumentNumber(db, DOCUMENT_TYPE.PRESCRIPTION);
 
   // Create prescription document
   const now = new Date();
@@ -107,16 +123,27 @@ async function generatePrescription(event) {
     complaints: data.complaints || null,
     examination: data.examination || null,
     vitals: data.vitals || null,
-    medicines,
+    medicines: resolved.medicines,
     investigations: data.investigations || [],
     advice: data.advice || null,
     followUpDate: data.followUpDate ? new Date(data.followUpDate) : null,
     isBlank: data.isBlank || false,
+    interactionWarnings: interactions.warnings,
+    interactionOverride: interactions.override,
+    version: 1,
     createdAt: now,
   };
 
   await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).insertOne(prescription);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PRESCRIPTION,
+    entityId: prescription._id,
+    entityRef: prescription.prescriptionId,
+    action: AUDIT_ACTION.CREATE,
+    after: prescription,
+  });
+
   // Return with patient and doctor info for printing
   const response = {
     ...prescription,
@@ -146,4 +173,4 @@ async function generatePrescription(event) {
   );
 }
 
-export const handler = withErrorHandler(generatePrescription);
+export const handler = withErrorHandler(generatePrescription, { permission: 'prescriptions-generatePrescription' });
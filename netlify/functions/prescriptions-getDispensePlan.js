@@ -0,0 +1,162 @@
+/**
+ * Get Dispense Plan API
+ * Works out what to bill for each medicine on a prescription: quantity from
+ * dosage × frequency × duration, and whether it is in stock
+ *
+ * Endpoint: GET /.netlify/functions/prescriptions-getDispensePlan?id=xxx
+ *
+ * Lines written as free text are matched to the catalog by name. A line whose
+ * medicine is out of stock is substituted with the cheapest in-stock medicine
+ * of the same composition and strength, when there is one.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     prescription: { _id, prescriptionId, prescriptionDate, patient, doctor },
+ *     items: [{
+ *       prescribed: { name, dosage, frequency, duration },
+ *       medicine: Object|null - Catalog medicine to bill,
+ *       substitutedFor: { _id, name }|null,
+ *       units: number|null - Units needed for the course,
+ *       saleUnit, requested: number|null, quantity: number - To bill, capped at available,
+ *       available: number - In saleUnit,
+ *       status: 'available' | 'partial' | 'out_of_stock' | 'substituted' | 'not_in_catalog' | 'quantity_needed'
+ *     }],
+ *     dispensedBills: [{ _id, billNo, billDate }]
+ *   }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { SUBSTITUTE_FIELDS, medicineStock, findSubstitutes } from './utils/substitutes.js';
+import { dispenseQuantity } from '../../shared/utils/dispense.js';
+import { BILL_STATUS, SALE_UNIT, DISPENSE_STATUS } from '../../shared/constants/enums.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getDispensePlan(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Prescription ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { prescriptionId: id };
+
+  const prescription = await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).findOne(query);
+  if (!prescription) {
+    return notFound('Prescription');
+  }
+
+  const [patient, doctor, dispensedBills] = await Promise.all([
+    db.collection(COLLECTIONS.PATIENTS).findOne(
+      { _id: prescription.patientId },
+      { projection: { patientId: 1, name: 1, phone: 1, age: 1, gender: 1, address: 1 } }
+    ),
+    db.collection(COLLECTIONS.DOCTORS).findOne(
+      { _id: prescription.doctorId },
+      { projection: { doctorId: 1, name: 1, registrationNo: 1 } }
+    ),
+    db.collection(COLLECTIONS.MEDICINE_BILLS)
+      .find({ prescriptionId: prescription._id, isReturn: { $ne: true }, status: { $ne: BILL_STATUS.CANCELLED } })
+      .project({ billNo: 1, billDate: 1 })
+      .sort({ billDate: 1 })
+      .toArray(),
+  ]);
+
+  const now = new Date();
+  const items = [];
+
+  for (const line of prescription.medicines || []) {
+    const prescribed = {
+      name: line.name,
+      dosage: line.dosage,
+      frequency: line.frequency,
+      duration: line.duration,
+    };
+
+    // Catalog link, or an exact name match for lines written as free text
+    const medicine = line.medicineId
+      ? await db.collection(COLLECTIONS.MEDICINES).findOne({ _id: line.medicineId }, { projection: SUBSTITUTE_FIELDS })
+      : await db.collection(COLLECTIONS.MEDICINES).findOne(
+        { name: { $regex: new RegExp(`^${escapeRegex(line.name || '')}$`, 'i') }, isActive: true },
+        { projection: SUBSTITUTE_FIELDS }
+      );
+
+    if (!medicine) {
+      items.push({
+        prescribed,
+        medicine: null,
+        substitutedFor: null,
+        units: null,
+        saleUnit: SALE_UNIT.PACK,
+        quantity: 0,
+        available: 0,
+        status: DISPENSE_STATUS.NOT_IN_CATALOG,
+      });
+      continue;
+    }
+
+    let dispensed = medicine;
+    let substitutedFor = null;
+    let stock = await medicineStock(db, medicine, now);
+
+    if (stock.units === 0) {
+      const [substitute] = await findSubstitutes(db, medicine, now);
+      if (substitute) {
+        substitutedFor = { _id: medicine._id, name: medicine.name };
+        dispensed = substitute.medicine;
+        stock = substitute.stock;
+      }
+    }
+
+    const needed = dispenseQuantity(line, dispensed);
+    const saleUnit = needed?.saleUnit || SALE_UNIT.PACK;
+    const available = saleUnit === SALE_UNIT.UNIT ? stock.units : stock.packs;
+    const quantity = needed ? Math.min(needed.quantity, available) : 0;
+
+    let status = DISPENSE_STATUS.AVAILABLE;
+    if (stock.units === 0) {
+      status = DISPENSE_STATUS.OUT_OF_STOCK;
+    } else if (!needed) {
+      status = DISPENSE_STATUS.QUANTITY_NEEDED;
+    } else if (substitutedFor) {
+      status = DISPENSE_STATUS.SUBSTITUTED;
+    } else if (quantity < needed.quantity) {
+      status = DISPENSE_STATUS.PARTIAL;
+    }
+
+    items.push({
+      prescribed,
+      medicine: dispensed,
+      substitutedFor,
+      units: needed?.units ?? null,
+      saleUnit,
+      quantity,
+      requested: needed?.quantity ?? null,
+      available,
+      status,
+    });
+  }
+
+  return success({
+    prescription: {
+      _id: prescription._id,
+      prescriptionId: prescription.prescriptionId,
+      prescriptionDate: prescription.prescriptionDate,
+      diagnosis: prescription.diagnosis,
+      patient,
+      doctor,
+    },
+    items,
+    dispensedBills,
+  });
+}
+
+export const handler = withErrorHandler(getDispensePlan, { permission: 'prescriptions-getDispensePlan' });
@@ -0,0 +1,110 @@
+/**
+ * Get Frequent Medicines API
+ * A doctor's most prescribed medicines, for quick picking while prescribing
+ *
+ * Endpoint: GET /.netlify/functions/prescriptions-getFrequentMedicines?doctorId=xxx
+ *
+ * Query Parameters:
+ *   - doctorId: Doctor ObjectId or doctorId (required)
+ *   - days: Look-back period in days (default 180)
+ *   - limit: Number of medicines (default 12, max 30)
+ *
+ * Medicines are counted by catalog medicine, or by name for lines written
+ * as free text. Each comes with the dosage, frequency, duration and timing
+ * the doctor used most recently. Doctors see only their own; admins see any
+ * doctor's.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     medicines: [{ medicineId, name, genericName, composition, dosage,
+ *                   frequency, duration, timing, instructions, count, lastUsed }]
+ *   }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { resolveOwnDoctor } from './utils/prescriptions.js';
+
+async function getFrequentMedicines(event) {
+  const { doctorId, days = '180', limit = '12' } = event.query;
+
+  if (!doctorId) {
+    return badRequest('Doctor ID is required');
+  }
+
+  const lookbackDays = parseInt(days, 10);
+  const maxResults = Math.min(parseInt(limit, 10) || 12, 30);
+  if (!lookbackDays || lookbackDays <= 0) {
+    return badRequest('days must be a positive number');
+  }
+
+  const db = await getDb();
+
+  const { doctor, error } = await resolveOwnDoctor(db, event, doctorId);
+  if (error) {
+    return error;
+  }
+
+  const since = new Date();
+  since.setDate(since.getDate() - lookbackDays);
+
+  const medicines = await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).aggregate([
+    {
+      $match: {
+        doctorId: doctor._id,
+        isBlank: { $ne: true },
+        prescriptionDate: { $gte: since },
+      },
+    },
+    { $sort: { prescriptionDate: -1 } },
+    { $unwind: '$medicines' },
+    { $match: { 'medicines.name': { $nin: [null, ''] } } },
+    {
+      $group: {
+        _id: { $ifNull: ['$medicines.medicineId', { $toLower: { $trim: { input: '$medicines.name' } } }] },
+        // Newest first, so $first is how the doctor last wrote it
+        medicineId: { $first: '$medicines.medicineId' },
+        name: { $first: '$medicines.name' },
+        dosage: { $first: '$medicines.dosage' },
+        frequency: { $first: '$medicines.frequency' },
+        duration: { $first: '$medicines.duration' },
+        timing: { $first: '$medicines.timing' },
+        instructions: { $first: '$medicines.instructions' },
+        count: { $sum: 1 },
+        lastUsed: { $first: '$prescriptionDate' },
+      },
+    },
+    { $sort: { count: -1, lastUsed: -1 } },
+    { $limit: maxResults },
+    {
+      $lookup: {
+        from: COLLECTIONS.MEDICINES,
+        localField: 'medicineId',
+        foreignField: '_id',
+        as: 'catalog',
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        medicineId: 1,
+        name: 1,
+        genericName: { $arrayElemAt: ['$catalog.genericName', 0] },
+        composition: { $arrayElemAt: ['$catalog.composition', 0] },
+        dosage: 1,
+        frequency: 1,
+        duration: 1,
+        timing: 1,
+        instructions: 1,
+        count: 1,
+        lastUsed: 1,
+      },
+    },
+  ]).toArray();
+
+  return success({ medicines });
+}
+
+export const handler = withErrorHandler(getFrequentMedicines, { permission: 'prescriptions-getFrequentMedicines' });
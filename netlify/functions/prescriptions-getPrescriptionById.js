@@ -67,4 +67,4 @@ async function getPrescriptionById(event) {
   return success({ prescription: prescriptions[0] });
 }
 
-export const handler = withErrorHandler(getPrescriptionById);
+export const handler = withErrorHandler(getPrescriptionById, { permission: 'prescriptions-getPrescriptionById' });
@@ -0,0 +1,59 @@
+/**
+ * Get Prescription Versions API
+ * Revision history of a prescription, latest first
+ *
+ * Endpoint: GET /.netlify/functions/prescriptions-getPrescriptionVersions?id=xxx
+ *
+ * Each revision lists who made it, when, why, the changed fields and the
+ * content of the version it replaced. Version 1 is the prescription as
+ * generated.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     prescription: { _id, prescriptionId, version, prescriptionDate, revisedBy, revisedAt },
+ *     versions: [{
+ *       version, reason, revisedBy: { userId, name }, revisedAt,
+ *       changes: [{ field, from, to }],
+ *       replaced: { version, diagnosis, medicines, ..., revisedBy, revisedAt }
+ *     }]
+ *   }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getPrescriptionVersions(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Prescription ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { prescriptionId: id };
+
+  const prescription = await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).findOne(query, {
+    projection: { prescriptionId: 1, version: 1, prescriptionDate: 1, revisedBy: 1, revisedAt: 1, createdAt: 1 },
+  });
+  if (!prescription) {
+    return notFound('Prescription');
+  }
+
+  const versions = await db.collection(COLLECTIONS.PRESCRIPTION_VERSIONS)
+    .find({ prescriptionId: prescription._id })
+    .sort({ version: -1 })
+    .toArray();
+
+  return success({
+    prescription: { ...prescription, version: prescription.version || 1 },
+    versions,
+  });
+}
+
+export const handler = withErrorHandler(getPrescriptionVersions, { permission: 'prescriptions-getPrescriptionVersions' });
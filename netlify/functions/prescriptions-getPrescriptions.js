@@ -93,6 +93,8 @@ async function getPrescriptions(event) {
         medicines: { $size: '$medicines' },
         followUpDate: 1,
         isBlank: 1,
+        version: 1,
+        revisedAt: 1,
         'patient._id': 1,
         'patient.patientId': 1,
         'patient.name': 1,
@@ -119,4 +121,4 @@ async function getPrescriptions(event) {
   });
 }
 
-export const handler = withErrorHandler(getPrescriptions);
+export const handler = withErrorHandler(getPrescriptions, { permission: 'prescriptions-getPrescriptions' });
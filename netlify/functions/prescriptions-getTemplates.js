@@ -0,0 +1,47 @@
+/**
+ * Get Prescription Templates API
+ * List a doctor's saved prescription templates
+ *
+ * Endpoint: GET /.netlify/functions/prescriptions-getTemplates?doctorId=xxx
+ *
+ * Query Parameters:
+ *   - doctorId: Doctor ObjectId or doctorId (required)
+ *
+ * Doctors see only their own templates (the doctor record linked to their
+ * account); admins see any doctor's.
+ *
+ * Response:
+ *   { success: true, templates: [...], count: number }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { resolveOwnDoctor } from './utils/prescriptions.js';
+
+async function getTemplates(event) {
+  const { doctorId } = event.query;
+
+  if (!doctorId) {
+    return badRequest('Doctor ID is required');
+  }
+
+  const db = await getDb();
+
+  const { doctor, error } = await resolveOwnDoctor(db, event, doctorId);
+  if (error) {
+    return error;
+  }
+
+  const templates = await db.collection(COLLECTIONS.PRESCRIPTION_TEMPLATES)
+    .find({ doctorId: doctor._id, isActive: true })
+    .sort({ name: 1 })
+    .toArray();
+
+  return success({
+    templates,
+    count: templates.length,
+  });
+}
+
+export const handler = withErrorHandler(getTemplates, { permission: 'prescriptions-getTemplates' });
@@ -0,0 +1,209 @@
+/**
+ * Update Prescription API
+ * Revises a prescription, keeping the version it replaces
+ *
+ * Endpoint: PUT /.netlify/functions/prescriptions-updatePrescription
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Prescription ObjectId or prescriptionId,
+ *     version?: number - Version being edited; 409 if it has since been revised,
+ *     diagnosis?, complaints?, examination?, vitals?, medicines?,
+ *     investigations?, advice?, followUpDate?,
+ *     reason?: string - Why the prescription was changed,
+ *     interactionOverrideReason?: string
+ *   }
+ *
+ * Only fields present in the request are changed. Patient, doctor, number
+ * and date stay with the original; a revision that changes nothing is
+ * rejected.
+ *
+ * Each revision bumps the prescription's version and is kept in
+ * prescription_versions with who made it, when, the field changes and the
+ * content it replaced (see prescriptions-getPrescriptionVersions). Medicines
+ * are checked for interactions as when generating.
+ *
+ * Response:
+ *   { success: true, message: string, prescription: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { success, badRequest, notFound, conflict } from './utils/response.js';
+import { withErrorHandler, ConflictError } from './utils/errorHandler.js';
+import { recordAudit, diffDocuments } from './utils/audit.js';
+import { reviewInteractions } from './utils/interactions.js';
+import {
+  PRESCRIPTION_VERSIONED_FIELDS,
+  prescriptionContent,
+  resolvePrescriptionMedicines,
+} from './utils/prescriptions.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function updatePrescription(event) {
+  if (event.httpMethod !== 'PUT') {
+    return badRequest('Method not allowed');
+  }
+
+  const { id, version, reason, interactionOverrideReason, ...data } = event.parsedBody || {};
+  if (!id) {
+    return badRequest('Prescription ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { prescriptionId: id };
+
+  const prescription = await db.collection(COLLECTIONS.OPD_PRESCRIPTIONS).findOne(query);
+  if (!prescription) {
+    return notFound('Prescription');
+  }
+  if (prescription.isBlank) {
+    return badRequest('Blank prescriptions cannot be edited');
+  }
+
+  // Prescriptions from before versioning are version 1
+  const currentVersion = prescription.version || 1;
+  if (version !== undefined && Number(version) !== currentVersion) {
+    return conflict(`Prescription has been revised since (now version ${currentVersion}); reload it and try again`);
+  }
+
+  const patient = await db.collection(COLLECTIONS.PATIENTS).findOne({ _id: prescription.patientId });
+
+  // Only fields present in the request are changed
+  const content = prescriptionContent(prescription);
+  for (const field of PRESCRIPTION_VERSIONED_FIELDS) {
+    if (data[field] !== undefined) {
+      content[field] = data[field] === '' ? null : data[field];
+    }
+  }
+  if (data.investigations !== undefined) {
+    content.investigations = data.investigations || [];
+  }
+  if (data.followUpDate !== undefined) {
+    content.followUpDate = data.followUpDate ? new Date(data.followUpDate) : null;
+  }
+
+  let interactions = {
+    warnings: prescription.interactionWarnings || [],
+    override: prescription.interactionOverride || null,
+  };
+  if (data.medicines !== undefined) {
+    const resolved = await resolvePrescriptionMedicines(db, data.medicines);
+    if (resolved.error) {
+      return resolved.error;
+    }
+    content.medicines = resolved.medicines;
+
+    interactions = await reviewInteractions(db, event, {
+      medicines: resolved.checks,
+      allergies: patient?.allergies,
+      overrideReason: interactionOverrideReason,
+    });
+    if (interactions.error) {
+      return interactions.error;
+    }
+  }
+
+  const changes = diffDocuments(prescriptionContent(prescription), content);
+  if (changes.length === 0) {
+    return badRequest('No changes to save');
+  }
+
+  const changeReason = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+  const now = new Date();
+  const revisedBy = { userId: event.user?._id || null, name: event.user?.name || null };
+  const newVersion = currentVersion + 1;
+
+  let updated;
+
+  await withTransaction(async (session, txDb) => {
+    // Matching on the version guards against two people revising at once
+    updated = await txDb.collection(COLLECTIONS.OPD_PRESCRIPTIONS).findOneAndUpdate(
+      {
+        _id: prescription._id,
+        version: prescription.version ? prescription.version : { $exists: false },
+      },
+      {
+        $set: {
+          ...content,
+          interactionWarnings: interactions.warnings,
+          interactionOverride: interactions.override,
+          version: newVersion,
+          revisedBy,
+          revisedAt: now,
+          updatedAt: now,
+        },
+      },
+      { returnDocument: 'after', session }
+    );
+    if (!updated) {
+      throw new ConflictError('Prescription was revised by someone else; reload it and try again');
+    }
+
+    await txDb.collection(COLLECTIONS.PRESCRIPTION_VERSIONS).insertOne({
+      prescriptionId: prescription._id,
+      prescriptionNo: prescription.prescriptionId,
+      version: newVersion,
+      changes,
+      reason: changeReason,
+      revisedBy,
+      revisedAt: now,
+      // The version this revision replaced, as it was
+      replaced: {
+        version: currentVersion,
+        ...prescriptionContent(prescription),
+        interactionWarnings: prescription.interactionWarnings || [],
+        interactionOverride: prescription.interactionOverride || null,
+        revisedBy: prescription.revisedBy || null,
+        revisedAt: prescription.revisedAt || prescription.createdAt,
+      },
+      createdAt: now,
+    }, { session });
+
+    await recordAudit(txDb, event, {
+      entityType: AUDIT_ENTITY.PRESCRIPTION,
+      entityId: prescription._id,
+      entityRef: prescription.prescriptionId,
+      action: AUDIT_ACTION.UPDATE,
+      before: prescription,
+      after: updated,
+      remarks: `Revised to version ${newVersion}${changeReason ? `: ${changeReason}` : ''}`,
+      session,
+    });
+  });
+
+  const doctor = await db.collection(COLLECTIONS.DOCTORS).findOne({ _id: prescription.doctorId });
+
+  // Return with patient and doctor info for printing
+  const response = {
+    ...updated,
+    patient: patient ? {
+      _id: patient._id,
+      patientId: patient.patientId,
+      name: patient.name,
+      age: patient.age,
+      gender: patient.gender,
+      phone: patient.phone,
+      address: patient.address,
+    } : null,
+    doctor: doctor ? {
+      _id: doctor._id,
+      doctorId: doctor.doctorId,
+      name: doctor.name,
+      qualification: doctor.qualification,
+      specialization: doctor.specialization,
+      registrationNo: doctor.registrationNo,
+      signature: doctor.signature,
+    } : null,
+  };
+
+  return success(
+    { prescription: response },
+    `Prescription updated to version ${newVersion}`
+  );
+}
+
+export const handler = withErrorHandler(updatePrescription, { permission: 'prescriptions-updatePrescription' });
@@ -0,0 +1,308 @@
+/**
+ * Create Purchase (Goods Receipt) API
+ * Records a supplier invoice and creates one stock batch per line, all in
+ * one transaction
+ *
+ * Endpoint: POST /.netlify/functions/purchases-createPurchase
+ *
+ * Request Body:
+ *   {
+ *     supplierId: string (required) - Supplier ObjectId or supplierId,
+ *     invoiceNo: string (required) - Supplier's invoice number,
+ *     invoiceDate: string (required, ISO date),
+ *     interState?: boolean (IGST instead of CGST/SGST),
+ *     discountAmount?: number (invoice-level discount),
+ *     items: [{
+ *       medicineId: string (required),
+ *       batchNo: string (required),
+ *       expiryDate: string (required, ISO date),
+ *       mfgDate?: string,
+ *       quantity: number (required, billed units),
+ *       freeQty?: number (units received free),
+ *       purchasePrice: number (required, rate per unit before GST),
+ *       discountPercent?: number (trade discount on the line),
+ *       gstRate: number (required),
+ *       mrp: number (required),
+ *       sellingPrice?: number (defaults to MRP)
+ *     }] (required),
+ *     paidAmount?: number (paid to the supplier on receipt),
+ *     paymentMode?: 'cash' | 'bank_transfer' | 'cheque' | 'upi',
+ *     paymentReference?: string,
+ *     remarks?: string
+ *   }
+ *
+ * Each batch receives quantity + freeQty units. Its costPrice is the line
+ * total (after discounts, with GST) spread over all units received.
+ *
+ * Response:
+ *   { success: true, message: string, purchase: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, conflict, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement } from './utils/stockLedger.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { validateCreatePurchase } from '../../shared/validators/purchase.validator.js';
+import { computePurchaseTotals } from '../../shared/utils/purchase.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import {
+  PAYMENT_STATUS,
+  BILL_STATUS,
+  STOCK_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function createPurchase(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreatePurchase(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+
+  // Supplier
+  const supplierQuery = ObjectId.isValid(data.supplierId)
+    ? { _id: new ObjectId(data.supplierId) }
+    : { supplierId: data.supplierId };
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne(supplierQuery);
+  if (!supplier) {
+    return notFound('Supplier');
+  }
+  if (!supplier.isActive) {
+    return badRequest('Supplier is inactive');
+  }
+
+  // The same supplier invoice must not be entered twice
+  const duplicateInvoice = await db.collection(COLLECTIONS.PURCHASES).findOne({
+    supplierId: supplier._id,
+    invoiceNo: data.invoiceNo,
+    status: { $ne: BILL_STATUS.CANCELLED },
+  });
+  if (duplicateInvoice) {
+    return conflict(`Invoice ${data.invoiceNo} from ${supplier.name} is already entered as ${duplicateInvoice.grnNo}`);
+  }
+
+  // Medicines
+  const medicineIds = [...new Set(data.items.map((item) => item.medicineId))];
+  if (medicineIds.some((id) => !ObjectId.isValid(id))) {
+    return badRequest('Invalid medicine ID');
+  }
+  const medicines = await db.collection(COLLECTIONS.MEDICINES)
+    .find({ _id: { $in: medicineIds.map((id) => new ObjectId(id)) } })
+    .toArray();
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+
+  const now = new Date();
+  const batchKeys = new Set();
+
+  for (let i = 0; i < data.items.length; i++) {
+    const item = data.items[i];
+    const medicine = medicineById.get(item.medicineId);
+    if (!medicine) {
+      return notFound(`Medicine on line ${i + 1}`);
+    }
+    if (new Date(item.expiryDate) <= now) {
+      return badRequest(`Line ${i + 1}: expiry date must be in the future`);
+    }
+
+    const key = `${item.medicineId}|${item.batchNo}`;
+    if (batchKeys.has(key)) {
+      return badRequest(`Line ${i + 1}: batch ${item.batchNo} of ${medicine.name} is entered twice`);
+    }
+    batchKeys.add(key);
+  }
+
+  // Batches already on file
+  const existingBatches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find({
+      $or: data.items.map((item) => ({
+        medicineId: new ObjectId(item.medicineId),
+        batchNo: item.batchNo,
+      })),
+    })
+    .project({ medicineId: 1, batchNo: 1 })
+    .toArray();
+  if (existingBatches.length > 0) {
+    const existing = existingBatches
+      .map((b) => `${medicineById.get(String(b.medicineId))?.name} / ${b.batchNo}`)
+      .join(', ');
+    return conflict(`Stock batches already exist: ${existing}`);
+  }
+
+  // Totals
+  const totals = computePurchaseTotals(
+    data.items.map((item) => ({
+      ...item,
+      hsnCode: medicineById.get(item.medicineId).hsnCode || null,
+    })),
+    { discountAmount: data.discountAmount, interState: data.interState }
+  );
+
+  if (data.paidAmount > totals.invoiceTotal) {
+    return badRequest('Paid amount cannot exceed the invoice total');
+  }
+  if (data.paidAmount > 0 && !data.paymentMode) {
+    return badRequest('Payment mode is required when an amount is paid');
+  }
+
+  const grnNo = await generateDocumentNumber(db, DOCUMENT_TYPE.GOODS_RECEIPT);
+  const invoiceDate = new Date(data.invoiceDate);
+  const dueDate = new Date(invoiceDate);
+  dueDate.setDate(dueDate.getDate() + (supplier.paymentTermsDays || 0));
+
+  const purchaseId = new ObjectId();
+  const batches = [];
+  const items = totals.items.map((item) => {
+    const medicine = medicineById.get(item.medicineId);
+    const receivedQty = item.quantity + item.freeQty;
+
+    const batch = {
+      _id: new ObjectId(),
+      medicineId: medicine._id,
+      batchNo: item.batchNo,
+      expiryDate: new Date(item.expiryDate),
+      mfgDate: item.mfgDate ? new Date(item.mfgDate) : null,
+      purchaseDate: invoiceDate,
+      supplier: supplier.name,
+      supplierId: supplier._id,
+      purchaseId,
+      purchaseInvoiceNo: data.invoiceNo,
+      initialQty: receivedQty,
+      currentQty: receivedQty,
+      freeQty: item.freeQty,
+      purchasePrice: item.purchasePrice,
+      costPrice: item.costPrice,
+      mrp: item.mrp,
+      sellingPrice: item.sellingPrice || item.mrp,
+      gstRate: item.gstRate,
+      status: receivedQty <= medicine.reorderLevel ? STOCK_STATUS.LOW : STOCK_STATUS.ACTIVE,
+      remarks: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    batches.push(batch);
+
+    return {
+      medicineId: medicine._id,
+      medicineName: medicine.name,
+      hsnCode: item.hsnCode,
+      batchId: batch._id,
+      batchNo: item.batchNo,
+      expiryDate: batch.expiryDate,
+      quantity: item.quantity,
+      freeQty: item.freeQty,
+      purchasePrice: item.purchasePrice,
+      discountPercent: item.discountPercent,
+      grossAmount: item.grossAmount,
+      lineDiscount: item.lineDiscount,
+      gstRate: item.gstRate,
+      taxableValue: item.taxableValue,
+      cgst: item.cgst,
+      sgst: item.sgst,
+      igst: item.igst,
+      lineTotal: item.lineTotal,
+      costPrice: item.costPrice,
+      mrp: item.mrp,
+      sellingPrice: batch.sellingPrice,
+    };
+  });
+
+  const paidAmount = Math.round(data.paidAmount * 100) / 100;
+  const dueAmount = Math.round((totals.invoiceTotal - paidAmount) * 100) / 100;
+
+  const purchase = {
+    _id: purchaseId,
+    grnNo,
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    supplierGstin: supplier.gstin || null,
+    invoiceNo: data.invoiceNo,
+    invoiceDate,
+    dueDate,
+    interState: data.interState,
+    items,
+    grossAmount: totals.grossAmount,
+    lineDiscount: totals.lineDiscount,
+    discountAmount: totals.discountAmount,
+    taxableAmount: totals.taxableAmount,
+    cgst: totals.cgst,
+    sgst: totals.sgst,
+    igst: totals.igst,
+    totalTax: totals.totalTax,
+    gstBreakdown: totals.breakdown,
+    roundOff: totals.roundOff,
+    invoiceTotal: totals.invoiceTotal,
+    paidAmount,
+    dueAmount,
+    paymentStatus: dueAmount <= 0
+      ? PAYMENT_STATUS.PAID
+      : paidAmount > 0 ? PAYMENT_STATUS.PARTIAL : PAYMENT_STATUS.PENDING,
+    payments: paidAmount > 0 ? [{
+      _id: new ObjectId(),
+      amount: paidAmount,
+      paymentMode: data.paymentMode,
+      reference: data.paymentReference || null,
+      paidAt: now,
+      paidBy: event.user.name,
+      paidById: event.user._id,
+    }] : [],
+    status: BILL_STATUS.ACTIVE,
+    remarks: data.remarks || null,
+    receivedBy: event.user.name,
+    receivedById: event.user._id,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      await txDb.collection(COLLECTIONS.PURCHASES).insertOne(purchase, { session });
+      await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).insertMany(batches, { session });
+
+      for (const batch of batches) {
+        await recordStockMovement(txDb, event, {
+          batch,
+          type: STOCK_MOVEMENT_TYPE.PURCHASE,
+          quantity: batch.initialQty,
+          balanceBefore: 0,
+          reference: { type: AUDIT_ENTITY.PURCHASE, id: purchase._id, number: purchase.grnNo },
+          remarks: `Invoice ${purchase.invoiceNo} from ${supplier.name}${batch.freeQty ? ` (${batch.freeQty} free)` : ''}`,
+          date: now,
+          session,
+        });
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.PURCHASE,
+        entityId: purchase._id,
+        entityRef: purchase.grnNo,
+        action: AUDIT_ACTION.CREATE,
+        after: purchase,
+        remarks: `Invoice ${purchase.invoiceNo} from ${supplier.name}, ${batches.length} batch(es)`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to save purchase. Please try again.');
+  }
+
+  return created(
+    { purchase },
+    `Goods received: ${batches.length} batch(es) added to stock`
+  );
+}
+
+export const handler = withErrorHandler(createPurchase, { permission: 'purchases-createPurchase' });
@@ -0,0 +1,163 @@
+/**
+ * Create Purchase Orders API
+ * Raises draft purchase orders, one per supplier, usually from the reorder
+ * suggestions
+ *
+ * Endpoint: POST /.netlify/functions/purchases-createPurchaseOrders
+ *
+ * Request Body:
+ *   {
+ *     items: [{
+ *       medicineId: string (required),
+ *       supplierId: string (required),
+ *       quantity: number (required),
+ *       rate?: number - Expected purchase price (last rate paid)
+ *     }] (required),
+ *     remarks?: string
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, purchaseOrders: Object[] }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import { validateCreatePurchaseOrders } from '../../shared/validators/purchase.validator.js';
+import { computePurchaseOrderTotals } from '../../shared/utils/purchase.js';
+import { PURCHASE_ORDER_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+/**
+ * Purchase order line for a medicine
+ */
+function toOrderLine(item, medicine) {
+  return {
+    medicineId: medicine._id,
+    medicineCode: medicine.medicineId,
+    medicineName: medicine.name,
+    packUnit: medicine.packUnit || null,
+    quantity: item.quantity,
+    rate: item.rate ?? null,
+  };
+}
+
+async function createPurchaseOrders(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreatePurchaseOrders(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+
+  const invalidId = data.items.find((item) => !ObjectId.isValid(item.medicineId) || !ObjectId.isValid(item.supplierId));
+  if (invalidId) {
+    return badRequest('Invalid medicine or supplier ID');
+  }
+
+  const lineKeys = data.items.map((item) => `${item.supplierId}:${item.medicineId}`);
+  if (new Set(lineKeys).size !== lineKeys.length) {
+    return badRequest('A medicine is listed twice for the same supplier');
+  }
+
+  const db = await getDb();
+
+  const medicineIds = [...new Set(data.items.map((item) => item.medicineId))];
+  const supplierIds = [...new Set(data.items.map((item) => item.supplierId))];
+
+  const [medicines, suppliers] = await Promise.all([
+    db.collection(COLLECTIONS.MEDICINES)
+      .find({ _id: { $in: medicineIds.map((id) => new ObjectId(id)) } })
+      .project({ medicineId: 1, name: 1, packUnit: 1 })
+      .toArray(),
+    db.collection(COLLECTIONS.SUPPLIERS)
+      .find({ _id: { $in: supplierIds.map((id) => new ObjectId(id)) } })
+      .toArray(),
+  ]);
+
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+  const supplierById = new Map(suppliers.map((s) => [String(s._id), s]));
+
+  const missingMedicine = medicineIds.find((id) => !medicineById.has(id));
+  if (missingMedicine) {
+    return notFound('Medicine');
+  }
+  for (const id of supplierIds) {
+    const supplier = supplierById.get(id);
+    if (!supplier) {
+      return notFound('Supplier');
+    }
+    if (!supplier.isActive) {
+      return badRequest(`Supplier ${supplier.name} is inactive`);
+    }
+  }
+
+  const now = new Date();
+  const purchaseOrders = [];
+
+  for (const supplierId of supplierIds) {
+    const supplier = supplierById.get(supplierId);
+    const { items, totalQty, estimatedTotal } = computePurchaseOrderTotals(
+      data.items
+        .filter((item) => item.supplierId === supplierId)
+        .map((item) => toOrderLine(item, medicineById.get(item.medicineId)))
+    );
+
+    purchaseOrders.push({
+      _id: new ObjectId(),
+      poNo: await generateDocumentNumber(db, DOCUMENT_TYPE.PURCHASE_ORDER),
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      supplierGstin: supplier.gstin || null,
+      status: PURCHASE_ORDER_STATUS.DRAFT,
+      items,
+      itemCount: items.length,
+      totalQty,
+      estimatedTotal,
+      remarks: data.remarks || null,
+      createdBy: event.user.name,
+      createdById: event.user._id,
+      orderedAt: null,
+      receivedAt: null,
+      cancelledAt: null,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      await txDb.collection(COLLECTIONS.PURCHASE_ORDERS).insertMany(purchaseOrders, { session });
+
+      for (const order of purchaseOrders) {
+        await recordAudit(txDb, event, {
+          entityType: AUDIT_ENTITY.PURCHASE_ORDER,
+          entityId: order._id,
+          entityRef: order.poNo,
+          action: AUDIT_ACTION.CREATE,
+          after: order,
+          remarks: `Draft order for ${order.supplierName}: ${order.itemCount} medicine(s)`,
+          session,
+        });
+      }
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to create purchase orders. Please try again.');
+  }
+
+  return created(
+    { purchaseOrders },
+    `${purchaseOrders.length} draft purchase order(s) created`
+  );
+}
+
+export const handler = withErrorHandler(createPurchaseOrders, { permission: 'purchases-createPurchaseOrders' });
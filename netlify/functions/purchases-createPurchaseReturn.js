@@ -0,0 +1,266 @@
+/**
+ * Create Purchase Return (Debit Note) API
+ * Sends expired, damaged or unwanted stock back to the supplier it was
+ * bought from, takes it out of stock and records the credit they owe us
+ *
+ * Endpoint: POST /.netlify/functions/purchases-createPurchaseReturn
+ *
+ * Request Body:
+ *   {
+ *     supplierId: string (required) - Supplier ObjectId or supplierId,
+ *     reason: 'expired' | 'near_expiry' | 'damaged' | 'other' (required),
+ *     items: [{ batchId: string, quantity: number }] (required),
+ *     remarks?: string
+ *   }
+ *
+ * Returned units are valued at the taxable cost they were bought at: the
+ * GRN line's taxable value spread over all units received (free units
+ * included). Batches entered without a GRN use their purchase price. GST
+ * is added on top at the batch's rate, as IGST when the batches came in on
+ * an inter-state invoice; batches from inter- and intra-state invoices
+ * (or entered without one) cannot share a debit note.
+ *
+ * Response:
+ *   { success: true, message: string, purchaseReturn: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { created, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ValidationError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { recordStockMovement, nextBatchStatus } from './utils/stockLedger.js';
+import { generateDocumentNumber } from './utils/numbering.js';
+import { validateCreatePurchaseReturn } from '../../shared/validators/purchase.validator.js';
+import { computePurchaseTotals } from '../../shared/utils/purchase.js';
+import { roundToPaise } from '../../shared/utils/gst.js';
+import { DOCUMENT_TYPE } from '../../shared/constants/billPrefixes.js';
+import {
+  BILL_STATUS,
+  STOCK_MOVEMENT_TYPE,
+  SUPPLIER_CREDIT_STATUS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function createPurchaseReturn(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreatePurchaseReturn(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+
+  // Supplier
+  const supplierQuery = ObjectId.isValid(data.supplierId)
+    ? { _id: new ObjectId(data.supplierId) }
+    : { supplierId: data.supplierId };
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne(supplierQuery);
+  if (!supplier) {
+    return notFound('Supplier');
+  }
+
+  // Batches
+  const batchIds = data.items.map((item) => item.batchId);
+  if (batchIds.some((id) => !ObjectId.isValid(id))) {
+    return badRequest('Invalid batch ID');
+  }
+  if (new Set(batchIds).size !== batchIds.length) {
+    return badRequest('A batch is listed more than once');
+  }
+
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find({ _id: { $in: batchIds.map((id) => new ObjectId(id)) } })
+    .toArray();
+  const batchById = new Map(batches.map((b) => [String(b._id), b]));
+
+  const medicines = await db.collection(COLLECTIONS.MEDICINES)
+    .find({ _id: { $in: batches.map((b) => b.medicineId) } })
+    .toArray();
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+
+  // Goods receipts the batches came in on
+  const purchaseIds = [...new Set(batches.filter((b) => b.purchaseId).map((b) => String(b.purchaseId)))];
+  const purchases = await db.collection(COLLECTIONS.PURCHASES)
+    .find({ _id: { $in: purchaseIds.map((id) => new ObjectId(id)) } })
+    .toArray();
+  const purchaseById = new Map(purchases.map((p) => [String(p._id), p]));
+
+  const lines = [];
+  for (const item of data.items) {
+    const batch = batchById.get(item.batchId);
+    if (!batch) {
+      return notFound(`Stock batch ${item.batchId}`);
+    }
+    const medicine = medicineById.get(String(batch.medicineId));
+    const label = `${medicine?.name || 'Medicine'} / ${batch.batchNo}`;
+
+    const fromSupplier = batch.supplierId
+      ? String(batch.supplierId) === String(supplier._id)
+      : (batch.supplier || '').toLowerCase() === supplier.name.toLowerCase();
+    if (!fromSupplier) {
+      return badRequest(`${label} was not bought from ${supplier.name}`);
+    }
+    if (item.quantity > batch.currentQty) {
+      return unprocessable(`Only ${batch.currentQty} left in ${label}`, {
+        batchNo: batch.batchNo,
+        available: batch.currentQty,
+        requested: item.quantity,
+      });
+    }
+
+    const purchase = batch.purchaseId ? purchaseById.get(String(batch.purchaseId)) : null;
+    const purchaseItem = purchase?.items.find((line) => String(line.batchId) === String(batch._id));
+
+    // Taxable cost per unit received
+    const rate = purchaseItem
+      ? roundToPaise(purchaseItem.taxableValue / (purchaseItem.quantity + (purchaseItem.freeQty || 0)))
+      : batch.purchasePrice || 0;
+
+    lines.push({
+      batch,
+      medicine,
+      purchase,
+      quantity: item.quantity,
+      purchasePrice: rate,
+      gstRate: purchaseItem?.gstRate ?? batch.gstRate ?? medicine?.gstRate ?? 0,
+      hsnCode: purchaseItem?.hsnCode || medicine?.hsnCode || null,
+    });
+  }
+
+  // Returns against inter-state invoices reverse IGST; one debit note carries
+  // one tax split, so it cannot mix inter- and intra-state invoices
+  const interStateLines = new Set(lines.map((line) => Boolean(line.purchase?.interState)));
+  if (interStateLines.size > 1) {
+    return badRequest('Return batches from inter-state and intra-state invoices on separate debit notes');
+  }
+  const [interState] = interStateLines;
+
+  const totals = computePurchaseTotals(
+    lines.map((line) => ({
+      quantity: line.quantity,
+      purchasePrice: line.purchasePrice,
+      gstRate: line.gstRate,
+      hsnCode: line.hsnCode,
+    })),
+    { interState }
+  );
+
+  const debitNoteNo = await generateDocumentNumber(db, DOCUMENT_TYPE.DEBIT_NOTE);
+  const now = new Date();
+
+  const items = lines.map((line, index) => {
+    const value = totals.items[index];
+    return {
+      medicineId: line.batch.medicineId,
+      medicineName: line.medicine?.name || null,
+      hsnCode: line.hsnCode,
+      batchId: line.batch._id,
+      batchNo: line.batch.batchNo,
+      expiryDate: line.batch.expiryDate,
+      purchaseId: line.purchase?._id || null,
+      grnNo: line.purchase?.grnNo || null,
+      invoiceNo: line.purchase?.invoiceNo || line.batch.purchaseInvoiceNo || null,
+      invoiceDate: line.purchase?.invoiceDate || line.batch.purchaseDate || null,
+      quantity: line.quantity,
+      rate: line.purchasePrice,
+      gstRate: line.gstRate,
+      taxableValue: value.taxableValue,
+      cgst: value.cgst,
+      sgst: value.sgst,
+      igst: value.igst,
+      amount: value.lineTotal,
+    };
+  });
+
+  const purchaseReturn = {
+    _id: new ObjectId(),
+    debitNoteNo,
+    returnDate: now,
+    supplierId: supplier._id,
+    supplierName: supplier.name,
+    supplierGstin: supplier.gstin || null,
+    reason: data.reason,
+    interState,
+    items,
+    taxableAmount: totals.taxableAmount,
+    cgst: totals.cgst,
+    sgst: totals.sgst,
+    igst: totals.igst,
+    totalTax: totals.totalTax,
+    gstBreakdown: totals.breakdown,
+    roundOff: totals.roundOff,
+    creditAmount: totals.invoiceTotal,
+    creditReceived: 0,
+    creditBalance: totals.invoiceTotal,
+    creditStatus: SUPPLIER_CREDIT_STATUS.OPEN,
+    settlements: [],
+    status: BILL_STATUS.ACTIVE,
+    remarks: data.remarks || null,
+    createdBy: event.user.name,
+    createdById: event.user._id,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      await txDb.collection(COLLECTIONS.PURCHASE_RETURNS).insertOne(purchaseReturn, { session });
+
+      for (const line of lines) {
+        const { batch, medicine } = line;
+        const newQty = batch.currentQty - line.quantity;
+        // Loose units left in an opened pack keep the batch on sale
+        const newStatus = nextBatchStatus(batch, newQty, medicine?.reorderLevel || 0, now);
+
+        // Fails if the batch changed since it was read
+        const updated = await txDb.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOneAndUpdate(
+          { _id: batch._id, currentQty: batch.currentQty },
+          { $set: { currentQty: newQty, status: newStatus, updatedAt: now } },
+          { returnDocument: 'after', session }
+        );
+        if (!updated) {
+          throw new ValidationError(`Stock for batch ${batch.batchNo} changed meanwhile; please try again`);
+        }
+
+        await recordStockMovement(txDb, event, {
+          batch,
+          type: STOCK_MOVEMENT_TYPE.PURCHASE_RETURN,
+          quantity: -line.quantity,
+          balanceBefore: batch.currentQty,
+          reference: { type: AUDIT_ENTITY.PURCHASE_RETURN, id: purchaseReturn._id, number: debitNoteNo },
+          remarks: `Returned to ${supplier.name} (${data.reason.replace('_', ' ')})`,
+          date: now,
+          session,
+        });
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.PURCHASE_RETURN,
+        entityId: purchaseReturn._id,
+        entityRef: debitNoteNo,
+        action: AUDIT_ACTION.CREATE,
+        after: purchaseReturn,
+        remarks: `${items.length} batch(es) returned to ${supplier.name}, credit ₹${purchaseReturn.creditAmount.toFixed(2)}`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to save purchase return. Please try again.');
+  }
+
+  return created(
+    { purchaseReturn },
+    `Debit note ${debitNoteNo} created`
+  );
+}
+
+export const handler = withErrorHandler(createPurchaseReturn, { permission: 'purchases-createPurchaseReturn' });
@@ -0,0 +1,41 @@
+/**
+ * Get Purchase By ID API
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchaseById
+ *
+ * Query Parameters:
+ *   - id: Purchase ObjectId or GRN number (required)
+ *
+ * Response:
+ *   { success: true, purchase: Object, supplier: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getPurchaseById(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Purchase ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { grnNo: id };
+
+  const purchase = await db.collection(COLLECTIONS.PURCHASES).findOne(query);
+  if (!purchase) {
+    return notFound('Purchase');
+  }
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne({ _id: purchase.supplierId });
+
+  return success({ purchase, supplier });
+}
+
+export const handler = withErrorHandler(getPurchaseById, { permission: 'purchases-getPurchaseById' });
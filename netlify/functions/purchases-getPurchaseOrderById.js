@@ -0,0 +1,42 @@
+/**
+ * Get Purchase Order By ID API
+ * A purchase order with its supplier, for viewing, printing and export
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchaseOrderById
+ *
+ * Query Parameters:
+ *   - id: Purchase order ObjectId or PO number (required)
+ *
+ * Response:
+ *   { success: true, purchaseOrder: Object, supplier: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getPurchaseOrderById(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Purchase order ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { poNo: id };
+
+  const purchaseOrder = await db.collection(COLLECTIONS.PURCHASE_ORDERS).findOne(query);
+  if (!purchaseOrder) {
+    return notFound('Purchase order');
+  }
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne({ _id: purchaseOrder.supplierId });
+
+  return success({ purchaseOrder, supplier });
+}
+
+export const handler = withErrorHandler(getPurchaseOrderById, { permission: 'purchases-getPurchaseOrderById' });
@@ -0,0 +1,71 @@
+/**
+ * Get Purchase Orders API
+ * List purchase orders raised on suppliers
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchaseOrders
+ *
+ * Query Parameters:
+ *   - supplierId: Filter by supplier
+ *   - status: draft | ordered | received | cancelled
+ *   - search: PO number
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, purchaseOrders: [...], pagination: {...} }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getPurchaseOrders(event) {
+  const {
+    supplierId,
+    status,
+    search = '',
+    page = '1',
+    limit = '20',
+  } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = {};
+
+  if (supplierId && ObjectId.isValid(supplierId)) {
+    filter.supplierId = new ObjectId(supplierId);
+  }
+  if (status) {
+    filter.status = status;
+  }
+  if (search.trim()) {
+    filter.poNo = new RegExp(escapeRegex(search.trim()), 'i');
+  }
+
+  const [purchaseOrders, total] = await Promise.all([
+    db.collection(COLLECTIONS.PURCHASE_ORDERS)
+      .find(filter)
+      .project({ items: 0 })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray(),
+    db.collection(COLLECTIONS.PURCHASE_ORDERS).countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: purchaseOrders,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'purchaseOrders',
+  });
+}
+
+export const handler = withErrorHandler(getPurchaseOrders, { permission: 'purchases-getPurchaseOrders' });
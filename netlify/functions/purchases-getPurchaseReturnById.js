@@ -0,0 +1,42 @@
+/**
+ * Get Purchase Return By ID API
+ * A debit note with its supplier, for viewing and printing
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchaseReturnById
+ *
+ * Query Parameters:
+ *   - id: Purchase return ObjectId or debit note number (required)
+ *
+ * Response:
+ *   { success: true, purchaseReturn: Object, supplier: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+async function getPurchaseReturnById(event) {
+  const { id } = event.query;
+
+  if (!id) {
+    return badRequest('Purchase return ID is required');
+  }
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { debitNoteNo: id };
+
+  const purchaseReturn = await db.collection(COLLECTIONS.PURCHASE_RETURNS).findOne(query);
+  if (!purchaseReturn) {
+    return notFound('Purchase return');
+  }
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne({ _id: purchaseReturn.supplierId });
+
+  return success({ purchaseReturn, supplier });
+}
+
+export const handler = withErrorHandler(getPurchaseReturnById, { permission: 'purchases-getPurchaseReturnById' });
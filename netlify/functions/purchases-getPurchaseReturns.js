@@ -0,0 +1,85 @@
+/**
+ * Get Purchase Returns API
+ * List debit notes raised on suppliers
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchaseReturns
+ *
+ * Query Parameters:
+ *   - supplierId: Filter by supplier
+ *   - creditStatus: open | partial | settled
+ *   - search: Debit note number
+ *   - dateFrom, dateTo: Return date range
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, purchaseReturns: [...], pagination: {...} }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getPurchaseReturns(event) {
+  const {
+    supplierId,
+    creditStatus,
+    search = '',
+    dateFrom,
+    dateTo,
+    page = '1',
+    limit = '20',
+  } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = {};
+
+  if (supplierId && ObjectId.isValid(supplierId)) {
+    filter.supplierId = new ObjectId(supplierId);
+  }
+  if (creditStatus) {
+    filter.creditStatus = creditStatus;
+  }
+  if (search.trim()) {
+    filter.debitNoteNo = new RegExp(escapeRegex(search.trim()), 'i');
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.returnDate = {};
+    if (dateFrom) filter.returnDate.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      filter.returnDate.$lte = endDate;
+    }
+  }
+
+  const [purchaseReturns, total] = await Promise.all([
+    db.collection(COLLECTIONS.PURCHASE_RETURNS)
+      .find(filter)
+      .project({ gstBreakdown: 0 })
+      .sort({ returnDate: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray(),
+    db.collection(COLLECTIONS.PURCHASE_RETURNS).countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: purchaseReturns,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'purchaseReturns',
+  });
+}
+
+export const handler = withErrorHandler(getPurchaseReturns, { permission: 'purchases-getPurchaseReturns' });
@@ -0,0 +1,86 @@
+/**
+ * Get Purchases API
+ * List goods receipts (supplier invoices)
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getPurchases
+ *
+ * Query Parameters:
+ *   - supplierId: Filter by supplier
+ *   - paymentStatus: paid | partial | pending
+ *   - search: GRN or supplier invoice number
+ *   - dateFrom, dateTo: Invoice date range
+ *   - page, limit: Pagination
+ *
+ * Response:
+ *   { success: true, purchases: [...], pagination: {...} }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { paginated } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getPurchases(event) {
+  const {
+    supplierId,
+    paymentStatus,
+    search = '',
+    dateFrom,
+    dateTo,
+    page = '1',
+    limit = '20',
+  } = event.query;
+
+  const pageNum = Math.max(1, parseInt(page, 10) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const db = await getDb();
+  const filter = {};
+
+  if (supplierId && ObjectId.isValid(supplierId)) {
+    filter.supplierId = new ObjectId(supplierId);
+  }
+  if (paymentStatus) {
+    filter.paymentStatus = paymentStatus;
+  }
+  if (search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ grnNo: searchRegex }, { invoiceNo: searchRegex }];
+  }
+
+  // Date range filter
+  if (dateFrom || dateTo) {
+    filter.invoiceDate = {};
+    if (dateFrom) filter.invoiceDate.$gte = new Date(dateFrom);
+    if (dateTo) {
+      const endDate = new Date(dateTo);
+      endDate.setHours(23, 59, 59, 999);
+      filter.invoiceDate.$lte = endDate;
+    }
+  }
+
+  const [purchases, total] = await Promise.all([
+    db.collection(COLLECTIONS.PURCHASES)
+      .find(filter)
+      .project({ items: 0, gstBreakdown: 0 })
+      .sort({ invoiceDate: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .toArray(),
+    db.collection(COLLECTIONS.PURCHASES).countDocuments(filter),
+  ]);
+
+  return paginated({
+    data: purchases,
+    total,
+    page: pageNum,
+    limit: limitNum,
+    dataKey: 'purchases',
+  });
+}
+
+export const handler = withErrorHandler(getPurchases, { permission: 'purchases-getPurchases' });
@@ -0,0 +1,90 @@
+/**
+ * Get Returnable Batches API
+ * Stock on hand that was bought from a supplier, for picking a purchase return
+ *
+ * Endpoint: GET /.netlify/functions/purchases-getReturnableBatches
+ *
+ * Query Parameters:
+ *   - supplierId: Supplier ObjectId or supplierId (required)
+ *   - days: Only batches expiring within this many days (optional)
+ *
+ * Batches entered before the supplier master existed carry only the
+ * supplier's name, so those are matched by name.
+ *
+ * Response:
+ *   { success: true, batches: [{ ...batch, medicine, isExpired, daysToExpiry }], count: number }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { isExpiredBatch } from '../../shared/utils/fefo.js';
+import { STOCK_STATUS } from '../../shared/constants/enums.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getReturnableBatches(event) {
+  const { supplierId, days } = event.query;
+
+  if (!supplierId) {
+    return badRequest('Supplier ID is required');
+  }
+
+  const db = await getDb();
+
+  const supplierQuery = ObjectId.isValid(supplierId)
+    ? { _id: new ObjectId(supplierId) }
+    : { supplierId };
+
+  const supplier = await db.collection(COLLECTIONS.SUPPLIERS).findOne(supplierQuery);
+  if (!supplier) {
+    return notFound('Supplier');
+  }
+
+  const filter = {
+    currentQty: { $gt: 0 },
+    status: { $ne: STOCK_STATUS.EXHAUSTED },
+    $or: [
+      { supplierId: supplier._id },
+      {
+        supplierId: { $exists: false },
+        supplier: new RegExp(`^${escapeRegex(supplier.name)}$`, 'i'),
+      },
+    ],
+  };
+
+  const daysNum = parseInt(days, 10);
+  if (daysNum >= 0) {
+    const until = new Date();
+    until.setDate(until.getDate() + daysNum);
+    filter.expiryDate = { $lte: until };
+  }
+
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find(filter)
+    .sort({ expiryDate: 1 })
+    .limit(500)
+    .toArray();
+
+  const medicines = await db.collection(COLLECTIONS.MEDICINES)
+    .find({ _id: { $in: [...new Set(batches.map((b) => String(b.medicineId)))].map((id) => new ObjectId(id)) } })
+    .project({ medicineId: 1, name: 1, packUnit: 1 })
+    .toArray();
+  const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+
+  const now = new Date();
+
+  return success({
+    batches: batches.map((batch) => ({
+      ...batch,
+      medicine: medicineById.get(String(batch.medicineId)) || null,
+      isExpired: isExpiredBatch(batch, now),
+      daysToExpiry: Math.ceil((new Date(batch.expiryDate) - now) / (1000 * 60 * 60 * 24)),
+    })),
+    count: batches.length,
+  });
+}
+
+export const handler = withErrorHandler(getReturnableBatches, { permission: 'purchases-getReturnableBatches' });
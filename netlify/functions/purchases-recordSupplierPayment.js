@@ -0,0 +1,118 @@
+/**
+ * Record Supplier Payment API
+ * Pays (part of) the balance owed on a supplier invoice
+ *
+ * Endpoint: POST /.netlify/functions/purchases-recordSupplierPayment
+ *
+ * Request Body:
+ *   {
+ *     purchaseId: string (required) - Purchase ObjectId or GRN number,
+ *     amount: number (required) - Must not exceed the due,
+ *     paymentMode: 'cash' | 'bank_transfer' | 'cheque' | 'upi' (required),
+ *     reference?: string (cheque / UTR number),
+ *     remarks?: string
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, purchase: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import {
+  PAYMENT_STATUS,
+  BILL_STATUS,
+  SUPPLIER_PAYMENT_MODE_OPTIONS,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+async function recordSupplierPayment(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const data = event.parsedBody || {};
+
+  if (!data.purchaseId) return badRequest('Purchase ID is required');
+  if (!SUPPLIER_PAYMENT_MODE_OPTIONS.includes(data.paymentMode)) {
+    return badRequest('Valid payment mode is required');
+  }
+
+  // Amounts are kept to the paisa
+  const amount = Math.round(Number(data.amount) * 100) / 100;
+  if (!amount || amount <= 0) return badRequest('Valid amount is required');
+
+  const db = await getDb();
+
+  const query = ObjectId.isValid(data.purchaseId)
+    ? { _id: new ObjectId(data.purchaseId) }
+    : { grnNo: data.purchaseId };
+
+  const purchase = await db.collection(COLLECTIONS.PURCHASES).findOne(query);
+  if (!purchase) {
+    return notFound('Purchase');
+  }
+  if (purchase.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Cannot pay against a cancelled purchase');
+  }
+  if (!(purchase.dueAmount > 0)) {
+    return badRequest('Nothing is due on this invoice');
+  }
+  if (amount > purchase.dueAmount) {
+    return badRequest(`Amount exceeds the balance due of ₹${purchase.dueAmount.toFixed(2)}`);
+  }
+
+  const now = new Date();
+  const paidAmount = Math.round((purchase.paidAmount + amount) * 100) / 100;
+  const dueAmount = Math.round((purchase.dueAmount - amount) * 100) / 100;
+
+  const payment = {
+    _id: new ObjectId(),
+    amount,
+    paymentMode: data.paymentMode,
+    reference: data.reference || null,
+    remarks: data.remarks || null,
+    paidAt: now,
+    paidBy: event.user.name,
+    paidById: event.user._id,
+  };
+
+  // Guard on the due we validated against so concurrent payments conflict
+  const updated = await db.collection(COLLECTIONS.PURCHASES).findOneAndUpdate(
+    { _id: purchase._id, dueAmount: purchase.dueAmount },
+    {
+      $push: { payments: payment },
+      $set: {
+        paidAmount,
+        dueAmount,
+        paymentStatus: dueAmount <= 0 ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIAL,
+        updatedAt: now,
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    return conflict('Invoice was updated by someone else, please reload and try again');
+  }
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PURCHASE,
+    entityId: purchase._id,
+    entityRef: purchase.grnNo,
+    action: AUDIT_ACTION.UPDATE,
+    before: purchase,
+    after: updated,
+    remarks: `Paid ₹${amount.toFixed(2)} to ${purchase.supplierName} (${data.paymentMode})`,
+  });
+
+  return success(
+    { purchase: updated },
+    'Supplier payment recorded'
+  );
+}
+
+export const handler = withErrorHandler(recordSupplierPayment, { permission: 'purchases-recordSupplierPayment' });
@@ -0,0 +1,202 @@
+/**
+ * Settle Debit Note API
+ * Records credit received from a supplier against a purchase return, either
+ * as money refunded or set off against one of their unpaid invoices
+ *
+ * Endpoint: POST /.netlify/functions/purchases-settleDebitNote
+ *
+ * Request Body:
+ *   {
+ *     returnId: string (required) - Purchase return ObjectId or debit note number,
+ *     amount: number (required) - Must not exceed the open credit,
+ *     method: 'refund' | 'adjustment' (required),
+ *     purchaseId?: string - Invoice to adjust against (required for adjustment),
+ *     paymentMode?: 'cash' | 'bank_transfer' | 'cheque' | 'upi' (required for refund),
+ *     reference?: string
+ *   }
+ *
+ * An adjustment is also recorded as a payment on the invoice, so its
+ * balance due drops by the same amount.
+ *
+ * Response:
+ *   { success: true, message: string, purchaseReturn: Object, purchase?: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS, withTransaction } from './utils/db.js';
+import { success, badRequest, notFound, unprocessable } from './utils/response.js';
+import { withErrorHandler, AppError, ConflictError } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateSettleDebitNote } from '../../shared/validators/purchase.validator.js';
+import {
+  BILL_STATUS,
+  PAYMENT_STATUS,
+  SUPPLIER_CREDIT_STATUS,
+  SUPPLIER_CREDIT_SETTLEMENT,
+  AUDIT_ACTION,
+  AUDIT_ENTITY,
+} from '../../shared/constants/enums.js';
+
+const toPaise = (value) => Math.round(value * 100) / 100;
+
+async function settleDebitNote(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateSettleDebitNote(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const amount = toPaise(data.amount);
+  const db = await getDb();
+
+  const returnQuery = ObjectId.isValid(data.returnId)
+    ? { _id: new ObjectId(data.returnId) }
+    : { debitNoteNo: data.returnId };
+
+  const purchaseReturn = await db.collection(COLLECTIONS.PURCHASE_RETURNS).findOne(returnQuery);
+  if (!purchaseReturn) {
+    return notFound('Purchase return');
+  }
+  if (purchaseReturn.status === BILL_STATUS.CANCELLED) {
+    return badRequest('Debit note is cancelled');
+  }
+  if (!(purchaseReturn.creditBalance > 0)) {
+    return badRequest('Credit on this debit note is already settled');
+  }
+  if (amount > purchaseReturn.creditBalance) {
+    return badRequest(`Amount exceeds the open credit of ₹${purchaseReturn.creditBalance.toFixed(2)}`);
+  }
+
+  // Invoice to set the credit off against
+  let purchase = null;
+  if (data.method === SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT) {
+    const purchaseQuery = ObjectId.isValid(data.purchaseId)
+      ? { _id: new ObjectId(data.purchaseId) }
+      : { grnNo: data.purchaseId };
+
+    purchase = await db.collection(COLLECTIONS.PURCHASES).findOne(purchaseQuery);
+    if (!purchase) {
+      return notFound('Purchase');
+    }
+    if (String(purchase.supplierId) !== String(purchaseReturn.supplierId)) {
+      return badRequest('Invoice is from a different supplier');
+    }
+    if (purchase.status === BILL_STATUS.CANCELLED) {
+      return badRequest('Cannot adjust against a cancelled purchase');
+    }
+    if (amount > purchase.dueAmount) {
+      return badRequest(`Amount exceeds the balance due of ₹${purchase.dueAmount.toFixed(2)} on ${purchase.grnNo}`);
+    }
+  }
+
+  const now = new Date();
+  const creditReceived = toPaise(purchaseReturn.creditReceived + amount);
+  const creditBalance = toPaise(purchaseReturn.creditBalance - amount);
+
+  const settlement = {
+    _id: new ObjectId(),
+    amount,
+    method: data.method,
+    paymentMode: purchase ? null : data.paymentMode,
+    reference: data.reference || null,
+    purchaseId: purchase?._id || null,
+    grnNo: purchase?.grnNo || null,
+    settledAt: now,
+    settledBy: event.user.name,
+    settledById: event.user._id,
+  };
+
+  let updatedReturn;
+  let updatedPurchase = null;
+
+  try {
+    await withTransaction(async (session, txDb) => {
+      updatedReturn = await txDb.collection(COLLECTIONS.PURCHASE_RETURNS).findOneAndUpdate(
+        { _id: purchaseReturn._id, creditBalance: purchaseReturn.creditBalance },
+        {
+          $push: { settlements: settlement },
+          $set: {
+            creditReceived,
+            creditBalance,
+            creditStatus: creditBalance <= 0 ? SUPPLIER_CREDIT_STATUS.SETTLED : SUPPLIER_CREDIT_STATUS.PARTIAL,
+            updatedAt: now,
+          },
+        },
+        { returnDocument: 'after', session }
+      );
+      if (!updatedReturn) {
+        throw new ConflictError('Debit note was updated by someone else, please reload and try again');
+      }
+
+      if (purchase) {
+        const dueAmount = toPaise(purchase.dueAmount - amount);
+        updatedPurchase = await txDb.collection(COLLECTIONS.PURCHASES).findOneAndUpdate(
+          { _id: purchase._id, dueAmount: purchase.dueAmount },
+          {
+            $push: {
+              payments: {
+                _id: new ObjectId(),
+                amount,
+                paymentMode: SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT,
+                reference: purchaseReturn.debitNoteNo,
+                purchaseReturnId: purchaseReturn._id,
+                paidAt: now,
+                paidBy: event.user.name,
+                paidById: event.user._id,
+              },
+            },
+            $set: {
+              paidAmount: toPaise(purchase.paidAmount + amount),
+              dueAmount,
+              paymentStatus: dueAmount <= 0 ? PAYMENT_STATUS.PAID : PAYMENT_STATUS.PARTIAL,
+              updatedAt: now,
+            },
+          },
+          { returnDocument: 'after', session }
+        );
+        if (!updatedPurchase) {
+          throw new ConflictError(`Invoice ${purchase.grnNo} was updated by someone else, please reload and try again`);
+        }
+
+        await recordAudit(txDb, event, {
+          entityType: AUDIT_ENTITY.PURCHASE,
+          entityId: purchase._id,
+          entityRef: purchase.grnNo,
+          action: AUDIT_ACTION.UPDATE,
+          before: purchase,
+          after: updatedPurchase,
+          remarks: `Adjusted ₹${amount.toFixed(2)} from debit note ${purchaseReturn.debitNoteNo}`,
+          session,
+        });
+      }
+
+      await recordAudit(txDb, event, {
+        entityType: AUDIT_ENTITY.PURCHASE_RETURN,
+        entityId: purchaseReturn._id,
+        entityRef: purchaseReturn.debitNoteNo,
+        action: AUDIT_ACTION.UPDATE,
+        before: purchaseReturn,
+        after: updatedReturn,
+        remarks: purchase
+          ? `₹${amount.toFixed(2)} adjusted against ${purchase.grnNo}`
+          : `₹${amount.toFixed(2)} refunded by supplier (${data.paymentMode})`,
+        session,
+      });
+    });
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    console.error('Transaction failed:', error);
+    return unprocessable('Failed to settle debit note. Please try again.');
+  }
+
+  return success(
+    { purchaseReturn: updatedReturn, purchase: updatedPurchase },
+    purchase ? `Credit adjusted against ${purchase.grnNo}` : 'Supplier refund recorded'
+  );
+}
+
+export const handler = withErrorHandler(settleDebitNote, { permission: 'purchases-settleDebitNote' });
@@ -0,0 +1,152 @@
+/**
+ * Update Purchase Order API
+ * Edits a draft order's lines, or moves an order along:
+ * draft -> ordered -> received, with cancel allowed until received
+ *
+ * Endpoint: PUT /.netlify/functions/purchases-updatePurchaseOrder
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Purchase order ObjectId or PO number,
+ *     items?: [{ medicineId: string, quantity: number, rate?: number }] (draft only),
+ *     status?: 'ordered' | 'received' | 'cancelled',
+ *     remarks?: string
+ *   }
+ *
+ * Receiving an order only closes it; stock is entered through a goods
+ * receipt against the supplier's invoice.
+ *
+ * Response:
+ *   { success: true, message: string, purchaseOrder: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateUpdatePurchaseOrder } from '../../shared/validators/purchase.validator.js';
+import { computePurchaseOrderTotals } from '../../shared/utils/purchase.js';
+import { PURCHASE_ORDER_STATUS, AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+// Status changes allowed from each status
+const NEXT_STATUS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: [PURCHASE_ORDER_STATUS.ORDERED, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.ORDERED]: [PURCHASE_ORDER_STATUS.RECEIVED, PURCHASE_ORDER_STATUS.CANCELLED],
+  [PURCHASE_ORDER_STATUS.RECEIVED]: [],
+  [PURCHASE_ORDER_STATUS.CANCELLED]: [],
+};
+
+// When and by whom an order reached a status
+const STATUS_FIELDS = {
+  [PURCHASE_ORDER_STATUS.ORDERED]: { at: 'orderedAt', by: 'orderedBy' },
+  [PURCHASE_ORDER_STATUS.RECEIVED]: { at: 'receivedAt', by: 'receivedBy' },
+  [PURCHASE_ORDER_STATUS.CANCELLED]: { at: 'cancelledAt', by: 'cancelledBy' },
+};
+
+async function updatePurchaseOrder(event) {
+  if (event.httpMethod !== 'PUT') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateUpdatePurchaseOrder(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.PURCHASE_ORDERS);
+
+  const query = ObjectId.isValid(data.id)
+    ? { _id: new ObjectId(data.id) }
+    : { poNo: data.id };
+
+  const purchaseOrder = await collection.findOne(query);
+  if (!purchaseOrder) {
+    return notFound('Purchase order');
+  }
+
+  const now = new Date();
+  const updateFields = { updatedAt: now };
+
+  if (data.items) {
+    if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+      return badRequest('Only draft orders can be edited');
+    }
+
+    const medicineIds = data.items.map((item) => item.medicineId);
+    if (medicineIds.some((id) => !ObjectId.isValid(id))) {
+      return badRequest('Invalid medicine ID');
+    }
+    if (new Set(medicineIds).size !== medicineIds.length) {
+      return badRequest('A medicine is listed twice');
+    }
+
+    const medicines = await db.collection(COLLECTIONS.MEDICINES)
+      .find({ _id: { $in: medicineIds.map((id) => new ObjectId(id)) } })
+      .project({ medicineId: 1, name: 1, packUnit: 1 })
+      .toArray();
+    const medicineById = new Map(medicines.map((m) => [String(m._id), m]));
+    if (medicineById.size !== medicineIds.length) {
+      return notFound('Medicine');
+    }
+
+    const totals = computePurchaseOrderTotals(data.items.map((item) => {
+      const medicine = medicineById.get(item.medicineId);
+      return {
+        medicineId: medicine._id,
+        medicineCode: medicine.medicineId,
+        medicineName: medicine.name,
+        packUnit: medicine.packUnit || null,
+        quantity: item.quantity,
+        rate: item.rate ?? null,
+      };
+    }));
+
+    updateFields.items = totals.items;
+    updateFields.itemCount = totals.items.length;
+    updateFields.totalQty = totals.totalQty;
+    updateFields.estimatedTotal = totals.estimatedTotal;
+  }
+
+  if (data.status && data.status !== purchaseOrder.status) {
+    if (!NEXT_STATUS[purchaseOrder.status].includes(data.status)) {
+      return badRequest(`Cannot mark a ${purchaseOrder.status} order as ${data.status}`);
+    }
+    updateFields.status = data.status;
+    updateFields[STATUS_FIELDS[data.status].at] = now;
+    updateFields[STATUS_FIELDS[data.status].by] = event.user.name;
+  }
+
+  if (data.remarks !== undefined) {
+    updateFields.remarks = data.remarks || null;
+  }
+
+  // Guarded on the status that was read, so two people can't move it at once
+  const updated = await collection.findOneAndUpdate(
+    { _id: purchaseOrder._id, status: purchaseOrder.status },
+    { $set: updateFields },
+    { returnDocument: 'after' }
+  );
+  if (!updated) {
+    return conflict('Purchase order was updated by someone else, please reload');
+  }
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.PURCHASE_ORDER,
+    entityId: purchaseOrder._id,
+    entityRef: purchaseOrder.poNo,
+    action: AUDIT_ACTION.UPDATE,
+    before: purchaseOrder,
+    after: updated,
+    remarks: updateFields.status ? `Marked ${updateFields.status}` : null,
+  });
+
+  return success(
+    { purchaseOrder: updated },
+    updateFields.status ? `Purchase order marked ${updateFields.status}` : 'Purchase order updated'
+  );
+}
+
+export const handler = withErrorHandler(updatePurchaseOrder, { permission: 'purchases-updatePurchaseOrder' });
@@ -0,0 +1,332 @@
+/**
+ * Get GST Report API
+ * GSTR-1 summaries of outward supplies (medicine, OPD and misc bills) for a period
+ *
+ * Endpoint: GET /.netlify/functions/reports-getGstReport
+ *
+ * Query Parameters:
+ *   - dateFrom: Start date (required)
+ *   - dateTo: End date (required)
+ *
+ * Days run midnight to midnight in clinic time (IST), and the return period
+ * is the IST month of dateFrom.
+ *
+ * Credit notes are netted into the B2C and HSN summaries. Cancelled bills
+ * only count in the document summary. Bills created before GST was stored
+ * per bill are worked out from their items, the medicine's hsnCode and the
+ * batch gstRate kept on each item. Medicine quantities are in packs (UQC
+ * NOS), loose units counting as a fraction of their pack.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     report: {
+ *       period: { from, to, returnPeriod },
+ *       gstin,
+ *       b2cs: [{ supplyType, rate, taxableValue, cgst, sgst, igst, billCount }],
+ *       hsn: [{ hsnCode, uqc, rate, quantity, taxableValue, cgst, sgst, igst, totalValue }],
+ *       nilExempt: { nilRated, exempted },
+ *       documents: [{ documentType, series, from, to, total, cancelled, netIssued }],
+ *       totals: { taxableValue, cgst, sgst, igst, totalTax, invoiceValue },
+ *       warnings: string[]
+ *     },
+ *     gstr1: Object (GSTR-1 offline tool JSON)
+ *   }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { BILL_TYPE, BILL_STATUS } from '../../shared/constants/enums.js';
+import { computeGst, negateGst, roundToPaise } from '../../shared/utils/gst.js';
+import { clinicDateParts, clinicDayBounds } from '../../shared/utils/clinicTime.js';
+
+const DOCUMENT_TYPES = {
+  INVOICE: 'Invoices for outward supply',
+  CREDIT_NOTE: 'Credit Note',
+};
+
+// GSTR-1 doc_issue numbering for the document types above
+const GSTR1_DOC_NUM = {
+  [DOCUMENT_TYPES.INVOICE]: 1,
+  [DOCUMENT_TYPES.CREDIT_NOTE]: 5,
+};
+
+const SOURCES = [
+  { billType: BILL_TYPE.MEDICINE, collection: COLLECTIONS.MEDICINE_BILLS, series: 'Medicine', uqc: 'NOS' },
+  { billType: BILL_TYPE.OPD, collection: COLLECTIONS.OPD_BILLS, series: 'OPD', uqc: 'NA' },
+  { billType: BILL_TYPE.MISC, collection: COLLECTIONS.MISC_BILLS, series: 'Lab/Misc', uqc: 'NA' },
+];
+
+const breakdownKey = (row) => `${row.hsnCode || ''}|${row.gstRate}|${row.exempt}`;
+
+/**
+ * GST breakdown for a bill, recomputed from its items for older bills
+ *
+ * Stored medicine breakdowns keep their tax but take quantities from the
+ * items: bills saved before quantities were counted in packs added loose
+ * units to packs.
+ */
+function getBreakdown(bill, source, medicineHsn) {
+  const isMedicine = source.billType === BILL_TYPE.MEDICINE;
+  if (bill.gstBreakdown && !isMedicine) {
+    return bill.gstBreakdown;
+  }
+
+  const items = (bill.items || []).map((item) => ({
+    amount: Math.abs(item.amount || 0),
+    quantity: Math.abs(item.quantity || 0),
+    saleUnit: item.saleUnit,
+    packSize: item.packSize,
+    gstRate: isMedicine ? item.gstRate || 0 : 0,
+    hsnCode: item.hsnCode || (isMedicine ? medicineHsn.get(String(item.medicineId)) : null) || null,
+  }));
+
+  const gst = computeGst(items, {
+    discountAmount: Math.abs(bill.discountAmount || 0),
+    inclusive: isMedicine,
+    interState: Boolean(bill.interState),
+  });
+  const breakdown = (bill.isReturn ? negateGst(gst) : gst).breakdown;
+
+  if (!bill.gstBreakdown) {
+    return breakdown;
+  }
+  const quantities = new Map(breakdown.map((row) => [breakdownKey(row), row.quantity]));
+  return bill.gstBreakdown.map((row) => ({
+    ...row,
+    quantity: quantities.get(breakdownKey(row)) ?? row.quantity,
+  }));
+}
+
+/**
+ * Add an amount row into a keyed summary
+ */
+function accumulate(map, key, initial, row) {
+  const entry = map.get(key) || { ...initial, taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+  entry.taxableValue = roundToPaise(entry.taxableValue + row.taxableValue);
+  entry.cgst = roundToPaise(entry.cgst + row.cgst);
+  entry.sgst = roundToPaise(entry.sgst + row.sgst);
+  entry.igst = roundToPaise(entry.igst + row.igst);
+  map.set(key, entry);
+  return entry;
+}
+
+/**
+ * Shape the report as GSTR-1 offline tool JSON
+ */
+function buildGstr1(report) {
+  const stateCode = (report.gstin || '').slice(0, 2);
+
+  return {
+    gstin: report.gstin || '',
+    fp: report.period.returnPeriod,
+    b2cs: report.b2cs
+      .filter((row) => row.supplyType === 'INTRA')
+      .map((row) => ({
+        sply_ty: 'INTRA',
+        pos: stateCode,
+        typ: 'OE',
+        rt: row.rate,
+        txval: row.taxableValue,
+        camt: row.cgst,
+        samt: row.sgst,
+        csamt: 0,
+      })),
+    hsn: {
+      data: report.hsn
+        .filter((row) => row.hsnCode)
+        .map((row, index) => ({
+          num: index + 1,
+          hsn_sc: row.hsnCode,
+          uqc: row.uqc,
+          qty: row.quantity,
+          rt: row.rate,
+          txval: row.taxableValue,
+          iamt: row.igst,
+          camt: row.cgst,
+          samt: row.sgst,
+          csamt: 0,
+          val: row.totalValue,
+        })),
+    },
+    nil: {
+      inv: [{
+        sply_ty: 'INTRB2C',
+        nil_amt: report.nilExempt.nilRated,
+        expt_amt: report.nilExempt.exempted,
+        ngsup_amt: 0,
+      }],
+    },
+    doc_issue: {
+      doc_det: Object.entries(GSTR1_DOC_NUM).map(([documentType, docNum]) => ({
+        doc_num: docNum,
+        docs: report.documents
+          .filter((doc) => doc.documentType === documentType)
+          .map((doc, index) => ({
+            num: index + 1,
+            from: doc.from,
+            to: doc.to,
+            totnum: doc.total,
+            cancel: doc.cancelled,
+            net_issue: doc.netIssued,
+          })),
+      })).filter((det) => det.docs.length > 0),
+    },
+  };
+}
+
+async function getGstReport(event) {
+  const { dateFrom, dateTo } = event.query;
+
+  if (!dateFrom || !dateTo) {
+    return badRequest('dateFrom and dateTo are required');
+  }
+
+  // Whole days in clinic time, so bills just after midnight IST fall in the right month
+  const fromDay = clinicDayBounds(dateFrom);
+  const toDay = clinicDayBounds(dateTo);
+  if (!fromDay || !toDay || fromDay.start > toDay.start) {
+    return badRequest('Invalid date range');
+  }
+  const from = fromDay.start;
+  const to = toDay.end;
+  const { year: periodYear, month: periodMonth } = clinicDateParts(from);
+
+  const db = await getDb();
+  const settings = await db.collection(COLLECTIONS.CLINIC_SETTINGS)
+    .findOne({}, { projection: { gstNo: 1 } });
+
+  const b2cs = new Map();
+  const hsn = new Map();
+  const nilExempt = { nilRated: 0, exempted: 0 };
+  const documents = [];
+  const warnings = [];
+  let interStateWithoutPos = 0;
+  let missingHsn = 0;
+
+  for (const source of SOURCES) {
+    const bills = await db.collection(source.collection)
+      .find({ billDate: { $gte: from, $lte: to } })
+      .sort({ billDate: 1, _id: 1 })
+      .toArray();
+
+    // HSN codes for older medicine bills that did not store them per item
+    const medicineHsn = new Map();
+    if (source.billType === BILL_TYPE.MEDICINE) {
+      const medicineIds = bills
+        .filter((b) => !b.gstBreakdown)
+        .flatMap((b) => (b.items || []).map((item) => item.medicineId))
+        .filter(Boolean);
+      if (medicineIds.length > 0) {
+        const medicines = await db.collection(COLLECTIONS.MEDICINES)
+          .find({ _id: { $in: medicineIds } })
+          .project({ hsnCode: 1 })
+          .toArray();
+        medicines.forEach((m) => medicineHsn.set(String(m._id), m.hsnCode));
+      }
+    }
+
+    // Document series: invoices and credit notes, in issue order
+    const series = {};
+    for (const bill of bills) {
+      const documentType = bill.isReturn ? DOCUMENT_TYPES.CREDIT_NOTE : DOCUMENT_TYPES.INVOICE;
+      const doc = series[documentType] || {
+        documentType,
+        series: bill.isReturn ? `${source.series} Credit Notes` : source.series,
+        from: bill.billNo,
+        to: bill.billNo,
+        total: 0,
+        cancelled: 0,
+      };
+      doc.to = bill.billNo;
+      doc.total += 1;
+      if (bill.status === BILL_STATUS.CANCELLED) doc.cancelled += 1;
+      series[documentType] = doc;
+
+      if (bill.status === BILL_STATUS.CANCELLED) continue;
+
+      const supplyType = bill.interState ? 'INTER' : 'INTRA';
+      if (bill.interState) interStateWithoutPos += 1;
+
+      for (const row of getBreakdown(bill, source, medicineHsn)) {
+        if (row.exempt) {
+          // 0% medicines are nil-rated; services without GST are exempt
+          const field = source.billType === BILL_TYPE.MEDICINE ? 'nilRated' : 'exempted';
+          nilExempt[field] = roundToPaise(nilExempt[field] + row.taxableValue);
+        } else {
+          const b2c = accumulate(b2cs, `${supplyType}|${row.gstRate}`, {
+            supplyType,
+            rate: row.gstRate,
+            billIds: new Set(),
+          }, row);
+          b2c.billIds.add(String(bill._id));
+        }
+
+        if (!row.hsnCode) missingHsn += 1;
+        const hsnRow = accumulate(hsn, `${row.hsnCode || ''}|${row.gstRate}|${source.uqc}`, {
+          hsnCode: row.hsnCode || null,
+          uqc: source.uqc,
+          rate: row.gstRate,
+          quantity: 0,
+        }, row);
+        hsnRow.quantity = Math.round((hsnRow.quantity + (row.quantity || 0)) * 1000) / 1000;
+      }
+    }
+
+    documents.push(...Object.values(series).map((doc) => ({
+      ...doc,
+      netIssued: doc.total - doc.cancelled,
+    })));
+  }
+
+  const hsnRows = [...hsn.values()]
+    .map((row) => ({
+      ...row,
+      totalValue: roundToPaise(row.taxableValue + row.cgst + row.sgst + row.igst),
+    }))
+    .sort((a, b) => String(a.hsnCode || '').localeCompare(String(b.hsnCode || '')) || a.rate - b.rate);
+
+  const b2csRows = [...b2cs.values()]
+    .map(({ billIds, ...row }) => ({ ...row, billCount: billIds.size }))
+    .sort((a, b) => a.supplyType.localeCompare(b.supplyType) || a.rate - b.rate);
+
+  const sum = (field) => roundToPaise(hsnRows.reduce((total, row) => total + row[field], 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+  };
+  totals.totalTax = roundToPaise(totals.cgst + totals.sgst + totals.igst);
+  totals.invoiceValue = roundToPaise(totals.taxableValue + totals.totalTax);
+
+  if (!settings?.gstNo) {
+    warnings.push('Clinic GSTIN is not set in Settings');
+  }
+  if (missingHsn > 0) {
+    warnings.push(`${missingHsn} summary line(s) have no HSN/SAC code and are left out of the GSTR-1 HSN table`);
+  }
+  if (interStateWithoutPos > 0) {
+    warnings.push(`${interStateWithoutPos} inter-state bill(s) need their place of supply added to B2CS by hand`);
+  }
+
+  const report = {
+    period: {
+      from,
+      to,
+      returnPeriod: `${String(periodMonth + 1).padStart(2, '0')}${periodYear}`,
+    },
+    gstin: settings?.gstNo || null,
+    b2cs: b2csRows,
+    hsn: hsnRows,
+    nilExempt,
+    documents,
+    totals,
+    warnings,
+  };
+
+  return success({ report, gstr1: buildGstr1(report) });
+}
+
+export const handler = withErrorHandler(getGstReport, { permission: 'reports-getGstReport' });
@@ -0,0 +1,97 @@
+/**
+ * Get Schedule Register API
+ * Register of Schedule H, H1 and X drugs supplied over a period, in the
+ * order they were dispensed, for drug inspection
+ *
+ * Endpoint: GET /.netlify/functions/reports-getScheduleRegister
+ *
+ * Query Parameters:
+ *   - dateFrom: Start date (required)
+ *   - dateTo: End date (required)
+ *   - scheduleType: H | H1 | X (optional, all scheduled drugs when omitted)
+ *
+ * Entries of cancelled bills are left out. Returns appear as negative
+ * entries against their credit note.
+ *
+ * Response:
+ *   {
+ *     success: true,
+ *     register: {
+ *       period: { from, to },
+ *       scheduleType,
+ *       clinic: { name, drugLicenseNo, address },
+ *       entries: [{ serialNo, entryDate, billNo, isReturn, medicineName, manufacturer,
+ *                   batchNo, expiryDate, quantity, patientName, patientAddress,
+ *                   doctorName, doctorRegistrationNo, dispensedBy, ... }],
+ *       summary: { entries, bills, returns, bySchedule: { H, H1, X } }
+ *     }
+ *   }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { REGISTER_SCHEDULES } from '../../shared/utils/schedule.js';
+
+async function getScheduleRegister(event) {
+  const { dateFrom, dateTo, scheduleType } = event.query;
+
+  if (!dateFrom || !dateTo) {
+    return badRequest('dateFrom and dateTo are required');
+  }
+  if (scheduleType && !REGISTER_SCHEDULES.includes(scheduleType)) {
+    return badRequest(`Schedule must be one of ${REGISTER_SCHEDULES.join(', ')}`);
+  }
+
+  const from = new Date(dateFrom);
+  const to = new Date(dateTo);
+  if (isNaN(from) || isNaN(to) || from > to) {
+    return badRequest('Invalid date range');
+  }
+  to.setHours(23, 59, 59, 999);
+
+  const db = await getDb();
+
+  const filter = {
+    entryDate: { $gte: from, $lte: to },
+    cancelled: { $ne: true },
+  };
+  if (scheduleType) {
+    filter.scheduleType = scheduleType;
+  }
+
+  const [entries, settings] = await Promise.all([
+    db.collection(COLLECTIONS.SCHEDULE_REGISTER)
+      .find(filter)
+      .sort({ entryDate: 1, billNo: 1 })
+      .toArray(),
+    db.collection(COLLECTIONS.CLINIC_SETTINGS)
+      .findOne({}, { projection: { clinicName: 1, drugLicenseNo: 1, address: 1 } }),
+  ]);
+
+  const bySchedule = Object.fromEntries(REGISTER_SCHEDULES.map((type) => [type, 0]));
+  for (const entry of entries) {
+    bySchedule[entry.scheduleType] += 1;
+  }
+
+  return success({
+    register: {
+      period: { from, to },
+      scheduleType: scheduleType || null,
+      clinic: {
+        name: settings?.clinicName || null,
+        drugLicenseNo: settings?.drugLicenseNo || null,
+        address: settings?.address || null,
+      },
+      entries: entries.map((entry, index) => ({ serialNo: index + 1, ...entry })),
+      summary: {
+        entries: entries.length,
+        bills: new Set(entries.filter((e) => !e.isReturn).map((e) => e.billNo)).size,
+        returns: entries.filter((e) => e.isReturn).length,
+        bySchedule,
+      },
+    },
+  });
+}
+
+export const handler = withErrorHandler(getScheduleRegister, { permission: 'reports-getScheduleRegister' });
@@ -1,6 +1,9 @@
 import { getDb } from './utils/db.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY, GST_RATE_OPTIONS } from '../../shared/constants/enums.js';
 
-export async function handler(event) {
+async function addService(event) {
   // Only allow POST
   if (event.httpMethod !== 'POST') {
     return {
@@ -48,6 +51,14 @@ export async function handler(event) {
       };
     }
 
+    if (data.taxable && !GST_RATE_OPTIONS.includes(Number(data.gstRate))) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: 'Valid GST rate is required for a taxable service' }),
+      };
+    }
+
     // Check for duplicate name in same category
     const existing = await db.collection('service_items').findOne({
       name: { $regex: `^${data.name.trim()}$`, $options: 'i' },
@@ -69,6 +80,9 @@ export async function handler(event) {
       category: data.category,
       rate: Number(data.rate),
       description: data.description?.trim() || '',
+      taxable: Boolean(data.taxable),
+      gstRate: data.taxable ? Number(data.gstRate) : 0,
+      sacCode: data.sacCode?.trim() || null,
       isActive: true,
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -76,6 +90,14 @@ export async function handler(event) {
 
     const result = await db.collection('service_items').insertOne(serviceItem);
 
+    await recordAudit(db, event, {
+      entityType: AUDIT_ENTITY.SERVICE_ITEM,
+      entityId: result.insertedId,
+      entityRef: serviceItem.name,
+      action: AUDIT_ACTION.CREATE,
+      after: serviceItem,
+    });
+
     return {
       statusCode: 201,
       headers: { 'Content-Type': 'application/json' },
@@ -94,3 +116,5 @@ export async function handler(event) {
     };
   }
 }
+
+export const handler = withErrorHandler(addService, { permission: 'services-addService' });
@@ -1,7 +1,10 @@
 import { ObjectId } from 'mongodb';
 import { getDb } from './utils/db.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
-export async function handler(event) {
+async function deleteService(event) {
   // Only allow DELETE
   if (event.httpMethod !== 'DELETE') {
     return {
@@ -57,6 +60,15 @@ export async function handler(event) {
       }
     );
 
+    await recordAudit(db, event, {
+      entityType: AUDIT_ENTITY.SERVICE_ITEM,
+      entityId: existing._id,
+      entityRef: existing.name,
+      action: AUDIT_ACTION.DELETE,
+      before: existing,
+      after: { ...existing, isActive: false },
+    });
+
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -74,3 +86,5 @@ export async function handler(event) {
     };
   }
 }
+
+export const handler = withErrorHandler(deleteService, { permission: 'services-deleteService' });
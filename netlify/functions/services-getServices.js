@@ -1,6 +1,7 @@
 import { getDb } from './utils/db.js';
+import { withErrorHandler } from './utils/errorHandler.js';
 
-export async function handler(event) {
+async function getServices(event) {
   // Only allow GET
   if (event.httpMethod !== 'GET') {
     return {
@@ -51,3 +52,5 @@ export async function handler(event) {
     };
   }
 }
+
+export const handler = withErrorHandler(getServices, { permission: 'services-getServices' });
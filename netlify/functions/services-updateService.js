@@ -1,7 +1,10 @@
 import { ObjectId } from 'mongodb';
 import { getDb } from './utils/db.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { AUDIT_ACTION, AUDIT_ENTITY, GST_RATE_OPTIONS } from '../../shared/constants/enums.js';
 
-export async function handler(event) {
+async function updateService(event) {
   // Only allow PUT
   if (event.httpMethod !== 'PUT') {
     return {
@@ -98,6 +101,24 @@ export async function handler(event) {
       updateData.description = data.description.trim();
     }
 
+    if (data.taxable !== undefined || data.gstRate !== undefined) {
+      const taxable = data.taxable !== undefined ? Boolean(data.taxable) : Boolean(existing.taxable);
+      const gstRate = Number(data.gstRate ?? existing.gstRate);
+      if (taxable && !GST_RATE_OPTIONS.includes(gstRate)) {
+        return {
+          statusCode: 400,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ error: 'Valid GST rate is required for a taxable service' }),
+        };
+      }
+      updateData.taxable = taxable;
+      updateData.gstRate = taxable ? gstRate : 0;
+    }
+
+    if (data.sacCode !== undefined) {
+      updateData.sacCode = data.sacCode?.trim() || null;
+    }
+
     await db.collection('service_items').updateOne(
       { _id: new ObjectId(serviceId) },
       { $set: updateData }
@@ -107,6 +128,15 @@ export async function handler(event) {
       _id: new ObjectId(serviceId),
     });
 
+    await recordAudit(db, event, {
+      entityType: AUDIT_ENTITY.SERVICE_ITEM,
+      entityId: existing._id,
+      entityRef: existing.name,
+      action: AUDIT_ACTION.UPDATE,
+      before: existing,
+      after: updated,
+    });
+
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
@@ -125,3 +155,5 @@ export async function handler(event) {
     };
   }
 }
+
+export const handler = withErrorHandler(updateService, { permission: 'services-updateService' });
@@ -0,0 +1,98 @@
+/**
+ * Add Supplier API
+ *
+ * Endpoint: POST /.netlify/functions/suppliers-addSupplier
+ *
+ * Request Body:
+ *   {
+ *     name: string (required),
+ *     phone: string (required, 10 digits),
+ *     contactPerson?: string,
+ *     email?: string,
+ *     gstin?: string,
+ *     drugLicenseNo?: string,
+ *     address?: { line1, line2, city, state, pincode },
+ *     paymentTermsDays?: number (credit days, default 0),
+ *     leadTimeDays?: number | null (delivery days; null uses the clinic default),
+ *     remarks?: string
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, supplier: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { created, badRequest, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateCreateSupplier } from '../../shared/validators/supplier.validator.js';
+import { generateUniqueId } from '../../shared/utils/idGenerator.js';
+import { BILL_PREFIXES } from '../../shared/constants/billPrefixes.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function addSupplier(event) {
+  if (event.httpMethod !== 'POST') {
+    return badRequest('Method not allowed');
+  }
+
+  const validation = validateCreateSupplier(event.parsedBody || {});
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const data = validation.data;
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.SUPPLIERS);
+
+  // One supplier per GSTIN
+  if (data.gstin) {
+    const existing = await collection.findOne({ gstin: data.gstin });
+    if (existing) {
+      return conflict(`Supplier with this GSTIN already exists (${existing.name})`);
+    }
+  }
+
+  const supplierId = await generateUniqueId(
+    db,
+    COLLECTIONS.SUPPLIERS,
+    'supplierId',
+    BILL_PREFIXES.SUPPLIER
+  );
+
+  const now = new Date();
+  const supplier = {
+    _id: new ObjectId(),
+    supplierId,
+    name: data.name,
+    contactPerson: data.contactPerson || null,
+    phone: data.phone,
+    email: data.email || null,
+    gstin: data.gstin || null,
+    drugLicenseNo: data.drugLicenseNo || null,
+    address: data.address || null,
+    paymentTermsDays: data.paymentTermsDays,
+    leadTimeDays: data.leadTimeDays ?? null,
+    remarks: data.remarks || null,
+    isActive: true,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await collection.insertOne(supplier);
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.SUPPLIER,
+    entityId: supplier._id,
+    entityRef: supplier.supplierId,
+    action: AUDIT_ACTION.CREATE,
+    after: supplier,
+  });
+
+  return created(
+    { supplier },
+    'Supplier added successfully'
+  );
+}
+
+export const handler = withErrorHandler(addSupplier, { permission: 'suppliers-addSupplier' });
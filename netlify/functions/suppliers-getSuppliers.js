@@ -0,0 +1,94 @@
+/**
+ * Get Suppliers API
+ * List suppliers with the amount still owed to each, and the credit each
+ * owes us on open debit notes
+ *
+ * Endpoint: GET /.netlify/functions/suppliers-getSuppliers
+ *
+ * Query Parameters:
+ *   - search: Name, supplier ID, GSTIN or phone
+ *   - includeInactive: true to include deactivated suppliers
+ *
+ * Response:
+ *   { success: true, suppliers: [{ ...supplier, outstanding, purchaseCount, creditDue }], count: number }
+ */
+
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { BILL_STATUS } from '../../shared/constants/enums.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+async function getSuppliers(event) {
+  const { search = '', includeInactive = 'false' } = event.query;
+
+  const db = await getDb();
+  const filter = {};
+
+  if (includeInactive !== 'true') {
+    filter.isActive = true;
+  }
+
+  if (search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [
+      { name: searchRegex },
+      { supplierId: searchRegex },
+      { gstin: searchRegex },
+      { phone: searchRegex },
+    ];
+  }
+
+  const suppliers = await db.collection(COLLECTIONS.SUPPLIERS)
+    .find(filter)
+    .sort({ name: 1 })
+    .toArray();
+
+  // Unpaid balance across each supplier's purchase invoices
+  const dues = await db.collection(COLLECTIONS.PURCHASES).aggregate([
+    {
+      $match: {
+        supplierId: { $in: suppliers.map((s) => s._id) },
+        status: { $ne: BILL_STATUS.CANCELLED },
+      },
+    },
+    {
+      $group: {
+        _id: '$supplierId',
+        outstanding: { $sum: '$dueAmount' },
+        purchaseCount: { $sum: 1 },
+      },
+    },
+  ]).toArray();
+
+  // Credit still to come back on debit notes
+  const credits = await db.collection(COLLECTIONS.PURCHASE_RETURNS).aggregate([
+    {
+      $match: {
+        supplierId: { $in: suppliers.map((s) => s._id) },
+        status: { $ne: BILL_STATUS.CANCELLED },
+      },
+    },
+    { $group: { _id: '$supplierId', creditDue: { $sum: '$creditBalance' } } },
+  ]).toArray();
+
+  const duesBySupplier = new Map(dues.map((d) => [String(d._id), d]));
+  const creditsBySupplier = new Map(credits.map((c) => [String(c._id), c.creditDue]));
+
+  return success({
+    suppliers: suppliers.map((supplier) => {
+      const due = duesBySupplier.get(String(supplier._id));
+      return {
+        ...supplier,
+        outstanding: Math.round((due?.outstanding || 0) * 100) / 100,
+        purchaseCount: due?.purchaseCount || 0,
+        creditDue: Math.round((creditsBySupplier.get(String(supplier._id)) || 0) * 100) / 100,
+      };
+    }),
+    count: suppliers.length,
+  });
+}
+
+export const handler = withErrorHandler(getSuppliers, { permission: 'suppliers-getSuppliers' });
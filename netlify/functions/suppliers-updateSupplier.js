@@ -0,0 +1,88 @@
+/**
+ * Update Supplier API
+ *
+ * Endpoint: PUT /.netlify/functions/suppliers-updateSupplier
+ *
+ * Request Body:
+ *   {
+ *     id: string (required) - Supplier ObjectId or supplierId,
+ *     name?, contactPerson?, phone?, email?, gstin?, drugLicenseNo?,
+ *     address?, paymentTermsDays?, leadTimeDays?, remarks?, isActive?
+ *   }
+ *
+ * Response:
+ *   { success: true, message: string, supplier: Object }
+ */
+
+import { ObjectId } from 'mongodb';
+import { getDb, COLLECTIONS } from './utils/db.js';
+import { success, badRequest, notFound, conflict } from './utils/response.js';
+import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { validateUpdateSupplier } from '../../shared/validators/supplier.validator.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
+
+async function updateSupplier(event) {
+  if (event.httpMethod !== 'PUT') {
+    return badRequest('Method not allowed');
+  }
+
+  const { id, ...body } = event.parsedBody || {};
+  if (!id) {
+    return badRequest('Supplier ID is required');
+  }
+
+  const validation = validateUpdateSupplier(body);
+  if (!validation.success) {
+    return badRequest('Validation failed', validation.error);
+  }
+
+  const db = await getDb();
+  const collection = db.collection(COLLECTIONS.SUPPLIERS);
+
+  const query = ObjectId.isValid(id)
+    ? { _id: new ObjectId(id) }
+    : { supplierId: id };
+
+  const supplier = await collection.findOne(query);
+  if (!supplier) {
+    return notFound('Supplier');
+  }
+
+  // Only fields present in the request are changed
+  const updateFields = { updatedAt: new Date() };
+  for (const field of Object.keys(body)) {
+    if (validation.data[field] !== undefined) {
+      updateFields[field] = validation.data[field] === '' ? null : validation.data[field];
+    }
+  }
+
+  if (updateFields.gstin && updateFields.gstin !== supplier.gstin) {
+    const existing = await collection.findOne({ gstin: updateFields.gstin, _id: { $ne: supplier._id } });
+    if (existing) {
+      return conflict(`Supplier with this GSTIN already exists (${existing.name})`);
+    }
+  }
+
+  const result = await collection.findOneAndUpdate(
+    { _id: supplier._id },
+    { $set: updateFields },
+    { returnDocument: 'after' }
+  );
+
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.SUPPLIER,
+    entityId: supplier._id,
+    entityRef: supplier.supplierId,
+    action: AUDIT_ACTION.UPDATE,
+    before: supplier,
+    after: result,
+  });
+
+  return success(
+    { supplier: result },
+    'Supplier updated successfully'
+  );
+}
+
+export const handler = withErrorHandler(updateSupplier, { permission: 'suppliers-updateSupplier' });
@@ -1,11 +1,14 @@
 /**
  * Test DB Connection
  * Endpoint: GET /.netlify/functions/test-db
+ * 
+ * Public health check - callable without a token
  */
 
 import { getDb } from './utils/db.js';
+import { withErrorHandler } from './utils/errorHandler.js';
 
-export async function handler(event) {
+async function testDb() {
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
@@ -54,3 +57,5 @@ export async function handler(event) {
     };
   }
 }
+
+export const handler = withErrorHandler(testDb, { public: true });
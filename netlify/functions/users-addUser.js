@@ -8,19 +8,26 @@
  *     username: string (required),
  *     password: string (required),
  *     name: string (required),
- *     role: 'admin' | 'receptionist' | 'doctor' | 'pharmacist' (required),
+ *     role: 'admin' | 'receptionist' | 'doctor' | 'pharmacist' | 'accountant' (required),
  *     email?: string,
- *     phone?: string
+ *     phone?: string,
+ *     doctorId?: string - Doctor record of a doctor's account (ObjectId or doctorId)
  *   }
  * 
+ * A doctor's account is linked to their doctor record; it limits their
+ * prescription templates and prescribing history to their own.
+ * 
  * Response:
  *   { success: true, message: string, user: Object }
  */
 
 import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
-import { created, badRequest, conflict } from './utils/response.js';
+import { created, badRequest, notFound, conflict } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { ROLES, ROLE_OPTIONS } from '../../shared/constants/permissions.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 import crypto from 'crypto';
 
 // Simple password hashing (in production, use bcrypt)
@@ -30,8 +37,6 @@ function hashPassword(password) {
   return `${salt}:${hash}`;
 }
 
-const VALID_ROLES = ['admin', 'receptionist', 'doctor', 'pharmacist', 'accountant'];
-
 async function addUser(event) {
   if (event.httpMethod !== 'POST') {
     return badRequest('Method not allowed');
@@ -45,8 +50,8 @@ async function addUser(event) {
   if (!data.name) return badRequest('Name is required');
   if (!data.role) return badRequest('Role is required');
   
-  if (!VALID_ROLES.includes(data.role)) {
-    return badRequest(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+  if (!ROLE_OPTIONS.includes(data.role)) {
+    return badRequest(`Invalid role. Must be one of: ${ROLE_OPTIONS.join(', ')}`);
   }
 
   if (data.password.length < 6) {
@@ -65,6 +70,17 @@ async function addUser(event) {
     return conflict('Username already exists');
   }
 
+  let doctor = null;
+  if (data.role === ROLES.DOCTOR && data.doctorId) {
+    const doctorQuery = ObjectId.isValid(data.doctorId)
+      ? { _id: new ObjectId(data.doctorId) }
+      : { doctorId: data.doctorId };
+    doctor = await db.collection(COLLECTIONS.DOCTORS).findOne(doctorQuery, { projection: { _id: 1 } });
+    if (!doctor) {
+      return notFound('Doctor');
+    }
+  }
+
   // Create user document
   const now = new Date();
   const user = {
@@ -75,6 +91,7 @@ async function addUser(event) {
     role: data.role,
     email: data.email || null,
     phone: data.phone || null,
+    doctorId: doctor ? doctor._id : null,
     isActive: true,
     createdAt: now,
     updatedAt: now,
@@ -82,6 +99,14 @@ async function addUser(event) {
 
   await collection.insertOne(user);
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.USER,
+    entityId: user._id,
+    entityRef: user.username,
+    action: AUDIT_ACTION.CREATE,
+    after: user,
+  });
+
   // Return user without password
   const { password, ...userWithoutPassword } = user;
 
@@ -91,4 +116,4 @@ async function addUser(event) {
   );
 }
 
-export const handler = withErrorHandler(addUser);
+export const handler = withErrorHandler(addUser, { permission: 'users-addUser' });
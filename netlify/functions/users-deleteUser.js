@@ -14,6 +14,9 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { revokeUserSessions, REVOKE_REASON } from './utils/auth.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 
 async function deleteUser(event) {
   if (event.httpMethod !== 'DELETE') {
@@ -45,7 +48,19 @@ async function deleteUser(event) {
     { $set: { isActive: false, updatedAt: new Date() } }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.USER,
+    entityId: user._id,
+    entityRef: user.username,
+    action: AUDIT_ACTION.DELETE,
+    before: user,
+    after: { ...user, isActive: false },
+  });
+
+  // Log the user out everywhere
+  await revokeUserSessions(db, user._id, REVOKE_REASON.DEACTIVATED);
+
   return success(null, 'User deleted successfully');
 }
 
-export const handler = withErrorHandler(deleteUser);
+export const handler = withErrorHandler(deleteUser, { permission: 'users-deleteUser' });
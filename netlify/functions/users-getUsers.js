@@ -46,4 +46,4 @@ async function getUsers(event) {
   return success({ users });
 }
 
-export const handler = withErrorHandler(getUsers);
+export const handler = withErrorHandler(getUsers, { permission: 'users-getUsers' });
@@ -12,9 +12,12 @@
  *     role?: string,
  *     email?: string,
  *     phone?: string,
+ *     doctorId?: string - Doctor record of a doctor's account (ObjectId or doctorId),
  *     isActive?: boolean
  *   }
  * 
+ * Accounts that are not a doctor's are unlinked from any doctor record.
+ * 
  * Response:
  *   { success: true, message: string, user: Object }
  */
@@ -23,6 +26,10 @@ import { ObjectId } from 'mongodb';
 import { getDb, COLLECTIONS } from './utils/db.js';
 import { success, badRequest, notFound, conflict } from './utils/response.js';
 import { withErrorHandler } from './utils/errorHandler.js';
+import { recordAudit } from './utils/audit.js';
+import { revokeUserSessions, REVOKE_REASON } from './utils/auth.js';
+import { ROLES, ROLE_OPTIONS } from '../../shared/constants/permissions.js';
+import { AUDIT_ACTION, AUDIT_ENTITY } from '../../shared/constants/enums.js';
 import crypto from 'crypto';
 
 // Simple password hashing
@@ -32,8 +39,6 @@ function hashPassword(password) {
   return `${salt}:${hash}`;
 }
 
-const VALID_ROLES = ['admin', 'receptionist', 'doctor', 'pharmacist', 'accountant'];
-
 async function updateUser(event) {
   if (event.httpMethod !== 'PUT') {
     return badRequest('Method not allowed');
@@ -85,8 +90,8 @@ async function updateUser(event) {
 
   // Update role if provided
   if (data.role) {
-    if (!VALID_ROLES.includes(data.role)) {
-      return badRequest(`Invalid role. Must be one of: ${VALID_ROLES.join(', ')}`);
+    if (!ROLE_OPTIONS.includes(data.role)) {
+      return badRequest(`Invalid role. Must be one of: ${ROLE_OPTIONS.join(', ')}`);
     }
     updateFields.role = data.role;
   }
@@ -97,6 +102,24 @@ async function updateUser(event) {
   if (data.phone !== undefined) updateFields.phone = data.phone || null;
   if (data.isActive !== undefined) updateFields.isActive = data.isActive;
 
+  // Link a doctor's account to their doctor record
+  const role = updateFields.role || user.role;
+  if (role !== ROLES.DOCTOR) {
+    updateFields.doctorId = null;
+  } else if (data.doctorId !== undefined) {
+    updateFields.doctorId = null;
+    if (data.doctorId) {
+      const doctorQuery = ObjectId.isValid(data.doctorId)
+        ? { _id: new ObjectId(data.doctorId) }
+        : { doctorId: data.doctorId };
+      const doctor = await db.collection(COLLECTIONS.DOCTORS).findOne(doctorQuery, { projection: { _id: 1 } });
+      if (!doctor) {
+        return notFound('Doctor');
+      }
+      updateFields.doctorId = doctor._id;
+    }
+  }
+
   // Update user
   const result = await collection.findOneAndUpdate(
     { _id: user._id },
@@ -104,10 +127,26 @@ async function updateUser(event) {
     { returnDocument: 'after', projection: { password: 0 } }
   );
 
+  await recordAudit(db, event, {
+    entityType: AUDIT_ENTITY.USER,
+    entityId: user._id,
+    entityRef: user.username,
+    action: AUDIT_ACTION.UPDATE,
+    before: user,
+    after: { ...result, password: updateFields.password || user.password },
+  });
+
+  // End open sessions so existing tokens stop working right away
+  if (data.isActive === false) {
+    await revokeUserSessions(db, user._id, REVOKE_REASON.DEACTIVATED);
+  } else if (updateFields.password) {
+    await revokeUserSessions(db, user._id, REVOKE_REASON.PASSWORD_CHANGED);
+  }
+
   return success(
     { user: result },
     'User updated successfully'
   );
 }
 
-export const handler = withErrorHandler(updateUser);
+export const handler = withErrorHandler(updateUser, { permission: 'users-updateUser' });
@@ -0,0 +1,188 @@
+/**
+ * Audit Trail Utility for Netlify Functions
+ *
+ * Records who changed what in the `audit_logs` collection. Every mutating
+ * function calls recordAudit() after its write with the document before and
+ * after the change; the entry stores a field-level diff.
+ *
+ * Usage:
+ *   import { recordAudit } from './utils/audit.js';
+ *
+ *   await recordAudit(db, event, {
+ *     entityType: AUDIT_ENTITY.PATIENT,
+ *     entityId: patient._id,
+ *     entityRef: patient.patientId,
+ *     action: AUDIT_ACTION.UPDATE,
+ *     before: existingPatient,
+ *     after: updatedPatient,
+ *   });
+ */
+
+import { ObjectId } from 'mongodb';
+import { COLLECTIONS } from './db.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Fields never worth diffing (bookkeeping) or never stored in clear
+ */
+const IGNORED_FIELDS = ['_id', 'createdAt', 'updatedAt'];
+const REDACTED_FIELDS = ['password'];
+
+/**
+ * Long strings (e.g. base64 logos) are summarised instead of stored
+ */
+const MAX_VALUE_LENGTH = 500;
+
+// =============================================================================
+// DIFFING
+// =============================================================================
+
+/**
+ * Check for a plain object (not Date, ObjectId, array or null)
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof ObjectId);
+}
+
+/**
+ * Flatten nested objects into dot paths; arrays and scalars are leaves
+ * @private
+ */
+function flatten(doc, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(doc || {})) {
+    if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value) && Object.keys(value).length > 0) {
+      flatten(value, path, out);
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Normalise a value for storage
+ * @private
+ */
+function normalize(path, value) {
+  if (value === undefined) return null;
+  if (REDACTED_FIELDS.includes(path.split('.').pop())) return '[redacted]';
+  if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+    return `[${value.length} characters]`;
+  }
+  return value;
+}
+
+/**
+ * Compute a field-level diff between two documents
+ *
+ * @param {Object|null} before - Document before the change (null on create)
+ * @param {Object|null} after - Document after the change (null on delete)
+ * @returns {Array<{ field: string, from: any, to: any }>} Changed fields
+ *
+ * @example
+ * diffDocuments({ phone: '98' }, { phone: '99' });
+ * // [{ field: 'phone', from: '98', to: '99' }]
+ */
+export function diffDocuments(before, after) {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+  const changes = [];
+
+  for (const field of fields) {
+    // Compare raw values so a changed password still shows up, redacted
+    if (JSON.stringify(flatBefore[field] ?? null) !== JSON.stringify(flatAfter[field] ?? null)) {
+      changes.push({
+        field,
+        from: normalize(field, flatBefore[field]),
+        to: normalize(field, flatAfter[field]),
+      });
+    }
+  }
+
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+// =============================================================================
+// RECORDING
+// =============================================================================
+
+/**
+ * Write an audit log entry for a mutation
+ *
+ * Outside a transaction a failed audit write is logged and swallowed, so the
+ * caller's already-committed change is still reported as successful. Inside
+ * a transaction (session given) it throws, rolling the change back.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {Object} event - Netlify function event (provides event.user)
+ * @param {Object} entry
+ * @param {string} entry.entityType - One of AUDIT_ENTITY
+ * @param {ObjectId} entry.entityId - _id of the changed document
+ * @param {string} [entry.entityRef] - Human-readable id (billNo, patientId...)
+ * @param {string} entry.action - One of AUDIT_ACTION
+ * @param {Object|null} [entry.before] - Document before the change
+ * @param {Object|null} [entry.after] - Document after the change
+ * @param {string} [entry.remarks] - Optional note (e.g. deduction reason)
+ * @param {import('mongodb').ClientSession} [entry.session] - Transaction session
+ * @returns {Promise<void>}
+ */
+export async function recordAudit(db, event, {
+  entityType,
+  entityId,
+  entityRef = null,
+  action,
+  before = null,
+  after = null,
+  remarks = null,
+  session = null,
+}) {
+  const user = event.user || {};
+  const headers = event.headers || {};
+
+  const log = {
+    _id: new ObjectId(),
+    entityType,
+    entityId,
+    entityRef: entityRef !== null && entityRef !== undefined ? String(entityRef) : null,
+    action,
+    changes: diffDocuments(before, after),
+    remarks,
+    userId: user._id || null,
+    userName: user.name || null,
+    userRole: user.role || null,
+    ipAddress: headers['x-nf-client-connection-ip'] || headers['x-forwarded-for'] || null,
+    createdAt: new Date(),
+  };
+
+  try {
+    await db.collection(COLLECTIONS.AUDIT_LOGS).insertOne(log, session ? { session } : {});
+  } catch (error) {
+    if (session) throw error;
+    console.error('Failed to write audit log:', {
+      entityType,
+      entityId: String(entityId),
+      action,
+      message: error.message,
+    });
+  }
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  diffDocuments,
+  recordAudit,
+};
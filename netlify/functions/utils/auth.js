@@ -0,0 +1,417 @@
+/**
+ * Authentication Utility for Netlify Functions
+ *
+ * Issues and verifies signed session tokens (JWT, HS256) and keeps a
+ * server-side session record so tokens can be revoked before they expire.
+ *
+ * Token types:
+ * - access:  Sent as `Authorization: Bearer <token>`, valid for 24 hours
+ * - refresh: Exchanged at auth-refresh for a new token pair, valid for 30 days
+ *
+ * Both tokens carry the session id (`sid`). A token is only accepted while
+ * its session exists, is not revoked and the user is still active, so logout
+ * and user deactivation take effect immediately.
+ *
+ * Usage:
+ *   import { createSession, resolveSession, getBearerToken } from './utils/auth.js';
+ *
+ *   const { user, session } = await resolveSession(db, getBearerToken(event));
+ */
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { COLLECTIONS } from './db.js';
+import { UnauthorizedError } from './errorHandler.js';
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+/**
+ * Secret used to sign tokens (HMAC-SHA256)
+ * Must be a long random string, e.g. `openssl rand -hex 32`
+ */
+const AUTH_SECRET = process.env.AUTH_SECRET;
+
+/**
+ * Access token lifetime (24 hours)
+ */
+export const ACCESS_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Refresh token lifetime (30 days)
+ */
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Token type claims
+ */
+export const TOKEN_TYPE = {
+  ACCESS: 'access',
+  REFRESH: 'refresh',
+};
+
+/**
+ * Reasons recorded when a session is revoked
+ */
+export const REVOKE_REASON = {
+  LOGOUT: 'logout',
+  DEACTIVATED: 'deactivated',
+  PASSWORD_CHANGED: 'password-changed',
+  REFRESH_REUSED: 'refresh-reused',
+};
+
+// =============================================================================
+// TOKEN SIGNING
+// =============================================================================
+
+/**
+ * Get the signing secret, failing loudly when it is not configured
+ *
+ * @returns {string} Signing secret
+ * @throws {Error} If AUTH_SECRET is not configured
+ * @private
+ */
+function getSecret() {
+  if (!AUTH_SECRET) {
+    throw new Error(
+      'AUTH_SECRET environment variable is not defined. ' +
+      'Please set it in your Netlify environment variables.'
+    );
+  }
+  return AUTH_SECRET;
+}
+
+/**
+ * Base64url-encode a JSON value
+ * @private
+ */
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Compute the HMAC signature for `header.payload`
+ * @private
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Hash a value for storage (refresh token ids are never stored in clear)
+ * @private
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Create a signed token
+ *
+ * @param {Object} claims - Custom claims (sub, sid, typ, ...)
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {string} Signed JWT
+ *
+ * @example
+ * const token = signToken({ sub: userId, sid, typ: 'access' }, ACCESS_TOKEN_TTL_MS);
+ */
+export function signToken(claims, ttlMs) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = encodeSegment({ alg: 'HS256', typ: 'JWT' });
+  const payload = encodeSegment({
+    ...claims,
+    iat: now,
+    exp: now + Math.floor(ttlMs / 1000),
+  });
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token's signature, expiry and type
+ *
+ * @param {string} token - Signed JWT
+ * @param {string} expectedType - One of TOKEN_TYPE
+ * @returns {Object|null} Claims if valid, null otherwise
+ */
+export function verifyToken(token, expectedType) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+
+    if (claims.typ !== expectedType) {
+      return null;
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      return null;
+    }
+
+    if (!claims.sub || !claims.sid) {
+      return null;
+    }
+
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Extract the bearer token from request headers
+ *
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} Token or null if missing
+ */
+export function getBearerToken(event) {
+  const headers = event.headers || {};
+  const authHeader = headers.authorization || headers.Authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  return authHeader.substring(7);
+}
+
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+/**
+ * Issue an access/refresh token pair for a session
+ *
+ * @param {string} userId - User id
+ * @param {string} sessionId - Session id
+ * @returns {{ token: string, refreshToken: string, refreshJti: string, expiresAt: Date }}
+ * @private
+ */
+function issueTokens(userId, sessionId) {
+  const refreshJti = crypto.randomBytes(16).toString('hex');
+
+  return {
+    token: signToken(
+      { sub: userId, sid: sessionId, typ: TOKEN_TYPE.ACCESS },
+      ACCESS_TOKEN_TTL_MS
+    ),
+    refreshToken: signToken(
+      { sub: userId, sid: sessionId, typ: TOKEN_TYPE.REFRESH, jti: refreshJti },
+      REFRESH_TOKEN_TTL_MS
+    ),
+    refreshJti,
+    expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL_MS),
+  };
+}
+
+/**
+ * Start a new session for a user and issue its tokens
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {Object} user - User document
+ * @param {Object} [event] - Netlify function event (for client metadata)
+ * @returns {Promise<{ token: string, refreshToken: string, expiresAt: Date }>}
+ *
+ * @example
+ * const { token, refreshToken } = await createSession(db, user, event);
+ */
+export async function createSession(db, user, event = {}) {
+  const sessionId = new ObjectId();
+  const userId = user._id.toString();
+  const { token, refreshToken, refreshJti, expiresAt } = issueTokens(userId, sessionId.toString());
+  const headers = event.headers || {};
+  const now = new Date();
+
+  await db.collection(COLLECTIONS.SESSIONS).insertOne({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hash(refreshJti),
+    userAgent: headers['user-agent'] || null,
+    ipAddress: headers['x-nf-client-connection-ip'] || headers['x-forwarded-for'] || null,
+    createdAt: now,
+    lastUsedAt: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null,
+    revokedReason: null,
+  });
+
+  return { token, refreshToken, expiresAt };
+}
+
+/**
+ * Load the active session and user referenced by verified claims
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {Object} claims - Verified token claims
+ * @returns {Promise<{ user: Object, session: Object }>}
+ * @throws {UnauthorizedError} If the session is revoked or the user inactive
+ * @private
+ */
+async function loadSession(db, claims) {
+  if (!ObjectId.isValid(claims.sid) || !ObjectId.isValid(claims.sub)) {
+    throw new UnauthorizedError('Invalid or expired token');
+  }
+
+  const session = await db.collection(COLLECTIONS.SESSIONS).findOne({
+    _id: new ObjectId(claims.sid),
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw new UnauthorizedError('Session has ended. Please login again.');
+  }
+
+  if (session.userId.toString() !== claims.sub) {
+    throw new UnauthorizedError('Invalid or expired token');
+  }
+
+  const user = await db.collection(COLLECTIONS.USERS).findOne(
+    { _id: session.userId },
+    { projection: { password: 0 } }
+  );
+
+  if (!user) {
+    throw new UnauthorizedError('User not found');
+  }
+
+  if (!user.isActive) {
+    throw new UnauthorizedError('Your account has been deactivated');
+  }
+
+  return { user, session };
+}
+
+/**
+ * Resolve the user behind an access token
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} token - Access token
+ * @returns {Promise<{ user: Object, session: Object }>} User (without password) and session
+ * @throws {UnauthorizedError} If the token is missing, invalid, expired or revoked
+ *
+ * @example
+ * const { user } = await resolveSession(db, getBearerToken(event));
+ */
+export async function resolveSession(db, token) {
+  if (!token) {
+    throw new UnauthorizedError('No token provided');
+  }
+
+  const claims = verifyToken(token, TOKEN_TYPE.ACCESS);
+  if (!claims) {
+    throw new UnauthorizedError('Invalid or expired token');
+  }
+
+  return loadSession(db, claims);
+}
+
+/**
+ * Exchange a refresh token for a new token pair (rotation)
+ *
+ * The previous refresh token stops working. Presenting an already-rotated
+ * refresh token revokes the whole session, since it means the token leaked.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<{ user: Object, token: string, refreshToken: string, expiresAt: Date }>}
+ * @throws {UnauthorizedError} If the refresh token is invalid or revoked
+ */
+export async function rotateSession(db, refreshToken) {
+  const claims = verifyToken(refreshToken, TOKEN_TYPE.REFRESH);
+  if (!claims || !claims.jti) {
+    throw new UnauthorizedError('Invalid or expired refresh token');
+  }
+
+  const { user, session } = await loadSession(db, claims);
+
+  if (session.refreshTokenHash !== hash(claims.jti)) {
+    await revokeSession(db, session._id, REVOKE_REASON.REFRESH_REUSED);
+    throw new UnauthorizedError('Session has ended. Please login again.');
+  }
+
+  const tokens = issueTokens(claims.sub, claims.sid);
+
+  // Guard on the old hash so two concurrent refreshes cannot both succeed
+  const result = await db.collection(COLLECTIONS.SESSIONS).updateOne(
+    { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    { $set: { refreshTokenHash: hash(tokens.refreshJti), lastUsedAt: new Date() } }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new UnauthorizedError('Session has ended. Please login again.');
+  }
+
+  return {
+    user,
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresAt: tokens.expiresAt,
+  };
+}
+
+/**
+ * Revoke a single session
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {ObjectId|string} sessionId - Session id
+ * @param {string} reason - One of REVOKE_REASON
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(db, sessionId, reason) {
+  await db.collection(COLLECTIONS.SESSIONS).updateOne(
+    { _id: new ObjectId(sessionId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+}
+
+/**
+ * Revoke every open session of a user
+ * Use when a user is deactivated or their password changes.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {ObjectId} userId - User id
+ * @param {string} reason - One of REVOKE_REASON
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+export async function revokeUserSessions(db, userId, reason) {
+  const result = await db.collection(COLLECTIONS.SESSIONS).updateMany(
+    { userId: new ObjectId(userId), revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  ACCESS_TOKEN_TTL_MS,
+  REFRESH_TOKEN_TTL_MS,
+  TOKEN_TYPE,
+  REVOKE_REASON,
+  signToken,
+  verifyToken,
+  getBearerToken,
+  createSession,
+  resolveSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+};
@@ -0,0 +1,66 @@
+/**
+ * Billing Utility for Netlify Functions
+ *
+ * Maps the three bill types (OPD, misc, medicine) to their collections and
+ * audit entity so endpoints working across bill types share one lookup.
+ *
+ * Usage:
+ *   import { getBillConfig } from './utils/billing.js';
+ *
+ *   const config = getBillConfig(BILL_TYPE.OPD);
+ *   const bill = await db.collection(config.collection).findOne({ billNo });
+ */
+
+import { ObjectId } from 'mongodb';
+import { COLLECTIONS } from './db.js';
+import { BILL_TYPE, AUDIT_ENTITY } from '../../../shared/constants/enums.js';
+
+/**
+ * Collection and audit entity per bill type
+ */
+export const BILL_CONFIG = {
+  [BILL_TYPE.OPD]: {
+    collection: COLLECTIONS.OPD_BILLS,
+    auditEntity: AUDIT_ENTITY.OPD_BILL,
+  },
+  [BILL_TYPE.MISC]: {
+    collection: COLLECTIONS.MISC_BILLS,
+    auditEntity: AUDIT_ENTITY.MISC_BILL,
+  },
+  [BILL_TYPE.MEDICINE]: {
+    collection: COLLECTIONS.MEDICINE_BILLS,
+    auditEntity: AUDIT_ENTITY.MEDICINE_BILL,
+  },
+};
+
+/**
+ * Get the configuration for a bill type
+ *
+ * @param {string} billType - One of BILL_TYPE
+ * @returns {{ collection: string, auditEntity: string }|null} Null for unknown types
+ */
+export function getBillConfig(billType) {
+  return BILL_CONFIG[billType] || null;
+}
+
+/**
+ * Build a query matching a bill by ObjectId or billNo
+ *
+ * @param {string} billId - Bill ObjectId or billNo
+ * @returns {Object} MongoDB filter
+ */
+export function billQuery(billId) {
+  return ObjectId.isValid(billId)
+    ? { _id: new ObjectId(billId) }
+    : { billNo: billId };
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  BILL_CONFIG,
+  getBillConfig,
+  billQuery,
+};
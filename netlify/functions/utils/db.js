@@ -452,6 +452,20 @@ export const COLLECTIONS = {
   CLINIC_SETTINGS: 'clinic_settings',
   SERVICE_ITEMS: 'service_items',
   USERS: 'users',
+  SESSIONS: 'sessions',
+  AUDIT_LOGS: 'audit_logs',
+  PAYMENTS: 'payments',
+  COUNTERS: 'counters',
+  STOCK_MOVEMENTS: 'stock_movements',
+  SUPPLIERS: 'suppliers',
+  PURCHASES: 'purchases',
+  PURCHASE_RETURNS: 'purchase_returns',
+  STOCK_TAKES: 'stock_takes',
+  PURCHASE_ORDERS: 'purchase_orders',
+  SCHEDULE_REGISTER: 'schedule_register',
+  DRUG_INTERACTIONS: 'drug_interactions',
+  PRESCRIPTION_TEMPLATES: 'prescription_templates',
+  PRESCRIPTION_VERSIONS: 'prescription_versions',
 };
 
 // =============================================================================
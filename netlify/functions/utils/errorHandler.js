@@ -2,19 +2,30 @@
  * Centralized Error Handler for Netlify Functions
  * 
  * Provides consistent error handling and logging across all API endpoints.
- * Wraps handler functions to catch and format errors automatically.
+ * Wraps handler functions to catch and format errors automatically, and
+ * authenticates the caller before the handler runs.
  * 
  * Usage:
  *   import { withErrorHandler } from './utils/errorHandler.js';
  *   
  *   async function handler(event) {
  *     // Your logic here - errors are caught automatically
+ *     // event.user is the authenticated user
  *   }
  *   
  *   export const handler = withErrorHandler(mainHandler);
+ *   
+ *   // Restrict to the roles listed in shared/constants/permissions.js
+ *   export const handler = withErrorHandler(addUser, { permission: 'users-addUser' });
+ *   
+ *   // Endpoints callable without a token must opt out explicitly
+ *   export const handler = withErrorHandler(login, { public: true });
  */
 
 import { serverError, badRequest, handleCors } from './response.js';
+import { getDb } from './db.js';
+import { resolveSession, getBearerToken } from './auth.js';
+import { FUNCTION_PERMISSIONS, hasPermission } from '../../../shared/constants/permissions.js';
 
 // =============================================================================
 // CUSTOM ERROR CLASSES
@@ -134,10 +145,15 @@ export class InsufficientStockError extends AppError {
  * Features:
  * - Catches all errors and returns appropriate responses
  * - Handles CORS preflight requests automatically
+ * - Rejects unauthenticated calls (401) and sets event.user / event.session
+ * - Rejects roles without the required permission (403)
  * - Logs errors for debugging
  * - Parses JSON body automatically
  * 
  * @param {Function} handler - Async handler function
+ * @param {Object} [options]
+ * @param {boolean} [options.public=false] - Skip authentication (login, token refresh)
+ * @param {string} [options.permission] - Function name in FUNCTION_PERMISSIONS
  * @returns {Function} Wrapped handler function
  * 
  * @example
@@ -149,7 +165,15 @@ export class InsufficientStockError extends AppError {
  * 
  * export const handler = withErrorHandler(mainHandler);
  */
-export function withErrorHandler(handler) {
+export function withErrorHandler(handler, options = {}) {
+  const isPublic = options.public === true;
+  const { permission } = options;
+
+  // Fail at load time on a typo rather than silently denying every call
+  if (permission && !FUNCTION_PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
   return async (event, context) => {
     // Handle CORS preflight
     if (event.httpMethod === 'OPTIONS') {
@@ -157,6 +181,11 @@ export function withErrorHandler(handler) {
     }
 
     try {
+      // Authenticate the caller unless the endpoint is whitelisted
+      if (!isPublic) {
+        await authenticate(event, permission);
+      }
+
       // Parse JSON body if present
       if (event.body && typeof event.body === 'string') {
         try {
@@ -178,6 +207,25 @@ export function withErrorHandler(handler) {
   };
 }
 
+/**
+ * Resolve the user behind the bearer token and attach it to the event
+ * 
+ * @param {Object} event - Netlify function event
+ * @param {string} [permission] - Function name the user's role must be allowed to call
+ * @throws {UnauthorizedError} If the token is missing, invalid or revoked
+ * @throws {ForbiddenError} If the user's role lacks the permission
+ */
+async function authenticate(event, permission) {
+  const db = await getDb();
+  const { user, session } = await resolveSession(db, getBearerToken(event));
+  event.user = user;
+  event.session = session;
+
+  if (permission && !hasPermission(user.role, permission)) {
+    throw new ForbiddenError('You do not have permission to perform this action');
+  }
+}
+
 /**
  * Convert error to appropriate HTTP response
  * 
@@ -54,3 +54,61 @@ export {
   assertExists,
   assertNoDuplicate,
 } from './errorHandler.js';
+
+// Authentication
+export {
+  signToken,
+  verifyToken,
+  getBearerToken,
+  createSession,
+  resolveSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+} from './auth.js';
+
+// Audit trail
+export {
+  diffDocuments,
+  recordAudit,
+} from './audit.js';
+
+// Stock ledger
+export {
+  recordStockMovement,
+  adjustBatchStock,
+  nextBatchStatus,
+} from './stockLedger.js';
+
+// Billing
+export {
+  BILL_CONFIG,
+  getBillConfig,
+  billQuery,
+} from './billing.js';
+
+// Document numbering
+export {
+  DOCUMENT_SERIES,
+  generateDocumentNumber,
+} from './numbering.js';
+
+// Generic substitution
+export {
+  SUBSTITUTE_FIELDS,
+  medicineStock,
+  findSubstitutes,
+} from './substitutes.js';
+
+// Drug interactions
+export {
+  reviewInteractions,
+} from './interactions.js';
+
+// Prescriptions
+export {
+  PRESCRIPTION_VERSIONED_FIELDS,
+  prescriptionContent,
+  resolvePrescriptionMedicines,
+  resolveOwnDoctor,
+} from './prescriptions.js';
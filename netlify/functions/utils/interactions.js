@@ -0,0 +1,73 @@
+/**
+ * Interactions Utility for Netlify Functions
+ *
+ * Checks medicines being prescribed or dispensed against the clinic's drug
+ * interaction table and the patient's allergies. Blocking warnings are only
+ * accepted with an override reason, which is kept with the warnings on the
+ * prescription or bill along with who overrode them.
+ *
+ * Usage:
+ *   import { reviewInteractions } from './utils/interactions.js';
+ *
+ *   const review = await reviewInteractions(db, event, {
+ *     medicines: [{ name, genericName, composition }],
+ *     allergies: patient?.allergies,
+ *     overrideReason: data.interactionOverrideReason,
+ *   });
+ *   if (review.error) return review.error;
+ *   // store review.warnings and review.override
+ */
+
+import { COLLECTIONS } from './db.js';
+import { unprocessable } from './response.js';
+import { checkInteractions, blockingWarnings } from '../../../shared/utils/interactions.js';
+
+/**
+ * Check medicines for interactions and allergies
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Object} event - Netlify function event (provides event.user)
+ * @param {Object} options
+ * @param {Array<{ name, genericName?, composition? }>} options.medicines
+ * @param {string[]} [options.allergies] - Patient's recorded allergies
+ * @param {string} [options.overrideReason] - Why blocking warnings are accepted
+ * @returns {Promise<{ warnings: Array, override: Object|null, error: Object|null }>}
+ *   error is a 422 response listing the warnings when a blocking warning has
+ *   no override reason
+ */
+export async function reviewInteractions(db, event, { medicines, allergies = [], overrideReason }) {
+  const rules = await db.collection(COLLECTIONS.DRUG_INTERACTIONS)
+    .find({ isActive: true })
+    .toArray();
+
+  const warnings = checkInteractions({ medicines, allergies: allergies || [], rules });
+  const blocking = blockingWarnings(warnings);
+  const reason = typeof overrideReason === 'string' ? overrideReason.trim() : '';
+
+  if (blocking.length > 0 && !reason) {
+    return {
+      warnings,
+      override: null,
+      error: unprocessable(
+        `${blocking.map((w) => w.description).join('; ')}. An override reason is required`,
+        { interactions: warnings }
+      ),
+    };
+  }
+
+  return {
+    warnings,
+    override: blocking.length > 0
+      ? { reason, by: event.user?.name || null, userId: event.user?._id || null, at: new Date() }
+      : null,
+    error: null,
+  };
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  reviewInteractions,
+};
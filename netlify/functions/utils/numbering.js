@@ -0,0 +1,103 @@
+/**
+ * Document Numbering Utility for Netlify Functions
+ *
+ * Generates appointment, prescription, bill and receipt numbers using the
+ * format configured in clinic settings (`numbering`), e.g. OPD/25-26/0001.
+ * The legacy flat format ({PREFIX}{SEQ}, e.g. OPDN5641) keeps using the
+ * original per-prefix counter, so existing series continue unchanged.
+ *
+ * Usage:
+ *   import { generateDocumentNumber } from './utils/numbering.js';
+ *
+ *   const billNo = await generateDocumentNumber(db, DOCUMENT_TYPE.OPD_BILL);
+ */
+
+import { COLLECTIONS } from './db.js';
+import { DOCUMENT_TYPE } from '../../../shared/constants/billPrefixes.js';
+import {
+  getCounterKey,
+  getNextSequence,
+  generateId,
+  incrementCounter,
+  findMaxMatchingSequence,
+} from '../../../shared/utils/idGenerator.js';
+import {
+  getFinancialYear,
+  formatDocumentNumber,
+  buildSequencePattern,
+  isLegacyNumbering,
+  resolveNumbering,
+} from '../../../shared/utils/documentNumber.js';
+
+/**
+ * Collection and ID field per document type
+ */
+export const DOCUMENT_SERIES = {
+  [DOCUMENT_TYPE.APPOINTMENT]: { collection: COLLECTIONS.APPOINTMENTS, field: 'appointmentId' },
+  [DOCUMENT_TYPE.PRESCRIPTION]: { collection: COLLECTIONS.OPD_PRESCRIPTIONS, field: 'prescriptionId' },
+  [DOCUMENT_TYPE.OPD_BILL]: { collection: COLLECTIONS.OPD_BILLS, field: 'billNo' },
+  [DOCUMENT_TYPE.MISC_BILL]: { collection: COLLECTIONS.MISC_BILLS, field: 'billNo' },
+  [DOCUMENT_TYPE.MEDICINE_BILL]: { collection: COLLECTIONS.MEDICINE_BILLS, field: 'billNo' },
+  [DOCUMENT_TYPE.CREDIT_NOTE]: { collection: COLLECTIONS.MEDICINE_BILLS, field: 'billNo' },
+  [DOCUMENT_TYPE.PAYMENT_RECEIPT]: { collection: COLLECTIONS.PAYMENTS, field: 'receiptNo' },
+  [DOCUMENT_TYPE.GOODS_RECEIPT]: { collection: COLLECTIONS.PURCHASES, field: 'grnNo' },
+  [DOCUMENT_TYPE.DEBIT_NOTE]: { collection: COLLECTIONS.PURCHASE_RETURNS, field: 'debitNoteNo' },
+  [DOCUMENT_TYPE.PURCHASE_ORDER]: { collection: COLLECTIONS.PURCHASE_ORDERS, field: 'poNo' },
+};
+
+/**
+ * Generate the next number for a document type
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} documentType - One of DOCUMENT_TYPE
+ * @param {Date} [date] - Document date, defaults to now
+ * @returns {Promise<string>} Document number
+ */
+export async function generateDocumentNumber(db, documentType, date = new Date()) {
+  const series = DOCUMENT_SERIES[documentType];
+  if (!series) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+
+  const settings = await db
+    .collection(COLLECTIONS.CLINIC_SETTINGS)
+    .findOne({}, { projection: { numbering: 1 } });
+  const config = resolveNumbering(settings?.numbering, documentType);
+  const { collection, field } = series;
+
+  if (isLegacyNumbering(config)) {
+    const sequence = await getNextSequence(db, collection, field, config.prefix);
+    return generateId(config.prefix, sequence);
+  }
+
+  // Each format (and financial year, when resetting) gets its own counter
+  const financialYear = config.resetYearly ? getFinancialYear(date).label : null;
+  let key = `${getCounterKey(collection, field, config.prefix)}|${config.format}`;
+  if (financialYear) {
+    key += `|FY${financialYear}`;
+  }
+
+  const pattern = buildSequencePattern(config.format, {
+    prefix: config.prefix,
+    financialYear,
+  });
+
+  const sequence = await incrementCounter(
+    db,
+    key,
+    () => findMaxMatchingSequence(db, collection, field, pattern),
+    {
+      collectionName: collection,
+      idField: field,
+      prefix: config.prefix,
+      format: config.format,
+      ...(financialYear && { financialYear }),
+    }
+  );
+
+  return formatDocumentNumber(config.format, {
+    prefix: config.prefix,
+    sequence,
+    date,
+  });
+}
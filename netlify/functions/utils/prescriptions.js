@@ -0,0 +1,138 @@
+/**
+ * Prescriptions Utility for Netlify Functions
+ *
+ * Shared by generating and revising a prescription: resolves medicine lines
+ * against the pharmacy catalog, and lists the fields a revision may change
+ * (patient, doctor, number and date stay with the original). Also resolves
+ * the doctor whose templates and prescribing history a user may see.
+ *
+ * Usage:
+ *   import { resolvePrescriptionMedicines } from './utils/prescriptions.js';
+ *
+ *   const resolved = await resolvePrescriptionMedicines(db, data.medicines);
+ *   if (resolved.error) return resolved.error;
+ *   // resolved.medicines to store, resolved.checks for reviewInteractions
+ */
+
+import { ObjectId } from 'mongodb';
+import { COLLECTIONS } from './db.js';
+import { badRequest, forbidden, notFound } from './response.js';
+import { ROLES } from '../../../shared/constants/permissions.js';
+
+/**
+ * Clinical fields kept per version of a prescription
+ */
+export const PRESCRIPTION_VERSIONED_FIELDS = [
+  'diagnosis',
+  'complaints',
+  'examination',
+  'vitals',
+  'medicines',
+  'investigations',
+  'advice',
+  'followUpDate',
+];
+
+/**
+ * The versioned fields of a prescription
+ * @param {Object} prescription
+ * @returns {Object}
+ */
+export function prescriptionContent(prescription) {
+  return Object.fromEntries(
+    PRESCRIPTION_VERSIONED_FIELDS.map((field) => [field, prescription[field] ?? null])
+  );
+}
+
+/**
+ * Format medicine lines, linking those with a medicineId to the catalog
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Array<{ medicineId?, name, dosage, frequency, duration, timing, instructions }>} [lines]
+ * @returns {Promise<{ medicines: Array, checks: Array<{ name, genericName?, composition? }>,
+ *   error: Object|null }>} checks are the lines as reviewInteractions takes
+ *   them; error is a 400/404 response for an invalid or unknown medicineId
+ */
+export async function resolvePrescriptionMedicines(db, lines) {
+  const rows = lines || [];
+  const catalogIds = rows
+    .filter((med) => med.medicineId)
+    .map((med) => med.medicineId);
+  if (catalogIds.some((id) => !ObjectId.isValid(id))) {
+    return { medicines: [], checks: [], error: badRequest('Invalid medicine ID') };
+  }
+
+  const catalog = await db.collection(COLLECTIONS.MEDICINES)
+    .find({ _id: { $in: catalogIds.map((id) => new ObjectId(id)) } })
+    .project({ name: 1, genericName: 1, composition: 1, strength: 1 })
+    .toArray();
+  const catalogById = new Map(catalog.map((m) => [String(m._id), m]));
+  const unknown = catalogIds.find((id) => !catalogById.has(String(id)));
+  if (unknown) {
+    return { medicines: [], checks: [], error: notFound(`Medicine (${unknown})`) };
+  }
+
+  const medicines = [];
+  const checks = [];
+  for (const med of rows) {
+    const catalogMedicine = med.medicineId ? catalogById.get(String(med.medicineId)) : null;
+    medicines.push({
+      medicineId: catalogMedicine ? catalogMedicine._id : null,
+      name: med.name || catalogMedicine?.name || '',
+      genericName: catalogMedicine?.genericName || null,
+      dosage: med.dosage || '',
+      frequency: med.frequency || '',
+      duration: med.duration || '',
+      timing: med.timing || '',
+      instructions: med.instructions || null,
+    });
+    checks.push({
+      name: med.name || catalogMedicine?.name,
+      genericName: catalogMedicine?.genericName,
+      composition: catalogMedicine?.composition,
+    });
+  }
+
+  return { medicines, checks, error: null };
+}
+
+/**
+ * Resolve a doctor the signed-in user may act for
+ *
+ * Admins may act for any doctor; other users only for the doctor record
+ * their account is linked to (user.doctorId).
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Object} event - Netlify function event, with the signed-in user
+ * @param {string|ObjectId} doctorId - Doctor ObjectId or doctorId
+ * @returns {Promise<{ doctor: Object|null, error: Object|null }>} error is a
+ *   404 for an unknown doctor, or a 403 for another doctor's
+ */
+export async function resolveOwnDoctor(db, event, doctorId) {
+  const doctorQuery = ObjectId.isValid(doctorId)
+    ? { _id: new ObjectId(doctorId) }
+    : { doctorId: doctorId };
+
+  const doctor = await db.collection(COLLECTIONS.DOCTORS).findOne(doctorQuery);
+  if (!doctor) {
+    return { doctor: null, error: notFound('Doctor') };
+  }
+
+  const user = event.user || {};
+  if (user.role !== ROLES.ADMIN && String(user.doctorId || '') !== String(doctor._id)) {
+    return { doctor: null, error: forbidden(`Only ${doctor.name} or an admin can do this`) };
+  }
+
+  return { doctor, error: null };
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  PRESCRIPTION_VERSIONED_FIELDS,
+  prescriptionContent,
+  resolvePrescriptionMedicines,
+  resolveOwnDoctor,
+};
@@ -0,0 +1,188 @@
+/**
+ * Stock Ledger Utility for Netlify Functions
+ *
+ * Records every change to a stock batch's currentQty in the `stock_movements`
+ * collection with the balance before and after, the document that caused it
+ * and the user. Summing a batch's movements gives its current quantity.
+ * Changes to loose units (looseQty, from opened packs) are recorded on the
+ * same movement as looseQuantity.
+ *
+ * Callers write the movement in the same transaction as the quantity change,
+ * so a failed ledger write rolls the change back. `adjustBatchStock` does
+ * both for manual corrections of an existing batch.
+ *
+ * Usage:
+ *   import { recordStockMovement } from './utils/stockLedger.js';
+ *
+ *   await recordStockMovement(txDb, event, {
+ *     batch,
+ *     type: STOCK_MOVEMENT_TYPE.SALE,
+ *     quantity: -5,
+ *     balanceBefore: batch.currentQty,
+ *     reference: { type: 'medicine_bill', id: bill._id, number: bill.billNo },
+ *     session,
+ *   });
+ */
+
+import { ObjectId } from 'mongodb';
+import { COLLECTIONS } from './db.js';
+import { ValidationError } from './errorHandler.js';
+import { isExpiredBatch } from '../../../shared/utils/fefo.js';
+import { STOCK_STATUS } from '../../../shared/constants/enums.js';
+
+/**
+ * Write a stock movement for a batch
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {Object} event - Netlify function event (provides event.user)
+ * @param {Object} movement
+ * @param {Object} movement.batch - Stock batch (needs _id, medicineId, batchNo)
+ * @param {string} movement.type - One of STOCK_MOVEMENT_TYPE
+ * @param {number} movement.quantity - Signed change: positive in, negative out
+ * @param {number} movement.balanceBefore - Batch currentQty before the change
+ * @param {number} [movement.looseQuantity] - Signed change to loose units
+ * @param {number} [movement.looseBefore] - Batch looseQty before the change
+ * @param {{ type: string, id?: ObjectId, number?: string }} [movement.reference] - Source document
+ * @param {string} [movement.remarks] - Optional note
+ * @param {Date} [movement.date] - Defaults to now
+ * @param {import('mongodb').ClientSession} [movement.session] - Transaction session
+ * @returns {Promise<Object>} The stored movement
+ */
+export async function recordStockMovement(db, event, {
+  batch,
+  type,
+  quantity,
+  balanceBefore,
+  looseQuantity = 0,
+  looseBefore = batch.looseQty || 0,
+  reference = null,
+  remarks = null,
+  date = new Date(),
+  session = null,
+}) {
+  const user = event.user || {};
+
+  const movement = {
+    _id: new ObjectId(),
+    medicineId: batch.medicineId,
+    batchId: batch._id,
+    batchNo: batch.batchNo,
+    type,
+    quantity,
+    balanceBefore,
+    balanceAfter: balanceBefore + quantity,
+    looseQuantity,
+    looseBefore,
+    looseAfter: looseBefore + looseQuantity,
+    referenceType: reference?.type || null,
+    referenceId: reference?.id || null,
+    referenceNo: reference?.number || null,
+    remarks,
+    userId: user._id || null,
+    userName: user.name || null,
+    createdAt: date,
+  };
+
+  await db.collection(COLLECTIONS.STOCK_MOVEMENTS).insertOne(movement, session ? { session } : {});
+  return movement;
+}
+
+/**
+ * Status of a batch after its quantity changes
+ *
+ * @param {Object} batch - Stock batch before the change
+ * @param {number} newQty - Quantity after the change
+ * @param {number} reorderLevel - Medicine reorder level
+ * @param {Date} [asOf] - Defaults to now
+ * @param {number} [newLoose] - Loose units after the change
+ * @returns {string} One of STOCK_STATUS
+ */
+export function nextBatchStatus(batch, newQty, reorderLevel = 0, asOf = new Date(), newLoose = batch.looseQty || 0) {
+  if (newQty <= 0 && newLoose <= 0) return STOCK_STATUS.EXHAUSTED;
+  if (isExpiredBatch(batch, asOf)) return STOCK_STATUS.EXPIRED;
+  if (newQty <= reorderLevel) return STOCK_STATUS.LOW;
+  return batch.status === STOCK_STATUS.EXHAUSTED || batch.status === STOCK_STATUS.LOW
+    ? STOCK_STATUS.ACTIVE
+    : batch.status;
+}
+
+/**
+ * Change an existing batch's quantity and record the movement
+ * Packs (currentQty) and loose units (looseQty) can change together. The
+ * update is guarded on the quantities that were read, so it fails with a
+ * ValidationError if the batch changed meanwhile (e.g. a sale). Run it inside
+ * a transaction.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {Object} event - Netlify function event (provides event.user)
+ * @param {Object} change
+ * @param {Object} change.batch - Stock batch as read
+ * @param {Object} [change.medicine] - Its medicine (for the reorder level)
+ * @param {number} change.quantity - Signed change in packs: positive in, negative out
+ * @param {number} [change.looseQuantity] - Signed change in loose units
+ * @param {string} change.type - One of STOCK_MOVEMENT_TYPE
+ * @param {{ type: string, id?: ObjectId, number?: string }} [change.reference] - Source document
+ * @param {string} [change.remarks] - Optional note
+ * @param {Date} [change.date] - Defaults to now
+ * @param {import('mongodb').ClientSession} [change.session] - Transaction session
+ * @returns {Promise<Object>} The updated batch
+ */
+export async function adjustBatchStock(db, event, {
+  batch,
+  medicine = null,
+  quantity,
+  looseQuantity = 0,
+  type,
+  reference = null,
+  remarks = null,
+  date = new Date(),
+  session = null,
+}) {
+  const newQty = batch.currentQty + quantity;
+  if (newQty < 0) {
+    throw new ValidationError(`Batch ${batch.batchNo} has only ${batch.currentQty} in stock`);
+  }
+  const looseBefore = batch.looseQty || 0;
+  const newLoose = looseBefore + looseQuantity;
+  if (newLoose < 0) {
+    throw new ValidationError(`Batch ${batch.batchNo} has only ${looseBefore} loose unit(s)`);
+  }
+
+  const updated = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES).findOneAndUpdate(
+    // A missing looseQty matches null
+    { _id: batch._id, currentQty: batch.currentQty, looseQty: batch.looseQty ?? null },
+    {
+      $set: {
+        currentQty: newQty,
+        looseQty: newLoose,
+        status: nextBatchStatus(batch, newQty, medicine?.reorderLevel || 0, date, newLoose),
+        updatedAt: date,
+      },
+    },
+    { returnDocument: 'after', ...(session ? { session } : {}) }
+  );
+  if (!updated) {
+    throw new ValidationError(`Stock for batch ${batch.batchNo} changed meanwhile; please try again`);
+  }
+
+  await recordStockMovement(db, event, {
+    batch,
+    type,
+    quantity,
+    balanceBefore: batch.currentQty,
+    looseQuantity,
+    looseBefore,
+    reference,
+    remarks,
+    date,
+    session,
+  });
+
+  return updated;
+}
+
+export default {
+  recordStockMovement,
+  adjustBatchStock,
+  nextBatchStatus,
+};
@@ -0,0 +1,125 @@
+/**
+ * Substitutes Utility for Netlify Functions
+ *
+ * Finds in-stock medicines equivalent to a given one: the same composition
+ * (or generic name, when the composition is not recorded) and the same
+ * strength. Used to suggest a generic when a prescribed brand is out of stock.
+ * A medicine without a recorded strength has no substitutes, since a match
+ * on composition alone could be a different dose.
+ *
+ * Alternatives are sorted by unit price, then by the expiry of the batch
+ * that would be sold first, so short-dated stock moves first at equal price.
+ *
+ * Usage:
+ *   import { findSubstitutes } from './utils/substitutes.js';
+ *
+ *   const substitutes = await findSubstitutes(db, medicine);
+ *   const cheapest = substitutes[0]; // { medicine, stock }
+ */
+
+import { COLLECTIONS } from './db.js';
+import { sortFefo } from '../../../shared/utils/fefo.js';
+import { availableStock, unitPrice } from '../../../shared/utils/packs.js';
+
+export const SUBSTITUTE_FIELDS = {
+  medicineId: 1,
+  name: 1,
+  genericName: 1,
+  composition: 1,
+  strength: 1,
+  manufacturer: 1,
+  category: 1,
+  packSize: 1,
+  packUnit: 1,
+  scheduleType: 1,
+  isScheduled: 1,
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const exactMatch = (value) => ({ $regex: new RegExp(`^\\s*${escapeRegex(value.trim())}\\s*$`, 'i') });
+
+/**
+ * Sellable stock of a medicine, from its unexpired batches
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Object} medicine - Medicine (_id, packSize)
+ * @param {Date} [asOf] - Date to judge expiry against
+ * @returns {Promise<{ packs: number, units: number, price: number|null,
+ *   unitPrice: number|null, nearestExpiry: Date|null }>} Price of a pack and
+ *   of a unit, and expiry, of the batch sold first
+ */
+export async function medicineStock(db, medicine, asOf = new Date()) {
+  const batches = await db.collection(COLLECTIONS.MEDICINE_STOCK_BATCHES)
+    .find({
+      medicineId: medicine._id,
+      $or: [{ currentQty: { $gt: 0 } }, { looseQty: { $gt: 0 } }],
+    })
+    .toArray();
+
+  const packSize = Number(medicine.packSize) || 1;
+  const sellable = sortFefo(batches, asOf);
+  const first = sellable[0];
+  const price = first ? first.sellingPrice || first.mrp : null;
+
+  return {
+    packs: sellable.reduce((sum, batch) => sum + availableStock(batch, packSize).packs, 0),
+    units: sellable.reduce((sum, batch) => sum + availableStock(batch, packSize).units, 0),
+    price,
+    unitPrice: first ? unitPrice(price, packSize) : null,
+    nearestExpiry: first ? first.expiryDate : null,
+  };
+}
+
+/**
+ * In-stock medicines with the same composition and strength
+ *
+ * @param {Db} db - MongoDB database
+ * @param {Object} medicine - Medicine to substitute
+ * @param {Date} [asOf] - Date to judge expiry against
+ * @returns {Promise<Array<{ medicine: Object, stock: Object }>>} Cheapest
+ *   first; empty when the medicine has no strength, or neither composition
+ *   nor generic name
+ */
+export async function findSubstitutes(db, medicine, asOf = new Date()) {
+  if (!medicine.strength?.trim()) {
+    return [];
+  }
+
+  const filter = {
+    _id: { $ne: medicine._id },
+    isActive: true,
+    strength: exactMatch(medicine.strength),
+  };
+  if (medicine.composition?.trim()) {
+    filter.composition = exactMatch(medicine.composition);
+  } else if (medicine.genericName?.trim()) {
+    filter.genericName = exactMatch(medicine.genericName);
+  } else {
+    return [];
+  }
+
+  const candidates = await db.collection(COLLECTIONS.MEDICINES)
+    .find(filter)
+    .project(SUBSTITUTE_FIELDS)
+    .toArray();
+
+  const inStock = [];
+  for (const candidate of candidates) {
+    const stock = await medicineStock(db, candidate, asOf);
+    if (stock.units > 0) inStock.push({ medicine: candidate, stock });
+  }
+
+  return inStock.sort((a, b) => (a.stock.unitPrice - b.stock.unitPrice) ||
+    (new Date(a.stock.nearestExpiry) - new Date(b.stock.nearestExpiry)));
+}
+
+// =============================================================================
+// DEFAULT EXPORT
+// =============================================================================
+
+export default {
+  SUBSTITUTE_FIELDS,
+  medicineStock,
+  findSubstitutes,
+};
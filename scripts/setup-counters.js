@@ -0,0 +1,128 @@
+/**
+ * Set up atomic ID counters and unique ID indexes
+ * - Seeds one `counters` document per ID series from the highest existing ID
+ *   (never lowering a counter that is already ahead), so it is safe to re-run
+ * - Creates unique indexes on patientId, appointmentId, billNo, etc.
+ *
+ * Existing duplicate IDs block the unique index; they are listed so they can
+ * be fixed by hand before running the script again.
+ *
+ * Usage: MONGODB_URI=... npm run setup:counters
+ */
+
+import { MongoClient, ServerApiVersion } from 'mongodb';
+import { BILL_PREFIXES } from '../shared/constants/billPrefixes.js';
+import {
+  COUNTERS_COLLECTION,
+  getCounterKey,
+  findMaxSequence,
+} from '../shared/utils/idGenerator.js';
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = process.env.MONGODB_DB_NAME || 'clinic_db';
+
+// Every series handed out by generateUniqueId
+const SERIES = [
+  { collection: 'patients', field: 'patientId', prefix: BILL_PREFIXES.PATIENT },
+  { collection: 'appointments', field: 'appointmentId', prefix: BILL_PREFIXES.APPOINTMENT },
+  { collection: 'opd_prescriptions', field: 'prescriptionId', prefix: BILL_PREFIXES.PRESCRIPTION },
+  { collection: 'opd_bills', field: 'billNo', prefix: BILL_PREFIXES.OPD_BILL },
+  { collection: 'misc_bills', field: 'billNo', prefix: BILL_PREFIXES.MISC_BILL },
+  { collection: 'medicine_bills', field: 'billNo', prefix: BILL_PREFIXES.MEDICINE_BILL },
+  { collection: 'medicine_bills', field: 'billNo', prefix: BILL_PREFIXES.MEDICINE_RETURN },
+  { collection: 'payments', field: 'receiptNo', prefix: BILL_PREFIXES.PAYMENT_RECEIPT },
+  { collection: 'suppliers', field: 'supplierId', prefix: BILL_PREFIXES.SUPPLIER },
+  { collection: 'purchases', field: 'grnNo', prefix: BILL_PREFIXES.GOODS_RECEIPT },
+  { collection: 'purchase_returns', field: 'debitNoteNo', prefix: BILL_PREFIXES.DEBIT_NOTE },
+  { collection: 'stock_takes', field: 'stockTakeNo', prefix: BILL_PREFIXES.STOCK_TAKE },
+  { collection: 'purchase_orders', field: 'poNo', prefix: BILL_PREFIXES.PURCHASE_ORDER },
+];
+
+async function findDuplicates(db, collection, field) {
+  return db.collection(collection).aggregate([
+    { $match: { [field]: { $exists: true } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $limit: 20 },
+  ]).toArray();
+}
+
+async function setupCounters() {
+  console.log('=== Setting up ID counters ===\n');
+
+  const client = new MongoClient(MONGODB_URI, {
+    serverApi: { version: ServerApiVersion.v1 },
+  });
+
+  try {
+    await client.connect();
+    const db = client.db(DB_NAME);
+
+    // ========== SEED COUNTERS ==========
+    console.log('🔢 Seeding counters...');
+
+    for (const { collection, field, prefix } of SERIES) {
+      const key = getCounterKey(collection, field, prefix);
+      const seed = await findMaxSequence(db, collection, field, prefix);
+
+      await db.collection(COUNTERS_COLLECTION).updateOne(
+        { _id: key },
+        {
+          $max: { seq: seed },
+          $setOnInsert: {
+            collectionName: collection,
+            idField: field,
+            prefix: prefix || '',
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      const counter = await db.collection(COUNTERS_COLLECTION).findOne({ _id: key });
+      console.log(`   ${key}: next ${prefix || ''}${counter.seq + 1}`);
+    }
+
+    // ========== UNIQUE INDEXES ==========
+    console.log('\n🔒 Creating unique indexes...');
+
+    const indexed = new Set();
+    let blocked = 0;
+
+    for (const { collection, field } of SERIES) {
+      const name = `${collection}.${field}`;
+      if (indexed.has(name)) continue;
+      indexed.add(name);
+
+      const duplicates = await findDuplicates(db, collection, field);
+      if (duplicates.length > 0) {
+        blocked++;
+        console.log(`   ❌ ${name}: duplicate values, index not created`);
+        duplicates.forEach((d) => console.log(`      ${d._id} (${d.count} documents)`));
+        continue;
+      }
+
+      await db.collection(collection).createIndex(
+        { [field]: 1 },
+        {
+          unique: true,
+          partialFilterExpression: { [field]: { $exists: true } },
+          name: `${field}_unique`,
+        }
+      );
+      console.log(`   ✅ ${name}`);
+    }
+
+    console.log(blocked > 0
+      ? `\n⚠️  ${blocked} index(es) blocked by duplicates; fix them and re-run.`
+      : '\n✅ Done!');
+
+  } catch (error) {
+    console.error('Failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+}
+
+setupCounters();
@@ -11,8 +11,59 @@ export const BILL_PREFIXES = {
   OPD_BILL: 'OPDN',      // Legacy: OPDN6, OPDN10... (same as appointment)
   MISC_BILL: 'MISC',
   MEDICINE_BILL: 'MED',
+  MEDICINE_RETURN: 'CN',  // Credit notes for medicine returns: CN1, CN2...
   MEDICINE: 'MED',
   STOCK: 'STK',
+  PAYMENT_RECEIPT: 'RCPT', // Follow-up payments against dues: RCPT1, RCPT2...
+  SUPPLIER: 'SUP',
+  GOODS_RECEIPT: 'GRN',    // Purchase entries against supplier invoices: GRN1, GRN2...
+  DEBIT_NOTE: 'DN',        // Returns to suppliers: DN1, DN2...
+  STOCK_TAKE: 'ST',        // Physical stock counts: ST1, ST2...
+  PURCHASE_ORDER: 'PO',    // Orders to suppliers: PO1, PO2...
+};
+
+// Documents whose numbering is configurable in clinic settings
+export const DOCUMENT_TYPE = {
+  APPOINTMENT: 'appointment',
+  PRESCRIPTION: 'prescription',
+  OPD_BILL: 'opdBill',
+  MISC_BILL: 'miscBill',
+  MEDICINE_BILL: 'medicineBill',
+  CREDIT_NOTE: 'creditNote',
+  PAYMENT_RECEIPT: 'paymentReceipt',
+  GOODS_RECEIPT: 'goodsReceipt',
+  DEBIT_NOTE: 'debitNote',
+  PURCHASE_ORDER: 'purchaseOrder',
+};
+
+export const DOCUMENT_TYPE_LABELS = {
+  [DOCUMENT_TYPE.APPOINTMENT]: 'Appointment',
+  [DOCUMENT_TYPE.PRESCRIPTION]: 'Prescription',
+  [DOCUMENT_TYPE.OPD_BILL]: 'OPD Bill',
+  [DOCUMENT_TYPE.MISC_BILL]: 'Lab/Misc Bill',
+  [DOCUMENT_TYPE.MEDICINE_BILL]: 'Medicine Bill',
+  [DOCUMENT_TYPE.CREDIT_NOTE]: 'Credit Note',
+  [DOCUMENT_TYPE.PAYMENT_RECEIPT]: 'Payment Receipt',
+  [DOCUMENT_TYPE.GOODS_RECEIPT]: 'Goods Receipt (GRN)',
+  [DOCUMENT_TYPE.DEBIT_NOTE]: 'Debit Note (Purchase Return)',
+  [DOCUMENT_TYPE.PURCHASE_ORDER]: 'Purchase Order',
+};
+
+// Legacy numbering: prefix + running number that never resets (OPDN6, MED12)
+export const LEGACY_NUMBER_FORMAT = '{PREFIX}{SEQ}';
+
+// Numbering used until changed in clinic settings
+export const DEFAULT_NUMBERING = {
+  [DOCUMENT_TYPE.APPOINTMENT]: { prefix: BILL_PREFIXES.APPOINTMENT, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.PRESCRIPTION]: { prefix: BILL_PREFIXES.PRESCRIPTION, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.OPD_BILL]: { prefix: BILL_PREFIXES.OPD_BILL, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.MISC_BILL]: { prefix: BILL_PREFIXES.MISC_BILL, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.MEDICINE_BILL]: { prefix: BILL_PREFIXES.MEDICINE_BILL, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.CREDIT_NOTE]: { prefix: BILL_PREFIXES.MEDICINE_RETURN, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.PAYMENT_RECEIPT]: { prefix: BILL_PREFIXES.PAYMENT_RECEIPT, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.GOODS_RECEIPT]: { prefix: BILL_PREFIXES.GOODS_RECEIPT, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.DEBIT_NOTE]: { prefix: BILL_PREFIXES.DEBIT_NOTE, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
+  [DOCUMENT_TYPE.PURCHASE_ORDER]: { prefix: BILL_PREFIXES.PURCHASE_ORDER, format: LEGACY_NUMBER_FORMAT, resetYearly: false },
 };
 
 // Starting sequence numbers (to continue from legacy data)
@@ -65,6 +65,61 @@ export const PAYMENT_STATUS = {
 
 export const PAYMENT_STATUS_OPTIONS = Object.values(PAYMENT_STATUS);
 
+// Payment modes for paying suppliers
+export const SUPPLIER_PAYMENT_MODE = {
+  CASH: 'cash',
+  BANK_TRANSFER: 'bank_transfer',
+  CHEQUE: 'cheque',
+  UPI: 'upi',
+};
+
+export const SUPPLIER_PAYMENT_MODE_OPTIONS = Object.values(SUPPLIER_PAYMENT_MODE);
+
+// Why stock is sent back to a supplier
+export const PURCHASE_RETURN_REASON = {
+  EXPIRED: 'expired',
+  NEAR_EXPIRY: 'near_expiry',
+  DAMAGED: 'damaged',
+  OTHER: 'other',
+};
+
+export const PURCHASE_RETURN_REASON_OPTIONS = Object.values(PURCHASE_RETURN_REASON);
+
+// Credit owed by a supplier against a debit note
+export const SUPPLIER_CREDIT_STATUS = {
+  OPEN: 'open',
+  PARTIAL: 'partial',
+  SETTLED: 'settled',
+};
+
+export const SUPPLIER_CREDIT_STATUS_OPTIONS = Object.values(SUPPLIER_CREDIT_STATUS);
+
+// How a supplier settles a debit note: money back, or set off against an invoice
+export const SUPPLIER_CREDIT_SETTLEMENT = {
+  REFUND: 'refund',
+  ADJUSTMENT: 'adjustment',
+};
+
+export const SUPPLIER_CREDIT_SETTLEMENT_OPTIONS = Object.values(SUPPLIER_CREDIT_SETTLEMENT);
+
+// Purchase orders raised from reorder suggestions
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: 'draft',
+  ORDERED: 'ordered',
+  RECEIVED: 'received',
+  CANCELLED: 'cancelled',
+};
+
+export const PURCHASE_ORDER_STATUS_OPTIONS = Object.values(PURCHASE_ORDER_STATUS);
+
+// Bill status (bills created before this field existed count as active)
+export const BILL_STATUS = {
+  ACTIVE: 'active',
+  CANCELLED: 'cancelled',
+};
+
+export const BILL_STATUS_OPTIONS = Object.values(BILL_STATUS);
+
 // Bill types
 export const BILL_TYPE = {
   OPD: 'opd',
@@ -72,6 +127,8 @@ export const BILL_TYPE = {
   MEDICINE: 'medicine',
 };
 
+export const BILL_TYPE_OPTIONS = Object.values(BILL_TYPE);
+
 // Misc bill categories
 export const MISC_BILL_CATEGORY = {
   LABORATORY: 'laboratory',
@@ -109,6 +166,14 @@ export const PACK_UNIT = {
 
 export const PACK_UNIT_OPTIONS = Object.values(PACK_UNIT);
 
+// How a medicine bill line is counted: whole packs, or loose units from a pack
+export const SALE_UNIT = {
+  PACK: 'pack',
+  UNIT: 'unit',
+};
+
+export const SALE_UNIT_OPTIONS = Object.values(SALE_UNIT);
+
 // Stock batch status
 export const STOCK_STATUS = {
   ACTIVE: 'active',
@@ -119,6 +184,28 @@ export const STOCK_STATUS = {
 
 export const STOCK_STATUS_OPTIONS = Object.values(STOCK_STATUS);
 
+// Physical stock-take sessions
+export const STOCK_TAKE_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  APPROVED: 'approved',
+  CANCELLED: 'cancelled',
+};
+
+export const STOCK_TAKE_STATUS_OPTIONS = Object.values(STOCK_TAKE_STATUS);
+
+// Stock movement types (entries in the stock ledger)
+export const STOCK_MOVEMENT_TYPE = {
+  PURCHASE: 'purchase',
+  SALE: 'sale',
+  RETURN: 'return',
+  EXPIRED: 'expired',
+  DAMAGED: 'damaged',
+  ADJUSTMENT: 'adjustment',
+  PURCHASE_RETURN: 'purchase_return',
+};
+
+export const STOCK_MOVEMENT_TYPE_OPTIONS = Object.values(STOCK_MOVEMENT_TYPE);
+
 // Drug schedule types
 export const SCHEDULE_TYPE = {
   H: 'H',
@@ -129,6 +216,34 @@ export const SCHEDULE_TYPE = {
 
 export const SCHEDULE_TYPE_OPTIONS = Object.values(SCHEDULE_TYPE);
 
+// Stock position of a prescription line when it is dispensed
+export const DISPENSE_STATUS = {
+  AVAILABLE: 'available',
+  PARTIAL: 'partial',
+  OUT_OF_STOCK: 'out_of_stock',
+  SUBSTITUTED: 'substituted',
+  NOT_IN_CATALOG: 'not_in_catalog',
+  QUANTITY_NEEDED: 'quantity_needed',
+};
+
+export const DISPENSE_STATUS_OPTIONS = Object.values(DISPENSE_STATUS);
+
+// Drug interaction table: with another drug, or with a patient allergy
+export const INTERACTION_TYPE = {
+  DRUG: 'drug',
+  ALLERGY: 'allergy',
+};
+
+export const INTERACTION_TYPE_OPTIONS = Object.values(INTERACTION_TYPE);
+
+// Blocking interactions need an override reason to be prescribed or dispensed
+export const INTERACTION_SEVERITY = {
+  BLOCKING: 'blocking',
+  ADVISORY: 'advisory',
+};
+
+export const INTERACTION_SEVERITY_OPTIONS = Object.values(INTERACTION_SEVERITY);
+
 // Discount types
 export const DISCOUNT_TYPE = {
   PERCENTAGE: 'percentage',
@@ -137,6 +252,9 @@ export const DISCOUNT_TYPE = {
 
 export const DISCOUNT_TYPE_OPTIONS = Object.values(DISCOUNT_TYPE);
 
+// GST rate slabs (%)
+export const GST_RATE_OPTIONS = [0, 5, 12, 18, 28];
+
 // Days of week
 export const DAYS_OF_WEEK = [
   'Monday',
@@ -147,3 +265,38 @@ export const DAYS_OF_WEEK = [
   'Saturday',
   'Sunday',
 ];
+
+// Audit log actions
+export const AUDIT_ACTION = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+};
+
+export const AUDIT_ACTION_OPTIONS = Object.values(AUDIT_ACTION);
+
+// Audited entity types
+export const AUDIT_ENTITY = {
+  PATIENT: 'patient',
+  DOCTOR: 'doctor',
+  APPOINTMENT: 'appointment',
+  PRESCRIPTION: 'prescription',
+  OPD_BILL: 'opd_bill',
+  MISC_BILL: 'misc_bill',
+  MEDICINE_BILL: 'medicine_bill',
+  MEDICINE: 'medicine',
+  STOCK_BATCH: 'stock_batch',
+  CLINIC_SETTINGS: 'clinic_settings',
+  SERVICE_ITEM: 'service_item',
+  USER: 'user',
+  PAYMENT: 'payment',
+  SUPPLIER: 'supplier',
+  PURCHASE: 'purchase',
+  PURCHASE_RETURN: 'purchase_return',
+  STOCK_TAKE: 'stock_take',
+  PURCHASE_ORDER: 'purchase_order',
+  DRUG_INTERACTION: 'drug_interaction',
+  PRESCRIPTION_TEMPLATE: 'prescription_template',
+};
+
+export const AUDIT_ENTITY_OPTIONS = Object.values(AUDIT_ENTITY);
@@ -0,0 +1,181 @@
+/**
+ * Role-Based Permissions
+ * Used by both frontend and backend for consistency
+ *
+ * FUNCTION_PERMISSIONS maps each Netlify function name to the roles allowed
+ * to call it. Admins may call every function. Functions not listed here
+ * (auth-verify, auth-logout) only require a signed-in user.
+ */
+
+// User roles
+export const ROLES = {
+  ADMIN: 'admin',
+  RECEPTIONIST: 'receptionist',
+  DOCTOR: 'doctor',
+  PHARMACIST: 'pharmacist',
+  ACCOUNTANT: 'accountant',
+};
+
+export const ROLE_OPTIONS = Object.values(ROLES);
+
+const { ADMIN, RECEPTIONIST, DOCTOR, PHARMACIST, ACCOUNTANT } = ROLES;
+
+// Read-only endpoints every role needs (dashboard, lookups)
+const ALL_ROLES = ROLE_OPTIONS;
+
+// Function name -> allowed roles
+export const FUNCTION_PERMISSIONS = {
+  // Patients
+  'patients-getPatients': ALL_ROLES,
+  'patients-getPatientById': ALL_ROLES,
+  'patients-addPatient': [ADMIN, RECEPTIONIST, DOCTOR],
+  'patients-updatePatient': [ADMIN, RECEPTIONIST, DOCTOR],
+  'patients-deletePatient': [ADMIN],
+
+  // Doctors
+  'doctors-getDoctors': ALL_ROLES,
+  'doctors-getDoctorById': ALL_ROLES,
+  'doctors-addDoctor': [ADMIN],
+  'doctors-updateDoctor': [ADMIN],
+
+  // Appointments
+  'appointments-getAppointments': ALL_ROLES,
+  'appointments-getAppointmentById': ALL_ROLES,
+  'appointments-createAppointment': [ADMIN, RECEPTIONIST, DOCTOR],
+  'appointments-updateAppointment': [ADMIN, RECEPTIONIST, DOCTOR],
+
+  // Prescriptions
+  'prescriptions-getPrescriptions': [ADMIN, RECEPTIONIST, DOCTOR, PHARMACIST],
+  'prescriptions-getPrescriptionById': [ADMIN, RECEPTIONIST, DOCTOR, PHARMACIST],
+  'prescriptions-generatePrescription': [ADMIN, DOCTOR],
+  'prescriptions-updatePrescription': [ADMIN, DOCTOR],
+  'prescriptions-getPrescriptionVersions': [ADMIN, RECEPTIONIST, DOCTOR, PHARMACIST],
+  'prescriptions-getDispensePlan': [ADMIN, PHARMACIST],
+  'prescriptions-getTemplates': [ADMIN, DOCTOR],
+  'prescriptions-addTemplate': [ADMIN, DOCTOR],
+  'prescriptions-deleteTemplate': [ADMIN, DOCTOR],
+  'prescriptions-getFrequentMedicines': [ADMIN, DOCTOR],
+
+  // OPD Billing
+  'billing-opd-getOpdBills': ALL_ROLES,
+  'billing-opd-getOpdBillById': ALL_ROLES,
+  'billing-opd-generateOpdBill': [ADMIN, RECEPTIONIST],
+  'billing-opd-cancelOpdBill': [ADMIN],
+
+  // Misc Billing
+  'billing-misc-getMiscBills': ALL_ROLES,
+  'billing-misc-getMiscBillById': ALL_ROLES,
+  'billing-misc-generateMiscBill': [ADMIN, RECEPTIONIST],
+  'billing-misc-cancelMiscBill': [ADMIN],
+
+  // Medicine Billing
+  'billing-medicine-getMedicineBills': ALL_ROLES,
+  'billing-medicine-getMedicineBillById': ALL_ROLES,
+  'billing-medicine-generateMedicineBill': [ADMIN, PHARMACIST],
+  'billing-medicine-returnMedicineBill': [ADMIN, PHARMACIST],
+  'billing-medicine-cancelMedicineBill': [ADMIN],
+
+  // Medicine Catalog & Stock
+  'medicine-getMedicines': ALL_ROLES,
+  'medicine-getMedicineById': ALL_ROLES,
+  'medicine-getCurrentStock': ALL_ROLES,
+  'medicine-getStockBatches': ALL_ROLES,
+  'medicine-getSubstitutes': ALL_ROLES,
+  'medicine-getLowStock': ALL_ROLES,
+  'medicine-getExpiringStock': ALL_ROLES,
+  'medicine-getStockLedger': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'medicine-getReorderSuggestions': [ADMIN, PHARMACIST],
+  'medicine-addMedicine': [ADMIN, PHARMACIST],
+  'medicine-updateMedicine': [ADMIN, PHARMACIST],
+  'medicine-addStock': [ADMIN, PHARMACIST],
+  'medicine-deductStock': [ADMIN, PHARMACIST],
+  'medicine-getStockTakes': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'medicine-getStockTakeById': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'medicine-startStockTake': [ADMIN, PHARMACIST],
+  'medicine-saveStockCount': [ADMIN, PHARMACIST],
+  'medicine-approveStockTake': [ADMIN],
+  'medicine-cancelStockTake': [ADMIN],
+
+  // Drug interaction table
+  'interactions-getInteractions': ALL_ROLES,
+  'interactions-addInteraction': [ADMIN, DOCTOR, PHARMACIST],
+  'interactions-updateInteraction': [ADMIN, DOCTOR, PHARMACIST],
+
+  // Suppliers & Purchases
+  'suppliers-getSuppliers': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'suppliers-addSupplier': [ADMIN, PHARMACIST],
+  'suppliers-updateSupplier': [ADMIN, PHARMACIST],
+  'purchases-getPurchases': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-getPurchaseById': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-createPurchase': [ADMIN, PHARMACIST],
+  'purchases-recordSupplierPayment': [ADMIN, ACCOUNTANT],
+  'purchases-getReturnableBatches': [ADMIN, PHARMACIST],
+  'purchases-getPurchaseReturns': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-getPurchaseReturnById': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-getPurchaseOrders': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-getPurchaseOrderById': [ADMIN, PHARMACIST, ACCOUNTANT],
+  'purchases-createPurchaseOrders': [ADMIN, PHARMACIST],
+  'purchases-updatePurchaseOrder': [ADMIN, PHARMACIST],
+  'purchases-createPurchaseReturn': [ADMIN, PHARMACIST],
+  'purchases-settleDebitNote': [ADMIN, ACCOUNTANT],
+
+  // Clinic Settings
+  'clinic-getClinicSettings': ALL_ROLES,
+  'clinic-updateClinicSettings': [ADMIN],
+
+  // Service Charges
+  'services-getServices': ALL_ROLES,
+  'services-addService': [ADMIN],
+  'services-updateService': [ADMIN],
+  'services-deleteService': [ADMIN],
+
+  // Users
+  'users-getUsers': [ADMIN],
+  'users-addUser': [ADMIN],
+  'users-updateUser': [ADMIN],
+  'users-deleteUser': [ADMIN],
+
+  // Payments against dues
+  'payments-getPayments': ALL_ROLES,
+  'payments-getOutstandingDues': ALL_ROLES,
+  'payments-recordPayment': [ADMIN, RECEPTIONIST, PHARMACIST],
+
+  // Audit Trail
+  'audit-getAuditLogs': [ADMIN],
+
+  // Reports
+  'reports-getGstReport': [ADMIN, ACCOUNTANT],
+  'reports-getScheduleRegister': [ADMIN, PHARMACIST],
+};
+
+/**
+ * Check whether a role may call a function
+ *
+ * @param {string} role - User role
+ * @param {string} functionName - Netlify function name (e.g. 'users-addUser')
+ * @returns {boolean}
+ *
+ * @example
+ * hasPermission('pharmacist', 'users-deleteUser'); // false
+ */
+export function hasPermission(role, functionName) {
+  if (!role) return false;
+  if (role === ADMIN) return true;
+  return (FUNCTION_PERMISSIONS[functionName] || []).includes(role);
+}
+
+/**
+ * Check a role against one or more function names (any match grants access)
+ * No permission means any signed-in user.
+ *
+ * @param {string} role - User role
+ * @param {string|string[]|null} permission - Function name(s)
+ * @returns {boolean}
+ */
+export function canAccess(role, permission) {
+  if (!permission) return !!role;
+  const names = Array.isArray(permission) ? permission : [permission];
+  return names.some((name) => hasPermission(role, name));
+}
+
+export default FUNCTION_PERMISSIONS;
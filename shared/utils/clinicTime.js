@@ -0,0 +1,52 @@
+/**
+ * Clinic Time
+ * Reads dates in the clinic's time zone, India Standard Time (UTC+05:30,
+ * no daylight saving), whatever zone the server runs in (UTC on Netlify)
+ *
+ * Used for financial years and date tokens in document numbers, and for
+ * the day boundaries of report periods.
+ */
+
+// India Standard Time, UTC+05:30 all year round
+export const CLINIC_UTC_OFFSET_MINUTES = 330;
+
+const OFFSET_MS = CLINIC_UTC_OFFSET_MINUTES * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar year, month (0-based) and day of a date in the clinic's time zone
+ *
+ * @param {Date} date
+ * @returns {{ year: number, month: number, day: number }}
+ *
+ * @example
+ * clinicDateParts(new Date('2026-03-31T19:00:00Z')); // { year: 2026, month: 3, day: 1 }
+ */
+export function clinicDateParts(date) {
+  const local = new Date(date.getTime() + OFFSET_MS);
+  return { year: local.getUTCFullYear(), month: local.getUTCMonth(), day: local.getUTCDate() };
+}
+
+/**
+ * First and last instant of a clinic day
+ *
+ * A date-only value such as "2026-04-01" is that calendar day; a date with
+ * a time is the clinic day it falls on.
+ *
+ * @param {string|Date} value
+ * @returns {{ start: Date, end: Date }|null} Null when the date is invalid
+ */
+export function clinicDayBounds(value) {
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+
+  const { year, month, day } = clinicDateParts(date);
+  const start = Date.UTC(year, month, day) - OFFSET_MS;
+  return { start: new Date(start), end: new Date(start + DAY_MS - 1) };
+}
+
+export default {
+  CLINIC_UTC_OFFSET_MINUTES,
+  clinicDateParts,
+  clinicDayBounds,
+};
@@ -0,0 +1,122 @@
+/**
+ * Dispensing Quantities
+ * Works out how much of a prescribed medicine to dispense from its
+ * dosage, frequency and duration, e.g. 2 tablets TDS for 5 days is 30.
+ *
+ * Tablets, capsules and injections are counted per dose, the dosage giving
+ * the count taken at a time (1 when left blank); whole packs are
+ * sold when the count fills them exactly, otherwise loose units. Syrups,
+ * creams, drops and the like are dispensed one pack per line. SOS lines,
+ * lines without a duration and dosages that are not a count (e.g. "500 mg")
+ * have no computable quantity.
+ *
+ * Used to pre-fill a pharmacy bill from a prescription.
+ */
+
+import { SALE_UNIT } from '../constants/enums.js';
+import { canSellLoose } from './packs.js';
+
+// Doses a day for each prescription frequency; null when taken as needed
+export const DOSES_PER_DAY = {
+  OD: 1,
+  BD: 2,
+  TDS: 3,
+  QID: 4,
+  HS: 1,
+  SOS: null,
+  STAT: null,
+};
+
+// Categories dispensed by the dose rather than by the pack
+const COUNTED_CATEGORIES = ['tablet', 'capsule', 'injection'];
+
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30 };
+
+const FRACTIONS = { '½': 0.5, '¼': 0.25, '¾': 0.75 };
+
+// Words that may follow the count in a dosage; anything else (mg, ml, ...)
+// is a strength rather than a count
+const DOSE_WORDS = /^(tab|tabs|tablet|tablets|cap|caps|capsule|capsules|inj|injection|injections|amp|ampoule|ampoules|vial|vials|unit|units|no|nos)?$/;
+
+/**
+ * Units taken per dose from a dosage such as "1", "2 tabs", "1/2" or "½ tab"
+ * @param {string} dosage
+ * @returns {number|null} 1 for a blank dosage; null when it is not a count
+ */
+export function doseCount(dosage) {
+  const text = String(dosage ?? '').trim().toLowerCase();
+  if (!text) return 1;
+
+  const match = text.match(/^(\d+(?:\.\d+)?|\d+\/\d+|[½¼¾])\s*([a-z]*)\.?$/);
+  if (!match || !DOSE_WORDS.test(match[2])) return null;
+
+  const [numerator, denominator] = match[1].split('/').map(Number);
+  const count = FRACTIONS[match[1]] ?? (denominator ? numerator / denominator : numerator);
+  return count > 0 ? count : null;
+}
+
+/**
+ * Number of days in a duration such as "5 days", "2 weeks" or "5"
+ * @param {string|number} duration
+ * @returns {number|null} Null when the duration cannot be read
+ */
+export function durationDays(duration) {
+  const match = String(duration ?? '').trim().toLowerCase()
+    .match(/^(\d+)\s*(d|day|days|w|wk|week|weeks|m|month|months)?$/);
+  if (!match) return null;
+
+  const unit = match[2] ? match[2][0] : 'd';
+  const perUnit = unit === 'w' ? DAYS_PER_UNIT.week : unit === 'm' ? DAYS_PER_UNIT.month : DAYS_PER_UNIT.day;
+  const days = Number(match[1]) * perUnit;
+  return days > 0 ? days : null;
+}
+
+/**
+ * Quantity to dispense for a prescription line
+ *
+ * @param {{ dosage?: string, frequency?: string, duration?: string }} line - Prescription medicine
+ * @param {{ category?: string, packSize?: number }} medicine - Catalog medicine
+ * @returns {{ units: number, saleUnit: string, quantity: number } | null} Units
+ *   needed, and the quantity to bill in saleUnit; null when not computable
+ *
+ * @example
+ * dispenseQuantity({ frequency: 'TDS', duration: '5 days' }, { category: 'tablet', packSize: 10 });
+ * // { units: 15, saleUnit: 'unit', quantity: 15 }
+ * dispenseQuantity({ frequency: 'BD', duration: '5 days' }, { category: 'tablet', packSize: 10 });
+ * // { units: 10, saleUnit: 'pack', quantity: 1 }
+ * dispenseQuantity({ dosage: '2 tabs', frequency: 'TDS', duration: '5 days' }, { category: 'tablet', packSize: 10 });
+ * // { units: 30, saleUnit: 'pack', quantity: 3 }
+ */
+export function dispenseQuantity(line, medicine) {
+  const packSize = Number(medicine?.packSize) || 1;
+
+  if (!COUNTED_CATEGORIES.includes(medicine?.category)) {
+    return { units: packSize, saleUnit: SALE_UNIT.PACK, quantity: 1 };
+  }
+
+  const perDose = doseCount(line.dosage);
+  if (!perDose) return null;
+
+  // A part-used unit is still dispensed whole
+  let units;
+  if (line.frequency === 'STAT') {
+    units = Math.ceil(perDose);
+  } else {
+    const dosesPerDay = DOSES_PER_DAY[line.frequency];
+    const days = durationDays(line.duration);
+    if (!dosesPerDay || !days) return null;
+    units = Math.ceil(perDose * dosesPerDay * days);
+  }
+
+  if (units % packSize === 0 || !canSellLoose(medicine)) {
+    return { units, saleUnit: SALE_UNIT.PACK, quantity: Math.ceil(units / packSize) };
+  }
+  return { units, saleUnit: SALE_UNIT.UNIT, quantity: units };
+}
+
+export default {
+  DOSES_PER_DAY,
+  doseCount,
+  durationDays,
+  dispenseQuantity,
+};
@@ -0,0 +1,190 @@
+/**
+ * Document Number Formatting
+ * Renders configurable numbering formats such as MED/{FY}/{SEQ:4}
+ *
+ * Tokens:
+ *   - {PREFIX}: Prefix configured for the document type
+ *   - {FY}: Financial year (April-March), e.g. 25-26
+ *   - {YYYY}, {YY}: Calendar year of the document date
+ *   - {MM}: Month of the document date (01-12)
+ *   - {SEQ}, {SEQ:n}: Running number, optionally zero-padded to n digits
+ *
+ * Dates are read in the clinic's time zone (IST), not the server's (UTC on
+ * Netlify), so a bill raised at 00:30 on 1 April is in the new year.
+ *
+ * Used by the backend to generate numbers and by Settings for previews.
+ */
+
+import { DEFAULT_NUMBERING, LEGACY_NUMBER_FORMAT } from '../constants/billPrefixes.js';
+import { clinicDateParts } from './clinicTime.js';
+
+// Financial year starts in April (0-based month)
+export const FINANCIAL_YEAR_START_MONTH = 3;
+
+const TOKEN_REGEX = /\{([A-Z]+)(?::(\d+))?\}/g;
+const KNOWN_TOKENS = ['PREFIX', 'FY', 'YYYY', 'YY', 'MM', 'SEQ'];
+const MAX_SEQUENCE_PADDING = 10;
+
+/**
+ * Get the financial year a date falls in
+ *
+ * @param {Date} [date] - Date, defaults to now
+ * @returns {{ startYear: number, endYear: number, label: string }}
+ *
+ * @example
+ * getFinancialYear(new Date('2026-02-10')); // { startYear: 2025, endYear: 2026, label: '25-26' }
+ * getFinancialYear(new Date('2026-03-31T19:00:00Z')); // 1 April 00:30 IST -> label '26-27'
+ */
+export function getFinancialYear(date = new Date()) {
+  const { year, month } = clinicDateParts(date);
+  const startYear = month >= FINANCIAL_YEAR_START_MONTH ? year : year - 1;
+  return {
+    startYear,
+    endYear: startYear + 1,
+    label: `${String(startYear).slice(-2)}-${String(startYear + 1).slice(-2)}`,
+  };
+}
+
+/**
+ * Escape a literal for use in a RegExp
+ * @private
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Render a document number
+ *
+ * @param {string} format - Format string with tokens
+ * @param {Object} options
+ * @param {string} [options.prefix] - Value for {PREFIX}
+ * @param {number} options.sequence - Running number
+ * @param {Date} [options.date] - Document date, defaults to now
+ * @returns {string} Document number
+ *
+ * @example
+ * formatDocumentNumber('{PREFIX}/{FY}/{SEQ:4}', { prefix: 'MED', sequence: 1 });
+ * // 'MED/25-26/0001'
+ */
+export function formatDocumentNumber(format, { prefix = '', sequence, date = new Date() }) {
+  const { year, month } = clinicDateParts(date);
+  return format.replace(TOKEN_REGEX, (match, token, width) => {
+    switch (token) {
+      case 'PREFIX': return prefix;
+      case 'FY': return getFinancialYear(date).label;
+      case 'YYYY': return String(year);
+      case 'YY': return String(year).slice(-2);
+      case 'MM': return String(month + 1).padStart(2, '0');
+      case 'SEQ': return width ? String(sequence).padStart(Number(width), '0') : String(sequence);
+      default: return match;
+    }
+  });
+}
+
+/**
+ * Build a RegExp matching numbers in a format, capturing the running number
+ * Date tokens match any value unless the financial year is pinned.
+ *
+ * @param {string} format - Format string with tokens
+ * @param {Object} options
+ * @param {string} [options.prefix] - Value for {PREFIX}
+ * @param {string} [options.financialYear] - Pin {FY} to this label (e.g. '25-26')
+ * @returns {RegExp} Anchored pattern with one capture group for the sequence
+ */
+export function buildSequencePattern(format, { prefix = '', financialYear = null } = {}) {
+  let pattern = '';
+  let lastIndex = 0;
+
+  for (const match of format.matchAll(TOKEN_REGEX)) {
+    pattern += escapeRegex(format.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    switch (match[1]) {
+      case 'PREFIX': pattern += escapeRegex(prefix); break;
+      case 'FY': pattern += financialYear ? escapeRegex(financialYear) : '\\d{2}-\\d{2}'; break;
+      case 'YYYY': pattern += '\\d{4}'; break;
+      case 'YY': pattern += '\\d{2}'; break;
+      case 'MM': pattern += '\\d{2}'; break;
+      case 'SEQ': pattern += '(\\d+)'; break;
+      default: pattern += escapeRegex(match[0]);
+    }
+  }
+  pattern += escapeRegex(format.slice(lastIndex));
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Validate a numbering configuration
+ *
+ * @param {Object} config
+ * @param {string} config.prefix - Prefix
+ * @param {string} config.format - Format string
+ * @param {boolean} config.resetYearly - Restart the sequence every financial year
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateNumbering({ prefix = '', format, resetYearly }) {
+  if (typeof prefix !== 'string' || !/^[A-Za-z0-9/_-]{0,10}$/.test(prefix)) {
+    return 'Prefix may only use letters, numbers, / - _ (max 10 characters)';
+  }
+  if (!format || typeof format !== 'string' || format.length > 40) {
+    return 'Format is required (max 40 characters)';
+  }
+
+  const tokens = [...format.matchAll(TOKEN_REGEX)];
+  const unknown = tokens.find((t) => !KNOWN_TOKENS.includes(t[1]));
+  if (unknown) {
+    return `Unknown token ${unknown[0]}`;
+  }
+
+  const sequences = tokens.filter((t) => t[1] === 'SEQ');
+  if (sequences.length !== 1) {
+    return 'Format must contain {SEQ} exactly once';
+  }
+  const width = Number(sequences[0][2] || 0);
+  if (width > MAX_SEQUENCE_PADDING) {
+    return `Sequence padding cannot exceed ${MAX_SEQUENCE_PADDING} digits`;
+  }
+
+  // Without the year in the number a reset would repeat earlier numbers
+  if (resetYearly && !tokens.some((t) => t[1] === 'FY')) {
+    return 'Yearly reset needs {FY} in the format';
+  }
+
+  return null;
+}
+
+/**
+ * Check for the legacy flat format (prefix + number, no reset)
+ *
+ * @param {Object} config - Numbering configuration
+ * @returns {boolean}
+ */
+export function isLegacyNumbering(config) {
+  return config.format === LEGACY_NUMBER_FORMAT && !config.resetYearly;
+}
+
+/**
+ * Numbering for a document type, falling back to the defaults
+ *
+ * @param {Object} [numbering] - clinicSettings.numbering
+ * @param {string} documentType - One of DOCUMENT_TYPE
+ * @returns {{ prefix: string, format: string, resetYearly: boolean }}
+ */
+export function resolveNumbering(numbering, documentType) {
+  return {
+    ...DEFAULT_NUMBERING[documentType],
+    ...(numbering?.[documentType] || {}),
+  };
+}
+
+export default {
+  FINANCIAL_YEAR_START_MONTH,
+  getFinancialYear,
+  formatDocumentNumber,
+  buildSequencePattern,
+  validateNumbering,
+  isLegacyNumbering,
+  resolveNumbering,
+};
@@ -0,0 +1,99 @@
+/**
+ * FEFO Batch Allocation
+ * Splits a quantity across stock batches, earliest expiry first
+ *
+ * Used by medicine billing on the server and to preview the chosen batches
+ * in the billing screen.
+ */
+
+import { STOCK_STATUS, SALE_UNIT } from '../constants/enums.js';
+import { availableStock } from './packs.js';
+
+/**
+ * Check whether a batch is past its expiry date
+ *
+ * @param {Object} batch - Stock batch
+ * @param {Date} [asOf] - Sale date, defaults to now
+ * @returns {boolean}
+ */
+export function isExpiredBatch(batch, asOf = new Date()) {
+  return batch.status === STOCK_STATUS.EXPIRED || new Date(batch.expiryDate) <= asOf;
+}
+
+/**
+ * Check whether a batch can be sold from
+ *
+ * @param {Object} batch - Stock batch
+ * @param {Date} [asOf] - Sale date, defaults to now
+ * @returns {boolean}
+ */
+export function isSellableBatch(batch, asOf = new Date()) {
+  return (batch.currentQty > 0 || batch.looseQty > 0) &&
+    batch.status !== STOCK_STATUS.EXHAUSTED &&
+    !isExpiredBatch(batch, asOf);
+}
+
+/**
+ * Sellable batches in first-expiry-first-out order
+ *
+ * @param {Array<Object>} batches - Stock batches of one medicine
+ * @param {Date} [asOf] - Sale date, defaults to now
+ * @returns {Array<Object>}
+ */
+export function sortFefo(batches, asOf = new Date()) {
+  return batches
+    .filter((batch) => isSellableBatch(batch, asOf))
+    .sort((a, b) =>
+      new Date(a.expiryDate) - new Date(b.expiryDate) ||
+      new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+    );
+}
+
+/**
+ * Allocate a quantity across batches, earliest expiry first
+ *
+ * @param {Array<Object>} batches - Stock batches of one medicine
+ * @param {number} quantity - Quantity to sell, in saleUnit
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - Sale date, defaults to now
+ * @param {Map<string, { packs: number, units: number }>} [options.reserved] - Stock already taken per batch _id
+ * @param {string} [options.saleUnit] - SALE_UNIT.PACK (default) or SALE_UNIT.UNIT
+ * @param {number} [options.packSize] - Units per pack, for unit sales
+ * @returns {{ allocations: Array<{ batch: Object, quantity: number }>, available: number, shortfall: number }}
+ *
+ * @example
+ * allocateFefo([{ _id: 'a', currentQty: 3, ... }, { _id: 'b', currentQty: 10, ... }], 5);
+ * // allocations: [{ batch: a, quantity: 3 }, { batch: b, quantity: 2 }], shortfall: 0
+ */
+export function allocateFefo(batches, quantity, {
+  asOf = new Date(),
+  reserved = new Map(),
+  saleUnit = SALE_UNIT.PACK,
+  packSize = 1,
+} = {}) {
+  const allocations = [];
+  let remaining = quantity;
+  let available = 0;
+
+  for (const batch of sortFefo(batches, asOf)) {
+    const stock = availableStock(batch, packSize, reserved.get(String(batch._id)));
+    const free = saleUnit === SALE_UNIT.UNIT ? stock.units : stock.packs;
+    if (free <= 0) continue;
+    available += free;
+
+    if (remaining > 0) {
+      const take = Math.min(free, remaining);
+      allocations.push({ batch, quantity: take });
+      remaining -= take;
+    }
+  }
+
+  return { allocations, available, shortfall: remaining };
+}
+
+export default {
+  isExpiredBatch,
+  isSellableBatch,
+  sortFefo,
+  allocateFefo,
+};
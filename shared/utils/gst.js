@@ -0,0 +1,167 @@
+/**
+ * GST Computation
+ * Splits bill items into taxable value and CGST/SGST (intra-state) or IGST
+ * (inter-state), and summarizes them per HSN/SAC code and rate slab.
+ *
+ * Medicine prices are GST-inclusive (tax is carved out of the price);
+ * service rates are exclusive (tax is added on top). Exempt items carry
+ * no tax but are still listed, as GST returns report them separately.
+ *
+ * HSN quantities are in packs: a line sold by the unit counts as a fraction
+ * of its pack, so one UQC covers both kinds of line.
+ */
+
+import { SALE_UNIT } from '../constants/enums.js';
+
+/**
+ * Round to paise
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundToPaise(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * Quantity of a bill line in packs
+ * @param {{ quantity: number, saleUnit?: string, packSize?: number }} item
+ * @returns {number}
+ *
+ * @example
+ * packQuantity({ quantity: 5, saleUnit: 'unit', packSize: 10 }); // 0.5
+ */
+export function packQuantity(item) {
+  const quantity = Number(item.quantity) || 0;
+  if (item.saleUnit !== SALE_UNIT.UNIT) return quantity;
+  return quantity / (Number(item.packSize) || 1);
+}
+
+/**
+ * Split a tax amount into CGST/SGST or IGST
+ * @private
+ */
+function splitTax(tax, interState) {
+  if (interState) {
+    return { cgst: 0, sgst: 0, igst: roundToPaise(tax) };
+  }
+  const cgst = roundToPaise(tax / 2);
+  return { cgst, sgst: roundToPaise(tax - cgst), igst: 0 };
+}
+
+/**
+ * Compute GST for bill items
+ * A bill-level discount is spread over the items in proportion to their
+ * amount before tax is worked out, so it reduces the taxable value.
+ *
+ * @param {Array<{ amount: number, gstRate?: number, hsnCode?: string, exempt?: boolean }>} items
+ * @param {Object} options
+ * @param {number} [options.discountAmount] - Bill-level discount
+ * @param {boolean} [options.inclusive] - Amounts already include GST
+ * @param {boolean} [options.interState] - Charge IGST instead of CGST/SGST
+ * @returns {{ items: Array, breakdown: Array, taxableAmount: number, cgst: number, sgst: number, igst: number, totalTax: number }}
+ *
+ * @example
+ * computeGst([{ amount: 112, gstRate: 12, hsnCode: '3004' }], { inclusive: true });
+ * // taxableAmount 100, cgst 6, sgst 6
+ */
+export function computeGst(items, { discountAmount = 0, inclusive = false, interState = false } = {}) {
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const discountRatio = subtotal > 0 ? Math.min(discountAmount / subtotal, 1) : 0;
+
+  const taxedItems = items.map((item) => {
+    const exempt = Boolean(item.exempt) || !(item.gstRate > 0);
+    const gstRate = exempt ? 0 : Number(item.gstRate);
+    const netAmount = item.amount * (1 - discountRatio);
+
+    const taxableValue = roundToPaise(inclusive ? netAmount / (1 + gstRate / 100) : netAmount);
+    const tax = inclusive ? netAmount - taxableValue : (taxableValue * gstRate) / 100;
+
+    return {
+      ...item,
+      hsnCode: item.hsnCode || null,
+      gstRate,
+      exempt,
+      taxableValue,
+      ...splitTax(tax, interState),
+    };
+  });
+
+  // One row per HSN/SAC code and rate slab
+  const rows = new Map();
+  for (const item of taxedItems) {
+    const key = `${item.hsnCode || ''}|${item.gstRate}|${item.exempt}`;
+    const row = rows.get(key) || {
+      hsnCode: item.hsnCode,
+      gstRate: item.gstRate,
+      exempt: item.exempt,
+      quantity: 0,
+      taxableValue: 0,
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+    };
+    row.quantity = Math.round((row.quantity + packQuantity(item)) * 1000) / 1000;
+    row.taxableValue = roundToPaise(row.taxableValue + item.taxableValue);
+    row.cgst = roundToPaise(row.cgst + item.cgst);
+    row.sgst = roundToPaise(row.sgst + item.sgst);
+    row.igst = roundToPaise(row.igst + item.igst);
+    rows.set(key, row);
+  }
+
+  const breakdown = [...rows.values()]
+    .map((row) => ({ ...row, totalTax: roundToPaise(row.cgst + row.sgst + row.igst) }))
+    .sort((a, b) => a.gstRate - b.gstRate || String(a.hsnCode).localeCompare(String(b.hsnCode)));
+
+  const total = (field) => roundToPaise(breakdown.reduce((sum, row) => sum + row[field], 0));
+  const cgst = total('cgst');
+  const sgst = total('sgst');
+  const igst = total('igst');
+
+  return {
+    items: taxedItems,
+    breakdown,
+    taxableAmount: total('taxableValue'),
+    cgst,
+    sgst,
+    igst,
+    totalTax: roundToPaise(cgst + sgst + igst),
+  };
+}
+
+/**
+ * Flip the sign of a computeGst result (for credit notes)
+ * Tax is worked out on the positive values so rounding matches the sale.
+ *
+ * @param {ReturnType<typeof computeGst>} gst
+ * @returns {ReturnType<typeof computeGst>}
+ */
+export function negateGst(gst) {
+  const flip = (value) => (value ? -value : 0);
+  const flipAmounts = (row) => ({
+    ...row,
+    ...(row.amount !== undefined && { amount: flip(row.amount) }),
+    ...(row.quantity !== undefined && { quantity: flip(row.quantity) }),
+    taxableValue: flip(row.taxableValue),
+    cgst: flip(row.cgst),
+    sgst: flip(row.sgst),
+    igst: flip(row.igst),
+    ...(row.totalTax !== undefined && { totalTax: flip(row.totalTax) }),
+  });
+
+  return {
+    items: gst.items.map(flipAmounts),
+    breakdown: gst.breakdown.map(flipAmounts),
+    taxableAmount: flip(gst.taxableAmount),
+    cgst: flip(gst.cgst),
+    sgst: flip(gst.sgst),
+    igst: flip(gst.igst),
+    totalTax: flip(gst.totalTax),
+  };
+}
+
+export default {
+  roundToPaise,
+  packQuantity,
+  computeGst,
+  negateGst,
+};
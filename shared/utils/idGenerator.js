@@ -4,6 +4,10 @@
  * Following legacy naming convention:
  *   - Patients: 1001, 1002, 1003... (numeric, starting from 1001)
  *   - OPD/Appointments: OPDN1, OPDN2... (prefix + number)
+ *
+ * Sequences are handed out atomically from the `counters` collection
+ * (one document per series); unique indexes on the ID fields are created by
+ * scripts/setup-counters.js.
  */
 
 import { STARTING_SEQUENCES } from '../constants/billPrefixes.js';
@@ -41,20 +45,40 @@ export function generateId(prefix, sequence) {
 }
 
 /**
- * Get the next sequence number globally for a collection
- * Queries the database to find the highest existing sequence
- * 
+ * Collection holding one counter document per ID series
+ */
+export const COUNTERS_COLLECTION = 'counters';
+
+/**
+ * Get the counter key for an ID series
+ * Collections holding more than one series (e.g. medicine bills and
+ * credit notes) are told apart by prefix.
+ *
+ * @param {string} collectionName - Collection the IDs belong to
+ * @param {string} idField - Field name containing the ID
+ * @param {string} prefix - ID prefix
+ * @returns {string} Counter document _id
+ *
+ * @example
+ * getCounterKey('medicine_bills', 'billNo', 'MED'); // 'medicine_bills.billNo.MED'
+ */
+export function getCounterKey(collectionName, idField, prefix) {
+  return prefix
+    ? `${collectionName}.${idField}.${prefix}`
+    : `${collectionName}.${idField}`;
+}
+
+/**
+ * Find the highest sequence already used in a collection
+ * Scans every document, so it is only used to seed a counter once.
+ *
  * @param {import('mongodb').Db} db - MongoDB database instance
  * @param {string} collectionName - Collection to query
  * @param {string} idField - Field name containing the ID
  * @param {string} prefix - ID prefix (used to extract numeric part)
- * @returns {Promise<number>} Next sequence number
- * 
- * @example
- * const nextSeq = await getNextSequence(db, 'patients', 'patientId', '');
- * // Returns: 1001 (or next available number for patients)
+ * @returns {Promise<number>} Last used sequence (starting sequence - 1 when empty)
  */
-export async function getNextSequence(db, collectionName, idField, prefix) {
+export async function findMaxSequence(db, collectionName, idField, prefix) {
   // Determine the starting sequence based on collection type
   let startingSeq = 1;
   if (collectionName === 'patients') {
@@ -73,7 +97,7 @@ export async function getNextSequence(db, collectionName, idField, prefix) {
     .toArray();
 
   if (allDocs.length === 0) {
-    return startingSeq;
+    return startingSeq - 1;
   }
 
   // Extract numeric values from all IDs and find the max
@@ -107,8 +131,102 @@ export async function getNextSequence(db, collectionName, idField, prefix) {
     }
   }
   
-  // Return max + 1, but ensure it's at least the starting sequence
-  return Math.max(maxSeq + 1, startingSeq);
+  // Never seed below the starting sequence
+  return Math.max(maxSeq, startingSeq - 1);
+}
+
+/**
+ * Find the highest sequence among IDs matching a pattern
+ * Only documents matching the pattern are read, so formatted numbers of one
+ * series (e.g. MED/25-26/0042) are not confused with another.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} collectionName - Collection to query
+ * @param {string} idField - Field name containing the ID
+ * @param {RegExp} pattern - Anchored pattern with one capture group for the sequence
+ * @returns {Promise<number>} Last used sequence (0 when none match)
+ */
+export async function findMaxMatchingSequence(db, collectionName, idField, pattern) {
+  const docs = await db
+    .collection(collectionName)
+    .find({ [idField]: { $regex: pattern } })
+    .project({ [idField]: 1 })
+    .toArray();
+
+  let maxSeq = 0;
+  for (const doc of docs) {
+    const match = pattern.exec(String(doc[idField]));
+    const numericPart = match ? parseInt(match[1], 10) : NaN;
+    if (!isNaN(numericPart) && numericPart > maxSeq) {
+      maxSeq = numericPart;
+    }
+  }
+  return maxSeq;
+}
+
+/**
+ * Atomically increment a counter, seeding it the first time it is used
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} key - Counter document _id
+ * @param {() => Promise<number>} findSeed - Returns the last used sequence
+ * @param {Object} [meta] - Extra fields stored on a new counter document
+ * @returns {Promise<number>} Next sequence number
+ */
+export async function incrementCounter(db, key, findSeed, meta = {}) {
+  const counters = db.collection(COUNTERS_COLLECTION);
+
+  const increment = () => counters.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 }, $set: { updatedAt: new Date() } },
+    { returnDocument: 'after' }
+  );
+
+  let counter = await increment();
+  if (counter) {
+    return counter.seq;
+  }
+
+  // First use: seed from existing data. If another request seeds at the
+  // same time the duplicate insert fails and both increment the same counter.
+  const seed = await findSeed();
+  try {
+    await counters.insertOne({
+      _id: key,
+      ...meta,
+      seq: seed,
+      createdAt: new Date(),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  counter = await increment();
+  return counter.seq;
+}
+
+/**
+ * Get the next sequence number globally for a collection
+ * Atomically increments the series' counter in the `counters` collection,
+ * seeding it from the highest existing ID the first time it is used.
+ *
+ * @param {import('mongodb').Db} db - MongoDB database instance
+ * @param {string} collectionName - Collection to query
+ * @param {string} idField - Field name containing the ID
+ * @param {string} prefix - ID prefix (used to extract numeric part)
+ * @returns {Promise<number>} Next sequence number
+ *
+ * @example
+ * const nextSeq = await getNextSequence(db, 'patients', 'patientId', '');
+ * // Returns: 1001 (or next available number for patients)
+ */
+export async function getNextSequence(db, collectionName, idField, prefix) {
+  return incrementCounter(
+    db,
+    getCounterKey(collectionName, idField, prefix),
+    () => findMaxSequence(db, collectionName, idField, prefix),
+    { collectionName, idField, prefix: prefix || '' }
+  );
 }
 
 /**
@@ -148,8 +266,13 @@ export function generateShortCode() {
 }
 
 export default {
+  COUNTERS_COLLECTION,
   getDateString,
   generateId,
+  getCounterKey,
+  findMaxSequence,
+  findMaxMatchingSequence,
+  incrementCounter,
   getNextSequence,
   generateUniqueId,
   generateShortCode,
@@ -0,0 +1,152 @@
+/**
+ * Drug Interaction Checks
+ * Checks a set of medicines against the clinic's interaction table and the
+ * patient's allergies, e.g. warfarin with aspirin, or amoxicillin for a
+ * patient allergic to penicillin.
+ *
+ * Table entries name drugs by generic name or composition ingredient and are
+ * matched as whole words, ignoring case and strengths, against each
+ * medicine's composition, generic name and name. A medicine that itself
+ * matches one of the patient's allergies is always a blocking warning.
+ *
+ * Used while prescribing and billing to warn as medicines are added, and by
+ * the server to refuse blocking warnings saved without an override reason.
+ */
+
+import { INTERACTION_TYPE, INTERACTION_SEVERITY } from '../constants/enums.js';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "Amoxicillin 500 mg" -> "amoxicillin"
+const normalize = (text) => String(text ?? '')
+  .toLowerCase()
+  .replace(/\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%|units?)(\s*\/\s*\d*\s*(ml|g|tab))?/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Ingredient and name terms a medicine is known by
+ *
+ * @param {{ name?: string, genericName?: string, composition?: string }} medicine
+ * @returns {string[]} Normalized terms, e.g. ['amoxicillin', 'clavulanic acid', 'augmentin']
+ */
+export function drugTerms(medicine) {
+  const terms = [medicine.composition, medicine.genericName]
+    .filter(Boolean)
+    .flatMap((text) => String(text).split(/\s*(?:\+|,|;|\/|\band\b)\s*/i))
+    .concat(medicine.name || [])
+    .map(normalize)
+    .filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Whether any of a medicine's terms contains the given term as a whole word
+ * @param {string[]} terms - From drugTerms
+ * @param {string} term - Generic name, ingredient or allergen
+ * @returns {boolean}
+ */
+export function matchesTerm(terms, term) {
+  const wanted = normalize(term);
+  if (!wanted) return false;
+  const pattern = new RegExp(`\\b${escapeRegex(wanted)}\\b`);
+  return terms.some((t) => t === wanted || pattern.test(t));
+}
+
+/**
+ * Interactions among medicines, and with the patient's allergies
+ *
+ * @param {Object} options
+ * @param {Array<{ name: string, genericName?: string, composition?: string }>} options.medicines
+ * @param {string[]} [options.allergies] - Patient's recorded allergies
+ * @param {Array<{ _id?, type: string, drug: string, interactsWith: string,
+ *   severity: string, description?: string }>} [options.rules] - Active table entries
+ * @returns {Array<{ key: string, type: string, severity: string,
+ *   medicines: string[], allergy: string|null, description: string }>}
+ *   Blocking warnings first
+ *
+ * @example
+ * checkInteractions({
+ *   medicines: [{ name: 'Mox 500', genericName: 'Amoxicillin' }],
+ *   allergies: ['Penicillin'],
+ *   rules: [{ type: 'allergy', drug: 'amoxicillin', interactsWith: 'penicillin', severity: 'blocking' }],
+ * });
+ * // [{ type: 'allergy', severity: 'blocking', medicines: ['Mox 500'], allergy: 'Penicillin', ... }]
+ */
+export function checkInteractions({ medicines, allergies = [], rules = [] }) {
+  const lines = medicines
+    .filter((medicine) => medicine?.name)
+    .map((medicine) => ({ name: medicine.name, terms: drugTerms(medicine) }));
+  const warnings = new Map();
+
+  const add = (warning) => {
+    if (!warnings.has(warning.key)) warnings.set(warning.key, warning);
+  };
+
+  for (const line of lines) {
+    for (const allergy of allergies.filter(Boolean)) {
+      // Allergic to the drug itself
+      if (matchesTerm(line.terms, allergy)) {
+        add({
+          key: `allergy:${normalize(allergy)}:${line.name}`,
+          type: INTERACTION_TYPE.ALLERGY,
+          severity: INTERACTION_SEVERITY.BLOCKING,
+          medicines: [line.name],
+          allergy,
+          description: `Patient is allergic to ${allergy}`,
+        });
+      }
+
+      for (const rule of rules.filter((r) => r.type === INTERACTION_TYPE.ALLERGY)) {
+        if (matchesTerm([normalize(allergy)], rule.interactsWith) && matchesTerm(line.terms, rule.drug)) {
+          add({
+            key: `allergy:${normalize(allergy)}:${line.name}`,
+            type: INTERACTION_TYPE.ALLERGY,
+            severity: rule.severity,
+            medicines: [line.name],
+            allergy,
+            description: rule.description || `${rule.drug} is contraindicated with ${rule.interactsWith} allergy`,
+          });
+        }
+      }
+    }
+  }
+
+  for (const rule of rules.filter((r) => r.type === INTERACTION_TYPE.DRUG)) {
+    for (let i = 0; i < lines.length; i++) {
+      for (let j = 0; j < lines.length; j++) {
+        if (i === j) continue;
+        if (matchesTerm(lines[i].terms, rule.drug) && matchesTerm(lines[j].terms, rule.interactsWith)) {
+          const names = [lines[i].name, lines[j].name];
+          add({
+            key: `drug:${normalize(rule.drug)}:${normalize(rule.interactsWith)}:${[...names].sort().join('|')}`,
+            type: INTERACTION_TYPE.DRUG,
+            severity: rule.severity,
+            medicines: names,
+            allergy: null,
+            description: rule.description || `${rule.drug} interacts with ${rule.interactsWith}`,
+          });
+        }
+      }
+    }
+  }
+
+  return [...warnings.values()].sort((a, b) =>
+    (a.severity === INTERACTION_SEVERITY.BLOCKING ? 0 : 1) - (b.severity === INTERACTION_SEVERITY.BLOCKING ? 0 : 1));
+}
+
+/**
+ * Warnings that must not be saved without an override reason
+ * @param {Array<{ severity: string }>} warnings
+ * @returns {Array}
+ */
+export function blockingWarnings(warnings) {
+  return warnings.filter((warning) => warning.severity === INTERACTION_SEVERITY.BLOCKING);
+}
+
+export default {
+  drugTerms,
+  matchesTerm,
+  checkInteractions,
+  blockingWarnings,
+};
@@ -0,0 +1,154 @@
+/**
+ * Pack and Loose Quantities
+ * A batch holds whole packs (currentQty) plus loose units left in an opened
+ * pack (looseQty), e.g. 4 strips and 6 tablets of a 10-tablet strip.
+ *
+ * Medicines can be sold by the pack or, when a pack holds more than one
+ * unit, by the unit. A unit sale uses loose units first and opens whole
+ * packs only when they run short. The unit price is the pack price divided
+ * by the pack size.
+ *
+ * Used by medicine billing, returns and stock screens.
+ */
+
+import { roundToPaise } from './gst.js';
+import { SALE_UNIT } from '../constants/enums.js';
+
+// Name of a single unit, by medicine category
+const UNIT_LABELS = {
+  tablet: 'tab',
+  capsule: 'cap',
+  injection: 'amp',
+  inhaler: 'pc',
+};
+
+/**
+ * Label for one unit of a medicine (tab, cap...)
+ * @param {{ category?: string }} medicine
+ * @returns {string}
+ */
+export function unitLabel(medicine) {
+  return UNIT_LABELS[medicine?.category] || 'unit';
+}
+
+/**
+ * Check whether a medicine can be sold in loose units
+ * @param {{ packSize?: number }} medicine
+ * @returns {boolean}
+ */
+export function canSellLoose(medicine) {
+  return Number(medicine?.packSize) > 1;
+}
+
+/**
+ * Price of one unit from the pack price
+ * @param {number} packPrice - MRP or selling price of a pack
+ * @param {number} packSize - Units per pack
+ * @returns {number}
+ */
+export function unitPrice(packPrice, packSize) {
+  return roundToPaise((packPrice || 0) / (packSize || 1));
+}
+
+/**
+ * Price and quantity of a bill line in its sale unit
+ *
+ * @param {Object} batch - Stock batch (mrp, sellingPrice)
+ * @param {string} saleUnit - One of SALE_UNIT
+ * @param {number} packSize - Units per pack
+ * @returns {{ mrp: number, sellingPrice: number }}
+ */
+export function saleUnitPrices(batch, saleUnit, packSize) {
+  const packMrp = batch.mrp || 0;
+  const packPrice = batch.sellingPrice || batch.mrp || 0;
+  if (saleUnit !== SALE_UNIT.UNIT) {
+    return { mrp: packMrp, sellingPrice: packPrice };
+  }
+  return { mrp: unitPrice(packMrp, packSize), sellingPrice: unitPrice(packPrice, packSize) };
+}
+
+/**
+ * Stock left in a batch, as whole packs and as units, after quantities
+ * already taken from it
+ *
+ * @param {{ currentQty: number, looseQty?: number }} batch
+ * @param {number} packSize - Units per pack
+ * @param {{ packs?: number, units?: number }} [taken]
+ * @returns {{ packs: number, units: number }}
+ *
+ * @example
+ * availableStock({ currentQty: 3, looseQty: 4 }, 10, { units: 6 });
+ * // { packs: 2, units: 28 } - 6 units use the 4 loose ones and open a pack
+ */
+export function availableStock(batch, packSize, { packs = 0, units = 0 } = {}) {
+  const loose = batch.looseQty || 0;
+  const packsLeft = batch.currentQty - packs;
+  const opened = Math.max(0, Math.ceil((units - loose) / packSize));
+
+  return {
+    packs: Math.max(0, packsLeft - opened),
+    units: Math.max(0, packsLeft * packSize + loose - units),
+  };
+}
+
+/**
+ * Work out what taking packs and units does to a batch
+ *
+ * @param {{ currentQty: number, looseQty?: number }} batch
+ * @param {{ packs?: number, units?: number }} take
+ * @param {number} packSize - Units per pack
+ * @returns {{ packs: number, loose: number, opened: number } | null} Packs removed
+ *   (including any opened), signed change to the loose units, and packs opened;
+ *   null when the batch does not hold enough
+ *
+ * @example
+ * stockDeduction({ currentQty: 3, looseQty: 4 }, { units: 6 }, 10);
+ * // { packs: 1, loose: 4, opened: 1 } - 2 packs and 8 loose left
+ */
+export function stockDeduction(batch, { packs = 0, units = 0 }, packSize) {
+  const loose = batch.looseQty || 0;
+  const opened = Math.max(0, Math.ceil((units - loose) / packSize));
+
+  if (packs + opened > batch.currentQty) return null;
+
+  return {
+    packs: packs + opened,
+    loose: opened * packSize - units,
+    opened,
+  };
+}
+
+/**
+ * Name of the unit a bill line was sold in
+ * @param {{ saleUnit?: string, packUnit?: string, unitLabel?: string }} line
+ * @returns {string} e.g. "strip" or "tab"
+ */
+export function saleUnitLabel(line) {
+  return line.saleUnit === SALE_UNIT.UNIT ? line.unitLabel || 'unit' : line.packUnit || 'pack';
+}
+
+/**
+ * Display a quantity held as packs and loose units
+ *
+ * @param {number} packs
+ * @param {number} [loose]
+ * @param {{ packUnit?: string, unit?: string }} [labels]
+ * @returns {string} e.g. "4 strip + 6 tab"
+ */
+export function formatPackQty(packs, loose = 0, { packUnit = 'pack', unit = 'unit' } = {}) {
+  const parts = [];
+  if (packs > 0 || !loose) parts.push(`${packs} ${packUnit}`);
+  if (loose > 0) parts.push(`${loose} ${unit}`);
+  return parts.join(' + ');
+}
+
+export default {
+  unitLabel,
+  canSellLoose,
+  unitPrice,
+  saleUnitPrices,
+  availableStock,
+  stockDeduction,
+  saleUnitLabel,
+  formatPackQty,
+};
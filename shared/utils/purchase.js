@@ -0,0 +1,105 @@
+/**
+ * Purchase Invoice Totals
+ * Works out a supplier invoice from its lines: rate x quantity, less the
+ * line (trade) discount, less an invoice-level (cash) discount, plus GST.
+ *
+ * Purchase rates are GST-exclusive. Free quantity is received at no charge,
+ * so it lowers the effective cost per unit but not the invoice value.
+ *
+ * Used by the goods receipt API and to preview totals on the entry screen.
+ */
+
+import { computeGst, roundToPaise } from './gst.js';
+
+/**
+ * Compute purchase invoice totals
+ *
+ * @param {Array<{ quantity: number, freeQty?: number, purchasePrice: number, discountPercent?: number, gstRate?: number, hsnCode?: string }>} items
+ * @param {Object} [options]
+ * @param {number} [options.discountAmount] - Invoice-level discount
+ * @param {boolean} [options.interState] - IGST instead of CGST/SGST
+ * @returns {{ items: Array, breakdown: Array, grossAmount: number, lineDiscount: number, discountAmount: number, taxableAmount: number, cgst: number, sgst: number, igst: number, totalTax: number, roundOff: number, invoiceTotal: number }}
+ *
+ * @example
+ * computePurchaseTotals([{ quantity: 10, freeQty: 2, purchasePrice: 50, discountPercent: 10, gstRate: 12 }]);
+ * // taxableAmount 450, totalTax 54, invoiceTotal 504; items[0].costPrice 42 (504 / 12)
+ */
+export function computePurchaseTotals(items, { discountAmount = 0, interState = false } = {}) {
+  const lines = items.map((item) => {
+    const quantity = Number(item.quantity) || 0;
+    const grossAmount = roundToPaise(quantity * (Number(item.purchasePrice) || 0));
+    const lineDiscount = roundToPaise((grossAmount * (Number(item.discountPercent) || 0)) / 100);
+
+    return {
+      ...item,
+      quantity,
+      freeQty: Number(item.freeQty) || 0,
+      grossAmount,
+      lineDiscount,
+      amount: roundToPaise(grossAmount - lineDiscount),
+    };
+  });
+
+  const gst = computeGst(lines, { discountAmount, interState });
+
+  // Landed cost per unit received, tax included, spread over free units too
+  const taxedItems = gst.items.map((item) => {
+    const lineTotal = roundToPaise(item.taxableValue + item.cgst + item.sgst + item.igst);
+    const units = item.quantity + item.freeQty;
+    return {
+      ...item,
+      lineTotal,
+      costPrice: units > 0 ? roundToPaise(lineTotal / units) : 0,
+    };
+  });
+
+  const sum = (field) => roundToPaise(lines.reduce((total, line) => total + line[field], 0));
+  const exactTotal = gst.taxableAmount + gst.totalTax;
+  const invoiceTotal = Math.round(exactTotal);
+
+  return {
+    items: taxedItems,
+    breakdown: gst.breakdown,
+    grossAmount: sum('grossAmount'),
+    lineDiscount: sum('lineDiscount'),
+    discountAmount: roundToPaise(Math.min(discountAmount, sum('amount'))),
+    taxableAmount: gst.taxableAmount,
+    cgst: gst.cgst,
+    sgst: gst.sgst,
+    igst: gst.igst,
+    totalTax: gst.totalTax,
+    roundOff: roundToPaise(invoiceTotal - exactTotal),
+    invoiceTotal,
+  };
+}
+
+/**
+ * Compute purchase order lines and totals
+ * Orders carry the expected rate (usually the last price paid); the total is
+ * an estimate before GST, as the supplier's invoice decides the final value.
+ *
+ * @param {Array<{ quantity: number, rate?: number|null }>} items
+ * @returns {{ items: Array, totalQty: number, estimatedTotal: number }}
+ *
+ * @example
+ * computePurchaseOrderTotals([{ quantity: 10, rate: 42.5 }, { quantity: 5 }]);
+ * // items[0].amount 425, items[1].amount null; totalQty 15, estimatedTotal 425
+ */
+export function computePurchaseOrderTotals(items) {
+  const lines = items.map((item) => {
+    const quantity = Number(item.quantity) || 0;
+    const rate = item.rate === null || item.rate === undefined || item.rate === '' ? null : Number(item.rate);
+    return { ...item, quantity, rate, amount: rate === null ? null : roundToPaise(quantity * rate) };
+  });
+
+  return {
+    items: lines,
+    totalQty: lines.reduce((sum, item) => sum + item.quantity, 0),
+    estimatedTotal: roundToPaise(lines.reduce((sum, item) => sum + (item.amount || 0), 0)),
+  };
+}
+
+export default {
+  computePurchaseTotals,
+  computePurchaseOrderTotals,
+};
@@ -0,0 +1,103 @@
+/**
+ * Reorder Suggestions
+ * Suggests how much of a medicine to order from its recent consumption
+ * instead of a fixed reorder level.
+ *
+ *   average daily use = net quantity sold in the window / window days
+ *   safety stock      = average daily use x safety days
+ *   reorder point     = average daily use x supplier lead time + safety stock
+ *   order up to       = reorder point + average daily use x cover days
+ *
+ * A medicine is due when stock (plus anything already on order) is at or
+ * below its reorder point; the suggestion tops it up to the order-up-to
+ * level. Settings live in clinic settings under `reorder`.
+ */
+
+// Defaults used until the clinic saves its own
+export const DEFAULT_REORDER_SETTINGS = {
+  consumptionDays: 90, // Bill history used for the average
+  leadTimeDays: 7,     // Supplier delivery time, unless set on the supplier
+  safetyDays: 7,       // Extra days of stock kept against late deliveries or spikes
+  coverDays: 30,       // Days of use each order should cover
+};
+
+const LIMITS = {
+  consumptionDays: { label: 'Consumption window', min: 7, max: 365 },
+  leadTimeDays: { label: 'Lead time', min: 0, max: 90 },
+  safetyDays: { label: 'Safety stock', min: 0, max: 90 },
+  coverDays: { label: 'Order cover', min: 1, max: 180 },
+};
+
+/**
+ * Fill missing reorder settings with defaults
+ * @param {Object} [settings] - clinicSettings.reorder
+ * @returns {{ consumptionDays: number, leadTimeDays: number, safetyDays: number, coverDays: number }}
+ */
+export function resolveReorderSettings(settings) {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_REORDER_SETTINGS).map(([key, fallback]) => {
+      const value = settings?.[key];
+      return [key, Number.isInteger(value) ? value : fallback];
+    })
+  );
+}
+
+/**
+ * Validate reorder settings
+ * @param {Object} settings
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateReorderSettings(settings) {
+  for (const [key, { label, min, max }] of Object.entries(LIMITS)) {
+    const value = settings?.[key];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return `${label} must be ${min} to ${max} days`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Compute the reorder suggestion for one medicine
+ *
+ * @param {Object} input
+ * @param {number} input.currentStock - Saleable packs in stock (may be fractional with loose units)
+ * @param {number} input.soldQty - Net packs sold in the window (returns deducted)
+ * @param {number} [input.onOrder] - Quantity on open purchase orders
+ * @param {number} [input.leadTimeDays] - Overrides settings.leadTimeDays (supplier lead time)
+ * @param {Object} input.settings - Resolved reorder settings
+ * @returns {{ avgDailyUse: number, safetyStock: number, reorderPoint: number, orderUpTo: number, daysOfStock: number|null, suggestedQty: number, isDue: boolean }}
+ *
+ * @example
+ * computeReorderSuggestion({ currentStock: 20, soldQty: 180, settings: resolveReorderSettings() });
+ * // avgDailyUse 2, reorderPoint 28, orderUpTo 88, suggestedQty 68
+ */
+export function computeReorderSuggestion({ currentStock, soldQty, onOrder = 0, leadTimeDays, settings }) {
+  const leadTime = Number.isInteger(leadTimeDays) ? leadTimeDays : settings.leadTimeDays;
+  const avgDailyUse = Math.max(0, soldQty) / settings.consumptionDays;
+
+  const safetyStock = Math.ceil(avgDailyUse * settings.safetyDays);
+  const reorderPoint = Math.ceil(avgDailyUse * leadTime) + safetyStock;
+  const orderUpTo = reorderPoint + Math.ceil(avgDailyUse * settings.coverDays);
+
+  const available = currentStock + onOrder;
+  const isDue = avgDailyUse > 0 && available <= reorderPoint;
+
+  return {
+    avgDailyUse: Math.round(avgDailyUse * 100) / 100,
+    safetyStock,
+    reorderPoint,
+    orderUpTo,
+    daysOfStock: avgDailyUse > 0 ? Math.floor(currentStock / avgDailyUse) : null,
+    // Whole packs
+    suggestedQty: isDue ? Math.max(0, Math.ceil(orderUpTo - available)) : 0,
+    isDue,
+  };
+}
+
+export default {
+  DEFAULT_REORDER_SETTINGS,
+  resolveReorderSettings,
+  validateReorderSettings,
+  computeReorderSuggestion,
+};
@@ -0,0 +1,61 @@
+/**
+ * Scheduled Drugs
+ * Schedule H, H1 and X drugs can only be sold against a prescription. Every
+ * sale is written to the schedule register with the prescriber and patient,
+ * which drug inspectors check.
+ *
+ * Used by medicine billing to decide when a bill needs prescriber and patient
+ * details, and by the register report.
+ */
+
+import { SCHEDULE_TYPE } from '../constants/enums.js';
+
+// Schedules that are recorded in the register
+export const REGISTER_SCHEDULES = [SCHEDULE_TYPE.H, SCHEDULE_TYPE.H1, SCHEDULE_TYPE.X];
+
+/**
+ * Schedule of a medicine, or null when it is not a scheduled drug
+ * @param {{ isScheduled?: boolean, scheduleType?: string }} medicine
+ * @returns {string|null} One of REGISTER_SCHEDULES
+ */
+export function scheduleOf(medicine) {
+  return REGISTER_SCHEDULES.includes(medicine?.scheduleType) ? medicine.scheduleType : null;
+}
+
+/**
+ * One-line address from an address object or string
+ * @param {Object|string} [address] - { line1, line2, city, state, pincode }
+ * @returns {string}
+ */
+export function addressLine(address) {
+  if (!address) return '';
+  if (typeof address === 'string') return address.trim();
+  return [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Details a bill with scheduled drugs is missing
+ *
+ * @param {{ doctorId?: string, patientName?: string, patientAddress?: string }} details
+ * @returns {string[]} Labels of the missing fields, empty when complete
+ *
+ * @example
+ * missingScheduleDetails({ patientName: 'Asha' });
+ * // ['prescribing doctor', 'patient address']
+ */
+export function missingScheduleDetails({ doctorId, patientName, patientAddress }) {
+  const missing = [];
+  if (!doctorId) missing.push('prescribing doctor');
+  if (!patientName || !String(patientName).trim()) missing.push('patient name');
+  if (!addressLine(patientAddress)) missing.push('patient address');
+  return missing;
+}
+
+export default {
+  REGISTER_SCHEDULES,
+  scheduleOf,
+  addressLine,
+  missingScheduleDetails,
+};
@@ -0,0 +1,94 @@
+/**
+ * Stock-Take Variance
+ * Compares counted quantities with the system quantities snapshotted when a
+ * stock-take started, and values the difference at purchase price.
+ *
+ * Full packs (countedQty) and loose units from opened packs (countedLooseQty)
+ * are counted separately and each has its own variance; a loose unit is
+ * valued and summarised as a fraction of its pack. Lines not yet counted
+ * (countedQty null) carry no variance. Used by the stock-take APIs and to
+ * show variances live on the count sheet.
+ */
+
+import { roundToPaise } from './gst.js';
+
+/**
+ * Check whether a line has been counted
+ * @param {{ countedQty?: number|null }} item
+ * @returns {boolean}
+ */
+export function isCounted(item) {
+  return item.countedQty !== null && item.countedQty !== undefined && item.countedQty !== '';
+}
+
+const roundQty = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Compute variances for stock-take lines
+ *
+ * @param {Array<{ systemQty: number, countedQty?: number|null, systemLooseQty?: number,
+ *   countedLooseQty?: number|null, packSize?: number, purchasePrice?: number }>} items
+ * @returns {{ items: Array, summary: { totalItems: number, countedItems: number, matchedItems: number, shortItems: number, excessItems: number, shortQty: number, excessQty: number, shortValue: number, excessValue: number, netValue: number } }}
+ *   Lines gain variance (packs), looseVariance (units) and varianceValue;
+ *   shortQty and excessQty are in packs
+ *
+ * @example
+ * computeStockTakeVariance([{ systemQty: 10, countedQty: 8, purchasePrice: 5 }]);
+ * // items[0].variance -2, varianceValue -10; summary.shortValue 10, netValue -10
+ * computeStockTakeVariance([{ systemQty: 2, countedQty: 2, systemLooseQty: 6, countedLooseQty: 1, packSize: 10, purchasePrice: 20 }]);
+ * // items[0].looseVariance -5, varianceValue -10; summary.shortQty 0.5
+ */
+export function computeStockTakeVariance(items) {
+  const summary = {
+    totalItems: items.length,
+    countedItems: 0,
+    matchedItems: 0,
+    shortItems: 0,
+    excessItems: 0,
+    shortQty: 0,
+    excessQty: 0,
+    shortValue: 0,
+    excessValue: 0,
+    netValue: 0,
+  };
+
+  const lines = items.map((item) => {
+    if (!isCounted(item)) {
+      return { ...item, variance: null, looseVariance: null, varianceValue: null };
+    }
+
+    const packSize = Number(item.packSize) || 1;
+    const variance = Number(item.countedQty) - item.systemQty;
+    const looseVariance = Number(item.countedLooseQty || 0) - (item.systemLooseQty || 0);
+    const packsVariance = variance + looseVariance / packSize;
+    const varianceValue = roundToPaise(packsVariance * (item.purchasePrice || 0));
+
+    summary.countedItems += 1;
+    if (variance === 0 && looseVariance === 0) {
+      summary.matchedItems += 1;
+    } else if (packsVariance < 0) {
+      summary.shortItems += 1;
+      summary.shortQty += -packsVariance;
+      summary.shortValue += -varianceValue;
+    } else {
+      summary.excessItems += 1;
+      summary.excessQty += packsVariance;
+      summary.excessValue += varianceValue;
+    }
+
+    return { ...item, variance, looseVariance, varianceValue };
+  });
+
+  summary.shortQty = roundQty(summary.shortQty);
+  summary.excessQty = roundQty(summary.excessQty);
+  summary.shortValue = roundToPaise(summary.shortValue);
+  summary.excessValue = roundToPaise(summary.excessValue);
+  summary.netValue = roundToPaise(summary.excessValue - summary.shortValue);
+
+  return { items: lines, summary };
+}
+
+export default {
+  isCounted,
+  computeStockTakeVariance,
+};
@@ -0,0 +1,72 @@
+/**
+ * Drug Interaction Validation Schema
+ */
+
+import { z } from 'zod';
+import { INTERACTION_TYPE_OPTIONS, INTERACTION_SEVERITY_OPTIONS } from '../constants/enums.js';
+
+/**
+ * Schema for creating an interaction table entry
+ */
+export const createInteractionSchema = z.object({
+  type: z.enum(INTERACTION_TYPE_OPTIONS),
+  // Generic name or composition ingredient, e.g. "warfarin"
+  drug: z
+    .string()
+    .trim()
+    .min(2, 'Drug must be at least 2 characters')
+    .max(100, 'Drug must be less than 100 characters'),
+  // Second drug, or the allergen for allergy entries, e.g. "penicillin"
+  interactsWith: z
+    .string()
+    .trim()
+    .min(2, 'Interacting drug or allergy must be at least 2 characters')
+    .max(100, 'Interacting drug or allergy must be less than 100 characters'),
+  severity: z.enum(INTERACTION_SEVERITY_OPTIONS),
+  description: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Schema for updating an interaction table entry (all fields optional)
+ */
+export const updateInteractionSchema = createInteractionSchema.partial().extend({
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Validate interaction creation
+ */
+export function validateCreateInteraction(data) {
+  const result = createInteractionSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Validate interaction update
+ */
+export function validateUpdateInteraction(data) {
+  const result = updateInteractionSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+function formatZodError(zodError) {
+  const errors = {};
+  zodError.errors.forEach((err) => {
+    const path = err.path.join('.');
+    errors[path] = err.message;
+  });
+  return errors;
+}
+
+export default {
+  createInteractionSchema,
+  updateInteractionSchema,
+  validateCreateInteraction,
+  validateUpdateInteraction,
+};
@@ -0,0 +1,62 @@
+/**
+ * Prescription Template Validation Schema
+ */
+
+import { z } from 'zod';
+
+const templateMedicineSchema = z.object({
+  medicineId: z.string().optional().or(z.literal('')),
+  name: z.string().trim().min(1, 'Medicine name is required').max(150),
+  dosage: z.string().max(50).optional().or(z.literal('')),
+  frequency: z.string().max(20).optional().or(z.literal('')),
+  duration: z.string().max(50).optional().or(z.literal('')),
+  timing: z.string().max(30).optional().or(z.literal('')),
+  instructions: z.string().max(300).optional().or(z.literal('')).nullable(),
+});
+
+/**
+ * Schema for saving a prescription template
+ */
+export const createTemplateSchema = z.object({
+  doctorId: z.string().min(1, 'Doctor is required'),
+  name: z
+    .string()
+    .trim()
+    .min(2, 'Name must be at least 2 characters')
+    .max(100, 'Name must be less than 100 characters'),
+  diagnosis: z.string().max(500).optional().or(z.literal('')).nullable(),
+  medicines: z
+    .array(templateMedicineSchema)
+    .max(30, 'Maximum 30 medicines allowed')
+    .default([]),
+  investigations: z
+    .array(z.string().trim().max(200))
+    .max(30, 'Maximum 30 investigations allowed')
+    .default([]),
+  advice: z.string().max(2000).optional().or(z.literal('')).nullable(),
+});
+
+/**
+ * Validate template creation
+ */
+export function validateCreateTemplate(data) {
+  const result = createTemplateSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+function formatZodError(zodError) {
+  const errors = {};
+  zodError.errors.forEach((err) => {
+    const path = err.path.join('.');
+    errors[path] = err.message;
+  });
+  return errors;
+}
+
+export default {
+  createTemplateSchema,
+  validateCreateTemplate,
+};
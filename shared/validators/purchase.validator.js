@@ -0,0 +1,203 @@
+/**
+ * Purchase (Goods Receipt) Validation Schema
+ */
+
+import { z } from 'zod';
+import {
+  GST_RATE_OPTIONS,
+  SUPPLIER_PAYMENT_MODE_OPTIONS,
+  PURCHASE_RETURN_REASON_OPTIONS,
+  SUPPLIER_CREDIT_SETTLEMENT,
+  PURCHASE_ORDER_STATUS_OPTIONS,
+} from '../constants/enums.js';
+
+const dateString = (message) => z.string().refine((val) => !isNaN(Date.parse(val)), { message });
+
+// One invoice line = one new stock batch
+const purchaseItemSchema = z.object({
+  medicineId: z.string().min(1, 'Medicine is required'),
+  batchNo: z.string().trim().min(1, 'Batch number is required').max(50),
+  expiryDate: dateString('Invalid expiry date'),
+  mfgDate: dateString('Invalid manufacturing date').optional().or(z.literal('')),
+  quantity: z.coerce.number().int('Quantity must be a whole number').positive('Quantity must be more than 0'),
+  freeQty: z.coerce.number().int('Free quantity must be a whole number').min(0).default(0),
+  purchasePrice: z.coerce.number().positive('Purchase rate is required'),
+  discountPercent: z.coerce.number().min(0).max(100).default(0),
+  gstRate: z.coerce.number().refine((val) => GST_RATE_OPTIONS.includes(val), {
+    message: 'Invalid GST rate',
+  }),
+  mrp: z.coerce.number().positive('MRP is required'),
+  sellingPrice: z.coerce.number().positive().optional(),
+}).refine((item) => !item.sellingPrice || item.sellingPrice <= item.mrp, {
+  message: 'Selling price cannot exceed MRP',
+  path: ['sellingPrice'],
+});
+
+/**
+ * Schema for a goods receipt against a supplier invoice
+ */
+export const createPurchaseSchema = z.object({
+  supplierId: z.string().min(1, 'Supplier is required'),
+  invoiceNo: z.string().trim().min(1, 'Invoice number is required').max(50),
+  invoiceDate: dateString('Invalid invoice date'),
+  interState: z.boolean().default(false),
+  discountAmount: z.coerce.number().min(0).default(0),
+  items: z
+    .array(purchaseItemSchema)
+    .min(1, 'At least one item is required')
+    .max(200, 'Maximum 200 items per invoice'),
+  paidAmount: z.coerce.number().min(0).default(0),
+  paymentMode: z.enum(SUPPLIER_PAYMENT_MODE_OPTIONS).optional(),
+  paymentReference: z.string().max(100).optional().or(z.literal('')),
+  remarks: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Validate goods receipt creation
+ */
+export function validateCreatePurchase(data) {
+  const result = createPurchaseSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Schema for returning stock to a supplier (debit note)
+ */
+export const createPurchaseReturnSchema = z.object({
+  supplierId: z.string().min(1, 'Supplier is required'),
+  reason: z.enum(PURCHASE_RETURN_REASON_OPTIONS, {
+    errorMap: () => ({ message: 'Invalid return reason' }),
+  }),
+  items: z
+    .array(z.object({
+      batchId: z.string().min(1, 'Batch is required'),
+      quantity: z.coerce.number().int('Quantity must be a whole number').positive('Quantity must be more than 0'),
+    }))
+    .min(1, 'At least one batch is required')
+    .max(200, 'Maximum 200 batches per return'),
+  remarks: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Schema for settling the credit on a debit note, either as a refund from
+ * the supplier or by setting it off against one of their invoices
+ */
+export const settleDebitNoteSchema = z.object({
+  returnId: z.string().min(1, 'Debit note is required'),
+  amount: z.coerce.number().positive('Amount must be more than 0'),
+  method: z.enum([SUPPLIER_CREDIT_SETTLEMENT.REFUND, SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT]),
+  purchaseId: z.string().optional(),
+  paymentMode: z.enum(SUPPLIER_PAYMENT_MODE_OPTIONS).optional(),
+  reference: z.string().max(100).optional().or(z.literal('')),
+}).refine((data) => data.method !== SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT || data.purchaseId, {
+  message: 'Select the invoice to adjust against',
+  path: ['purchaseId'],
+}).refine((data) => data.method !== SUPPLIER_CREDIT_SETTLEMENT.REFUND || data.paymentMode, {
+  message: 'Payment mode is required for a refund',
+  path: ['paymentMode'],
+});
+
+const purchaseOrderItemSchema = z.object({
+  medicineId: z.string().min(1, 'Medicine is required'),
+  quantity: z.coerce.number().int('Quantity must be a whole number').positive('Quantity must be more than 0'),
+  rate: z.coerce.number().min(0).nullable().optional(),
+});
+
+/**
+ * Schema for raising draft purchase orders; lines are grouped into one
+ * order per supplier
+ */
+export const createPurchaseOrdersSchema = z.object({
+  items: z
+    .array(purchaseOrderItemSchema.extend({
+      supplierId: z.string().min(1, 'Supplier is required'),
+    }))
+    .min(1, 'At least one medicine is required')
+    .max(500, 'Maximum 500 medicines at a time'),
+  remarks: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Schema for editing a purchase order; items can only change on a draft
+ */
+export const updatePurchaseOrderSchema = z.object({
+  id: z.string().min(1, 'Purchase order is required'),
+  items: z
+    .array(purchaseOrderItemSchema)
+    .min(1, 'At least one medicine is required')
+    .max(500, 'Maximum 500 medicines per order')
+    .optional(),
+  status: z.enum(PURCHASE_ORDER_STATUS_OPTIONS, {
+    errorMap: () => ({ message: 'Invalid status' }),
+  }).optional(),
+  remarks: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Validate purchase return creation
+ */
+export function validateCreatePurchaseReturn(data) {
+  const result = createPurchaseReturnSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Validate debit note settlement
+ */
+export function validateSettleDebitNote(data) {
+  const result = settleDebitNoteSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Validate purchase order creation
+ */
+export function validateCreatePurchaseOrders(data) {
+  const result = createPurchaseOrdersSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Validate purchase order update
+ */
+export function validateUpdatePurchaseOrder(data) {
+  const result = updatePurchaseOrderSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+function formatZodError(zodError) {
+  const errors = {};
+  zodError.errors.forEach((err) => {
+    const path = err.path.join('.');
+    errors[path] = err.message;
+  });
+  return errors;
+}
+
+export default {
+  createPurchaseSchema,
+  createPurchaseReturnSchema,
+  settleDebitNoteSchema,
+  createPurchaseOrdersSchema,
+  updatePurchaseOrderSchema,
+  validateCreatePurchase,
+  validateCreatePurchaseReturn,
+  validateSettleDebitNote,
+  validateCreatePurchaseOrders,
+  validateUpdatePurchaseOrder,
+};
@@ -0,0 +1,100 @@
+/**
+ * Supplier Validation Schema
+ */
+
+import { z } from 'zod';
+
+// 15-character GSTIN: state code, PAN, entity number, 'Z', check character
+export const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/;
+
+const addressSchema = z.object({
+  line1: z.string().max(200).optional().or(z.literal('')),
+  line2: z.string().max(200).optional().or(z.literal('')),
+  city: z.string().max(100).optional().or(z.literal('')),
+  state: z.string().max(100).optional().or(z.literal('')),
+  pincode: z.string().regex(/^\d{6}$/, 'Pincode must be 6 digits').optional().or(z.literal('')),
+}).optional();
+
+/**
+ * Schema for creating a supplier
+ */
+export const createSupplierSchema = z.object({
+  name: z
+    .string()
+    .trim()
+    .min(2, 'Name must be at least 2 characters')
+    .max(150, 'Name must be less than 150 characters'),
+  contactPerson: z.string().max(100).optional().or(z.literal('')),
+  phone: z.string().regex(/^\d{10}$/, 'Phone must be exactly 10 digits'),
+  email: z.string().email('Invalid email address').optional().or(z.literal('')),
+  gstin: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .regex(GSTIN_PATTERN, 'Invalid GSTIN')
+    .optional()
+    .or(z.literal('')),
+  drugLicenseNo: z.string().max(50).optional().or(z.literal('')),
+  address: addressSchema,
+  paymentTermsDays: z.coerce
+    .number()
+    .int('Payment terms must be whole days')
+    .min(0)
+    .max(365)
+    .default(0),
+  // Days from order to delivery; null uses the clinic's default lead time
+  leadTimeDays: z
+    .number()
+    .int('Lead time must be whole days')
+    .min(0)
+    .max(90)
+    .nullable()
+    .optional(),
+  remarks: z.string().max(500).optional().or(z.literal('')),
+});
+
+/**
+ * Schema for updating a supplier (all fields optional)
+ */
+export const updateSupplierSchema = createSupplierSchema.partial().extend({
+  isActive: z.boolean().optional(),
+});
+
+/**
+ * Validate supplier creation
+ */
+export function validateCreateSupplier(data) {
+  const result = createSupplierSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+/**
+ * Validate supplier update
+ */
+export function validateUpdateSupplier(data) {
+  const result = updateSupplierSchema.safeParse(data);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+  return { success: false, error: formatZodError(result.error) };
+}
+
+function formatZodError(zodError) {
+  const errors = {};
+  zodError.errors.forEach((err) => {
+    const path = err.path.join('.');
+    errors[path] = err.message;
+  });
+  return errors;
+}
+
+export default {
+  GSTIN_PATTERN,
+  createSupplierSchema,
+  updateSupplierSchema,
+  validateCreateSupplier,
+  validateUpdateSupplier,
+};
@@ -13,6 +13,10 @@ import Inventory from './pages/Inventory';
 import Settings from './pages/Settings';
 import ServiceItems from './pages/ServiceItems';
 import Users from './pages/Users';
+import AuditLogs from './pages/AuditLogs';
+import GstReport from './pages/GstReport';
+import ScheduleRegister from './pages/ScheduleRegister';
+import DrugInteractions from './pages/DrugInteractions';
 import NotFound from './pages/NotFound';
 
 // Sub Pages
@@ -20,8 +24,8 @@ import { AddPatient, ViewPatient, EditPatient } from './pages/PatientsPages';
 import { AddDoctor, EditDoctor } from './pages/DoctorsPages';
 import { BookAppointment, ViewAppointment } from './pages/AppointmentsPages';
 import { PrescriptionGenerator, BlankPrescription, Letterhead } from './pages/PrescriptionsPages';
-import { OpdBillGenerator, MiscBillGenerator, MedicineBilling, ViewBill } from './pages/BillingPages';
-import { MedicineStockManagement } from './pages/InventoryPages';
+import { OpdBillGenerator, MiscBillGenerator, MedicineBilling, ViewBill, OutstandingDues } from './pages/BillingPages';
+import { MedicineStockManagement, Suppliers, Purchases, PurchaseEntry, PurchaseReturns, StockTakes, StockTakeSheet, ReorderSuggestions, PurchaseOrders } from './pages/InventoryPages';
 
 function App() {
   return (
@@ -29,7 +33,7 @@ function App() {
       {/* Public Routes */}
       <Route path="/login" element={<Login />} />
       
-      {/* Protected Routes */}
+      {/* Protected Routes (permission = function name from shared/constants/permissions) */}
       <Route path="/" element={
         <ProtectedRoute>
           <Layout />
@@ -39,46 +43,62 @@ function App() {
         <Route index element={<Dashboard />} />
         
         {/* Patients */}
-        <Route path="patients" element={<Patients />} />
-        <Route path="patients/add" element={<AddPatient />} />
-        <Route path="patients/:id" element={<ViewPatient />} />
-        <Route path="patients/:id/edit" element={<EditPatient />} />
+        <Route path="patients" element={<ProtectedRoute permission="patients-getPatients"><Patients /></ProtectedRoute>} />
+        <Route path="patients/add" element={<ProtectedRoute permission="patients-addPatient"><AddPatient /></ProtectedRoute>} />
+        <Route path="patients/:id" element={<ProtectedRoute permission="patients-getPatientById"><ViewPatient /></ProtectedRoute>} />
+        <Route path="patients/:id/edit" element={<ProtectedRoute permission="patients-updatePatient"><EditPatient /></ProtectedRoute>} />
         
         {/* Doctors */}
-        <Route path="doctors" element={<Doctors />} />
-        <Route path="doctors/add" element={<AddDoctor />} />
-        <Route path="doctors/:id/edit" element={<EditDoctor />} />
+        <Route path="doctors" element={<ProtectedRoute permission="doctors-getDoctors"><Doctors /></ProtectedRoute>} />
+        <Route path="doctors/add" element={<ProtectedRoute permission="doctors-addDoctor"><AddDoctor /></ProtectedRoute>} />
+        <Route path="doctors/:id/edit" element={<ProtectedRoute permission="doctors-updateDoctor"><EditDoctor /></ProtectedRoute>} />
         
         {/* Appointments */}
-        <Route path="appointments" element={<Appointments />} />
-        <Route path="appointments/book" element={<BookAppointment />} />
-        <Route path="appointments/:id" element={<ViewAppointment />} />
+        <Route path="appointments" element={<ProtectedRoute permission="appointments-getAppointments"><Appointments /></ProtectedRoute>} />
+        <Route path="appointments/book" element={<ProtectedRoute permission="appointments-createAppointment"><BookAppointment /></ProtectedRoute>} />
+        <Route path="appointments/:id" element={<ProtectedRoute permission="appointments-getAppointmentById"><ViewAppointment /></ProtectedRoute>} />
         
         {/* Prescriptions */}
-        <Route path="prescriptions/generate" element={<PrescriptionGenerator />} />
+        <Route path="prescriptions/generate" element={<ProtectedRoute permission="prescriptions-generatePrescription"><PrescriptionGenerator /></ProtectedRoute>} />
+        <Route path="prescriptions/:id/edit" element={<ProtectedRoute permission="prescriptions-updatePrescription"><PrescriptionGenerator /></ProtectedRoute>} />
         <Route path="prescriptions/blank" element={<BlankPrescription />} />
+        <Route path="prescriptions/interactions" element={<ProtectedRoute permission="interactions-getInteractions"><DrugInteractions /></ProtectedRoute>} />
         <Route path="letterhead" element={<Letterhead />} />
         
         {/* Billing */}
         <Route path="billing" element={<Billing />} />
         <Route path="billing/:type" element={<Billing />} />
-        <Route path="billing/opd/new" element={<OpdBillGenerator />} />
-        <Route path="billing/misc/new" element={<MiscBillGenerator />} />
-        <Route path="billing/medicine/new" element={<MedicineBilling />} />
+        <Route path="billing/opd/new" element={<ProtectedRoute permission="billing-opd-generateOpdBill"><OpdBillGenerator /></ProtectedRoute>} />
+        <Route path="billing/misc/new" element={<ProtectedRoute permission="billing-misc-generateMiscBill"><MiscBillGenerator /></ProtectedRoute>} />
+        <Route path="billing/medicine/new" element={<ProtectedRoute permission="billing-medicine-generateMedicineBill"><MedicineBilling /></ProtectedRoute>} />
         <Route path="billing/:type/:id" element={<ViewBill />} />
+        <Route path="dues" element={<ProtectedRoute permission="payments-getOutstandingDues"><OutstandingDues /></ProtectedRoute>} />
+        <Route path="reports/gst" element={<ProtectedRoute permission="reports-getGstReport"><GstReport /></ProtectedRoute>} />
+        <Route path="reports/schedule-register" element={<ProtectedRoute permission="reports-getScheduleRegister"><ScheduleRegister /></ProtectedRoute>} />
         
         {/* Inventory */}
-        <Route path="inventory" element={<Inventory />} />
-        <Route path="inventory/stock" element={<MedicineStockManagement />} />
+        <Route path="inventory" element={<ProtectedRoute permission="medicine-getMedicines"><Inventory /></ProtectedRoute>} />
+        <Route path="inventory/stock" element={<ProtectedRoute permission="medicine-addStock"><MedicineStockManagement /></ProtectedRoute>} />
+        <Route path="inventory/suppliers" element={<ProtectedRoute permission="suppliers-getSuppliers"><Suppliers /></ProtectedRoute>} />
+        <Route path="inventory/purchases" element={<ProtectedRoute permission="purchases-getPurchases"><Purchases /></ProtectedRoute>} />
+        <Route path="inventory/purchases/new" element={<ProtectedRoute permission="purchases-createPurchase"><PurchaseEntry /></ProtectedRoute>} />
+        <Route path="inventory/purchase-returns" element={<ProtectedRoute permission="purchases-getPurchaseReturns"><PurchaseReturns /></ProtectedRoute>} />
+        <Route path="inventory/stock-take" element={<ProtectedRoute permission="medicine-getStockTakes"><StockTakes /></ProtectedRoute>} />
+        <Route path="inventory/stock-take/:id" element={<ProtectedRoute permission="medicine-getStockTakeById"><StockTakeSheet /></ProtectedRoute>} />
+        <Route path="inventory/reorder" element={<ProtectedRoute permission="medicine-getReorderSuggestions"><ReorderSuggestions /></ProtectedRoute>} />
+        <Route path="inventory/purchase-orders" element={<ProtectedRoute permission="purchases-getPurchaseOrders"><PurchaseOrders /></ProtectedRoute>} />
         
         {/* Settings */}
-        <Route path="settings" element={<Settings />} />
+        <Route path="settings" element={<ProtectedRoute permission="clinic-updateClinicSettings"><Settings /></ProtectedRoute>} />
         
         {/* Service Charges */}
-        <Route path="services" element={<ServiceItems />} />
+        <Route path="services" element={<ProtectedRoute permission="services-updateService"><ServiceItems /></ProtectedRoute>} />
         
         {/* Users */}
-        <Route path="users" element={<Users />} />
+        <Route path="users" element={<ProtectedRoute permission="users-getUsers"><Users /></ProtectedRoute>} />
+        
+        {/* Audit Trail */}
+        <Route path="audit" element={<ProtectedRoute permission="audit-getAuditLogs"><AuditLogs /></ProtectedRoute>} />
         
         {/* 404 */}
         <Route path="*" element={<NotFound />} />
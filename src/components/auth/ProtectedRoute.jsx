@@ -1,9 +1,13 @@
-import { Navigate, useLocation } from 'react-router-dom';
+import { Navigate, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { Loader2 } from 'lucide-react';
+import { Loader2, Home } from 'lucide-react';
 
-export default function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+/**
+ * Guards a route behind login and, optionally, a role permission
+ * @param {string|string[]} [permission] - Function name(s) from shared/constants/permissions
+ */
+export default function ProtectedRoute({ children, permission }) {
+  const { isAuthenticated, loading, can } = useAuth();
   const location = useLocation();
 
   // Show loading spinner while checking auth
@@ -23,5 +27,20 @@ export default function ProtectedRoute({ children }) {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Block routes the user's role cannot use
+  if (!can(permission)) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[60vh] text-center">
+        <h1 className="text-6xl font-bold text-gray-200">403</h1>
+        <h2 className="text-2xl font-semibold text-gray-900 mt-4">Access Denied</h2>
+        <p className="text-gray-500 mt-2">Your role does not have access to this page.</p>
+        <Link to="/" className="btn-primary mt-6">
+          <Home className="w-4 h-4" />
+          Back to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
   return children;
 }
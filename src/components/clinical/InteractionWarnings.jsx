@@ -0,0 +1,52 @@
+import { AlertTriangle, AlertCircle } from 'lucide-react';
+import { Badge, Textarea } from '../ui';
+import { blockingWarnings } from '@shared/utils/interactions';
+import { INTERACTION_TYPE, INTERACTION_SEVERITY } from '@shared/constants/enums';
+
+/**
+ * Drug interaction and allergy warnings for the medicines being prescribed
+ * or dispensed. Blocking warnings ask for an override reason, without which
+ * the server refuses to save.
+ */
+export default function InteractionWarnings({ warnings, overrideReason, onOverrideReasonChange, compact = false }) {
+  if (!warnings || warnings.length === 0) return null;
+
+  const hasBlocking = blockingWarnings(warnings).length > 0;
+
+  return (
+    <div className={`rounded-lg border ${hasBlocking ? 'border-red-200 bg-red-50' : 'border-yellow-200 bg-yellow-50'} ${compact ? 'p-2' : 'p-4'}`}>
+      <p className={`flex items-center gap-2 font-medium ${hasBlocking ? 'text-red-800' : 'text-yellow-800'} ${compact ? 'text-xs mb-1' : 'text-sm mb-2'}`}>
+        <AlertTriangle className="w-4 h-4" />
+        {hasBlocking ? 'Interaction warnings - override needed' : 'Interaction warnings'}
+      </p>
+      <ul className="space-y-1">
+        {warnings.map((warning) => (
+          <li key={warning.key} className={`flex items-start gap-2 ${compact ? 'text-xs' : 'text-sm'}`}>
+            <AlertCircle
+              className={`w-4 h-4 flex-shrink-0 mt-0.5 ${warning.severity === INTERACTION_SEVERITY.BLOCKING ? 'text-red-500' : 'text-yellow-600'}`}
+            />
+            <span className="text-gray-800">
+              <span className="font-medium">{warning.medicines.join(' + ')}</span>
+              {warning.type === INTERACTION_TYPE.ALLERGY && ` (allergy: ${warning.allergy})`}
+              {' - '}{warning.description}
+            </span>
+            <Badge variant={warning.severity === INTERACTION_SEVERITY.BLOCKING ? 'danger' : 'warning'} className="ml-auto">
+              {warning.severity === INTERACTION_SEVERITY.BLOCKING ? 'Blocking' : 'Advisory'}
+            </Badge>
+          </li>
+        ))}
+      </ul>
+      {hasBlocking && onOverrideReasonChange && (
+        <Textarea
+          label="Override reason"
+          value={overrideReason}
+          onChange={(e) => onOverrideReasonChange(e.target.value)}
+          rows={2}
+          required
+          placeholder="Why these medicines are still being given"
+          containerClassName="mt-3"
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export { default as InteractionWarnings } from './InteractionWarnings';
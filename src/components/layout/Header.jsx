@@ -5,7 +5,7 @@ import { useAuth } from '../../context/AuthContext';
 
 export default function Header({ onToggleSidebar, sidebarCollapsed }) {
   const navigate = useNavigate();
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [showUserMenu, setShowUserMenu] = useState(false);
   const userMenuRef = useRef(null);
@@ -85,16 +85,18 @@ export default function Header({ onToggleSidebar, sidebarCollapsed }) {
                 <p className="text-sm font-medium text-gray-900">{user?.name}</p>
                 <p className="text-xs text-gray-500 capitalize">{user?.role}</p>
               </div>
-              <button
-                onClick={() => {
-                  setShowUserMenu(false);
-                  navigate('/settings');
-                }}
-                className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
-              >
-                <Settings className="w-4 h-4" />
-                Settings
-              </button>
+              {can('clinic-updateClinicSettings') && (
+                <button
+                  onClick={() => {
+                    setShowUserMenu(false);
+                    navigate('/settings');
+                  }}
+                  className="w-full flex items-center gap-3 px-4 py-2 text-sm text-gray-700 hover:bg-gray-50"
+                >
+                  <Settings className="w-4 h-4" />
+                  Settings
+                </button>
+              )}
               <div className="border-t border-gray-100 mt-1 pt-1">
                 <button
                   onClick={() => {
@@ -11,24 +11,39 @@ import {
   FlaskConical,
   Shield,
   FileText,
+  History,
+  Wallet,
+  FileSpreadsheet,
+  Truck,
+  ClipboardList,
+  AlertTriangle,
 } from 'lucide-react';
 import { useClinic } from '../../context/ClinicContext';
+import { useAuth } from '../../context/AuthContext';
 
+// permission: function name(s) the role needs to see the item (see shared/constants/permissions)
 const navItems = [
   { path: '/', icon: LayoutDashboard, label: 'Dashboard', exact: true },
-  { path: '/patients', icon: Users, label: 'Patients' },
-  { path: '/doctors', icon: UserCog, label: 'Doctors' },
-  { path: '/appointments', icon: Calendar, label: 'Appointments' },
-  { path: '/billing', icon: Receipt, label: 'Billing' },
-  { path: '/inventory', icon: Package, label: 'Pharmacy' },
-  { path: '/services', icon: FlaskConical, label: 'Service Charges' },
+  { path: '/patients', icon: Users, label: 'Patients', permission: 'patients-getPatients' },
+  { path: '/doctors', icon: UserCog, label: 'Doctors', permission: 'doctors-getDoctors' },
+  { path: '/appointments', icon: Calendar, label: 'Appointments', permission: 'appointments-getAppointments' },
+  { path: '/billing', icon: Receipt, label: 'Billing', permission: 'billing-opd-getOpdBills' },
+  { path: '/dues', icon: Wallet, label: 'Outstanding Dues', permission: 'payments-getOutstandingDues' },
+  { path: '/reports/gst', icon: FileSpreadsheet, label: 'GST Report', permission: 'reports-getGstReport' },
+  { path: '/inventory', icon: Package, label: 'Pharmacy', permission: 'medicine-getMedicines' },
+  { path: '/inventory/purchases', icon: Truck, label: 'Purchases', permission: 'purchases-getPurchases' },
+  { path: '/reports/schedule-register', icon: ClipboardList, label: 'Schedule Register', permission: 'reports-getScheduleRegister' },
+  { path: '/prescriptions/interactions', icon: AlertTriangle, label: 'Drug Interactions', permission: 'interactions-addInteraction' },
+  { path: '/services', icon: FlaskConical, label: 'Service Charges', permission: 'services-updateService' },
   { path: '/letterhead', icon: FileText, label: 'Letterhead' },
-  { path: '/users', icon: Shield, label: 'User Management' },
-  { path: '/settings', icon: Settings, label: 'Settings', exact: true },
+  { path: '/users', icon: Shield, label: 'User Management', permission: 'users-getUsers' },
+  { path: '/audit', icon: History, label: 'Audit Trail', permission: 'audit-getAuditLogs' },
+  { path: '/settings', icon: Settings, label: 'Settings', exact: true, permission: 'clinic-updateClinicSettings' },
 ];
 
 export default function Sidebar({ collapsed = false, onToggle }) {
   const { settings } = useClinic();
+  const { can } = useAuth();
 
   return (
     <aside 
@@ -81,7 +96,7 @@ export default function Sidebar({ collapsed = false, onToggle }) {
 
       {/* Navigation */}
       <nav className={`flex-1 ${collapsed ? 'p-2' : 'p-4'} space-y-1`}>
-        {navItems.map((item) => (
+        {navItems.filter((item) => can(item.permission)).map((item) => (
           <NavLink
             key={item.path}
             to={item.path}
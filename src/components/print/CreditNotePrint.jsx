@@ -0,0 +1,209 @@
+import { forwardRef } from 'react';
+import Letterhead from './Letterhead';
+import GstSummary, { GstinLine } from './GstSummary';
+import { saleUnitLabel } from '@shared/utils/packs';
+import './PrintStyles.css';
+
+// Credit notes are stored as negative medicine bills; print amounts as positive
+const abs = (value) => Math.abs(value || 0);
+
+const CreditNotePrint = forwardRef(({ bill }, ref) => {
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+    });
+  };
+
+  const formatExpiry = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const numberToWords = (num) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+      'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+    if (num === 0) return 'Zero';
+    if (num < 20) return ones[num];
+    if (num < 100) return tens[Math.floor(num / 10)] + (num % 10 ? ' ' + ones[num % 10] : '');
+    if (num < 1000) return ones[Math.floor(num / 100)] + ' Hundred' + (num % 100 ? ' ' + numberToWords(num % 100) : '');
+    if (num < 100000) return numberToWords(Math.floor(num / 1000)) + ' Thousand' + (num % 1000 ? ' ' + numberToWords(num % 1000) : '');
+    return numberToWords(Math.floor(num / 100000)) + ' Lakh' + (num % 100000 ? ' ' + numberToWords(num % 100000) : '');
+  };
+
+  if (!bill) return null;
+
+  const patient = bill.patient || {};
+  const originalBill = bill.originalBill || {};
+
+  return (
+    <div ref={ref} className="print-document">
+      {/* Letterhead */}
+      <Letterhead showDoctor={false} />
+
+      {/* Document Title */}
+      <div className="document-title">Credit Note</div>
+
+      {/* Bill Header */}
+      <div className="bill-header">
+        <div className="bill-info-left">
+          <div className="bill-number">Credit Note No: {bill.billNo}</div>
+          <div>Date: {formatDate(bill.billDate)} | Time: {formatTime(bill.billDate)}</div>
+          <GstinLine />
+        </div>
+        <div className="bill-info-right" style={{ textAlign: 'right' }}>
+          <div>Against Bill: <strong>{originalBill.billNo || bill.returnBillNo || '-'}</strong></div>
+          {originalBill.billDate && <div>Bill Date: {formatDate(originalBill.billDate)}</div>}
+          {abs(bill.paidAmount) > 0 && (
+            <div>Refund: <strong style={{ textTransform: 'capitalize' }}>{bill.paymentMode}</strong></div>
+          )}
+        </div>
+      </div>
+
+      {/* Patient Info */}
+      <div className="patient-section">
+        <div className="patient-row">
+          <span className="patient-label">Patient:</span>
+          <span className="patient-value">{patient.name || bill.patientName || 'Walk-in'}</span>
+        </div>
+        <div className="patient-row">
+          <span className="patient-label">Patient ID:</span>
+          <span className="patient-value">{patient.patientId || '-'}</span>
+        </div>
+        <div className="patient-row">
+          <span className="patient-label">Phone:</span>
+          <span className="patient-value">{patient.phone || bill.patientPhone || '-'}</span>
+        </div>
+      </div>
+
+      {/* Items Table */}
+      <table className="print-table">
+        <thead>
+          <tr>
+            <th style={{ width: '30px' }}>#</th>
+            <th>Medicine Name</th>
+            <th style={{ width: '70px' }}>Batch</th>
+            <th style={{ width: '60px' }}>Expiry</th>
+            <th style={{ width: '40px' }} className="text-center">Qty</th>
+            <th style={{ width: '60px' }} className="text-right">Rate</th>
+            <th style={{ width: '70px' }} className="text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bill.items?.map((item, index) => (
+            <tr key={index}>
+              <td className="text-center">{index + 1}</td>
+              <td style={{ fontWeight: '500' }}>{item.medicineName}</td>
+              <td style={{ fontSize: '9pt' }}>{item.batchNo}</td>
+              <td style={{ fontSize: '9pt' }}>{item.expiryDate ? formatExpiry(item.expiryDate) : '-'}</td>
+              <td className="text-center">
+                {abs(item.quantity)}
+                {item.saleUnit && <div style={{ fontSize: '8pt', color: '#6b7280' }}>{saleUnitLabel(item)}</div>}
+              </td>
+              <td className="text-right">{item.sellingPrice?.toFixed(2)}</td>
+              <td className="text-right" style={{ fontWeight: '500' }}>{abs(item.amount).toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* GST reversed per HSN and rate */}
+      <GstSummary bill={bill} />
+
+      {/* Totals */}
+      <div className="bill-totals">
+        <div className="total-row subtotal">
+          <span className="total-label">Returned Value</span>
+          <span className="total-value">₹{abs(bill.subtotal).toFixed(2)}</span>
+        </div>
+        {abs(bill.discountAmount) > 0 && (
+          <div className="total-row discount">
+            <span className="total-label">
+              Less Discount {bill.discountType === 'percentage' && `(${bill.discountValue}%)`}
+            </span>
+            <span className="total-value">-₹{abs(bill.discountAmount).toFixed(2)}</span>
+          </div>
+        )}
+        {abs(bill.totalTax) > 0 && (
+          <div className="total-row">
+            <span className="total-label">GST Reversed (incl.)</span>
+            <span className="total-value">₹{abs(bill.totalTax).toFixed(2)}</span>
+          </div>
+        )}
+        {bill.roundOff !== 0 && bill.roundOff !== undefined && (
+          <div className="total-row">
+            <span className="total-label">Round Off</span>
+            <span className="total-value">₹{(-bill.roundOff).toFixed(2)}</span>
+          </div>
+        )}
+        <div className="total-row grand-total">
+          <span>{bill.adjustedAmount > 0 ? 'Credit Amount' : 'Refund Amount'}</span>
+          <span>₹{abs(bill.grandTotal).toFixed(2)}</span>
+        </div>
+        {bill.adjustedAmount > 0 && (
+          <>
+            <div className="total-row">
+              <span className="total-label">Adjusted Against Due</span>
+              <span className="total-value">₹{bill.adjustedAmount.toFixed(2)}</span>
+            </div>
+            <div className="total-row">
+              <span className="total-label">Refunded</span>
+              <span className="total-value">₹{abs(bill.paidAmount).toFixed(2)}</span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Amount in Words */}
+      <div className="amount-words">
+        Amount in words: <strong>Rupees {numberToWords(Math.round(abs(bill.grandTotal)))} Only</strong>
+      </div>
+
+      {/* Reason */}
+      {bill.remarks && (
+        <div className="notes-section">
+          <div className="notes-title">Reason for Return</div>
+          <div className="notes-content">{bill.remarks}</div>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="print-footer">
+        <div className="signature-section">
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Patient/Attendant</div>
+          </div>
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Pharmacist</div>
+          </div>
+        </div>
+
+        <div className="footer-notes">
+          <p>• Returned medicines have been taken back into stock.</p>
+          <p style={{ marginTop: '8px', fontSize: '7pt' }}>
+            Generated on: {formatDate(bill.createdAt)} {formatTime(bill.createdAt)} | By: {bill.createdBy || 'System'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+CreditNotePrint.displayName = 'CreditNotePrint';
+
+export default CreditNotePrint;
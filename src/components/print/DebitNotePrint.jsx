@@ -0,0 +1,195 @@
+import { forwardRef } from 'react';
+import Letterhead from './Letterhead';
+import GstSummary, { GstinLine } from './GstSummary';
+import './PrintStyles.css';
+
+const REASON_LABELS = {
+  expired: 'Expired',
+  near_expiry: 'Near Expiry',
+  damaged: 'Damaged',
+  other: 'Other',
+};
+
+const DebitNotePrint = forwardRef(({ purchaseReturn, supplier }, ref) => {
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatExpiry = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const numberToWords = (num) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+      'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+    if (num === 0) return 'Zero';
+    if (num < 20) return ones[num];
+    if (num < 100) return tens[Math.floor(num / 10)] + (num % 10 ? ' ' + ones[num % 10] : '');
+    if (num < 1000) return ones[Math.floor(num / 100)] + ' Hundred' + (num % 100 ? ' ' + numberToWords(num % 100) : '');
+    if (num < 100000) return numberToWords(Math.floor(num / 1000)) + ' Thousand' + (num % 1000 ? ' ' + numberToWords(num % 1000) : '');
+    return numberToWords(Math.floor(num / 100000)) + ' Lakh' + (num % 100000 ? ' ' + numberToWords(num % 100000) : '');
+  };
+
+  if (!purchaseReturn) return null;
+
+  const address = supplier?.address || {};
+  const addressLine = [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+
+  return (
+    <div ref={ref} className="print-document">
+      {/* Letterhead */}
+      <Letterhead showDoctor={false} />
+
+      {/* Document Title */}
+      <div className="document-title">Debit Note</div>
+
+      {/* Header */}
+      <div className="bill-header">
+        <div className="bill-info-left">
+          <div className="bill-number">Debit Note No: {purchaseReturn.debitNoteNo}</div>
+          <div>Date: {formatDate(purchaseReturn.returnDate)}</div>
+          <GstinLine />
+        </div>
+        <div className="bill-info-right" style={{ textAlign: 'right' }}>
+          <div>Reason: <strong>{REASON_LABELS[purchaseReturn.reason] || purchaseReturn.reason}</strong></div>
+          <div>Credit Status: <strong style={{ textTransform: 'capitalize' }}>{purchaseReturn.creditStatus}</strong></div>
+        </div>
+      </div>
+
+      {/* Supplier */}
+      <div className="patient-section">
+        <div className="patient-row">
+          <span className="patient-label">Supplier:</span>
+          <span className="patient-value">{supplier?.name || purchaseReturn.supplierName}</span>
+        </div>
+        <div className="patient-row">
+          <span className="patient-label">GSTIN:</span>
+          <span className="patient-value">{purchaseReturn.supplierGstin || '-'}</span>
+        </div>
+        {supplier?.drugLicenseNo && (
+          <div className="patient-row">
+            <span className="patient-label">D.L. No:</span>
+            <span className="patient-value">{supplier.drugLicenseNo}</span>
+          </div>
+        )}
+        {addressLine && (
+          <div className="patient-row">
+            <span className="patient-label">Address:</span>
+            <span className="patient-value">{addressLine}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Items Table */}
+      <table className="print-table">
+        <thead>
+          <tr>
+            <th style={{ width: '30px' }}>#</th>
+            <th>Medicine Name</th>
+            <th style={{ width: '70px' }}>Batch</th>
+            <th style={{ width: '60px' }}>Expiry</th>
+            <th style={{ width: '90px' }}>Against Invoice</th>
+            <th style={{ width: '40px' }} className="text-center">Qty</th>
+            <th style={{ width: '60px' }} className="text-right">Rate</th>
+            <th style={{ width: '40px' }} className="text-right">GST</th>
+            <th style={{ width: '70px' }} className="text-right">Amount</th>
+          </tr>
+        </thead>
+        <tbody>
+          {purchaseReturn.items?.map((item, index) => (
+            <tr key={index}>
+              <td className="text-center">{index + 1}</td>
+              <td style={{ fontWeight: '500' }}>{item.medicineName}</td>
+              <td style={{ fontSize: '9pt' }}>{item.batchNo}</td>
+              <td style={{ fontSize: '9pt' }}>{item.expiryDate ? formatExpiry(item.expiryDate) : '-'}</td>
+              <td style={{ fontSize: '9pt' }}>
+                {item.invoiceNo || '-'}
+                {item.invoiceDate && <div style={{ fontSize: '7pt' }}>{formatDate(item.invoiceDate)}</div>}
+              </td>
+              <td className="text-center">{item.quantity}</td>
+              <td className="text-right">{item.rate?.toFixed(2)}</td>
+              <td className="text-right">{item.gstRate}%</td>
+              <td className="text-right" style={{ fontWeight: '500' }}>{item.amount?.toFixed(2)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* GST per HSN and rate */}
+      <GstSummary bill={purchaseReturn} />
+
+      {/* Totals */}
+      <div className="bill-totals">
+        <div className="total-row subtotal">
+          <span className="total-label">Taxable Value</span>
+          <span className="total-value">₹{purchaseReturn.taxableAmount.toFixed(2)}</span>
+        </div>
+        {purchaseReturn.totalTax > 0 && (
+          <div className="total-row">
+            <span className="total-label">GST</span>
+            <span className="total-value">₹{purchaseReturn.totalTax.toFixed(2)}</span>
+          </div>
+        )}
+        {purchaseReturn.roundOff !== 0 && purchaseReturn.roundOff !== undefined && (
+          <div className="total-row">
+            <span className="total-label">Round Off</span>
+            <span className="total-value">₹{purchaseReturn.roundOff.toFixed(2)}</span>
+          </div>
+        )}
+        <div className="total-row grand-total">
+          <span>Debit Amount</span>
+          <span>₹{purchaseReturn.creditAmount.toFixed(2)}</span>
+        </div>
+      </div>
+
+      {/* Amount in Words */}
+      <div className="amount-words">
+        Amount in words: <strong>Rupees {numberToWords(Math.round(purchaseReturn.creditAmount))} Only</strong>
+      </div>
+
+      {/* Remarks */}
+      {purchaseReturn.remarks && (
+        <div className="notes-section">
+          <div className="notes-title">Remarks</div>
+          <div className="notes-content">{purchaseReturn.remarks}</div>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="print-footer">
+        <div className="signature-section">
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Received by (Supplier)</div>
+          </div>
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Pharmacist</div>
+          </div>
+        </div>
+
+        <div className="footer-notes">
+          <p>• The goods listed above are returned to you. Kindly issue a credit note for the amount debited.</p>
+          <p style={{ marginTop: '8px', fontSize: '7pt' }}>
+            Generated on: {formatDate(purchaseReturn.createdAt)} | By: {purchaseReturn.createdBy || 'System'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+DebitNotePrint.displayName = 'DebitNotePrint';
+
+export default DebitNotePrint;
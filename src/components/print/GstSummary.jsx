@@ -0,0 +1,76 @@
+import { useClinic } from '../../context/ClinicContext';
+import './PrintStyles.css';
+
+/**
+ * GST summary per HSN/SAC code and rate, printed under the bill items.
+ * Credit notes store negative values; they are shown as positive amounts.
+ */
+export default function GstSummary({ bill }) {
+  const breakdown = bill?.gstBreakdown || [];
+  if (!breakdown.some((row) => !row.exempt)) return null;
+
+  const amount = (value) => Math.abs(value || 0).toFixed(2);
+  const total = (field) => breakdown.reduce((sum, row) => sum + Math.abs(row[field] || 0), 0);
+
+  return (
+    <table className="print-table" style={{ fontSize: '8pt' }}>
+      <thead>
+        <tr>
+          <th>HSN/SAC</th>
+          <th className="text-right">Rate</th>
+          <th className="text-right">Taxable Value</th>
+          {bill.interState ? (
+            <th className="text-right">IGST</th>
+          ) : (
+            <>
+              <th className="text-right">CGST</th>
+              <th className="text-right">SGST</th>
+            </>
+          )}
+          <th className="text-right">Total Tax</th>
+        </tr>
+      </thead>
+      <tbody>
+        {breakdown.map((row, index) => (
+          <tr key={index}>
+            <td>{row.hsnCode || '-'}</td>
+            <td className="text-right">{row.exempt ? 'Exempt' : `${row.gstRate}%`}</td>
+            <td className="text-right">{amount(row.taxableValue)}</td>
+            {bill.interState ? (
+              <td className="text-right">{amount(row.igst)}</td>
+            ) : (
+              <>
+                <td className="text-right">{amount(row.cgst)}</td>
+                <td className="text-right">{amount(row.sgst)}</td>
+              </>
+            )}
+            <td className="text-right">{amount(row.totalTax)}</td>
+          </tr>
+        ))}
+        <tr style={{ fontWeight: 600 }}>
+          <td colSpan={2}>Total</td>
+          <td className="text-right">{total('taxableValue').toFixed(2)}</td>
+          {bill.interState ? (
+            <td className="text-right">{total('igst').toFixed(2)}</td>
+          ) : (
+            <>
+              <td className="text-right">{total('cgst').toFixed(2)}</td>
+              <td className="text-right">{total('sgst').toFixed(2)}</td>
+            </>
+          )}
+          <td className="text-right">{total('totalTax').toFixed(2)}</td>
+        </tr>
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Clinic GSTIN line for the bill header
+ */
+export function GstinLine() {
+  const { settings } = useClinic();
+  if (!settings?.gstNo) return null;
+
+  return <div>GSTIN: <strong>{settings.gstNo}</strong></div>;
+}
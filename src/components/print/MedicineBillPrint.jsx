@@ -1,8 +1,14 @@
 import { forwardRef } from 'react';
 import Letterhead from './Letterhead';
+import GstSummary, { GstinLine } from './GstSummary';
+import { useClinic } from '../../context/ClinicContext';
+import { saleUnitLabel } from '@shared/utils/packs';
+import { SALE_UNIT } from '@shared/constants/enums';
 import './PrintStyles.css';
 
 const MedicineBillPrint = forwardRef(({ bill }, ref) => {
+  const { settings } = useClinic();
+
   const formatDate = (date) => {
     return new Date(date).toLocaleDateString('en-IN', {
       day: '2-digit',
@@ -50,13 +56,15 @@ const MedicineBillPrint = forwardRef(({ bill }, ref) => {
       <Letterhead showDoctor={false} />
 
       {/* Document Title */}
-      <div className="document-title">Bill Receipt</div>
+      <div className="document-title">{settings?.gstNo ? 'Tax Invoice' : 'Bill Receipt'}</div>
 
       {/* Bill Header */}
       <div className="bill-header">
         <div className="bill-info-left">
           <div className="bill-number">Bill No: {bill.billNo}</div>
           <div>Date: {formatDate(bill.billDate)} | Time: {formatTime(bill.billDate)}</div>
+          <GstinLine />
+          {bill.interState && <div>Supply: Inter-state (IGST)</div>}
         </div>
         <div className="bill-info-right" style={{ textAlign: 'right' }}>
           <div>Payment: <strong style={{ textTransform: 'capitalize' }}>{bill.paymentMode}</strong></div>
@@ -100,11 +108,13 @@ const MedicineBillPrint = forwardRef(({ bill }, ref) => {
           <tr>
             <th style={{ width: '30px' }}>#</th>
             <th>Medicine Name</th>
+            <th style={{ width: '55px' }}>HSN</th>
             <th style={{ width: '70px' }}>Batch</th>
             <th style={{ width: '60px' }}>Expiry</th>
-            <th style={{ width: '40px' }} className="text-center">Qty</th>
+            <th style={{ width: '50px' }} className="text-center">Qty</th>
             <th style={{ width: '60px' }} className="text-right">MRP</th>
             <th style={{ width: '60px' }} className="text-right">Rate</th>
+            <th style={{ width: '45px' }} className="text-right">GST</th>
             <th style={{ width: '70px' }} className="text-right">Amount</th>
           </tr>
         </thead>
@@ -117,18 +127,36 @@ const MedicineBillPrint = forwardRef(({ bill }, ref) => {
                 {item.manufacturer && (
                   <div style={{ fontSize: '8pt', color: '#6b7280' }}>{item.manufacturer}</div>
                 )}
+                {item.substitutedFor && (
+                  <div style={{ fontSize: '8pt', color: '#6b7280' }}>In place of {item.substitutedFor.medicineName}</div>
+                )}
               </td>
+              <td style={{ fontSize: '9pt' }}>{item.hsnCode || '-'}</td>
               <td style={{ fontSize: '9pt' }}>{item.batchNo}</td>
               <td style={{ fontSize: '9pt' }}>{item.expiryDate ? formatExpiry(item.expiryDate) : '-'}</td>
-              <td className="text-center">{item.quantity}</td>
-              <td className="text-right">{item.mrp?.toFixed(2)}</td>
+              <td className="text-center">
+                {item.quantity}
+                {item.saleUnit && <div style={{ fontSize: '8pt', color: '#6b7280' }}>{saleUnitLabel(item)}</div>}
+              </td>
+              <td className="text-right">
+                {item.mrp?.toFixed(2)}
+                {item.saleUnit === SALE_UNIT.UNIT && (
+                  <div style={{ fontSize: '8pt', color: '#6b7280' }}>
+                    {item.packMrp?.toFixed(2)}/{item.packSize}
+                  </div>
+                )}
+              </td>
               <td className="text-right">{(item.sellingPrice || item.rate)?.toFixed(2)}</td>
+              <td className="text-right">{item.gstRate || 0}%</td>
               <td className="text-right" style={{ fontWeight: '500' }}>{item.amount?.toFixed(2)}</td>
             </tr>
           ))}
         </tbody>
       </table>
 
+      {/* GST per HSN and rate */}
+      <GstSummary bill={bill} />
+
       {/* Totals */}
       <div className="bill-totals">
         <div className="total-row subtotal">
@@ -143,6 +171,12 @@ const MedicineBillPrint = forwardRef(({ bill }, ref) => {
             <span className="total-value">-₹{bill.discountAmount?.toFixed(2)}</span>
           </div>
         )}
+        {bill.gstBreakdown && (
+          <div className="total-row">
+            <span className="total-label">Taxable Value</span>
+            <span className="total-value">₹{bill.taxableAmount?.toFixed(2)}</span>
+          </div>
+        )}
         {(bill.cgst > 0 || bill.sgst > 0) && (
           <>
             <div className="total-row">
@@ -155,6 +189,12 @@ const MedicineBillPrint = forwardRef(({ bill }, ref) => {
             </div>
           </>
         )}
+        {bill.igst > 0 && (
+          <div className="total-row">
+            <span className="total-label">IGST</span>
+            <span className="total-value">₹{bill.igst?.toFixed(2)}</span>
+          </div>
+        )}
         {bill.roundOff !== 0 && bill.roundOff !== undefined && (
           <div className="total-row">
             <span className="total-label">Round Off</span>
@@ -1,5 +1,6 @@
 import { forwardRef } from 'react';
 import Letterhead from './Letterhead';
+import GstSummary, { GstinLine } from './GstSummary';
 import './PrintStyles.css';
 
 const MiscBillPrint = forwardRef(({ bill }, ref) => {
@@ -52,6 +53,7 @@ const MiscBillPrint = forwardRef(({ bill }, ref) => {
         <div className="bill-info-left">
           <div className="bill-number">Bill No: {bill.billNo}</div>
           <div>Date: {formatDate(bill.billDate)} | Time: {formatTime(bill.billDate)}</div>
+          <GstinLine />
         </div>
         <div className="bill-info-right" style={{ textAlign: 'right' }}>
           <div>Payment: <strong style={{ textTransform: 'capitalize' }}>{bill.paymentMode}</strong></div>
@@ -122,6 +124,9 @@ const MiscBillPrint = forwardRef(({ bill }, ref) => {
         </tbody>
       </table>
 
+      {/* GST on taxable services */}
+      <GstSummary bill={bill} />
+
       {/* Totals */}
       <div className="bill-totals">
         <div className="total-row subtotal">
@@ -136,6 +141,24 @@ const MiscBillPrint = forwardRef(({ bill }, ref) => {
             <span className="total-value">-₹{bill.discountAmount?.toFixed(2)}</span>
           </div>
         )}
+        {bill.totalTax > 0 && (
+          <>
+            <div className="total-row">
+              <span className="total-label">CGST</span>
+              <span className="total-value">₹{bill.cgst?.toFixed(2)}</span>
+            </div>
+            <div className="total-row">
+              <span className="total-label">SGST</span>
+              <span className="total-value">₹{bill.sgst?.toFixed(2)}</span>
+            </div>
+          </>
+        )}
+        {bill.totalTax > 0 && bill.roundOff !== 0 && (
+          <div className="total-row">
+            <span className="total-label">Round Off</span>
+            <span className="total-value">₹{bill.roundOff?.toFixed(2)}</span>
+          </div>
+        )}
         <div className="total-row grand-total">
           <span>Grand Total</span>
           <span>₹{bill.grandTotal?.toFixed(2)}</span>
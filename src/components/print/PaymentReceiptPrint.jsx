@@ -0,0 +1,162 @@
+import { forwardRef } from 'react';
+import Letterhead from './Letterhead';
+import './PrintStyles.css';
+
+const BILL_TYPE_LABELS = {
+  opd: 'OPD Bill',
+  misc: 'Lab/Misc Bill',
+  medicine: 'Medicine Bill',
+};
+
+const PaymentReceiptPrint = forwardRef(({ payment }, ref) => {
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatTime = (date) => {
+    return new Date(date).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+    });
+  };
+
+  const numberToWords = (num) => {
+    const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+      'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+    const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+    if (num === 0) return 'Zero';
+    if (num < 20) return ones[num];
+    if (num < 100) return tens[Math.floor(num / 10)] + (num % 10 ? ' ' + ones[num % 10] : '');
+    if (num < 1000) return ones[Math.floor(num / 100)] + ' Hundred' + (num % 100 ? ' ' + numberToWords(num % 100) : '');
+    if (num < 100000) return numberToWords(Math.floor(num / 1000)) + ' Thousand' + (num % 1000 ? ' ' + numberToWords(num % 1000) : '');
+    return numberToWords(Math.floor(num / 100000)) + ' Lakh' + (num % 100000 ? ' ' + numberToWords(num % 100000) : '');
+  };
+
+  if (!payment) return null;
+
+  const patient = payment.patient || {};
+  const details = payment.paymentDetails || {};
+
+  return (
+    <div ref={ref} className="print-document">
+      {/* Letterhead */}
+      <Letterhead showDoctor={false} />
+
+      {/* Document Title */}
+      <div className="document-title">Payment Receipt</div>
+
+      {/* Receipt Header */}
+      <div className="bill-header">
+        <div className="bill-info-left">
+          <div className="bill-number">Receipt No: {payment.receiptNo}</div>
+          <div>Date: {formatDate(payment.createdAt)} | Time: {formatTime(payment.createdAt)}</div>
+        </div>
+        <div className="bill-info-right" style={{ textAlign: 'right' }}>
+          <div>Against: <strong>{BILL_TYPE_LABELS[payment.billType] || 'Bill'} {payment.billNo}</strong></div>
+          {payment.billDate && <div>Bill Date: {formatDate(payment.billDate)}</div>}
+        </div>
+      </div>
+
+      {/* Patient Info */}
+      <div className="patient-section">
+        <div className="patient-row">
+          <span className="patient-label">Received from:</span>
+          <span className="patient-value">{patient.name || payment.patientName || 'Walk-in'}</span>
+        </div>
+        <div className="patient-row">
+          <span className="patient-label">Patient ID:</span>
+          <span className="patient-value">{patient.patientId || '-'}</span>
+        </div>
+        <div className="patient-row">
+          <span className="patient-label">Phone:</span>
+          <span className="patient-value">{patient.phone || payment.patientPhone || '-'}</span>
+        </div>
+      </div>
+
+      {/* Amount */}
+      <div className="bill-totals">
+        <div className="total-row">
+          <span className="total-label">Bill Amount</span>
+          <span className="total-value">₹{payment.billTotal?.toFixed(2)}</span>
+        </div>
+        <div className="total-row">
+          <span className="total-label">Paid Earlier</span>
+          <span className="total-value">₹{payment.paidBefore?.toFixed(2)}</span>
+        </div>
+        <div className="total-row grand-total">
+          <span>Amount Received</span>
+          <span>₹{payment.amount?.toFixed(2)}</span>
+        </div>
+        <div className="total-row">
+          <span className="total-label">Balance Due</span>
+          <span className="total-value">₹{payment.balanceAfter?.toFixed(2)}</span>
+        </div>
+      </div>
+
+      {/* Amount in Words */}
+      <div className="amount-words">
+        Amount in words: <strong>Rupees {numberToWords(Math.round(payment.amount || 0))} Only</strong>
+      </div>
+
+      {/* Payment Info */}
+      <div className="payment-info">
+        <div className="payment-item">
+          <div className="payment-label">Payment Mode</div>
+          <div className="payment-value" style={{ textTransform: 'capitalize' }}>{payment.paymentMode}</div>
+        </div>
+        {payment.paymentMode === 'mixed' && (
+          <div className="payment-item">
+            <div className="payment-label">Split</div>
+            <div className="payment-value" style={{ fontSize: '9pt' }}>
+              Cash ₹{details.cash || 0} / Card ₹{details.card || 0} / UPI ₹{details.upi || 0}
+            </div>
+          </div>
+        )}
+        {details.upiRef && (
+          <div className="payment-item">
+            <div className="payment-label">UPI Ref</div>
+            <div className="payment-value">{details.upiRef}</div>
+          </div>
+        )}
+      </div>
+
+      {/* Remarks */}
+      {payment.remarks && (
+        <div className="notes-section">
+          <div className="notes-title">Remarks</div>
+          <div className="notes-content">{payment.remarks}</div>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="print-footer">
+        <div className="signature-section">
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Patient/Attendant</div>
+          </div>
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Received By</div>
+          </div>
+        </div>
+
+        <div className="footer-notes">
+          <p style={{ marginTop: '8px', fontSize: '7pt' }}>
+            Generated on: {formatDate(payment.createdAt)} {formatTime(payment.createdAt)} | By: {payment.receivedBy || 'System'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+PaymentReceiptPrint.displayName = 'PaymentReceiptPrint';
+
+export default PaymentReceiptPrint;
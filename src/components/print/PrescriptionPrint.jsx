@@ -65,6 +65,14 @@ const PrescriptionPrint = forwardRef(({ prescription, patient, doctor }, ref) =>
             {formatTime(prescription.prescriptionDate || prescription.createdAt)}
           </span>
         </div>
+        {prescription.version > 1 && (
+          <div className="patient-row">
+            <span className="patient-label">Revision:</span>
+            <span className="patient-value">
+              Version {prescription.version}, revised {formatDate(prescription.revisedAt)} {formatTime(prescription.revisedAt)}
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Vitals */}
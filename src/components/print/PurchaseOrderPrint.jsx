@@ -0,0 +1,141 @@
+import { forwardRef } from 'react';
+import Letterhead from './Letterhead';
+import { GstinLine } from './GstSummary';
+import './PrintStyles.css';
+
+const PurchaseOrderPrint = forwardRef(({ purchaseOrder, supplier }, ref) => {
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  if (!purchaseOrder) return null;
+
+  const address = supplier?.address || {};
+  const addressLine = [address.line1, address.line2, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+
+  const hasRates = purchaseOrder.items?.some((item) => item.rate !== null && item.rate !== undefined);
+
+  return (
+    <div ref={ref} className="print-document">
+      {/* Letterhead */}
+      <Letterhead showDoctor={false} />
+
+      {/* Document Title */}
+      <div className="document-title">Purchase Order</div>
+
+      {/* Header */}
+      <div className="bill-header">
+        <div className="bill-info-left">
+          <div className="bill-number">PO No: {purchaseOrder.poNo}</div>
+          <div>Date: {formatDate(purchaseOrder.orderedAt || purchaseOrder.createdAt)}</div>
+          <GstinLine />
+        </div>
+        <div className="bill-info-right" style={{ textAlign: 'right' }}>
+          <div>Status: <strong style={{ textTransform: 'capitalize' }}>{purchaseOrder.status}</strong></div>
+        </div>
+      </div>
+
+      {/* Supplier */}
+      <div className="patient-section">
+        <div className="patient-row">
+          <span className="patient-label">Supplier:</span>
+          <span className="patient-value">{supplier?.name || purchaseOrder.supplierName}</span>
+        </div>
+        {purchaseOrder.supplierGstin && (
+          <div className="patient-row">
+            <span className="patient-label">GSTIN:</span>
+            <span className="patient-value">{purchaseOrder.supplierGstin}</span>
+          </div>
+        )}
+        {supplier?.phone && (
+          <div className="patient-row">
+            <span className="patient-label">Phone:</span>
+            <span className="patient-value">{supplier.phone}</span>
+          </div>
+        )}
+        {addressLine && (
+          <div className="patient-row">
+            <span className="patient-label">Address:</span>
+            <span className="patient-value">{addressLine}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Items Table */}
+      <table className="print-table">
+        <thead>
+          <tr>
+            <th style={{ width: '30px' }}>#</th>
+            <th>Medicine Name</th>
+            <th style={{ width: '70px' }}>Pack</th>
+            <th style={{ width: '60px' }} className="text-center">Qty</th>
+            {hasRates && <th style={{ width: '70px' }} className="text-right">Last Rate</th>}
+            {hasRates && <th style={{ width: '80px' }} className="text-right">Est. Amount</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {purchaseOrder.items?.map((item, index) => (
+            <tr key={index}>
+              <td className="text-center">{index + 1}</td>
+              <td style={{ fontWeight: '500' }}>{item.medicineName}</td>
+              <td style={{ fontSize: '9pt', textTransform: 'capitalize' }}>{item.packUnit || '-'}</td>
+              <td className="text-center">{item.quantity}</td>
+              {hasRates && <td className="text-right">{item.rate !== null ? item.rate.toFixed(2) : '-'}</td>}
+              {hasRates && <td className="text-right">{item.amount !== null ? item.amount.toFixed(2) : '-'}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Totals */}
+      <div className="bill-totals">
+        <div className="total-row subtotal">
+          <span className="total-label">Total Quantity</span>
+          <span className="total-value">{purchaseOrder.totalQty}</span>
+        </div>
+        {hasRates && (
+          <div className="total-row grand-total">
+            <span>Estimated Value (before GST)</span>
+            <span>₹{purchaseOrder.estimatedTotal.toFixed(2)}</span>
+          </div>
+        )}
+      </div>
+
+      {/* Remarks */}
+      {purchaseOrder.remarks && (
+        <div className="notes-section">
+          <div className="notes-title">Remarks</div>
+          <div className="notes-content">{purchaseOrder.remarks}</div>
+        </div>
+      )}
+
+      {/* Footer */}
+      <div className="print-footer">
+        <div className="signature-section">
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Authorised Signatory</div>
+          </div>
+        </div>
+
+        <div className="footer-notes">
+          <p>• Please supply the above items with batch numbers and expiry dates on the invoice.</p>
+          <p>• Rates shown are from our last purchase and are for reference only.</p>
+          <p style={{ marginTop: '8px', fontSize: '7pt' }}>
+            Generated on: {formatDate(purchaseOrder.createdAt)} | By: {purchaseOrder.createdBy || 'System'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+PurchaseOrderPrint.displayName = 'PurchaseOrderPrint';
+
+export default PurchaseOrderPrint;
@@ -0,0 +1,129 @@
+import { forwardRef } from 'react';
+import Letterhead from './Letterhead';
+import { saleUnitLabel } from '@shared/utils/packs';
+import { addressLine } from '@shared/utils/schedule';
+import './PrintStyles.css';
+
+const ScheduleRegisterPrint = forwardRef(({ register }, ref) => {
+  const formatDate = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+    });
+  };
+
+  const formatExpiry = (date) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+      month: '2-digit',
+      year: '2-digit',
+    });
+  };
+
+  if (!register) return null;
+
+  const { clinic, period, summary } = register;
+  const title = register.scheduleType
+    ? `Schedule ${register.scheduleType} Drugs Register`
+    : 'Schedule H / H1 / X Drugs Register';
+
+  return (
+    <div ref={ref} className="print-document">
+      {/* Letterhead */}
+      <Letterhead showDoctor={false} />
+
+      {/* Document Title */}
+      <div className="document-title">{title}</div>
+
+      {/* Header */}
+      <div className="bill-header">
+        <div className="bill-info-left">
+          <div>Period: {formatDate(period.from)} to {formatDate(period.to)}</div>
+          {clinic?.drugLicenseNo && <div>Drug Licence No: {clinic.drugLicenseNo}</div>}
+          {clinic?.address && <div>{addressLine(clinic.address)}</div>}
+        </div>
+        <div className="bill-info-right" style={{ textAlign: 'right' }}>
+          <div>Entries: <strong>{summary.entries}</strong></div>
+          <div>Bills: {summary.bills}</div>
+          {summary.returns > 0 && <div>Returns: {summary.returns}</div>}
+        </div>
+      </div>
+
+      {/* Register */}
+      <table className="print-table" style={{ fontSize: '8pt' }}>
+        <thead>
+          <tr>
+            <th style={{ width: '30px' }}>S.No</th>
+            <th style={{ width: '65px' }}>Date</th>
+            <th style={{ width: '70px' }}>Bill No</th>
+            <th>Patient Name &amp; Address</th>
+            <th>Prescriber &amp; Reg. No</th>
+            <th>Drug, Manufacturer</th>
+            <th style={{ width: '30px' }}>Sch.</th>
+            <th style={{ width: '75px' }}>Batch / Exp</th>
+            <th style={{ width: '50px' }} className="text-center">Qty</th>
+            <th style={{ width: '70px' }}>Dispensed By</th>
+          </tr>
+        </thead>
+        <tbody>
+          {register.entries.length === 0 ? (
+            <tr>
+              <td colSpan={10} className="text-center">No scheduled drugs were supplied in this period</td>
+            </tr>
+          ) : register.entries.map((entry) => (
+            <tr key={entry._id}>
+              <td className="text-center">{entry.serialNo}</td>
+              <td>{formatDate(entry.entryDate)}</td>
+              <td>
+                {entry.billNo}
+                {entry.isReturn && <div style={{ color: '#6b7280' }}>Return of {entry.originalBillNo}</div>}
+              </td>
+              <td>
+                <div style={{ fontWeight: '500' }}>{entry.patientName}</div>
+                <div>{entry.patientAddress}</div>
+              </td>
+              <td>
+                <div>{entry.doctorName}</div>
+                {entry.doctorRegistrationNo && <div>Reg. {entry.doctorRegistrationNo}</div>}
+              </td>
+              <td>
+                <div style={{ fontWeight: '500' }}>{entry.medicineName}</div>
+                {entry.manufacturer && <div>{entry.manufacturer}</div>}
+              </td>
+              <td className="text-center">{entry.scheduleType}</td>
+              <td>
+                {entry.batchNo}
+                <div>{entry.expiryDate ? formatExpiry(entry.expiryDate) : '-'}</div>
+              </td>
+              <td className="text-center">
+                {entry.quantity} {saleUnitLabel(entry)}
+              </td>
+              <td>{entry.dispensedBy || '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {/* Footer */}
+      <div className="print-footer">
+        <div className="signature-section">
+          <div className="signature-box">
+            <div style={{ height: '40px' }}></div>
+            <div className="signature-line">Registered Pharmacist</div>
+          </div>
+        </div>
+
+        <div className="footer-notes">
+          <p>• Maintained under the Drugs and Cosmetics Rules, 1945. Returns are shown as negative quantities.</p>
+          <p style={{ marginTop: '8px', fontSize: '7pt' }}>
+            Generated on: {formatDate(new Date())}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+ScheduleRegisterPrint.displayName = 'ScheduleRegisterPrint';
+
+export default ScheduleRegisterPrint;
@@ -4,6 +4,11 @@ export { default as PrescriptionPrint } from './PrescriptionPrint';
 export { default as OpdBillPrint } from './OpdBillPrint';
 export { default as MiscBillPrint } from './MiscBillPrint';
 export { default as MedicineBillPrint } from './MedicineBillPrint';
+export { default as CreditNotePrint } from './CreditNotePrint';
+export { default as DebitNotePrint } from './DebitNotePrint';
+export { default as PurchaseOrderPrint } from './PurchaseOrderPrint';
+export { default as ScheduleRegisterPrint } from './ScheduleRegisterPrint';
+export { default as PaymentReceiptPrint } from './PaymentReceiptPrint';
 export { default as PrintWrapper, usePrintDocument } from './PrintWrapper';
 
 // Import styles
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { authService } from '../services';
+import { canAccess } from '@shared/constants/permissions';
 
 const AuthContext = createContext(null);
 
@@ -26,8 +27,8 @@ export function AuthProvider({ children }) {
       setUser(response.user);
       setIsAuthenticated(true);
     } catch (error) {
-      // Token invalid or expired
-      authService.logout();
+      // Token invalid, expired or revoked
+      authService.clearSession();
       setUser(null);
       setIsAuthenticated(false);
     } finally {
@@ -48,6 +49,9 @@ export function AuthProvider({ children }) {
     setIsAuthenticated(false);
   };
 
+  // Check the current user's role against a function name (or list of names)
+  const can = (permission) => canAccess(user?.role, permission);
+
   const value = {
     user,
     loading,
@@ -55,6 +59,7 @@ export function AuthProvider({ children }) {
     login,
     logout,
     checkAuth,
+    can,
   };
 
   return (
@@ -1,15 +1,19 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useQuery } from '@tanstack/react-query';
 import { clinicService } from '../services/clinicService';
+import { useAuth } from './AuthContext';
 
 const ClinicContext = createContext(null);
 
 export function ClinicProvider({ children }) {
-  // Fetch clinic settings
+  const { isAuthenticated } = useAuth();
+
+  // Fetch clinic settings (the API requires a signed-in user)
   const { data: settingsData, isLoading } = useQuery({
     queryKey: ['clinicSettings'],
     queryFn: clinicService.getSettings,
     staleTime: 1000 * 60 * 30, // 30 minutes
+    enabled: isAuthenticated,
   });
 
   const settings = settingsData?.settings || {
@@ -0,0 +1,271 @@
+import { useState, useEffect, Fragment } from 'react';
+import { History, ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { auditService, userService } from '../services';
+import { Input, Select, Pagination } from '../components/ui';
+import { AUDIT_ACTION_OPTIONS, AUDIT_ENTITY_OPTIONS } from '@shared/constants/enums';
+
+const ENTITY_OPTIONS = AUDIT_ENTITY_OPTIONS.map((value) => ({
+  value,
+  label: value.replace(/_/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()),
+}));
+
+const ACTION_OPTIONS = AUDIT_ACTION_OPTIONS.map((value) => ({
+  value,
+  label: value.charAt(0).toUpperCase() + value.slice(1),
+}));
+
+const ACTION_COLORS = {
+  create: 'badge-success',
+  update: 'badge-primary',
+  delete: 'badge-danger',
+};
+
+const EMPTY_FILTERS = {
+  entityType: '',
+  entity: '',
+  userId: '',
+  action: '',
+  dateFrom: '',
+  dateTo: '',
+};
+
+const PAGE_SIZE = 50;
+
+// Render a stored diff value in one line
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+export default function AuditLogs() {
+  const [logs, setLogs] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [expandedId, setExpandedId] = useState(null);
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [totalItems, setTotalItems] = useState(0);
+
+  useEffect(() => {
+    userService.getAll()
+      .then((res) => setUsers(res.users || []))
+      .catch(() => setUsers([]));
+  }, []);
+
+  useEffect(() => {
+    fetchLogs();
+  }, [filters, currentPage]);
+
+  const fetchLogs = async () => {
+    setLoading(true);
+    try {
+      const response = await auditService.getAll({
+        ...filters,
+        page: currentPage,
+        limit: PAGE_SIZE,
+      });
+      setLogs(response.logs || []);
+      setTotalItems(response.pagination?.total || 0);
+      setTotalPages(response.pagination?.totalPages || 1);
+    } catch (error) {
+      console.error('Failed to fetch audit logs:', error);
+      toast.error('Failed to load audit logs');
+      setLogs([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters((prev) => ({ ...prev, [name]: value }));
+    setCurrentPage(1);
+  };
+
+  const resetFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setCurrentPage(1);
+  };
+
+  const userOptions = users.map((u) => ({ value: u._id, label: `${u.name} (${u.username})` }));
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Audit Trail</h1>
+        <p className="text-gray-500">Who changed what, and when</p>
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3 items-end">
+          <Select
+            label="Entity"
+            name="entityType"
+            value={filters.entityType}
+            onChange={handleFilterChange}
+            options={ENTITY_OPTIONS}
+            placeholder="All entities"
+          />
+          <Input
+            label="Entity ID / Ref"
+            name="entity"
+            value={filters.entity}
+            onChange={handleFilterChange}
+            placeholder="e.g. 1042, MED15"
+          />
+          <Select
+            label="User"
+            name="userId"
+            value={filters.userId}
+            onChange={handleFilterChange}
+            options={userOptions}
+            placeholder="All users"
+          />
+          <Select
+            label="Action"
+            name="action"
+            value={filters.action}
+            onChange={handleFilterChange}
+            options={ACTION_OPTIONS}
+            placeholder="All actions"
+          />
+          <Input
+            label="From"
+            type="date"
+            name="dateFrom"
+            value={filters.dateFrom}
+            onChange={handleFilterChange}
+          />
+          <Input
+            label="To"
+            type="date"
+            name="dateTo"
+            value={filters.dateTo}
+            onChange={handleFilterChange}
+          />
+        </div>
+        <div className="mt-3 flex justify-end">
+          <button onClick={resetFilters} className="btn-secondary text-sm">
+            <RotateCcw className="w-4 h-4" />
+            Reset
+          </button>
+        </div>
+      </div>
+
+      {/* Log List */}
+      <div className="card overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="w-8 h-8 border-4 border-primary-500 border-t-transparent rounded-full animate-spin" />
+          </div>
+        ) : logs.length === 0 ? (
+          <div className="text-center py-12">
+            <History className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-500">No audit entries found</p>
+          </div>
+        ) : (
+          <>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th className="w-8"></th>
+                  <th>When</th>
+                  <th>User</th>
+                  <th>Action</th>
+                  <th>Entity</th>
+                  <th>Changes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {logs.map((log) => {
+                  const isExpanded = expandedId === log._id;
+                  return (
+                    <Fragment key={log._id}>
+                      <tr
+                        onClick={() => setExpandedId(isExpanded ? null : log._id)}
+                        className="cursor-pointer hover:bg-gray-50"
+                      >
+                        <td>
+                          {isExpanded
+                            ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                            : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                        </td>
+                        <td className="text-sm whitespace-nowrap">
+                          {format(new Date(log.createdAt), 'dd MMM yyyy, hh:mm a')}
+                        </td>
+                        <td>
+                          <p className="font-medium">{log.userName || 'System'}</p>
+                          {log.userRole && (
+                            <p className="text-xs text-gray-500 capitalize">{log.userRole}</p>
+                          )}
+                        </td>
+                        <td>
+                          <span className={`${ACTION_COLORS[log.action] || 'badge-gray'} capitalize`}>
+                            {log.action}
+                          </span>
+                        </td>
+                        <td>
+                          <p className="capitalize">{log.entityType.replace(/_/g, ' ')}</p>
+                          <p className="text-xs text-gray-500 font-mono">{log.entityRef || log.entityId}</p>
+                        </td>
+                        <td className="text-sm text-gray-600">
+                          {log.changes?.length || 0} field{log.changes?.length === 1 ? '' : 's'}
+                          {log.remarks && <p className="text-xs text-gray-500">{log.remarks}</p>}
+                        </td>
+                      </tr>
+                      {isExpanded && (
+                        <tr>
+                          <td></td>
+                          <td colSpan={5} className="bg-gray-50">
+                            {log.changes?.length ? (
+                              <table className="w-full text-xs">
+                                <thead>
+                                  <tr className="text-gray-500 text-left">
+                                    <th className="py-1 pr-4 font-medium">Field</th>
+                                    <th className="py-1 pr-4 font-medium">Before</th>
+                                    <th className="py-1 font-medium">After</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {log.changes.map((change) => (
+                                    <tr key={change.field} className="align-top">
+                                      <td className="py-1 pr-4 font-mono text-gray-700">{change.field}</td>
+                                      <td className="py-1 pr-4 text-red-700 break-all">{formatValue(change.from)}</td>
+                                      <td className="py-1 text-green-700 break-all">{formatValue(change.to)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            ) : (
+                              <p className="text-xs text-gray-500">No field changes recorded</p>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </Fragment>
+                  );
+                })}
+              </tbody>
+            </table>
+            {totalPages > 1 && (
+              <Pagination
+                currentPage={currentPage}
+                totalPages={totalPages}
+                totalItems={totalItems}
+                pageSize={PAGE_SIZE}
+                onPageChange={setCurrentPage}
+                className="border-t border-gray-100"
+              />
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
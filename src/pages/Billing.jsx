@@ -3,6 +3,7 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { Plus, FileText, FlaskConical, Pill, Search, Eye, Printer, Calendar, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { billingService } from '../services';
+import { BILL_STATUS } from '@shared/constants/enums';
 
 const billTypes = [
   { id: 'opd', label: 'OPD Bills', icon: FileText, color: 'text-blue-600 bg-blue-100' },
@@ -169,6 +170,9 @@ export default function Billing() {
     }
   };
 
+  // Cancelled bills stay listed (no gaps in numbering) but not in totals
+  const activeBills = bills.filter((b) => b.status !== BILL_STATUS.CANCELLED);
+
   const getItemsSummary = (bill) => {
     // For medicine bills, items is returned as a count (number) from the API
     if (type === 'medicine') {
@@ -297,8 +301,8 @@ export default function Billing() {
                   patientPhone.includes(query)
                 );
               }).map((bill) => (
-                <tr key={bill._id}>
-                  <td className="font-medium text-primary-600">
+                <tr key={bill._id} className={bill.status === BILL_STATUS.CANCELLED ? 'opacity-60' : ''}>
+                  <td className={`font-medium text-primary-600 ${bill.status === BILL_STATUS.CANCELLED ? 'line-through' : ''}`}>
                     {bill.billNo}
                   </td>
                   <td>
@@ -317,12 +321,16 @@ export default function Billing() {
                   <td>
                     <div>
                       <p className="font-semibold">₹{bill.grandTotal?.toFixed(2)}</p>
-                      {bill.dueAmount > 0 && (
+                      {bill.dueAmount > 0 && bill.status !== BILL_STATUS.CANCELLED && (
                         <p className="text-xs text-red-600">Due: ₹{bill.dueAmount?.toFixed(2)}</p>
                       )}
                     </div>
                   </td>
-                  <td>{getStatusBadge(bill.paymentStatus)}</td>
+                  <td>
+                    {bill.status === BILL_STATUS.CANCELLED ? (
+                      <span className="badge-danger" title={bill.cancelReason}>Cancelled</span>
+                    ) : getStatusBadge(bill.paymentStatus)}
+                  </td>
                   <td>
                     <div className="flex items-center gap-2">
                       <Link
@@ -447,17 +455,17 @@ export default function Billing() {
         <div className="flex flex-wrap items-center justify-end gap-4 text-sm text-gray-500">
           <p>
             Page Total: <span className="font-semibold text-gray-900">
-              ₹{bills.reduce((sum, b) => sum + (b.grandTotal || 0), 0).toFixed(2)}
+              ₹{activeBills.reduce((sum, b) => sum + (b.grandTotal || 0), 0).toFixed(2)}
             </span>
           </p>
           <p>
             Collected: <span className="font-semibold text-green-600">
-              ₹{bills.reduce((sum, b) => sum + (b.paidAmount || 0), 0).toFixed(2)}
+              ₹{activeBills.reduce((sum, b) => sum + (b.paidAmount || 0), 0).toFixed(2)}
             </span>
           </p>
           <p>
             Pending: <span className="font-semibold text-red-600">
-              ₹{bills.reduce((sum, b) => sum + (b.dueAmount || 0), 0).toFixed(2)}
+              ₹{activeBills.reduce((sum, b) => sum + (b.dueAmount || 0), 0).toFixed(2)}
             </span>
           </p>
         </div>
@@ -1,4 +1,5 @@
 import { OpdBillPrint, MiscBillPrint, MedicineBillPrint } from '../../components/print';
+import { saleUnitLabel } from '@shared/utils/packs';
 
 /**
  * BillPrintView - Wrapper component that renders the appropriate print template
@@ -150,6 +151,9 @@ function LegacyBillPrintView({ bill, type = 'opd' }) {
               <td className="py-2 px-3 text-sm">{index + 1}</td>
               <td className="py-2 px-3 text-sm">
                 {item.description || item.medicineName}
+                {item.substitutedFor && (
+                  <p className="text-xs text-gray-500">In place of {item.substitutedFor.medicineName}</p>
+                )}
               </td>
               {type === 'medicine' && (
                 <>
@@ -159,7 +163,9 @@ function LegacyBillPrintView({ bill, type = 'opd' }) {
                   </td>
                 </>
               )}
-              <td className="py-2 px-3 text-sm text-right">{item.quantity}</td>
+              <td className="py-2 px-3 text-sm text-right">
+                {item.quantity}{item.saleUnit && ` ${saleUnitLabel(item)}`}
+              </td>
               <td className="py-2 px-3 text-sm text-right">
                 ₹{(item.rate || item.sellingPrice || item.mrp || 0).toFixed(2)}
               </td>
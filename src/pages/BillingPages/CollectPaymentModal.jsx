@@ -0,0 +1,148 @@
+import { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { Button, Input, Modal, Select, Textarea } from '../../components/ui';
+import { paymentService } from '../../services';
+import { PAYMENT_MODE, PAYMENT_MODE_OPTIONS } from '@shared/constants/enums';
+
+const PAYMENT_MODE_LABELS = { cash: 'Cash', card: 'Card', upi: 'UPI', mixed: 'Mixed' };
+
+const MODE_OPTIONS = PAYMENT_MODE_OPTIONS.map((value) => ({
+  value,
+  label: PAYMENT_MODE_LABELS[value] || value,
+}));
+
+const EMPTY_SPLIT = { cash: '', card: '', upi: '', upiRef: '' };
+
+export default function CollectPaymentModal({ isOpen, onClose, billType, bill, onPaid }) {
+  const [amount, setAmount] = useState('');
+  const [paymentMode, setPaymentMode] = useState(PAYMENT_MODE.CASH);
+  const [split, setSplit] = useState(EMPTY_SPLIT);
+  const [remarks, setRemarks] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && bill) {
+      setAmount(String(bill.dueAmount ?? ''));
+      setPaymentMode(PAYMENT_MODE.CASH);
+      setSplit(EMPTY_SPLIT);
+      setRemarks('');
+    }
+  }, [isOpen, bill]);
+
+  const handleSplitChange = (e) => {
+    const { name, value } = e.target;
+    setSplit((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async () => {
+    const value = Number(amount);
+    if (!value || value <= 0) {
+      toast.error('Enter a valid amount');
+      return;
+    }
+    if (value > bill.dueAmount) {
+      toast.error(`Amount cannot exceed the due of ₹${bill.dueAmount.toFixed(2)}`);
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await paymentService.record({
+        billType,
+        billId: bill._id,
+        amount: value,
+        paymentMode,
+        paymentDetails: paymentMode === PAYMENT_MODE.MIXED || paymentMode === PAYMENT_MODE.UPI
+          ? split
+          : undefined,
+        remarks: remarks.trim() || undefined,
+      });
+      toast.success(`Payment recorded - ${response.payment.receiptNo}`);
+      onPaid(response.payment, response.bill);
+    } catch (error) {
+      console.error('Failed to record payment:', error);
+      toast.error(error.error || 'Failed to record payment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Collect Payment - ${bill?.billNo || ''}`}
+      size="md"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="success" onClick={handleSubmit} loading={submitting}>
+            Record Payment
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div className="grid grid-cols-3 gap-3 text-sm">
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-gray-500">Bill Total</p>
+            <p className="font-semibold">₹{bill?.grandTotal?.toFixed(2)}</p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-gray-500">Paid</p>
+            <p className="font-semibold text-green-600">₹{bill?.paidAmount?.toFixed(2)}</p>
+          </div>
+          <div className="bg-gray-50 rounded-lg p-3">
+            <p className="text-gray-500">Due</p>
+            <p className="font-semibold text-red-600">₹{bill?.dueAmount?.toFixed(2)}</p>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            label="Amount"
+            type="number"
+            min="0"
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+          />
+          <Select
+            label="Payment Mode"
+            value={paymentMode}
+            onChange={(e) => setPaymentMode(e.target.value)}
+            options={MODE_OPTIONS}
+          />
+        </div>
+
+        {paymentMode === PAYMENT_MODE.MIXED && (
+          <div className="grid grid-cols-3 gap-3">
+            <Input label="Cash" type="number" name="cash" value={split.cash} onChange={handleSplitChange} />
+            <Input label="Card" type="number" name="card" value={split.card} onChange={handleSplitChange} />
+            <Input label="UPI" type="number" name="upi" value={split.upi} onChange={handleSplitChange} />
+          </div>
+        )}
+
+        {(paymentMode === PAYMENT_MODE.UPI || paymentMode === PAYMENT_MODE.MIXED) && (
+          <Input
+            label="UPI Reference"
+            name="upiRef"
+            value={split.upiRef}
+            onChange={handleSplitChange}
+            placeholder="Transaction ID"
+          />
+        )}
+
+        <Textarea
+          label="Remarks"
+          value={remarks}
+          onChange={(e) => setRemarks(e.target.value)}
+          rows={2}
+        />
+      </div>
+    </Modal>
+  );
+}
@@ -1,11 +1,66 @@
 import { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { ArrowLeft, Plus, Trash2, Printer, Receipt, Search, Package, User, CreditCard, Pill } from 'lucide-react';
+import { ArrowLeft, Plus, Trash2, Printer, Receipt, Search, Package, User, CreditCard, Pill, FileText, ArrowLeftRight } from 'lucide-react';
 import { useReactToPrint } from 'react-to-print';
 import toast from 'react-hot-toast';
+import { format } from 'date-fns';
 import { Button, Input, Select, Badge } from '../../components/ui';
-import { billingService, patientService, doctorService, medicineService } from '../../services';
+import { billingService, patientService, doctorService, medicineService, prescriptionService, interactionService } from '../../services';
+import { InteractionWarnings } from '../../components/clinical';
 import BillPrintView from './BillPrintView';
+import SubstituteModal from './SubstituteModal';
+import { sortFefo, allocateFefo } from '@shared/utils/fefo';
+import { availableStock, canSellLoose, saleUnitPrices, saleUnitLabel, unitLabel } from '@shared/utils/packs';
+import { SALE_UNIT, DISPENSE_STATUS } from '@shared/constants/enums';
+import { scheduleOf, addressLine, missingScheduleDetails } from '@shared/utils/schedule';
+import { checkInteractions, blockingWarnings } from '@shared/utils/interactions';
+
+// Batches a line will be billed from, earliest expiry first (the server allocates the same way)
+const allocateItem = (item) => allocateFefo(item.batches, Number(item.quantity) || 0, {
+  saleUnit: item.saleUnit,
+  packSize: item.packSize,
+}).allocations;
+
+const itemAmount = (item) =>
+  allocateItem(item).reduce(
+    (sum, { batch, quantity }) => sum + quantity * saleUnitPrices(batch, item.saleUnit, item.packSize).sellingPrice,
+    0
+  );
+
+// Stock of a line's medicine in its sale unit (packs or loose units)
+const availableQty = (item) =>
+  item.batches.reduce((sum, batch) => {
+    const stock = availableStock(batch, item.packSize);
+    return sum + (item.saleUnit === SALE_UNIT.UNIT ? stock.units : stock.packs);
+  }, 0);
+
+// Neither whole packs nor loose units left (medicine search results)
+const isOutOfStock = (medicine) => !medicine.currentStock && !medicine.currentLoose;
+
+// A bill line for a medicine and its sellable batches
+const toBillItem = (medicine, batches, saleUnit = SALE_UNIT.PACK, quantity = 1) => ({
+  medicineId: medicine._id,
+  medicineName: medicine.name,
+  genericName: medicine.genericName || '',
+  composition: medicine.composition || '',
+  batches,
+  packSize: Number(medicine.packSize) || 1,
+  packUnit: medicine.packUnit || 'pack',
+  unitLabel: unitLabel(medicine),
+  canSellLoose: canSellLoose(medicine),
+  scheduleType: scheduleOf(medicine),
+  saleUnit,
+  quantity,
+});
+
+const DISPENSE_BADGES = {
+  [DISPENSE_STATUS.AVAILABLE]: { variant: 'success', label: 'Added' },
+  [DISPENSE_STATUS.PARTIAL]: { variant: 'warning', label: 'Partial stock' },
+  [DISPENSE_STATUS.OUT_OF_STOCK]: { variant: 'danger', label: 'Out of stock' },
+  [DISPENSE_STATUS.SUBSTITUTED]: { variant: 'blue', label: 'Substituted' },
+  [DISPENSE_STATUS.NOT_IN_CATALOG]: { variant: 'gray', label: 'Not in catalog' },
+  [DISPENSE_STATUS.QUANTITY_NEEDED]: { variant: 'warning', label: 'Enter quantity' },
+};
 
 const PAYMENT_MODES = [
   { value: 'cash', label: 'Cash' },
@@ -18,10 +73,11 @@ export default function MedicineBilling() {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const patientIdParam = searchParams.get('patientId');
+  const prescriptionIdParam = searchParams.get('prescriptionId');
   const printRef = useRef();
 
   const [loading, setLoading] = useState(false);
-  const [initialLoading, setInitialLoading] = useState(!!patientIdParam);
+  const [initialLoading, setInitialLoading] = useState(!!patientIdParam || !!prescriptionIdParam);
   const [doctors, setDoctors] = useState([]);
   const [patients, setPatients] = useState([]);
   const [medicines, setMedicines] = useState([]);
@@ -32,27 +88,81 @@ export default function MedicineBilling() {
   const [showMedicineDropdown, setShowMedicineDropdown] = useState(false);
   const [generatedBill, setGeneratedBill] = useState(null);
   const [showPrintView, setShowPrintView] = useState(false);
+  const [dispensePlan, setDispensePlan] = useState(null);
+  // Medicine being substituted, and the bill line it is on (null when not yet added)
+  const [substituteTarget, setSubstituteTarget] = useState(null);
+  const [interactionRules, setInteractionRules] = useState([]);
+  const [interactionOverrideReason, setInteractionOverrideReason] = useState('');
 
   const [formData, setFormData] = useState({
     patientName: '',
     patientPhone: '',
+    patientAddress: '',
     patientId: '',
     doctorId: '',
+    prescriptionId: '',
     items: [],
     discountType: 'percentage',
     discountValue: 0,
     paymentMode: 'cash',
     paymentDetails: { cash: 0, card: 0, upi: 0, upiRef: '' },
+    interState: false,
     remarks: '',
   });
 
   useEffect(() => {
     fetchDoctors();
+    fetchInteractionRules();
     if (patientIdParam) {
       fetchPatientById(patientIdParam);
     }
   }, [patientIdParam]);
 
+  useEffect(() => {
+    if (prescriptionIdParam) {
+      loadPrescription(prescriptionIdParam);
+    }
+  }, [prescriptionIdParam]);
+
+  // Pre-fill the bill from a prescription: patient, prescriber and the
+  // quantity of each medicine for the course
+  const loadPrescription = async (id) => {
+    setInitialLoading(true);
+    try {
+      const plan = await prescriptionService.getDispensePlan(id);
+      setDispensePlan(plan);
+
+      const { patient, doctor } = plan.prescription;
+      if (patient && !patientIdParam) {
+        await fetchPatientById(patient._id);
+      }
+
+      const items = [];
+      for (const line of plan.items) {
+        if (!line.medicine || line.quantity <= 0) continue;
+        const response = await medicineService.stock.getBatches(line.medicine._id);
+        const batches = sortFefo(response.batches || []);
+        if (batches.length === 0) continue;
+        items.push({
+          ...toBillItem(line.medicine, batches, line.saleUnit, line.quantity),
+          substitutedFor: line.substitutedFor,
+        });
+      }
+
+      setFormData((prev) => ({
+        ...prev,
+        doctorId: doctor?._id || prev.doctorId,
+        prescriptionId: plan.prescription._id,
+        items,
+      }));
+    } catch (error) {
+      console.error('Failed to load prescription:', error);
+      toast.error(error.error || 'Failed to load prescription');
+    } finally {
+      setInitialLoading(false);
+    }
+  };
+
   const fetchPatientById = async (id) => {
     setInitialLoading(true);
     try {
@@ -85,6 +195,15 @@ export default function MedicineBilling() {
     }
   };
 
+  const fetchInteractionRules = async () => {
+    try {
+      const response = await interactionService.getAll();
+      setInteractionRules(response.interactions || []);
+    } catch (error) {
+      console.error('Failed to fetch interaction table:', error);
+    }
+  };
+
   const searchPatients = async (query) => {
     if (!query || query.length < 2) {
       setPatients([]);
@@ -132,19 +251,16 @@ export default function MedicineBilling() {
     // Fetch stock batches for this medicine
     try {
       const response = await medicineService.stock.getBatches(medicine._id);
-      const batches = response.batches || [];
+      const batches = sortFefo(response.batches || []);
 
       if (batches.length === 0) {
-        toast.error('No stock available for this medicine');
+        toast.error('No unexpired stock available for this medicine');
         return;
       }
 
-      // Use first available batch (FEFO - First Expiry First Out)
-      const batch = batches[0];
-
       // Check if already added
       const existingIndex = formData.items.findIndex(
-        (item) => item.medicineId === medicine._id && item.batchId === batch._id
+        (item) => item.medicineId === medicine._id
       );
 
       if (existingIndex >= 0) {
@@ -154,21 +270,7 @@ export default function MedicineBilling() {
         // Add new item
         setFormData((prev) => ({
           ...prev,
-          items: [
-            ...prev.items,
-            {
-              medicineId: medicine._id,
-              medicineName: medicine.name,
-              batchId: batch._id,
-              batchNo: batch.batchNo,
-              expiryDate: batch.expiryDate,
-              availableQty: batch.currentQty,
-              quantity: 1,
-              mrp: batch.mrp,
-              sellingPrice: batch.sellingPrice || batch.mrp,
-              gstRate: batch.gstRate || 0,
-            },
-          ],
+          items: [...prev.items, toBillItem(medicine, batches)],
         }));
       }
     } catch (error) {
@@ -176,6 +278,49 @@ export default function MedicineBilling() {
     }
   };
 
+  const openSubstitutes = (medicine, index = null) => {
+    setMedicineSearch('');
+    setShowMedicineDropdown(false);
+    setSubstituteTarget({ medicine, index });
+  };
+
+  // Dispense an equivalent medicine in place of the one prescribed, keeping
+  // the quantity and, where it can be sold loose, the sale unit
+  const handleSubstituteSelect = async (alternative) => {
+    const { medicine, index } = substituteTarget;
+    setSubstituteTarget(null);
+
+    try {
+      const response = await medicineService.stock.getBatches(alternative._id);
+      const batches = sortFefo(response.batches || []);
+      if (batches.length === 0) {
+        toast.error('No unexpired stock available for this medicine');
+        return;
+      }
+
+      setFormData((prev) => {
+        const current = index !== null ? prev.items[index] : null;
+        const saleUnit = current?.saleUnit === SALE_UNIT.UNIT && canSellLoose(alternative)
+          ? SALE_UNIT.UNIT
+          : SALE_UNIT.PACK;
+        const item = {
+          ...toBillItem(alternative, batches, saleUnit, current?.quantity || 1),
+          substitutedFor: current?.substitutedFor || { _id: medicine._id, name: medicine.name },
+        };
+        const items = [...prev.items];
+        if (index !== null) {
+          items[index] = item;
+        } else {
+          items.push(item);
+        }
+        return { ...prev, items };
+      });
+      toast.success(`${alternative.name} added in place of ${medicine.name}`);
+    } catch (error) {
+      toast.error('Failed to fetch stock');
+    }
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     if (name.startsWith('paymentDetails.')) {
@@ -205,10 +350,7 @@ export default function MedicineBilling() {
   };
 
   // Calculate totals (prices are GST-inclusive, no separate GST calculation)
-  const subtotal = formData.items.reduce(
-    (sum, item) => sum + (Number(item.quantity) || 0) * (Number(item.sellingPrice) || 0),
-    0
-  );
+  const subtotal = formData.items.reduce((sum, item) => sum + itemAmount(item), 0);
 
   const discountAmount =
     formData.discountType === 'percentage'
@@ -217,6 +359,22 @@ export default function MedicineBilling() {
 
   const grandTotal = Math.round(subtotal - discountAmount);
 
+  // Schedule H/H1/X drugs need the prescriber and patient for the register
+  const scheduledItems = formData.items.filter((item) => item.scheduleType);
+  const patientAddress = formData.patientAddress || addressLine(selectedPatient?.address);
+
+  // Interactions among the medicines and with the patient's allergies
+  const interactionWarnings = checkInteractions({
+    medicines: formData.items.map((item) => ({
+      name: item.medicineName,
+      genericName: item.genericName,
+      composition: item.composition,
+    })),
+    allergies: selectedPatient?.allergies,
+    rules: interactionRules,
+  });
+  const needsOverride = blockingWarnings(interactionWarnings).length > 0;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -229,10 +387,27 @@ export default function MedicineBilling() {
       return;
     }
 
+    if (scheduledItems.length > 0) {
+      const missing = missingScheduleDetails({
+        doctorId: formData.doctorId,
+        patientName: formData.patientName,
+        patientAddress,
+      });
+      if (missing.length > 0) {
+        toast.error(`Scheduled drugs need ${missing.join(', ')}`);
+        return;
+      }
+    }
+
+    if (needsOverride && !interactionOverrideReason.trim()) {
+      toast.error('Enter a reason to override the blocking interaction warnings');
+      return;
+    }
+
     // Validate quantities
     for (const item of formData.items) {
-      if (item.quantity > item.availableQty) {
-        toast.error(`Insufficient stock for ${item.medicineName}. Available: ${item.availableQty}`);
+      if (item.quantity > availableQty(item)) {
+        toast.error(`Insufficient stock for ${item.medicineName}. Available: ${availableQty(item)} ${saleUnitLabel(item)}`);
         return;
       }
     }
@@ -243,11 +418,14 @@ export default function MedicineBilling() {
         patientId: selectedPatient?._id || null,
         patientName: formData.patientName,
         patientPhone: formData.patientPhone || null,
+        patientAddress: formData.patientAddress || null,
         doctorId: formData.doctorId || null,
+        prescriptionId: formData.prescriptionId || null,
         items: formData.items.map((item) => ({
           medicineId: item.medicineId,
-          batchId: item.batchId,
           quantity: Number(item.quantity),
+          saleUnit: item.saleUnit,
+          substitutedFor: item.substitutedFor?._id,
         })),
         discountType: formData.discountType,
         discountValue: Number(formData.discountValue) || 0,
@@ -258,7 +436,9 @@ export default function MedicineBilling() {
           upi: Number(formData.paymentDetails.upi) || 0,
           upiRef: formData.paymentDetails.upiRef || null,
         } : undefined,
+        interState: formData.interState,
         remarks: formData.remarks || null,
+        interactionOverrideReason: needsOverride ? interactionOverrideReason.trim() : undefined,
       };
 
       const response = await billingService.medicine.create(payload);
@@ -343,6 +523,9 @@ export default function MedicineBilling() {
               <div className="p-2 bg-green-50 border border-green-200 rounded-lg">
                 <p className="font-medium text-gray-900 text-sm">{selectedPatient.name}</p>
                 <p className="text-xs text-gray-600">{selectedPatient.patientId} • {selectedPatient.phone}</p>
+                {selectedPatient.allergies?.length > 0 && (
+                  <p className="text-xs text-red-600">Allergies: {selectedPatient.allergies.join(', ')}</p>
+                )}
                 {!patientIdParam && (
                   <button type="button" onClick={() => { setSelectedPatient(null); setPatientSearch(''); setFormData(prev => ({ ...prev, patientName: '', patientPhone: '', patientId: '' })); }} className="text-xs text-red-600 mt-1">Change</button>
                 )}
@@ -364,7 +547,18 @@ export default function MedicineBilling() {
                 <Input label="Phone" name="patientPhone" value={formData.patientPhone} onChange={handleChange} placeholder="Phone" />
               </>
             )}
-            <Select label="Prescribed By" name="doctorId" value={formData.doctorId} onChange={handleChange} options={doctorOptions} placeholder="Select doctor" />
+            {scheduledItems.length > 0 && !addressLine(selectedPatient?.address) && (
+              <Input label="Patient Address" name="patientAddress" value={formData.patientAddress} onChange={handleChange} required placeholder="Needed for scheduled drugs" />
+            )}
+            <Select
+              label="Prescribed By"
+              name="doctorId"
+              value={formData.doctorId}
+              onChange={handleChange}
+              options={doctorOptions}
+              placeholder="Select doctor"
+              required={scheduledItems.length > 0}
+            />
             <Select label="Payment Mode" name="paymentMode" value={formData.paymentMode} onChange={handleChange} options={PAYMENT_MODES} />
             
             {formData.paymentMode === 'mixed' && (
@@ -393,10 +587,12 @@ export default function MedicineBilling() {
             {showMedicineDropdown && medicines.length > 0 && (
               <div className="absolute z-20 w-full mt-1 bg-white border rounded-lg shadow-lg max-h-40 overflow-y-auto">
                 {medicines.map((med) => (
-                  <button key={med._id} type="button" onClick={() => handleMedicineSelect(med)} disabled={med.currentStock === 0} className="w-full px-3 py-2 text-left hover:bg-gray-50 text-sm disabled:opacity-50 disabled:cursor-not-allowed">
+                  <button key={med._id} type="button" onClick={() => (isOutOfStock(med) ? openSubstitutes(med) : handleMedicineSelect(med))} className="w-full px-3 py-2 text-left hover:bg-gray-50 text-sm">
                     <div className="flex justify-between">
-                      <span className="font-medium">{med.name}</span>
-                      <span className={`text-xs ${med.currentStock === 0 ? 'text-red-500' : 'text-green-600'}`}>Stock: {med.currentStock || 0}</span>
+                      <span className={`font-medium ${isOutOfStock(med) ? 'text-gray-400' : ''}`}>{med.name}</span>
+                      <span className={`text-xs ${isOutOfStock(med) ? 'text-red-500' : 'text-green-600'}`}>
+                        {isOutOfStock(med) ? 'Out of stock · see substitutes' : `Stock: ${med.currentStock || 0}`}
+                      </span>
                     </div>
                   </button>
                 ))}
@@ -404,6 +600,44 @@ export default function MedicineBilling() {
             )}
           </div>
           
+          {/* Prescription being dispensed */}
+          {dispensePlan && (
+            <div className="mb-3 p-2 bg-blue-50 border border-blue-100 rounded-lg">
+              <p className="flex items-center gap-1 text-xs font-medium text-blue-800 mb-1">
+                <FileText className="w-3 h-3" />
+                Prescription {dispensePlan.prescription.prescriptionId}
+              </p>
+              {dispensePlan.items.map((line, index) => (
+                <div key={index} className="flex justify-between items-center gap-2 text-xs py-0.5">
+                  <span className="text-gray-700 truncate">
+                    {line.prescribed.name}
+                    {line.prescribed.frequency && ` · ${line.prescribed.frequency}`}
+                    {line.prescribed.duration && ` × ${line.prescribed.duration}`}
+                    {line.substitutedFor && ` → ${line.medicine.name}`}
+                    {line.status === DISPENSE_STATUS.PARTIAL && ` (${line.quantity} of ${line.requested})`}
+                  </span>
+                  <Badge variant={DISPENSE_BADGES[line.status].variant}>{DISPENSE_BADGES[line.status].label}</Badge>
+                </div>
+              ))}
+              {dispensePlan.dispensedBills.length > 0 && (
+                <p className="text-xs text-amber-700 mt-1">
+                  Already dispensed on {dispensePlan.dispensedBills.map((b) => b.billNo).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {interactionWarnings.length > 0 && (
+            <div className="mb-3">
+              <InteractionWarnings
+                warnings={interactionWarnings}
+                overrideReason={interactionOverrideReason}
+                onOverrideReasonChange={setInteractionOverrideReason}
+                compact
+              />
+            </div>
+          )}
+
           {/* Items List */}
           <div className="space-y-2 max-h-52 overflow-y-auto">
             {formData.items.length === 0 ? (
@@ -416,19 +650,51 @@ export default function MedicineBilling() {
                 <div key={index} className="p-2 bg-gray-50 rounded-lg">
                   <div className="flex justify-between items-start mb-1">
                     <div>
-                      <p className="font-medium text-sm">{item.medicineName}</p>
-                      <p className="text-xs text-gray-500">Batch: {item.batchNo}</p>
+                      <p className="font-medium text-sm">
+                        {item.medicineName}
+                        {item.scheduleType && <Badge variant="danger" className="ml-1">Sch. {item.scheduleType}</Badge>}
+                      </p>
+                      {item.substitutedFor && (
+                        <p className="text-xs text-blue-600">In place of {item.substitutedFor.name}</p>
+                      )}
+                      {allocateItem(item).map(({ batch, quantity }) => (
+                        <p key={batch._id} className="text-xs text-gray-500">
+                          Batch {batch.batchNo} · Exp {format(new Date(batch.expiryDate), 'MM/yy')} · {quantity} {saleUnitLabel(item)} × ₹{saleUnitPrices(batch, item.saleUnit, item.packSize).sellingPrice}
+                        </p>
+                      ))}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => openSubstitutes({ _id: item.medicineId, name: item.medicineName }, index)}
+                        className="text-gray-500 hover:text-primary-600"
+                        title="Substitutes"
+                      >
+                        <ArrowLeftRight className="w-4 h-4" />
+                      </button>
+                      <button type="button" onClick={() => removeItem(index)} className="text-red-500 hover:text-red-700"><Trash2 className="w-4 h-4" /></button>
                     </div>
-                    <button type="button" onClick={() => removeItem(index)} className="text-red-500 hover:text-red-700"><Trash2 className="w-4 h-4" /></button>
                   </div>
                   <div className="grid grid-cols-4 gap-2 items-center">
                     <div>
-                      <input type="number" value={item.quantity} onChange={(e) => handleItemChange(index, 'quantity', e.target.value)} min="1" max={item.availableQty} className="w-full px-2 py-1 text-sm border border-gray-200 rounded" />
-                      <p className="text-xs text-gray-400">/{item.availableQty}</p>
+                      <input type="number" value={item.quantity} onChange={(e) => handleItemChange(index, 'quantity', e.target.value)} min="1" max={availableQty(item)} className="w-full px-2 py-1 text-sm border border-gray-200 rounded" />
+                      <p className="text-xs text-gray-400">/{availableQty(item)}</p>
+                    </div>
+                    <div className="col-span-2">
+                      {item.canSellLoose ? (
+                        <select
+                          value={item.saleUnit}
+                          onChange={(e) => handleItemChange(index, 'saleUnit', e.target.value)}
+                          className="w-full px-2 py-1 text-sm border border-gray-200 rounded"
+                        >
+                          <option value={SALE_UNIT.PACK}>{item.packUnit} of {item.packSize}</option>
+                          <option value={SALE_UNIT.UNIT}>{item.unitLabel}</option>
+                        </select>
+                      ) : (
+                        <p className="text-xs text-gray-500">{item.packUnit}</p>
+                      )}
                     </div>
-                    <div className="text-xs text-gray-500">MRP: ₹{item.mrp}</div>
-                    <input type="number" value={item.sellingPrice} onChange={(e) => handleItemChange(index, 'sellingPrice', e.target.value)} min="0" step="0.01" className="w-full px-2 py-1 text-sm border border-gray-200 rounded" />
-                    <p className="text-right font-medium text-sm">₹{((Number(item.quantity) || 0) * (Number(item.sellingPrice) || 0)).toFixed(0)}</p>
+                    <p className="text-right font-medium text-sm">₹{itemAmount(item).toFixed(0)}</p>
                   </div>
                 </div>
               ))
@@ -467,6 +733,15 @@ export default function MedicineBilling() {
               </div>
             )}
             
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={formData.interState}
+                onChange={(e) => setFormData((prev) => ({ ...prev, interState: e.target.checked }))}
+              />
+              Inter-state sale (IGST)
+            </label>
+
             <p className="text-xs text-gray-400 italic">* Prices inclusive of GST</p>
             
             <div className="flex justify-between text-lg font-bold pt-3 border-t border-gray-200">
@@ -476,6 +751,13 @@ export default function MedicineBilling() {
           </div>
         </div>
       </form>
+
+      <SubstituteModal
+        isOpen={!!substituteTarget}
+        onClose={() => setSubstituteTarget(null)}
+        medicine={substituteTarget?.medicine}
+        onSelect={handleSubstituteSelect}
+      />
     </div>
   );
 }
@@ -0,0 +1,187 @@
+import { useState, useEffect, useMemo } from 'react';
+import toast from 'react-hot-toast';
+import { Button, Modal, Select, Textarea } from '../../components/ui';
+import { billingService } from '../../services';
+import { saleUnitLabel } from '@shared/utils/packs';
+
+const REFUND_MODE_OPTIONS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'card', label: 'Card' },
+  { value: 'upi', label: 'UPI' },
+];
+
+// Lines from before loose sales were sold by the pack
+const lineKey = (item) => `${item.batchId}:${item.saleUnit || 'pack'}`;
+
+/**
+ * Quantities sold per batch and sale unit on a medicine bill, less anything
+ * already returned on earlier credit notes
+ */
+const getReturnableLines = (bill) => {
+  const lines = {};
+  for (const item of bill.items || []) {
+    const key = lineKey(item);
+    if (!lines[key]) {
+      lines[key] = { ...item, key, sold: 0, returned: 0 };
+    }
+    lines[key].sold += item.quantity;
+  }
+  for (const returnBill of bill.returns || []) {
+    for (const item of returnBill.items || []) {
+      const key = lineKey(item);
+      if (lines[key]) lines[key].returned += Math.abs(item.quantity);
+    }
+  }
+  return Object.values(lines).map((line) => ({
+    ...line,
+    returnable: line.sold - line.returned,
+  }));
+};
+
+export default function MedicineReturnModal({ isOpen, onClose, bill, onReturned }) {
+  const [quantities, setQuantities] = useState({});
+  const [refundMode, setRefundMode] = useState('cash');
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const lines = useMemo(() => (bill ? getReturnableLines(bill) : []), [bill]);
+
+  useEffect(() => {
+    if (isOpen) {
+      setQuantities({});
+      setReason('');
+      setRefundMode(bill?.paymentMode && bill.paymentMode !== 'mixed' ? bill.paymentMode : 'cash');
+    }
+  }, [isOpen, bill]);
+
+  const discountRatio = bill?.subtotal > 0 ? (bill.discountAmount || 0) / bill.subtotal : 0;
+
+  const refundTotal = lines.reduce((sum, line) => {
+    const qty = Number(quantities[line.key]) || 0;
+    return sum + qty * line.sellingPrice;
+  }, 0) * (1 - discountRatio);
+
+  // The server sets the credit off against the bill's due before refunding
+  const adjustTotal = Math.min(bill?.dueAmount || 0, Math.round(refundTotal));
+
+  const handleQuantityChange = (line, value) => {
+    const qty = Math.max(0, Math.min(line.returnable, parseInt(value, 10) || 0));
+    setQuantities((prev) => ({ ...prev, [line.key]: qty }));
+  };
+
+  const handleSubmit = async () => {
+    const items = lines
+      .filter((line) => Number(quantities[line.key]) > 0)
+      .map((line) => ({
+        batchId: line.batchId,
+        quantity: Number(quantities[line.key]),
+        saleUnit: line.saleUnit,
+      }));
+
+    if (items.length === 0) {
+      toast.error('Enter a quantity to return');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await billingService.medicine.createReturn({
+        billId: bill._id,
+        items,
+        refundMode,
+        reason: reason.trim() || undefined,
+      });
+      toast.success('Return processed, credit note created');
+      onReturned(response.bill);
+    } catch (error) {
+      console.error('Failed to process return:', error);
+      toast.error(error.error || 'Failed to process return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Return Medicines - ${bill?.billNo || ''}`}
+      size="lg"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button variant="danger" onClick={handleSubmit} loading={submitting}>
+            {adjustTotal > 0 ? 'Process Return' : `Refund ₹${Math.round(refundTotal).toFixed(2)}`}
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <table className="table">
+          <thead>
+            <tr>
+              <th>Medicine</th>
+              <th>Batch</th>
+              <th className="text-center">Sold</th>
+              <th className="text-center">Returned</th>
+              <th className="text-center">Return Qty</th>
+            </tr>
+          </thead>
+          <tbody>
+            {lines.map((line) => (
+              <tr key={line.key}>
+                <td className="font-medium">{line.medicineName}</td>
+                <td className="text-sm text-gray-600">{line.batchNo}</td>
+                <td className="text-center">{line.sold} {line.saleUnit && saleUnitLabel(line)}</td>
+                <td className="text-center">{line.returned}</td>
+                <td className="text-center">
+                  <input
+                    type="number"
+                    min="0"
+                    max={line.returnable}
+                    value={quantities[line.key] ?? ''}
+                    onChange={(e) => handleQuantityChange(line, e.target.value)}
+                    disabled={line.returnable === 0}
+                    className="input w-20 text-center"
+                    placeholder="0"
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {adjustTotal > 0 && (
+          <p className="text-sm text-gray-700">
+            ₹{adjustTotal.toFixed(2)} of the ₹{Math.round(refundTotal).toFixed(2)} credit is set off against the
+            bill&apos;s outstanding due; ₹{(Math.round(refundTotal) - adjustTotal).toFixed(2)} is refunded.
+          </p>
+        )}
+
+        {discountRatio > 0 && (
+          <p className="text-xs text-gray-500">
+            The bill discount is deducted from the refund in proportion to the returned value.
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <Select
+            label="Refund Mode"
+            value={refundMode}
+            onChange={(e) => setRefundMode(e.target.value)}
+            options={REFUND_MODE_OPTIONS}
+          />
+          <Textarea
+            label="Reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            rows={2}
+            placeholder="e.g. Unopened strips returned"
+          />
+        </div>
+      </div>
+    </Modal>
+  );
+}
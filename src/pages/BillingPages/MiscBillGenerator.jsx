@@ -6,6 +6,7 @@ import toast from 'react-hot-toast';
 import { Button, Input, Select } from '../../components/ui';
 import { billingService, patientService, doctorService, serviceItemService } from '../../services';
 import BillPrintView from './BillPrintView';
+import { computeGst } from '@shared/utils/gst';
 
 const PAYMENT_MODES = [
   { value: 'cash', label: 'Cash' },
@@ -179,7 +180,16 @@ export default function MiscBillGenerator() {
       ? (subtotal * Number(formData.discountValue || 0)) / 100
       : Number(formData.discountValue || 0);
 
-  const grandTotal = Math.round(subtotal - discountAmount);
+  // GST on taxable services is added on top of the rate
+  const gst = computeGst(
+    formData.items.map((item) => ({
+      amount: (Number(item.quantity) || 0) * (Number(item.rate) || 0),
+      gstRate: item.gstRate || 0,
+    })),
+    { discountAmount }
+  );
+
+  const grandTotal = Math.round(gst.taxableAmount + gst.totalTax);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -202,6 +212,7 @@ export default function MiscBillGenerator() {
         referredBy: formData.referredBy || null,
         category: formData.category,
         items: formData.items.map((item) => ({
+          serviceId: item.serviceId || undefined,
           description: item.description,
           category: formData.category,
           quantity: Number(item.quantity) || 1,
@@ -360,6 +371,7 @@ export default function MiscBillGenerator() {
                 <div className="text-sm text-gray-600">
                   <span>Subtotal: ₹{subtotal}</span>
                   {discountAmount > 0 && <span className="ml-3 text-green-600">Discount: -₹{discountAmount.toFixed(0)}</span>}
+                  {gst.totalTax > 0 && <span className="ml-3">GST: +₹{gst.totalTax.toFixed(2)}</span>}
                 </div>
                 <div className="text-xl font-bold text-primary-600">₹{grandTotal}</div>
               </div>
@@ -478,7 +490,15 @@ export default function MiscBillGenerator() {
                       <button 
                         key={service._id} 
                         type="button" 
-                        onClick={() => { addTestFromPicker({ description: service.name, rate: service.rate }); setServiceSearch(''); }} 
+                        onClick={() => {
+                          addTestFromPicker({
+                            serviceId: service._id,
+                            description: service.name,
+                            rate: service.rate,
+                            gstRate: service.taxable ? service.gstRate : 0,
+                          });
+                          setServiceSearch('');
+                        }}
                         className="w-full flex justify-between items-center p-4 bg-gray-50 hover:bg-primary-50 hover:border-primary-200 border border-gray-200 rounded-xl text-left transition-colors"
                       >
                         <div>
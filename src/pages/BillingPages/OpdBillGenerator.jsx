@@ -6,6 +6,8 @@ import toast from 'react-hot-toast';
 import { Button, Input, Select } from '../../components/ui';
 import { billingService, patientService, doctorService, appointmentService } from '../../services';
 import BillPrintView from './BillPrintView';
+import { useClinic } from '../../context/ClinicContext';
+import { computeGst } from '@shared/utils/gst';
 
 const PAYMENT_MODES = [
   { value: 'cash', label: 'Cash' },
@@ -22,6 +24,7 @@ export default function OpdBillGenerator() {
   const navigate = useNavigate();
   const [searchParams] = useSearchParams();
   const printRef = useRef();
+  const { settings } = useClinic();
 
   const [loading, setLoading] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
@@ -206,7 +209,17 @@ export default function OpdBillGenerator() {
       ? (subtotal * Number(formData.discountValue || 0)) / 100
       : Number(formData.discountValue || 0);
 
-  const grandTotal = Math.round(subtotal - discountAmount);
+  // OPD services are exempt unless marked taxable in settings
+  const opdGstRate = settings.opdGst?.taxable ? Number(settings.opdGst.gstRate) || 0 : 0;
+  const gst = computeGst(
+    formData.items.map((item) => ({
+      amount: (Number(item.quantity) || 0) * (Number(item.rate) || 0),
+      gstRate: opdGstRate,
+    })),
+    { discountAmount }
+  );
+
+  const grandTotal = Math.round(gst.taxableAmount + gst.totalTax);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -494,6 +507,13 @@ export default function OpdBillGenerator() {
               />
               <span className="text-sm text-red-600 ml-auto">-₹{discountAmount.toFixed(2)}</span>
             </div>
+
+            {gst.totalTax > 0 && (
+              <div className="flex justify-between text-sm text-gray-600">
+                <span>GST ({opdGstRate}%)</span>
+                <span>+₹{gst.totalTax.toFixed(2)}</span>
+              </div>
+            )}
             
             <div className="flex justify-between text-lg font-bold pt-3 border-t border-gray-200">
               <span>Grand Total</span>
@@ -0,0 +1,214 @@
+import { useState, useEffect, Fragment } from 'react';
+import { Link } from 'react-router-dom';
+import { Wallet, ChevronDown, ChevronRight, Eye, Search } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { paymentService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { PaymentReceiptPrint, PrintWrapper } from '../../components/print';
+import CollectPaymentModal from './CollectPaymentModal';
+
+const BILL_TYPE_LABELS = {
+  opd: 'OPD',
+  misc: 'Lab/Misc',
+  medicine: 'Medicine',
+};
+
+export default function OutstandingDues() {
+  const { can } = useAuth();
+  const [patients, setPatients] = useState([]);
+  const [totalDue, setTotalDue] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [collectBill, setCollectBill] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+
+  const canCollect = can('payments-recordPayment');
+
+  useEffect(() => {
+    fetchDues();
+  }, []);
+
+  const fetchDues = async () => {
+    setLoading(true);
+    try {
+      const response = await paymentService.getOutstandingDues();
+      setPatients(response.patients || []);
+      setTotalDue(response.totalDue || 0);
+    } catch (error) {
+      console.error('Failed to fetch outstanding dues:', error);
+      toast.error('Failed to load outstanding dues');
+      setPatients([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePaid = (payment) => {
+    setCollectBill(null);
+    setReceipt(payment);
+    fetchDues();
+  };
+
+  const filteredPatients = patients.filter((p) => {
+    if (!searchQuery) return true;
+    const query = searchQuery.toLowerCase();
+    return (
+      p.patientName.toLowerCase().includes(query) ||
+      (p.patientPhone || '').includes(query) ||
+      String(p.patient?.patientId || '').toLowerCase().includes(query)
+    );
+  });
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Outstanding Dues</h1>
+          <p className="text-gray-500">Patients with unpaid balances on their bills</p>
+        </div>
+        <div className="card px-4 py-3 text-right">
+          <p className="text-sm text-gray-500">Total Outstanding</p>
+          <p className="text-xl font-bold text-red-600">₹{totalDue.toFixed(2)}</p>
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="relative">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+        <input
+          type="text"
+          placeholder="Search by patient name, ID or phone..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+          className="input pl-10"
+        />
+      </div>
+
+      {/* Patient List */}
+      <div className="card overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <div className="w-8 h-8 border-4 border-primary-500 border-t-transparent rounded-full animate-spin" />
+          </div>
+        ) : filteredPatients.length === 0 ? (
+          <div className="text-center py-12">
+            <Wallet className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-500">No outstanding dues</p>
+          </div>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th className="w-8"></th>
+                <th>Patient</th>
+                <th>Phone</th>
+                <th>Bills</th>
+                <th>Oldest Bill</th>
+                <th className="text-right">Total Due</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredPatients.map((p) => {
+                const isExpanded = expandedKey === p.key;
+                return (
+                  <Fragment key={p.key}>
+                    <tr
+                      onClick={() => setExpandedKey(isExpanded ? null : p.key)}
+                      className="cursor-pointer hover:bg-gray-50"
+                    >
+                      <td>
+                        {isExpanded
+                          ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                          : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                      </td>
+                      <td>
+                        <p className="font-medium">{p.patientName}</p>
+                        <p className="text-xs text-gray-500">{p.patient?.patientId || 'Walk-in'}</p>
+                      </td>
+                      <td className="text-sm">{p.patientPhone || '-'}</td>
+                      <td className="text-sm">{p.bills.length}</td>
+                      <td className="text-sm">{format(new Date(p.oldestBillDate), 'dd MMM yyyy')}</td>
+                      <td className="text-right font-semibold text-red-600">₹{p.totalDue.toFixed(2)}</td>
+                    </tr>
+                    {isExpanded && (
+                      <tr>
+                        <td></td>
+                        <td colSpan={5} className="bg-gray-50">
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="text-gray-500 text-left">
+                                <th className="py-1 pr-4 font-medium">Bill No</th>
+                                <th className="py-1 pr-4 font-medium">Type</th>
+                                <th className="py-1 pr-4 font-medium">Date</th>
+                                <th className="py-1 pr-4 font-medium text-right">Total</th>
+                                <th className="py-1 pr-4 font-medium text-right">Paid</th>
+                                <th className="py-1 pr-4 font-medium text-right">Due</th>
+                                <th className="py-1"></th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {p.bills.map((bill) => (
+                                <tr key={bill._id}>
+                                  <td className="py-1 pr-4 font-medium">{bill.billNo}</td>
+                                  <td className="py-1 pr-4">{BILL_TYPE_LABELS[bill.billType]}</td>
+                                  <td className="py-1 pr-4">{format(new Date(bill.billDate), 'dd MMM yyyy')}</td>
+                                  <td className="py-1 pr-4 text-right">₹{bill.grandTotal?.toFixed(2)}</td>
+                                  <td className="py-1 pr-4 text-right">₹{bill.paidAmount?.toFixed(2)}</td>
+                                  <td className="py-1 pr-4 text-right text-red-600">₹{bill.dueAmount.toFixed(2)}</td>
+                                  <td className="py-1">
+                                    <div className="flex items-center justify-end gap-2">
+                                      {canCollect && (
+                                        <button
+                                          onClick={() => setCollectBill(bill)}
+                                          className="btn-success text-xs px-2 py-1"
+                                        >
+                                          Collect
+                                        </button>
+                                      )}
+                                      <Link
+                                        to={`/billing/${bill.billType}/${bill._id}`}
+                                        className="p-1 text-primary-600 hover:bg-primary-50 rounded"
+                                        title="View Bill"
+                                      >
+                                        <Eye className="w-4 h-4" />
+                                      </Link>
+                                    </div>
+                                  </td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <CollectPaymentModal
+        isOpen={!!collectBill}
+        onClose={() => setCollectBill(null)}
+        billType={collectBill?.billType}
+        bill={collectBill}
+        onPaid={handlePaid}
+      />
+
+      {receipt && (
+        <PrintWrapper
+          title={`Receipt ${receipt.receiptNo}`}
+          documentName={`Receipt-${receipt.receiptNo}`}
+          onClose={() => setReceipt(null)}
+        >
+          <PaymentReceiptPrint payment={receipt} />
+        </PrintWrapper>
+      )}
+    </div>
+  );
+}
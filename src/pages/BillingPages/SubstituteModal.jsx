@@ -0,0 +1,117 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Modal } from '../../components/ui';
+import { medicineService } from '../../services';
+import { formatPackQty, unitLabel } from '@shared/utils/packs';
+
+/**
+ * In-stock alternatives to a medicine with the same composition and
+ * strength, cheapest first. Picking one hands it back to the bill.
+ */
+export default function SubstituteModal({ isOpen, onClose, medicine, onSelect }) {
+  const [substitutes, setSubstitutes] = useState([]);
+  const [original, setOriginal] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && medicine) {
+      fetchSubstitutes(medicine._id);
+    }
+  }, [isOpen, medicine]);
+
+  const fetchSubstitutes = async (medicineId) => {
+    setLoading(true);
+    try {
+      const response = await medicineService.getSubstitutes(medicineId);
+      setOriginal(response.medicine);
+      setSubstitutes(response.substitutes || []);
+    } catch (error) {
+      console.error('Failed to fetch substitutes:', error);
+      toast.error(error.error || 'Failed to load substitutes');
+      setSubstitutes([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const composition = original?.composition || original?.genericName;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Substitutes for ${medicine?.name || ''}`}
+      size="xl"
+      footer={
+        <Button variant="secondary" onClick={onClose}>
+          Close
+        </Button>
+      }
+    >
+      <div className="space-y-3">
+        {composition && (
+          <p className="text-sm text-gray-600">
+            Same composition and strength: <span className="font-medium">{composition}{original.strength && ` ${original.strength}`}</span>
+          </p>
+        )}
+
+        {loading ? (
+          <p className="text-center py-6 text-gray-500 text-sm">Finding alternatives...</p>
+        ) : !composition ? (
+          <p className="text-center py-6 text-gray-500 text-sm">
+            No composition or generic name is recorded for this medicine.
+          </p>
+        ) : !original.strength ? (
+          <p className="text-center py-6 text-gray-500 text-sm">
+            No strength is recorded for this medicine, so equivalents cannot be matched.
+          </p>
+        ) : substitutes.length === 0 ? (
+          <p className="text-center py-6 text-gray-500 text-sm">No equivalent medicine is in stock.</p>
+        ) : (
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Medicine</th>
+                <th className="text-right">Price</th>
+                <th className="text-center">In Stock</th>
+                <th>Expiry</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {substitutes.map(({ medicine: alt, stock }) => (
+                <tr key={alt._id}>
+                  <td>
+                    <p className="font-medium">{alt.name}</p>
+                    {alt.manufacturer && <p className="text-xs text-gray-500">{alt.manufacturer}</p>}
+                  </td>
+                  <td className="text-right">
+                    <p>₹{stock.price} / {alt.packUnit || 'pack'}</p>
+                    {Number(alt.packSize) > 1 && (
+                      <p className="text-xs text-gray-500">₹{stock.unitPrice} / {unitLabel(alt)}</p>
+                    )}
+                  </td>
+                  <td className="text-center text-sm">
+                    {formatPackQty(stock.packs, stock.units - stock.packs * (Number(alt.packSize) || 1), {
+                      packUnit: alt.packUnit || 'pack',
+                      unit: unitLabel(alt),
+                    })}
+                  </td>
+                  <td className="text-sm">
+                    {stock.nearestExpiry ? format(new Date(stock.nearestExpiry), 'MM/yy') : '-'}
+                  </td>
+                  <td className="text-right">
+                    <Button size="sm" onClick={() => onSelect(alt)}>
+                      Use
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </Modal>
+  );
+}
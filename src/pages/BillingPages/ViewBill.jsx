@@ -1,24 +1,70 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Printer, Loader2, AlertCircle } from 'lucide-react';
+import { ArrowLeft, Printer, Loader2, AlertCircle, Undo2, Ban, Wallet } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useReactToPrint } from 'react-to-print';
-import { Button } from '../../components/ui';
-import { billingService } from '../../services';
-import { OpdBillPrint, MiscBillPrint, MedicineBillPrint } from '../../components/print';
+import { Button, Modal, Textarea } from '../../components/ui';
+import { billingService, paymentService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import {
+  OpdBillPrint,
+  MiscBillPrint,
+  MedicineBillPrint,
+  CreditNotePrint,
+  PaymentReceiptPrint,
+  PrintWrapper,
+} from '../../components/print';
+import MedicineReturnModal from './MedicineReturnModal';
+import CollectPaymentModal from './CollectPaymentModal';
+import { BILL_STATUS } from '@shared/constants/enums';
+
+const CANCEL_PERMISSIONS = {
+  opd: 'billing-opd-cancelOpdBill',
+  misc: 'billing-misc-cancelMiscBill',
+  medicine: 'billing-medicine-cancelMedicineBill',
+};
 
 export default function ViewBill() {
   const { type, id } = useParams();
   const navigate = useNavigate();
   const printRef = useRef();
+  const { can } = useAuth();
 
   const [bill, setBill] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showReturnModal, setShowReturnModal] = useState(false);
+  const [showCancelModal, setShowCancelModal] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
+  const [payments, setPayments] = useState([]);
+  const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [receipt, setReceipt] = useState(null);
+
+  const isCreditNote = type === 'medicine' && bill?.isReturn;
+  const isCancelled = bill?.status === BILL_STATUS.CANCELLED;
+  const canReturn = type === 'medicine' && bill && !bill.isReturn && !isCancelled &&
+    can('billing-medicine-returnMedicineBill');
+  const canCancel = bill && !isCancelled && !isCreditNote && !bill.returns?.length &&
+    can(CANCEL_PERMISSIONS[type]);
+  const canCollect = bill && !isCancelled && !isCreditNote && bill.dueAmount > 0 &&
+    can('payments-recordPayment');
 
   useEffect(() => {
     fetchBill();
+    fetchPayments();
   }, [type, id]);
 
+  const fetchPayments = async () => {
+    try {
+      const response = await paymentService.getAll({ billType: type, billId: id, limit: 100 });
+      setPayments(response.payments || []);
+    } catch (err) {
+      console.error('Failed to fetch payments:', err);
+      setPayments([]);
+    }
+  };
+
   const fetchBill = async () => {
     setLoading(true);
     setError(null);
@@ -61,7 +107,7 @@ export default function ViewBill() {
   const getBillTitle = () => {
     switch (type) {
       case 'opd': return 'OPD Bill';
-      case 'medicine': return 'Medicine Bill';
+      case 'medicine': return isCreditNote ? 'Credit Note' : 'Medicine Bill';
       case 'misc': return 'Lab/Misc Bill';
       default: return 'Bill';
     }
@@ -74,7 +120,7 @@ export default function ViewBill() {
       case 'opd':
         return <OpdBillPrint bill={bill} />;
       case 'medicine':
-        return <MedicineBillPrint bill={bill} />;
+        return isCreditNote ? <CreditNotePrint bill={bill} /> : <MedicineBillPrint bill={bill} />;
       case 'misc':
         return <MiscBillPrint bill={bill} />;
       default:
@@ -82,6 +128,38 @@ export default function ViewBill() {
     }
   };
 
+  const handleCancel = async () => {
+    if (!cancelReason.trim()) {
+      toast.error('Please enter a reason for cancelling');
+      return;
+    }
+    setCancelling(true);
+    try {
+      await billingService[type].cancel(bill._id, cancelReason.trim());
+      toast.success(type === 'medicine' ? 'Bill cancelled and stock restored' : 'Bill cancelled');
+      setShowCancelModal(false);
+      setCancelReason('');
+      fetchBill();
+    } catch (err) {
+      console.error('Failed to cancel bill:', err);
+      toast.error(err.error || 'Failed to cancel bill');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handlePaid = (payment, updatedBill) => {
+    setShowPaymentModal(false);
+    setBill((prev) => ({ ...prev, ...updatedBill, patient: prev.patient, doctor: prev.doctor }));
+    setPayments((prev) => [payment, ...prev]);
+    setReceipt(payment);
+  };
+
+  const handleReturned = (creditNote) => {
+    setShowReturnModal(false);
+    navigate(`/billing/medicine/${creditNote._id}`);
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center py-12">
@@ -121,11 +199,97 @@ export default function ViewBill() {
             <p className="text-gray-500">Bill No: {bill?.billNo}</p>
           </div>
         </div>
-        <Button onClick={handlePrint} icon={Printer}>
-          Print Bill
-        </Button>
+        <div className="flex items-center gap-3">
+          {canCollect && (
+            <Button variant="success" onClick={() => setShowPaymentModal(true)} icon={Wallet}>
+              Collect Payment
+            </Button>
+          )}
+          {canCancel && (
+            <Button variant="outline" onClick={() => setShowCancelModal(true)} icon={Ban}>
+              Cancel Bill
+            </Button>
+          )}
+          {canReturn && (
+            <Button variant="outline" onClick={() => setShowReturnModal(true)} icon={Undo2}>
+              Return Items
+            </Button>
+          )}
+          <Button onClick={handlePrint} icon={Printer}>
+            {isCreditNote ? 'Print Credit Note' : 'Print Bill'}
+          </Button>
+        </div>
       </div>
 
+      {/* Cancellation details */}
+      {isCancelled && (
+        <div className="card p-4 mb-4 no-print border-red-200 bg-red-50 text-sm text-red-800">
+          <p className="font-medium">This bill was cancelled</p>
+          <p>
+            {bill.cancelReason} — by {bill.cancelledBy || 'Unknown'}
+            {bill.cancelledAt && ` on ${new Date(bill.cancelledAt).toLocaleString('en-IN')}`}
+          </p>
+        </div>
+      )}
+
+      {/* Follow-up payments */}
+      {payments.length > 0 && (
+        <div className="card p-4 mb-4 no-print">
+          <p className="text-sm font-medium text-gray-900 mb-2">Payments collected against this bill</p>
+          <table className="w-full text-sm">
+            <tbody>
+              {payments.map((payment) => (
+                <tr key={payment._id} className="border-t border-gray-100">
+                  <td className="py-2 font-medium">{payment.receiptNo}</td>
+                  <td className="py-2 text-gray-600">
+                    {new Date(payment.createdAt).toLocaleString('en-IN')}
+                  </td>
+                  <td className="py-2 capitalize">{payment.paymentMode}</td>
+                  <td className="py-2 text-right font-medium">₹{payment.amount.toFixed(2)}</td>
+                  <td className="py-2 text-right">
+                    <button
+                      onClick={() => setReceipt(payment)}
+                      className="text-primary-600 hover:underline"
+                    >
+                      Receipt
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Credit note links */}
+      {isCreditNote && bill.originalBill && (
+        <div className="card p-4 mb-4 no-print text-sm">
+          Issued against bill{' '}
+          <button
+            onClick={() => navigate(`/billing/medicine/${bill.originalBill._id}`)}
+            className="font-medium text-primary-600 hover:underline"
+          >
+            {bill.originalBill.billNo}
+          </button>
+        </div>
+      )}
+      {bill?.returns?.length > 0 && (
+        <div className="card p-4 mb-4 no-print">
+          <p className="text-sm font-medium text-gray-900 mb-2">Returns against this bill</p>
+          <div className="flex flex-wrap gap-2">
+            {bill.returns.map((ret) => (
+              <button
+                key={ret._id}
+                onClick={() => navigate(`/billing/medicine/${ret._id}`)}
+                className="badge-danger hover:opacity-80"
+              >
+                {ret.billNo} · ₹{Math.abs(ret.grandTotal).toFixed(2)}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Bill Preview */}
       <div className="card p-0 overflow-hidden">
         <div className="bg-gray-50 p-4 border-b no-print">
@@ -142,22 +306,86 @@ export default function ViewBill() {
               </span>
             </div>
             <span className={`px-3 py-1 rounded-full text-sm font-medium ${
-              bill?.paymentStatus === 'paid' 
+              isCancelled
+                ? 'bg-gray-200 text-gray-700'
+                : bill?.paymentStatus === 'paid' 
                 ? 'bg-green-100 text-green-800' 
                 : bill?.paymentStatus === 'partial'
                 ? 'bg-yellow-100 text-yellow-800'
                 : 'bg-red-100 text-red-800'
             }`}>
-              {bill?.paymentStatus?.toUpperCase()}
+              {isCancelled ? 'CANCELLED' : bill?.paymentStatus?.toUpperCase()}
             </span>
           </div>
         </div>
         
         {/* Print Content */}
         <div className="p-6" ref={printRef}>
+          {isCancelled && (
+            <div className="mb-4 py-2 text-center text-lg font-bold tracking-widest text-red-600 border-2 border-red-600 rounded">
+              CANCELLED
+            </div>
+          )}
           <PrintComponent />
         </div>
       </div>
+
+      <Modal
+        isOpen={showCancelModal}
+        onClose={() => setShowCancelModal(false)}
+        title={`Cancel Bill ${bill?.billNo || ''}`}
+        size="sm"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCancelModal(false)} disabled={cancelling}>
+              Keep Bill
+            </Button>
+            <Button variant="danger" onClick={handleCancel} loading={cancelling}>
+              Cancel Bill
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            The bill number is kept and the bill is excluded from revenue totals.
+            {type === 'medicine' && ' All items are put back into stock.'}
+          </p>
+          <Textarea
+            label="Reason"
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            rows={3}
+            placeholder="e.g. Billed to the wrong patient"
+            required
+          />
+        </div>
+      </Modal>
+
+      <CollectPaymentModal
+        isOpen={showPaymentModal}
+        onClose={() => setShowPaymentModal(false)}
+        billType={type}
+        bill={bill}
+        onPaid={handlePaid}
+      />
+
+      {receipt && (
+        <PrintWrapper
+          title={`Receipt ${receipt.receiptNo}`}
+          documentName={`Receipt-${receipt.receiptNo}`}
+          onClose={() => setReceipt(null)}
+        >
+          <PaymentReceiptPrint payment={receipt} />
+        </PrintWrapper>
+      )}
+
+      <MedicineReturnModal
+        isOpen={showReturnModal}
+        onClose={() => setShowReturnModal(false)}
+        bill={bill}
+        onReturned={handleReturned}
+      />
     </div>
   );
 }
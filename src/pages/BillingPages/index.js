@@ -3,3 +3,4 @@ export { default as MiscBillGenerator } from './MiscBillGenerator';
 export { default as MedicineBilling } from './MedicineBilling';
 export { default as BillPrintView } from './BillPrintView';
 export { default as ViewBill } from './ViewBill';
+export { default as OutstandingDues } from './OutstandingDues';
@@ -20,6 +20,7 @@ import {
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { patientService, appointmentService, billingService, medicineService } from '../services';
+import { BILL_STATUS } from '@shared/constants/enums';
 
 export default function Dashboard() {
   const [loading, setLoading] = useState(true);
@@ -51,13 +52,17 @@ export default function Dashboard() {
       const [patientsRes, appointmentsRes, opdBillsRes, medicineBillsRes, lowStockRes] = await Promise.all([
         patientService.getAll({ limit: 1 }),
         appointmentService.getAll({ date: today, limit: 50 }),
-        billingService.opd.getAll({ startDate: today, endDate: today }),
-        billingService.medicine.getAll({ startDate: today, endDate: today }),
+        billingService.opd.getAll({ dateFrom: today, dateTo: today, limit: 100 }),
+        billingService.medicine.getAll({ dateFrom: today, dateTo: today, limit: 100 }),
         medicineService.stock.getLowStock(),
       ]);
 
-      const opdRevenue = (opdBillsRes.bills || []).reduce((sum, b) => sum + (b.paidAmount || 0), 0);
-      const medicineRevenue = (medicineBillsRes.bills || []).reduce((sum, b) => sum + (b.paidAmount || 0), 0);
+      // Cancelled bills do not count towards revenue
+      const sumPaid = (bills = []) => bills
+        .filter((b) => b.status !== BILL_STATUS.CANCELLED)
+        .reduce((sum, b) => sum + (b.paidAmount || 0), 0);
+      const opdRevenue = sumPaid(opdBillsRes.bills);
+      const medicineRevenue = sumPaid(medicineBillsRes.bills);
       const todayRevenue = opdRevenue + medicineRevenue;
 
       setStats({
@@ -0,0 +1,271 @@
+import { useState, useEffect } from 'react';
+import { Plus, Search, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button, Input, Select, Table, Modal, Badge, Textarea } from '../components/ui';
+import { interactionService } from '../services';
+import { useAuth } from '../context/AuthContext';
+import { INTERACTION_TYPE, INTERACTION_SEVERITY } from '@shared/constants/enums';
+
+const EMPTY_FORM = {
+  type: INTERACTION_TYPE.DRUG,
+  drug: '',
+  interactsWith: '',
+  severity: INTERACTION_SEVERITY.ADVISORY,
+  description: '',
+};
+
+const TYPE_OPTIONS = [
+  { value: INTERACTION_TYPE.DRUG, label: 'Drug - drug' },
+  { value: INTERACTION_TYPE.ALLERGY, label: 'Drug - allergy' },
+];
+
+const SEVERITY_OPTIONS = [
+  { value: INTERACTION_SEVERITY.BLOCKING, label: 'Blocking (needs override reason)' },
+  { value: INTERACTION_SEVERITY.ADVISORY, label: 'Advisory' },
+];
+
+export default function DrugInteractions() {
+  const { can } = useAuth();
+  const [interactions, setInteractions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+
+  // Add / edit modal; editing holds the entry being edited
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const canManage = can('interactions-addInteraction');
+
+  useEffect(() => {
+    const debounce = setTimeout(fetchInteractions, 300);
+    return () => clearTimeout(debounce);
+  }, [searchQuery, typeFilter, includeInactive]);
+
+  const fetchInteractions = async () => {
+    setLoading(true);
+    try {
+      const response = await interactionService.getAll({
+        search: searchQuery,
+        type: typeFilter,
+        includeInactive: includeInactive ? 'true' : undefined,
+      });
+      setInteractions(response.interactions || []);
+    } catch (error) {
+      console.error('Failed to fetch interactions:', error);
+      toast.error('Failed to load interaction table');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (interaction = null) => {
+    setEditing(interaction);
+    setForm(interaction ? {
+      type: interaction.type,
+      drug: interaction.drug,
+      interactsWith: interaction.interactsWith,
+      severity: interaction.severity,
+      description: interaction.description || '',
+    } : EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const setField = (field) => (e) => setForm((p) => ({ ...p, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+    try {
+      if (editing) {
+        await interactionService.update(editing._id, form);
+        toast.success('Interaction updated');
+      } else {
+        await interactionService.create(form);
+        toast.success('Interaction added');
+      }
+      setShowForm(false);
+      fetchInteractions();
+    } catch (error) {
+      toast.error(error.error || 'Failed to save interaction');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const toggleActive = async (interaction) => {
+    try {
+      await interactionService.update(interaction._id, { isActive: !interaction.isActive });
+      toast.success(interaction.isActive ? 'Interaction deactivated' : 'Interaction activated');
+      fetchInteractions();
+    } catch (error) {
+      toast.error(error.error || 'Failed to update interaction');
+    }
+  };
+
+  const isAllergy = form.type === INTERACTION_TYPE.ALLERGY;
+
+  const columns = [
+    {
+      key: 'drug',
+      title: 'Drug',
+      render: (val) => <span className="font-medium capitalize">{val}</span>,
+    },
+    {
+      key: 'interactsWith',
+      title: 'With',
+      render: (val, row) => (
+        <span className="capitalize">
+          {row.type === INTERACTION_TYPE.ALLERGY ? `${val} allergy` : val}
+        </span>
+      ),
+    },
+    {
+      key: 'type',
+      title: 'Type',
+      render: (val) => (
+        <Badge variant={val === INTERACTION_TYPE.ALLERGY ? 'purple' : 'blue'}>
+          {val === INTERACTION_TYPE.ALLERGY ? 'Allergy' : 'Drug'}
+        </Badge>
+      ),
+    },
+    {
+      key: 'severity',
+      title: 'Severity',
+      render: (val) => (
+        <Badge variant={val === INTERACTION_SEVERITY.BLOCKING ? 'danger' : 'warning'}>
+          {val === INTERACTION_SEVERITY.BLOCKING ? 'Blocking' : 'Advisory'}
+        </Badge>
+      ),
+    },
+    {
+      key: 'description',
+      title: 'Warning',
+      render: (val) => <span className="text-sm text-gray-600">{val || '-'}</span>,
+    },
+    {
+      key: 'isActive',
+      title: 'Status',
+      render: (val) => <Badge variant={val ? 'success' : 'gray'}>{val ? 'Active' : 'Inactive'}</Badge>,
+    },
+    {
+      key: 'actions',
+      title: '',
+      render: (_, row) => canManage && (
+        <div className="flex gap-1">
+          <Button variant="ghost" size="sm" onClick={() => openForm(row)}>Edit</Button>
+          <Button variant="ghost" size="sm" onClick={() => toggleActive(row)}>
+            {row.isActive ? 'Deactivate' : 'Activate'}
+          </Button>
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Drug Interactions</h1>
+          <p className="text-gray-500">Interactions and allergy contraindications checked while prescribing and billing</p>
+        </div>
+        {canManage && (
+          <Button onClick={() => openForm()} icon={Plus}>
+            Add Interaction
+          </Button>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search by drug or allergy..."
+            className="input pl-10"
+          />
+        </div>
+        <Select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          options={[{ value: '', label: 'All types' }, ...TYPE_OPTIONS]}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={includeInactive}
+            onChange={(e) => setIncludeInactive(e.target.checked)}
+          />
+          Show inactive
+        </label>
+      </div>
+
+      <Table
+        columns={columns}
+        data={interactions}
+        loading={loading}
+        emptyMessage={
+          <span className="flex flex-col items-center gap-2">
+            <AlertTriangle className="w-10 h-10 text-gray-300" />
+            No interactions found
+          </span>
+        }
+      />
+
+      {/* Add / Edit Interaction Modal */}
+      <Modal
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        title={editing ? 'Edit Interaction' : 'Add Interaction'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Select label="Type" value={form.type} onChange={setField('type')} options={TYPE_OPTIONS} required />
+            <Select label="Severity" value={form.severity} onChange={setField('severity')} options={SEVERITY_OPTIONS} required />
+            <Input
+              label="Drug"
+              value={form.drug}
+              onChange={setField('drug')}
+              required
+              placeholder="Generic name, e.g. warfarin"
+            />
+            <Input
+              label={isAllergy ? 'Allergy' : 'Interacts With'}
+              value={form.interactsWith}
+              onChange={setField('interactsWith')}
+              required
+              placeholder={isAllergy ? 'e.g. penicillin' : 'Generic name, e.g. aspirin'}
+            />
+          </div>
+          <Textarea
+            label="Warning"
+            value={form.description}
+            onChange={setField('description')}
+            rows={2}
+            placeholder="Shown when the interaction is found, e.g. Increased bleeding risk"
+          />
+          <p className="text-xs text-gray-500">
+            Drugs are matched against each medicine&apos;s composition, generic name and name.
+            A medicine the patient is recorded as allergic to is always blocked.
+          </p>
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {editing ? 'Save Changes' : 'Add Interaction'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
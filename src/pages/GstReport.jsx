@@ -0,0 +1,245 @@
+import { useState } from 'react';
+import { FileSpreadsheet, Download, AlertTriangle } from 'lucide-react';
+import { format, startOfMonth, endOfMonth, subMonths } from 'date-fns';
+import toast from 'react-hot-toast';
+import { reportService } from '../services';
+import { Button, Input } from '../components/ui';
+
+const lastMonth = subMonths(new Date(), 1);
+
+const money = (value) => (value || 0).toFixed(2);
+
+// Quote a CSV cell when it holds a comma, quote or newline
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// All report sections in one sheet, one block per section
+const buildCsv = (report) => {
+  const rows = [
+    ['GSTR-1 Summary', report.gstin || '', report.period.returnPeriod],
+    [],
+    ['B2C (Small)'],
+    ['Supply Type', 'Rate', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Bills'],
+    ...report.b2cs.map((r) => [r.supplyType, r.rate, money(r.taxableValue), money(r.cgst), money(r.sgst), money(r.igst), r.billCount]),
+    [],
+    ['HSN Summary'],
+    ['HSN/SAC', 'UQC', 'Rate', 'Quantity', 'Taxable Value', 'CGST', 'SGST', 'IGST', 'Total Value'],
+    ...report.hsn.map((r) => [r.hsnCode || '', r.uqc, r.rate, r.quantity, money(r.taxableValue), money(r.cgst), money(r.sgst), money(r.igst), money(r.totalValue)]),
+    [],
+    ['Nil Rated / Exempt'],
+    ['Nil Rated', 'Exempted'],
+    [money(report.nilExempt.nilRated), money(report.nilExempt.exempted)],
+    [],
+    ['Documents Issued'],
+    ['Document Type', 'Series', 'From', 'To', 'Total', 'Cancelled', 'Net Issued'],
+    ...report.documents.map((d) => [d.documentType, d.series, d.from, d.to, d.total, d.cancelled, d.netIssued]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+export default function GstReport() {
+  const [dateFrom, setDateFrom] = useState(format(startOfMonth(lastMonth), 'yyyy-MM-dd'));
+  const [dateTo, setDateTo] = useState(format(endOfMonth(lastMonth), 'yyyy-MM-dd'));
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    try {
+      const response = await reportService.getGstReport({ dateFrom, dateTo });
+      setData(response);
+    } catch (error) {
+      console.error('Failed to fetch GST report:', error);
+      toast.error(error.error || 'Failed to load GST report');
+      setData(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const report = data?.report;
+  const fileBase = report ? `GSTR1-${report.period.returnPeriod}` : 'GSTR1';
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">GST Report</h1>
+          <p className="text-gray-500">GSTR-1 summaries of sales for filing</p>
+        </div>
+        {report && (
+          <div className="flex gap-2">
+            <Button
+              variant="secondary"
+              icon={Download}
+              onClick={() => downloadFile(buildCsv(report), `${fileBase}.csv`, 'text/csv')}
+            >
+              CSV
+            </Button>
+            <Button
+              variant="secondary"
+              icon={Download}
+              onClick={() => downloadFile(JSON.stringify(data.gstr1, null, 2), `${fileBase}.json`, 'application/json')}
+            >
+              GSTR-1 JSON
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Period */}
+      <div className="card p-4 flex flex-col sm:flex-row sm:items-end gap-4">
+        <Input label="From" type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} />
+        <Input label="To" type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} />
+        <Button onClick={fetchReport} loading={loading} icon={FileSpreadsheet}>
+          Generate
+        </Button>
+      </div>
+
+      {report && (
+        <>
+          {report.warnings.length > 0 && (
+            <div className="card p-4 bg-amber-50 border-amber-200 space-y-1">
+              {report.warnings.map((warning) => (
+                <p key={warning} className="flex items-center gap-2 text-sm text-amber-800">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  {warning}
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              ['Taxable Value', report.totals.taxableValue],
+              ['CGST', report.totals.cgst],
+              ['SGST', report.totals.sgst],
+              ['IGST', report.totals.igst],
+              ['Invoice Value', report.totals.invoiceValue],
+            ].map(([label, value]) => (
+              <div key={label} className="card p-4">
+                <p className="text-sm text-gray-500">{label}</p>
+                <p className="text-lg font-semibold">₹{money(value)}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* B2C */}
+          <div className="card overflow-hidden">
+            <h2 className="text-lg font-semibold px-4 pt-4">B2C (Small)</h2>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Supply</th>
+                  <th className="text-right">Rate</th>
+                  <th className="text-right">Taxable Value</th>
+                  <th className="text-right">CGST</th>
+                  <th className="text-right">SGST</th>
+                  <th className="text-right">IGST</th>
+                  <th className="text-right">Bills</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.b2cs.length === 0 ? (
+                  <tr><td colSpan={7} className="text-center text-gray-500">No taxable sales</td></tr>
+                ) : report.b2cs.map((row) => (
+                  <tr key={`${row.supplyType}-${row.rate}`}>
+                    <td>{row.supplyType === 'INTRA' ? 'Intra-state' : 'Inter-state'}</td>
+                    <td className="text-right">{row.rate}%</td>
+                    <td className="text-right">₹{money(row.taxableValue)}</td>
+                    <td className="text-right">₹{money(row.cgst)}</td>
+                    <td className="text-right">₹{money(row.sgst)}</td>
+                    <td className="text-right">₹{money(row.igst)}</td>
+                    <td className="text-right">{row.billCount}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* HSN */}
+          <div className="card overflow-hidden">
+            <h2 className="text-lg font-semibold px-4 pt-4">HSN Summary</h2>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>HSN/SAC</th>
+                  <th>UQC</th>
+                  <th className="text-right">Rate</th>
+                  <th className="text-right">Qty</th>
+                  <th className="text-right">Taxable Value</th>
+                  <th className="text-right">CGST</th>
+                  <th className="text-right">SGST</th>
+                  <th className="text-right">IGST</th>
+                  <th className="text-right">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.hsn.map((row) => (
+                  <tr key={`${row.hsnCode}-${row.rate}-${row.uqc}`}>
+                    <td>{row.hsnCode || <span className="text-red-600">Missing</span>}</td>
+                    <td>{row.uqc}</td>
+                    <td className="text-right">{row.rate}%</td>
+                    <td className="text-right">{row.quantity}</td>
+                    <td className="text-right">₹{money(row.taxableValue)}</td>
+                    <td className="text-right">₹{money(row.cgst)}</td>
+                    <td className="text-right">₹{money(row.sgst)}</td>
+                    <td className="text-right">₹{money(row.igst)}</td>
+                    <td className="text-right">₹{money(row.totalValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="px-4 py-3 text-sm text-gray-500 border-t border-gray-100">
+              Nil rated: ₹{money(report.nilExempt.nilRated)} · Exempt: ₹{money(report.nilExempt.exempted)}
+            </p>
+          </div>
+
+          {/* Documents */}
+          <div className="card overflow-hidden">
+            <h2 className="text-lg font-semibold px-4 pt-4">Documents Issued</h2>
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>Document</th>
+                  <th>Series</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th className="text-right">Total</th>
+                  <th className="text-right">Cancelled</th>
+                  <th className="text-right">Net Issued</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.documents.map((doc) => (
+                  <tr key={doc.series}>
+                    <td>{doc.documentType}</td>
+                    <td>{doc.series}</td>
+                    <td>{doc.from}</td>
+                    <td>{doc.to}</td>
+                    <td className="text-right">{doc.total}</td>
+                    <td className="text-right">{doc.cancelled}</td>
+                    <td className="text-right">{doc.netIssued}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
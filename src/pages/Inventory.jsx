@@ -1,9 +1,12 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Search, AlertTriangle, Package, Clock, Loader2, PackageX } from 'lucide-react';
+import { Search, AlertTriangle, Package, Clock, CalendarX, Loader2, PackageX, ClipboardCheck, ShoppingCart } from 'lucide-react';
 import { medicineService } from '../services';
+import { useAuth } from '../context/AuthContext';
+import { formatPackQty, unitLabel } from '@shared/utils/packs';
 
 export default function Inventory() {
+  const { can } = useAuth();
   const [tab, setTab] = useState('medicines');
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
@@ -12,10 +15,12 @@ export default function Inventory() {
   const [medicines, setMedicines] = useState([]);
   const [lowStockItems, setLowStockItems] = useState([]);
   const [expiringItems, setExpiringItems] = useState([]);
+  const [expiredItems, setExpiredItems] = useState([]);
   const [stats, setStats] = useState({
     totalMedicines: 0,
     lowStockCount: 0,
     expiringCount: 0,
+    expiredCount: 0,
   });
 
   useEffect(() => {
@@ -28,7 +33,7 @@ export default function Inventory() {
       fetchMedicines();
     } else if (tab === 'low-stock') {
       fetchLowStock();
-    } else if (tab === 'expiring') {
+    } else if (tab === 'expiring' || tab === 'expired') {
       fetchExpiring();
     }
   }, [tab]);
@@ -45,12 +50,14 @@ export default function Inventory() {
 
       setMedicines(medicinesRes.medicines || []);
       setLowStockItems(lowStockRes.medicines || []);
-      setExpiringItems(expiringRes.medicines || []);
+      setExpiringItems(expiringRes.expiringSoon?.items || []);
+      setExpiredItems(expiringRes.expired?.items || []);
       
       setStats({
         totalMedicines: medicinesRes.total || medicinesRes.medicines?.length || 0,
         lowStockCount: lowStockRes.medicines?.length || 0,
-        expiringCount: expiringRes.medicines?.length || 0,
+        expiringCount: expiringRes.expiringSoon?.count || 0,
+        expiredCount: expiringRes.expired?.count || 0,
       });
     } catch (error) {
       console.error('Failed to fetch inventory data:', error);
@@ -84,7 +91,8 @@ export default function Inventory() {
   const fetchExpiring = async () => {
     try {
       const response = await medicineService.stock.getExpiring(90);
-      setExpiringItems(response.medicines || []);
+      setExpiringItems(response.expiringSoon?.items || []);
+      setExpiredItems(response.expired?.items || []);
     } catch (error) {
       console.error('Failed to fetch expiring stock:', error);
     }
@@ -107,6 +115,8 @@ export default function Inventory() {
         return lowStockItems;
       case 'expiring':
         return expiringItems;
+      case 'expired':
+        return expiredItems;
       default:
         return medicines;
     }
@@ -114,12 +124,17 @@ export default function Inventory() {
 
   const currentData = getCurrentData();
 
-  // Filter data based on search (for low-stock and expiring tabs)
+  // Expiring and expired tabs list stock batches rather than medicines
+  const isBatchTab = tab === 'expiring' || tab === 'expired';
+
+  // Filter data based on search (for low-stock and expiry tabs)
   const filteredData = searchQuery && tab !== 'medicines'
-    ? currentData.filter(med => 
-        med.name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        med.medicineId?.toLowerCase().includes(searchQuery.toLowerCase())
-      )
+    ? currentData.filter((row) => {
+        const med = isBatchTab ? row.medicine : row;
+        return med?.name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+          med?.medicineId?.toLowerCase().includes(searchQuery.toLowerCase()) ||
+          (isBatchTab && row.batchNo?.toLowerCase().includes(searchQuery.toLowerCase()));
+      })
     : currentData;
 
   const formatDate = (date) => {
@@ -157,6 +172,18 @@ export default function Inventory() {
           <p className="text-gray-500">Manage medicine stock</p>
         </div>
         <div className="flex gap-2">
+          {can('medicine-getReorderSuggestions') && (
+            <Link to="/inventory/reorder" className="btn-secondary w-full sm:w-auto justify-center">
+              <ShoppingCart className="w-4 h-4" />
+              Reorder
+            </Link>
+          )}
+          {can('medicine-getStockTakes') && (
+            <Link to="/inventory/stock-take" className="btn-secondary w-full sm:w-auto justify-center">
+              <ClipboardCheck className="w-4 h-4" />
+              Stock Take
+            </Link>
+          )}
           <Link to="/inventory/stock" className="btn-primary w-full sm:w-auto justify-center">
             <Package className="w-4 h-4" />
             Manage Stock
@@ -165,7 +192,7 @@ export default function Inventory() {
       </div>
 
       {/* Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="card p-4 flex items-center gap-4">
           <div className="w-12 h-12 bg-blue-100 rounded-lg flex items-center justify-center">
             <Package className="w-6 h-6 text-blue-600" />
@@ -199,6 +226,18 @@ export default function Inventory() {
             <p className="text-sm text-gray-500">Expiring Soon (90 days)</p>
           </div>
         </button>
+        <button 
+          onClick={() => setTab('expired')}
+          className="card p-4 flex items-center gap-4 hover:ring-2 hover:ring-red-200 transition-all text-left"
+        >
+          <div className="w-12 h-12 bg-red-100 rounded-lg flex items-center justify-center">
+            <CalendarX className="w-6 h-6 text-red-600" />
+          </div>
+          <div>
+            <p className="text-2xl font-bold text-red-600">{loading ? '-' : stats.expiredCount}</p>
+            <p className="text-sm text-gray-500">Expired Stock</p>
+          </div>
+        </button>
       </div>
 
       {/* Tabs */}
@@ -208,6 +247,7 @@ export default function Inventory() {
             { id: 'medicines', label: 'All Medicines', shortLabel: 'All' },
             { id: 'low-stock', label: `Low Stock (${stats.lowStockCount})`, shortLabel: `Low (${stats.lowStockCount})` },
             { id: 'expiring', label: `Expiring Soon (${stats.expiringCount})`, shortLabel: `Exp (${stats.expiringCount})` },
+            { id: 'expired', label: `Expired (${stats.expiredCount})`, shortLabel: `Expd (${stats.expiredCount})` },
           ].map((t) => (
             <button
               key={t.id}
@@ -251,9 +291,55 @@ export default function Inventory() {
                 ? 'No low stock items' 
                 : tab === 'expiring' 
                 ? 'No items expiring soon'
+                : tab === 'expired'
+                ? 'No expired stock'
                 : 'No medicines found'}
             </p>
           </div>
+        ) : isBatchTab ? (
+          <div className="overflow-x-auto">
+          <table className="table min-w-[700px]">
+            <thead>
+              <tr>
+                <th>Medicine</th>
+                <th>Batch</th>
+                <th>Qty</th>
+                <th>Expiry</th>
+                <th>Stock Value</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredData.map((batch) => (
+                <tr key={batch._id}>
+                  <td>
+                    <div>
+                      <p className="font-medium">{batch.medicine?.name}</p>
+                      <p className="text-sm text-gray-500">{batch.medicine?.medicineId}</p>
+                    </div>
+                  </td>
+                  <td>{batch.batchNo}</td>
+                  <td>
+                    {formatPackQty(batch.currentQty, batch.looseQty, {
+                      packUnit: batch.medicine?.packUnit || 'units',
+                      unit: unitLabel(batch.medicine),
+                    })}
+                  </td>
+                  <td>
+                    <div>
+                      <span className={batch.isExpired || batch.daysToExpiry <= 30 ? 'text-red-600' : 'text-orange-600'}>
+                        {formatDate(batch.expiryDate)}
+                      </span>
+                      <p className={`text-xs ${batch.isExpired || batch.daysToExpiry <= 30 ? 'text-red-600' : 'text-orange-600'}`}>
+                        {batch.isExpired ? 'Expired' : `${batch.daysToExpiry}d left`}
+                      </p>
+                    </div>
+                  </td>
+                  <td>₹{(batch.stockValue || 0).toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          </div>
         ) : (
           <div className="overflow-x-auto">
           <table className="table min-w-[700px]">
@@ -283,7 +369,10 @@ export default function Inventory() {
                     </td>
                     <td className="capitalize">{med.category || '-'}</td>
                     <td className={status.class.includes('warning') || status.class.includes('danger') ? 'text-orange-600 font-medium' : ''}>
-                      {med.currentStock || 0} {med.unit || 'units'}
+                      {formatPackQty(med.currentStock || 0, med.currentLoose, {
+                        packUnit: med.packUnit || med.unit || 'units',
+                        unit: unitLabel(med),
+                      })}
                     </td>
                     <td>₹{med.mrp?.toFixed(2) || '-'}</td>
                     <td>
@@ -3,6 +3,9 @@ import { Plus, Package, AlertTriangle, Clock, Search, Filter, X, Check } from 'l
 import toast from 'react-hot-toast';
 import { Button, Input, Select, Card, Table, Modal, Badge } from '../../components/ui';
 import { medicineService } from '../../services';
+import { formatPackQty, unitLabel } from '@shared/utils/packs';
+import { scheduleOf } from '@shared/utils/schedule';
+import StockLedgerModal from './StockLedgerModal';
 
 // Medicine Search Component for Add Stock modal
 function MedicineSearch({ value, onChange, onSelect, selectedMedicine }) {
@@ -149,6 +152,13 @@ const MEDICINE_CATEGORIES = [
   { value: 'other', label: 'Other' },
 ];
 
+const SCHEDULE_OPTIONS = [
+  { value: 'none', label: 'Not scheduled (OTC)' },
+  { value: 'H', label: 'Schedule H' },
+  { value: 'H1', label: 'Schedule H1' },
+  { value: 'X', label: 'Schedule X' },
+];
+
 export default function MedicineStockManagement() {
   const [activeTab, setActiveTab] = useState('all');
   const [medicines, setMedicines] = useState([]);
@@ -161,6 +171,7 @@ export default function MedicineStockManagement() {
   const [showAddMedicine, setShowAddMedicine] = useState(false);
   const [showAddStock, setShowAddStock] = useState(false);
   const [selectedMedicine, setSelectedMedicine] = useState(null);
+  const [ledgerMedicine, setLedgerMedicine] = useState(null);
 
   // Form states
   const [medicineForm, setMedicineForm] = useState({
@@ -172,6 +183,7 @@ export default function MedicineStockManagement() {
     packUnit: 'tablets',
     reorderLevel: 20,
     gstRate: 12,
+    scheduleType: 'none',
   });
 
   const [stockForm, setStockForm] = useState({
@@ -231,6 +243,7 @@ export default function MedicineStockManagement() {
         packUnit: 'tablets',
         reorderLevel: 20,
         gstRate: 12,
+        scheduleType: 'none',
       });
       fetchData();
     } catch (error) {
@@ -293,7 +306,10 @@ export default function MedicineStockManagement() {
       title: 'Medicine',
       render: (_, row) => (
         <div>
-          <p className="font-medium">{row.name}</p>
+          <p className="font-medium">
+            {row.name}
+            {scheduleOf(row) && <Badge variant="danger" className="ml-1">Sch. {row.scheduleType}</Badge>}
+          </p>
           <p className="text-xs text-gray-500">{row.medicineId}</p>
         </div>
       ),
@@ -305,7 +321,7 @@ export default function MedicineStockManagement() {
       title: 'Stock',
       render: (val, row) => (
         <span className={val <= row.reorderLevel ? 'text-orange-600 font-medium' : ''}>
-          {val || 0} {row.packUnit}
+          {formatPackQty(val || 0, row.currentLoose, { packUnit: row.packUnit, unit: unitLabel(row) })}
         </span>
       ),
     },
@@ -323,9 +339,14 @@ export default function MedicineStockManagement() {
       key: 'actions',
       title: 'Actions',
       render: (_, row) => (
-        <Button variant="ghost" size="sm" onClick={() => openAddStock(row)}>
-          Add Stock
-        </Button>
+        <div className="flex gap-1">
+          <Button variant="ghost" size="sm" onClick={() => openAddStock(row)}>
+            Add Stock
+          </Button>
+          <Button variant="ghost" size="sm" onClick={() => setLedgerMedicine(row)}>
+            Ledger
+          </Button>
+        </div>
       ),
     },
   ];
@@ -376,7 +397,14 @@ export default function MedicineStockManagement() {
       ),
     },
     { key: 'batchNo', title: 'Batch No' },
-    { key: 'currentQty', title: 'Quantity' },
+    {
+      key: 'currentQty',
+      title: 'Quantity',
+      render: (val, row) => formatPackQty(val, row.looseQty, {
+        packUnit: row.medicine?.packUnit,
+        unit: unitLabel(row.medicine),
+      }),
+    },
     {
       key: 'expiryDate',
       title: 'Expiry Date',
@@ -564,6 +592,12 @@ export default function MedicineStockManagement() {
               min="0"
               max="28"
             />
+            <Select
+              label="Schedule"
+              value={medicineForm.scheduleType}
+              onChange={(e) => setMedicineForm((p) => ({ ...p, scheduleType: e.target.value }))}
+              options={SCHEDULE_OPTIONS}
+            />
           </div>
           <div className="flex justify-end gap-3 pt-4">
             <Button type="button" variant="secondary" onClick={() => setShowAddMedicine(false)}>
@@ -675,6 +709,13 @@ export default function MedicineStockManagement() {
           </div>
         </form>
       </Modal>
+
+      {/* Stock Ledger Modal */}
+      <StockLedgerModal
+        isOpen={!!ledgerMedicine}
+        onClose={() => setLedgerMedicine(null)}
+        medicine={ledgerMedicine}
+      />
     </div>
   );
 }
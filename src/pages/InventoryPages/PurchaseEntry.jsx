@@ -0,0 +1,421 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, Search, Trash2, PackagePlus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button, Input, Select, Textarea } from '../../components/ui';
+import { medicineService, supplierService, purchaseService } from '../../services';
+import { computePurchaseTotals } from '@shared/utils/purchase';
+import { GST_RATE_OPTIONS, SUPPLIER_PAYMENT_MODE, SUPPLIER_PAYMENT_MODE_OPTIONS } from '@shared/constants/enums';
+
+const PAYMENT_MODE_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  upi: 'UPI',
+};
+
+const MODE_OPTIONS = SUPPLIER_PAYMENT_MODE_OPTIONS.map((value) => ({
+  value,
+  label: PAYMENT_MODE_LABELS[value] || value,
+}));
+
+const GST_OPTIONS = GST_RATE_OPTIONS.map((rate) => ({ value: rate, label: `${rate}%` }));
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Search box that adds the chosen medicine as a new invoice line
+function MedicineLookup({ onSelect }) {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [showDropdown, setShowDropdown] = useState(false);
+  const wrapperRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (wrapperRef.current && !wrapperRef.current.contains(event.target)) {
+        setShowDropdown(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  useEffect(() => {
+    if (!query) {
+      setResults([]);
+      return undefined;
+    }
+
+    const debounce = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const response = await medicineService.getAll({ search: query, limit: 10 });
+        setResults(response.medicines || []);
+      } catch (error) {
+        console.error('Search failed:', error);
+        setResults([]);
+      } finally {
+        setLoading(false);
+      }
+    }, 300);
+    return () => clearTimeout(debounce);
+  }, [query]);
+
+  const handleSelect = (medicine) => {
+    onSelect(medicine);
+    setQuery('');
+    setShowDropdown(false);
+  };
+
+  return (
+    <div ref={wrapperRef} className="relative">
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+      <input
+        type="text"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setShowDropdown(true);
+        }}
+        onFocus={() => setShowDropdown(true)}
+        placeholder="Search medicine to add a line..."
+        className="input pl-10"
+      />
+      {showDropdown && query && (
+        <div className="absolute z-50 w-full mt-1 bg-white border border-gray-200 rounded-lg shadow-lg max-h-60 overflow-y-auto">
+          {loading ? (
+            <div className="p-4 text-center text-gray-500">Searching...</div>
+          ) : results.length === 0 ? (
+            <div className="p-4 text-center text-gray-500">No medicines found for "{query}"</div>
+          ) : (
+            results.map((medicine) => (
+              <button
+                key={medicine._id}
+                type="button"
+                onClick={() => handleSelect(medicine)}
+                className="w-full px-4 py-3 text-left hover:bg-gray-50 border-b last:border-b-0"
+              >
+                <p className="font-medium text-gray-900">{medicine.name}</p>
+                <p className="text-xs text-gray-500">
+                  {medicine.medicineId} • {medicine.category} • {medicine.manufacturer || 'N/A'}
+                </p>
+              </button>
+            ))
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function PurchaseEntry() {
+  const navigate = useNavigate();
+  const [suppliers, setSuppliers] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [form, setForm] = useState({
+    supplierId: '',
+    invoiceNo: '',
+    invoiceDate: today(),
+    interState: false,
+    discountAmount: '',
+    paidAmount: '',
+    paymentMode: SUPPLIER_PAYMENT_MODE.BANK_TRANSFER,
+    paymentReference: '',
+    remarks: '',
+  });
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    supplierService.getAll()
+      .then((response) => setSuppliers(response.suppliers || []))
+      .catch(() => toast.error('Failed to load suppliers'));
+  }, []);
+
+  const setField = (field) => (e) => setForm((p) => ({ ...p, [field]: e.target.value }));
+
+  const addItem = (medicine) => {
+    setItems((prev) => [
+      ...prev,
+      {
+        key: `${medicine._id}-${Date.now()}`,
+        medicineId: medicine._id,
+        medicineName: medicine.name,
+        batchNo: '',
+        expiryDate: '',
+        quantity: '',
+        freeQty: '',
+        purchasePrice: '',
+        discountPercent: '',
+        gstRate: medicine.gstRate ?? 12,
+        mrp: '',
+      },
+    ]);
+  };
+
+  const updateItem = (key, field, value) => {
+    setItems((prev) => prev.map((item) => (item.key === key ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (key) => {
+    setItems((prev) => prev.filter((item) => item.key !== key));
+  };
+
+  // Same arithmetic as the server, so the preview matches the saved invoice
+  const totals = useMemo(
+    () => computePurchaseTotals(items, {
+      discountAmount: Number(form.discountAmount) || 0,
+      interState: form.interState,
+    }),
+    [items, form.discountAmount, form.interState]
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!form.supplierId) {
+      toast.error('Select a supplier');
+      return;
+    }
+    if (items.length === 0) {
+      toast.error('Add at least one line');
+      return;
+    }
+
+    const paidAmount = Number(form.paidAmount) || 0;
+    if (paidAmount > totals.invoiceTotal) {
+      toast.error('Paid amount cannot exceed the invoice total');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await purchaseService.create({
+        supplierId: form.supplierId,
+        invoiceNo: form.invoiceNo.trim(),
+        invoiceDate: form.invoiceDate,
+        interState: form.interState,
+        discountAmount: Number(form.discountAmount) || 0,
+        items: items.map((item) => ({
+          medicineId: item.medicineId,
+          batchNo: item.batchNo.trim(),
+          expiryDate: item.expiryDate,
+          quantity: Number(item.quantity),
+          freeQty: Number(item.freeQty) || 0,
+          purchasePrice: Number(item.purchasePrice),
+          discountPercent: Number(item.discountPercent) || 0,
+          gstRate: Number(item.gstRate),
+          mrp: Number(item.mrp),
+        })),
+        paidAmount,
+        paymentMode: paidAmount > 0 ? form.paymentMode : undefined,
+        paymentReference: paidAmount > 0 ? form.paymentReference.trim() : undefined,
+        remarks: form.remarks.trim(),
+      });
+      toast.success(`Goods received - ${response.purchase.grnNo}`);
+      navigate('/inventory/purchases');
+    } catch (error) {
+      toast.error(error.error || 'Failed to save purchase');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const supplierOptions = [
+    { value: '', label: 'Select supplier' },
+    ...suppliers.map((s) => ({ value: s._id, label: `${s.name}${s.gstin ? ` (${s.gstin})` : ''}` })),
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center gap-3">
+        <button type="button" onClick={() => navigate(-1)} className="p-2 rounded-lg hover:bg-gray-100">
+          <ArrowLeft className="w-5 h-5" />
+        </button>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Goods Receipt</h1>
+          <p className="text-gray-500">Enter a supplier invoice; each line becomes a stock batch</p>
+        </div>
+      </div>
+
+      {/* Invoice details */}
+      <div className="card p-4 grid grid-cols-1 md:grid-cols-4 gap-4">
+        <Select
+          label="Supplier"
+          value={form.supplierId}
+          onChange={setField('supplierId')}
+          options={supplierOptions}
+          required
+        />
+        <Input label="Invoice No" value={form.invoiceNo} onChange={setField('invoiceNo')} required />
+        <Input label="Invoice Date" type="date" value={form.invoiceDate} onChange={setField('invoiceDate')} required />
+        <label className="flex items-center gap-2 text-sm text-gray-700 md:mt-7">
+          <input
+            type="checkbox"
+            checked={form.interState}
+            onChange={(e) => setForm((p) => ({ ...p, interState: e.target.checked }))}
+          />
+          Inter-state supply (IGST)
+        </label>
+      </div>
+
+      {/* Lines */}
+      <div className="card p-4 space-y-4">
+        <MedicineLookup onSelect={addItem} />
+
+        {items.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">
+            <PackagePlus className="w-10 h-10 text-gray-300 mx-auto mb-2" />
+            Search for a medicine to add the first line
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase">
+                  <th className="py-2 pr-2">Medicine</th>
+                  <th className="py-2 pr-2">Batch</th>
+                  <th className="py-2 pr-2">Expiry</th>
+                  <th className="py-2 pr-2">Qty</th>
+                  <th className="py-2 pr-2">Free</th>
+                  <th className="py-2 pr-2">Rate</th>
+                  <th className="py-2 pr-2">Disc %</th>
+                  <th className="py-2 pr-2">GST</th>
+                  <th className="py-2 pr-2">MRP</th>
+                  <th className="py-2 pr-2 text-right">Amount</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item, index) => {
+                  const line = totals.items[index];
+                  return (
+                    <tr key={item.key} className="border-t border-gray-100 align-top">
+                      <td className="py-2 pr-2 font-medium min-w-[10rem]">{item.medicineName}</td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-28" value={item.batchNo} required
+                          onChange={(e) => updateItem(item.key, 'batchNo', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-36" type="date" value={item.expiryDate} required min={today()}
+                          onChange={(e) => updateItem(item.key, 'expiryDate', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-20" type="number" min="1" value={item.quantity} required
+                          onChange={(e) => updateItem(item.key, 'quantity', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-20" type="number" min="0" value={item.freeQty}
+                          onChange={(e) => updateItem(item.key, 'freeQty', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-24" type="number" min="0" step="0.01" value={item.purchasePrice} required
+                          onChange={(e) => updateItem(item.key, 'purchasePrice', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-20" type="number" min="0" max="100" step="0.01" value={item.discountPercent}
+                          onChange={(e) => updateItem(item.key, 'discountPercent', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2">
+                        <select className="input w-20" value={item.gstRate}
+                          onChange={(e) => updateItem(item.key, 'gstRate', Number(e.target.value))}>
+                          {GST_OPTIONS.map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                        </select>
+                      </td>
+                      <td className="py-2 pr-2">
+                        <input className="input w-24" type="number" min="0" step="0.01" value={item.mrp} required
+                          onChange={(e) => updateItem(item.key, 'mrp', e.target.value)} />
+                      </td>
+                      <td className="py-2 pr-2 text-right whitespace-nowrap">
+                        <p className="font-medium">₹{(line?.lineTotal || 0).toFixed(2)}</p>
+                        {line?.costPrice > 0 && (
+                          <p className="text-xs text-gray-500">₹{line.costPrice.toFixed(2)}/unit</p>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        <button type="button" onClick={() => removeItem(item.key)}
+                          className="p-2 text-red-500 hover:bg-red-50 rounded-lg">
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Payment & totals */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="card p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              label="Paid Now (₹)"
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.paidAmount}
+              onChange={setField('paidAmount')}
+              placeholder="0 for credit purchase"
+            />
+            <Select
+              label="Payment Mode"
+              value={form.paymentMode}
+              onChange={setField('paymentMode')}
+              options={MODE_OPTIONS}
+              disabled={!(Number(form.paidAmount) > 0)}
+            />
+          </div>
+          <Input
+            label="Payment Reference"
+            value={form.paymentReference}
+            onChange={setField('paymentReference')}
+            placeholder="Cheque / UTR number"
+            disabled={!(Number(form.paidAmount) > 0)}
+          />
+          <Textarea label="Remarks" value={form.remarks} onChange={setField('remarks')} rows={2} />
+        </div>
+
+        <div className="card p-4 space-y-2 text-sm">
+          <div className="flex justify-between"><span className="text-gray-500">Gross</span><span>₹{totals.grossAmount.toFixed(2)}</span></div>
+          <div className="flex justify-between"><span className="text-gray-500">Trade Discount</span><span>-₹{totals.lineDiscount.toFixed(2)}</span></div>
+          <div className="flex justify-between items-center">
+            <span className="text-gray-500">Cash Discount</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={form.discountAmount}
+              onChange={setField('discountAmount')}
+              className="input w-28 text-right"
+            />
+          </div>
+          <div className="flex justify-between"><span className="text-gray-500">Taxable Value</span><span>₹{totals.taxableAmount.toFixed(2)}</span></div>
+          {form.interState ? (
+            <div className="flex justify-between"><span className="text-gray-500">IGST</span><span>₹{totals.igst.toFixed(2)}</span></div>
+          ) : (
+            <>
+              <div className="flex justify-between"><span className="text-gray-500">CGST</span><span>₹{totals.cgst.toFixed(2)}</span></div>
+              <div className="flex justify-between"><span className="text-gray-500">SGST</span><span>₹{totals.sgst.toFixed(2)}</span></div>
+            </>
+          )}
+          <div className="flex justify-between"><span className="text-gray-500">Round Off</span><span>₹{totals.roundOff.toFixed(2)}</span></div>
+          <div className="flex justify-between border-t pt-2 text-base font-bold">
+            <span>Invoice Total</span><span>₹{totals.invoiceTotal.toFixed(2)}</span>
+          </div>
+          <div className="flex justify-between text-red-600">
+            <span>Balance to Supplier</span>
+            <span>₹{Math.max(0, totals.invoiceTotal - (Number(form.paidAmount) || 0)).toFixed(2)}</span>
+          </div>
+          <Button type="submit" className="w-full mt-4" loading={submitting} disabled={items.length === 0}>
+            Save Goods Receipt
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,388 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ClipboardList, Download, Printer, Trash2 } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Select, Table, Pagination, Modal, Badge } from '../../components/ui';
+import { purchaseService, supplierService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { PurchaseOrderPrint, PrintWrapper } from '../../components/print';
+import { computePurchaseOrderTotals } from '@shared/utils/purchase';
+
+const STATUS_BADGE = {
+  draft: { variant: 'gray', label: 'Draft' },
+  ordered: { variant: 'blue', label: 'Ordered' },
+  received: { variant: 'success', label: 'Received' },
+  cancelled: { variant: 'danger', label: 'Cancelled' },
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy') : '-');
+
+// Quote a CSV cell when it holds a comma, quote or newline
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const buildCsv = (order) => {
+  const rows = [
+    ['Purchase Order', order.poNo, formatDate(order.orderedAt || order.createdAt)],
+    ['Supplier', order.supplierName, order.supplierGstin || ''],
+    [],
+    ['#', 'Code', 'Medicine', 'Pack', 'Quantity', 'Last Rate', 'Est. Amount'],
+    ...order.items.map((item, index) => [
+      index + 1,
+      item.medicineCode,
+      item.medicineName,
+      item.packUnit || '',
+      item.quantity,
+      item.rate !== null ? item.rate.toFixed(2) : '',
+      item.amount !== null ? item.amount.toFixed(2) : '',
+    ]),
+    [],
+    ['', '', 'Total', '', order.totalQty, '', order.estimatedTotal.toFixed(2)],
+  ];
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+export default function PurchaseOrders() {
+  const { can } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({
+    supplierId: searchParams.get('supplierId') || '',
+    status: searchParams.get('status') || '',
+  });
+
+  // Detail modal; draftItems holds edits to a draft's lines
+  const [selected, setSelected] = useState(null);
+  const [draftItems, setDraftItems] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  const canManage = can('purchases-updatePurchaseOrder');
+
+  useEffect(() => {
+    supplierService.getAll({ includeInactive: 'true' })
+      .then((response) => setSuppliers(response.suppliers || []))
+      .catch(() => setSuppliers([]));
+  }, []);
+
+  useEffect(() => {
+    fetchOrders(1);
+  }, [filters]);
+
+  const fetchOrders = async (page = pagination.page) => {
+    setLoading(true);
+    try {
+      const response = await purchaseService.orders.getAll({ ...filters, page, limit: pagination.limit });
+      setPurchaseOrders(response.purchaseOrders || []);
+      setPagination(response.pagination || { page: 1, limit: 20, total: 0, totalPages: 0 });
+    } catch (error) {
+      console.error('Failed to fetch purchase orders:', error);
+      toast.error('Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openOrder = async (row, print = false) => {
+    try {
+      const response = await purchaseService.orders.getById(row._id);
+      setSelected({ ...response.purchaseOrder, supplier: response.supplier });
+      setDraftItems(response.purchaseOrder.items.map((item) => ({ ...item, quantity: String(item.quantity) })));
+      setPrinting(print);
+    } catch (error) {
+      toast.error(error.error || 'Failed to load purchase order');
+    }
+  };
+
+  const isDraft = selected?.status === 'draft';
+  const draftTotals = computePurchaseOrderTotals(draftItems);
+  const isEdited = isDraft && (
+    draftItems.length !== selected.items.length
+    || draftItems.some((item, index) => Number(item.quantity) !== selected.items[index].quantity)
+  );
+
+  const setDraftQty = (index, value) => {
+    setDraftItems((p) => p.map((item, i) => (i === index ? { ...item, quantity: value } : item)));
+  };
+
+  const update = async (data, message) => {
+    setSaving(true);
+    try {
+      const response = await purchaseService.orders.update(selected._id, data);
+      toast.success(message);
+      setSelected({ ...response.purchaseOrder, supplier: selected.supplier });
+      setDraftItems(response.purchaseOrder.items.map((item) => ({ ...item, quantity: String(item.quantity) })));
+      fetchOrders();
+    } catch (error) {
+      toast.error(error.error || 'Failed to update purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveDraft = () => {
+    if (draftItems.length === 0) {
+      toast.error('Keep at least one medicine, or cancel the order');
+      return;
+    }
+    const badQty = draftItems.find((item) => !(parseInt(item.quantity, 10) > 0));
+    if (badQty) {
+      toast.error(`Enter a quantity for ${badQty.medicineName}`);
+      return;
+    }
+    update({
+      items: draftItems.map((item) => ({
+        medicineId: item.medicineId,
+        quantity: parseInt(item.quantity, 10),
+        rate: item.rate,
+      })),
+    }, 'Purchase order updated');
+  };
+
+  const setFilter = (field) => (e) => setFilters((p) => ({ ...p, [field]: e.target.value }));
+
+  const columns = [
+    {
+      key: 'poNo',
+      title: 'PO No',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{val}</p>
+          <p className="text-xs text-gray-500">{formatDate(row.createdAt)} • {row.createdBy}</p>
+        </div>
+      ),
+    },
+    { key: 'supplierName', title: 'Supplier' },
+    { key: 'itemCount', title: 'Medicines' },
+    { key: 'totalQty', title: 'Quantity' },
+    {
+      key: 'estimatedTotal',
+      title: 'Est. Value',
+      render: (val) => (val ? `₹${val.toFixed(2)}` : '-'),
+    },
+    {
+      key: 'status',
+      title: 'Status',
+      render: (val) => {
+        const badge = STATUS_BADGE[val] || { variant: 'gray', label: val };
+        return <Badge variant={badge.variant}>{badge.label}</Badge>;
+      },
+    },
+  ];
+
+  const supplierOptions = [
+    { value: '', label: 'All suppliers' },
+    ...suppliers.map((s) => ({ value: s._id, label: s.name })),
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Purchase Orders</h1>
+          <p className="text-gray-500">Orders raised on suppliers from reorder suggestions</p>
+        </div>
+        <div className="flex gap-2">
+          <Link to="/inventory/purchases" className="btn-secondary">
+            Purchases
+          </Link>
+          {can('medicine-getReorderSuggestions') && (
+            <Link to="/inventory/reorder" className="btn-primary">
+              Reorder Suggestions
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <Select value={filters.supplierId} onChange={setFilter('supplierId')} options={supplierOptions} />
+        <Select
+          value={filters.status}
+          onChange={setFilter('status')}
+          options={[
+            { value: '', label: 'Any status' },
+            ...Object.entries(STATUS_BADGE).map(([value, { label }]) => ({ value, label })),
+          ]}
+        />
+      </div>
+
+      <div>
+        <Table
+          columns={columns}
+          data={purchaseOrders}
+          loading={loading}
+          onRowClick={(row) => openOrder(row)}
+          emptyMessage={
+            <span className="flex flex-col items-center gap-2">
+              <ClipboardList className="w-10 h-10 text-gray-300" />
+              No purchase orders found
+            </span>
+          }
+        />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.total}
+            pageSize={pagination.limit}
+            onPageChange={fetchOrders}
+          />
+        )}
+      </div>
+
+      {/* Purchase Order Detail Modal */}
+      <Modal
+        isOpen={!!selected && !printing}
+        onClose={() => setSelected(null)}
+        title={selected ? `${selected.poNo} - ${selected.supplierName}` : ''}
+        size="xl"
+      >
+        {selected && (
+          <div className="space-y-4 text-sm">
+            <div className="flex justify-between items-center">
+              <div className="flex items-center gap-3">
+                <Badge variant={STATUS_BADGE[selected.status]?.variant || 'gray'}>
+                  {STATUS_BADGE[selected.status]?.label || selected.status}
+                </Badge>
+                <span className="text-gray-500">
+                  Created {formatDate(selected.createdAt)}
+                  {selected.orderedAt && ` • Ordered ${formatDate(selected.orderedAt)}`}
+                  {selected.receivedAt && ` • Received ${formatDate(selected.receivedAt)}`}
+                  {selected.cancelledAt && ` • Cancelled ${formatDate(selected.cancelledAt)}`}
+                </span>
+              </div>
+              <div className="flex gap-2">
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  icon={Download}
+                  disabled={isEdited}
+                  onClick={() => downloadFile(buildCsv(selected), `${selected.poNo}.csv`, 'text/csv')}
+                >
+                  CSV
+                </Button>
+                <Button variant="secondary" size="sm" icon={Printer} disabled={isEdited} onClick={() => setPrinting(true)}>
+                  Print
+                </Button>
+              </div>
+            </div>
+
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase border-b">
+                  <th className="py-2 pr-3">Medicine</th>
+                  <th className="py-2 pr-3">Pack</th>
+                  <th className="py-2 pr-3 text-right">Qty</th>
+                  <th className="py-2 pr-3 text-right">Last Rate</th>
+                  <th className="py-2 text-right">Est. Amount</th>
+                  {isDraft && canManage && <th className="py-2 w-8"></th>}
+                </tr>
+              </thead>
+              <tbody>
+                {draftTotals.items.map((item, index) => (
+                  <tr key={String(item.medicineId)} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 font-medium">{item.medicineName}</td>
+                    <td className="py-2 pr-3 capitalize">{item.packUnit || '-'}</td>
+                    <td className="py-2 pr-3 text-right">
+                      {isDraft && canManage ? (
+                        <input
+                          type="number"
+                          min="1"
+                          className="input w-20 text-right"
+                          value={draftItems[index].quantity}
+                          onChange={(e) => setDraftQty(index, e.target.value)}
+                        />
+                      ) : item.quantity}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{item.rate !== null ? `₹${item.rate.toFixed(2)}` : '-'}</td>
+                    <td className="py-2 text-right">{item.amount !== null ? `₹${item.amount.toFixed(2)}` : '-'}</td>
+                    {isDraft && canManage && (
+                      <td className="py-2 text-right">
+                        <button
+                          type="button"
+                          onClick={() => setDraftItems((p) => p.filter((_, i) => i !== index))}
+                          className="p-1 text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr className="font-semibold">
+                  <td className="py-2 pr-3" colSpan={2}>Total</td>
+                  <td className="py-2 pr-3 text-right">{draftTotals.totalQty}</td>
+                  <td></td>
+                  <td className="py-2 text-right">₹{draftTotals.estimatedTotal.toFixed(2)}</td>
+                  {isDraft && canManage && <td></td>}
+                </tr>
+              </tfoot>
+            </table>
+
+            {selected.remarks && <p className="text-gray-600">Remarks: {selected.remarks}</p>}
+
+            {canManage && ['draft', 'ordered'].includes(selected.status) && (
+              <div className="flex justify-end gap-2 border-t pt-4">
+                <Button
+                  variant="danger"
+                  loading={saving}
+                  onClick={() => update({ status: 'cancelled' }, 'Purchase order cancelled')}
+                >
+                  Cancel Order
+                </Button>
+                {isDraft && (
+                  <>
+                    <Button variant="secondary" loading={saving} disabled={!isEdited} onClick={handleSaveDraft}>
+                      Save Changes
+                    </Button>
+                    <Button
+                      loading={saving}
+                      disabled={isEdited}
+                      onClick={() => update({ status: 'ordered' }, 'Marked as ordered')}
+                    >
+                      Mark Ordered
+                    </Button>
+                  </>
+                )}
+                {selected.status === 'ordered' && (
+                  <Button loading={saving} onClick={() => update({ status: 'received' }, 'Marked as received')}>
+                    Mark Received
+                  </Button>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      {selected && printing && (
+        <PrintWrapper
+          title={`Purchase Order ${selected.poNo}`}
+          documentName={`Purchase-Order-${selected.poNo}`}
+          onClose={() => setPrinting(false)}
+        >
+          <PurchaseOrderPrint purchaseOrder={selected} supplier={selected.supplier} />
+        </PrintWrapper>
+      )}
+    </div>
+  );
+}
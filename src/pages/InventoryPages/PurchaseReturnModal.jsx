@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Modal, Select, Textarea, Badge } from '../../components/ui';
+import { purchaseService } from '../../services';
+import { PURCHASE_RETURN_REASON } from '@shared/constants/enums';
+
+export const RETURN_REASON_LABELS = {
+  expired: 'Expired',
+  near_expiry: 'Near Expiry',
+  damaged: 'Damaged',
+  other: 'Other',
+};
+
+const REASON_OPTIONS = Object.entries(RETURN_REASON_LABELS).map(([value, label]) => ({ value, label }));
+
+// Which batches to list; expiry returns are the usual case
+const WINDOW_OPTIONS = [
+  { value: '0', label: 'Expired only' },
+  { value: '90', label: 'Expiring within 90 days' },
+  { value: '', label: 'All stock' },
+];
+
+export default function PurchaseReturnModal({ isOpen, onClose, suppliers, onReturned }) {
+  const [supplierId, setSupplierId] = useState('');
+  const [reason, setReason] = useState(PURCHASE_RETURN_REASON.EXPIRED);
+  const [expiryWindow, setExpiryWindow] = useState('0');
+  const [remarks, setRemarks] = useState('');
+  const [batches, setBatches] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSupplierId('');
+      setReason(PURCHASE_RETURN_REASON.EXPIRED);
+      setExpiryWindow('0');
+      setRemarks('');
+      setBatches([]);
+      setQuantities({});
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen || !supplierId) {
+      setBatches([]);
+      return;
+    }
+    fetchBatches();
+  }, [isOpen, supplierId, expiryWindow]);
+
+  const fetchBatches = async () => {
+    setLoading(true);
+    try {
+      const response = await purchaseService.returns.getReturnableBatches(supplierId, expiryWindow);
+      setBatches(response.batches || []);
+      setQuantities({});
+    } catch (error) {
+      toast.error(error.error || 'Failed to load stock');
+      setBatches([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setQuantity = (batch, value) => {
+    const qty = Math.min(Math.max(0, parseInt(value, 10) || 0), batch.currentQty);
+    setQuantities((prev) => ({ ...prev, [batch._id]: qty }));
+  };
+
+  const toggleBatch = (batch, checked) => {
+    setQuantities((prev) => ({ ...prev, [batch._id]: checked ? batch.currentQty : 0 }));
+  };
+
+  const selected = batches.filter((b) => quantities[b._id] > 0);
+
+  const handleSubmit = async () => {
+    if (selected.length === 0) {
+      toast.error('Select at least one batch to return');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await purchaseService.returns.create({
+        supplierId,
+        reason,
+        items: selected.map((b) => ({ batchId: b._id, quantity: quantities[b._id] })),
+        remarks: remarks.trim(),
+      });
+      toast.success(`Debit note ${response.purchaseReturn.debitNoteNo} created`);
+      onReturned(response.purchaseReturn);
+    } catch (error) {
+      console.error('Failed to create purchase return:', error);
+      toast.error(error.error || 'Failed to create purchase return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const supplierOptions = [
+    { value: '', label: 'Select supplier' },
+    ...suppliers.map((s) => ({ value: s._id, label: s.name })),
+  ];
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Return Stock to Supplier"
+      size="xl"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} loading={submitting} disabled={selected.length === 0}>
+            Create Debit Note
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <Select label="Supplier" value={supplierId} onChange={(e) => setSupplierId(e.target.value)} options={supplierOptions} />
+          <Select label="Reason" value={reason} onChange={(e) => setReason(e.target.value)} options={REASON_OPTIONS} />
+          <Select label="Show" value={expiryWindow} onChange={(e) => setExpiryWindow(e.target.value)} options={WINDOW_OPTIONS} />
+        </div>
+
+        {!supplierId ? (
+          <p className="text-center text-gray-500 py-6">Select a supplier to list the stock bought from them</p>
+        ) : loading ? (
+          <div className="flex justify-center py-6">
+            <div className="w-6 h-6 border-2 border-primary-500 border-t-transparent rounded-full animate-spin" />
+          </div>
+        ) : batches.length === 0 ? (
+          <p className="text-center text-gray-500 py-6">No stock from this supplier matches</p>
+        ) : (
+          <div className="max-h-80 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="sticky top-0 bg-white">
+                <tr className="text-left text-xs text-gray-500 uppercase border-b">
+                  <th className="py-2 pr-2 w-8"></th>
+                  <th className="py-2 pr-2">Medicine</th>
+                  <th className="py-2 pr-2">Batch</th>
+                  <th className="py-2 pr-2">Expiry</th>
+                  <th className="py-2 pr-2">Invoice</th>
+                  <th className="py-2 pr-2 text-right">In Stock</th>
+                  <th className="py-2 text-right">Return Qty</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map((batch) => (
+                  <tr key={batch._id} className="border-b border-gray-100">
+                    <td className="py-2 pr-2">
+                      <input
+                        type="checkbox"
+                        checked={quantities[batch._id] > 0}
+                        onChange={(e) => toggleBatch(batch, e.target.checked)}
+                      />
+                    </td>
+                    <td className="py-2 pr-2 font-medium">{batch.medicine?.name || '-'}</td>
+                    <td className="py-2 pr-2">{batch.batchNo}</td>
+                    <td className="py-2 pr-2">
+                      {format(new Date(batch.expiryDate), 'MMM yyyy')}{' '}
+                      {batch.isExpired
+                        ? <Badge variant="danger">Expired</Badge>
+                        : batch.daysToExpiry <= 90 && <Badge variant="warning">{batch.daysToExpiry}d</Badge>}
+                    </td>
+                    <td className="py-2 pr-2 text-gray-500">{batch.purchaseInvoiceNo || '-'}</td>
+                    <td className="py-2 pr-2 text-right">{batch.currentQty}</td>
+                    <td className="py-2 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={batch.currentQty}
+                        value={quantities[batch._id] || ''}
+                        onChange={(e) => setQuantity(batch, e.target.value)}
+                        className="input w-20 text-right"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <Textarea
+          label="Remarks"
+          value={remarks}
+          onChange={(e) => setRemarks(e.target.value)}
+          rows={2}
+          placeholder="e.g., Collected by distributor's representative"
+        />
+      </div>
+    </Modal>
+  );
+}
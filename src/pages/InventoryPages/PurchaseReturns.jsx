@@ -0,0 +1,392 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Printer, Undo2 } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Input, Select, Table, Pagination, Modal, Badge } from '../../components/ui';
+import { purchaseService, supplierService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { DebitNotePrint, PrintWrapper } from '../../components/print';
+import {
+  SUPPLIER_CREDIT_SETTLEMENT,
+  SUPPLIER_PAYMENT_MODE,
+  SUPPLIER_PAYMENT_MODE_OPTIONS,
+} from '@shared/constants/enums';
+import PurchaseReturnModal, { RETURN_REASON_LABELS } from './PurchaseReturnModal';
+
+const PAYMENT_MODE_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  upi: 'UPI',
+};
+
+const MODE_OPTIONS = SUPPLIER_PAYMENT_MODE_OPTIONS.map((value) => ({
+  value,
+  label: PAYMENT_MODE_LABELS[value] || value,
+}));
+
+const CREDIT_STATUS_BADGE = {
+  open: 'danger',
+  partial: 'warning',
+  settled: 'success',
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy') : '-');
+
+const EMPTY_SETTLEMENT = {
+  amount: '',
+  method: SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT,
+  purchaseId: '',
+  paymentMode: SUPPLIER_PAYMENT_MODE.BANK_TRANSFER,
+  reference: '',
+};
+
+export default function PurchaseReturns() {
+  const { can } = useAuth();
+  const [purchaseReturns, setPurchaseReturns] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({ supplierId: '', creditStatus: '' });
+  const [showCreate, setShowCreate] = useState(false);
+
+  // Detail modal: the debit note, its supplier, and invoices open for adjustment
+  const [selected, setSelected] = useState(null);
+  const [openInvoices, setOpenInvoices] = useState([]);
+  const [settlement, setSettlement] = useState(EMPTY_SETTLEMENT);
+  const [settling, setSettling] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  const canCreate = can('purchases-createPurchaseReturn');
+  const canSettle = can('purchases-settleDebitNote');
+
+  useEffect(() => {
+    supplierService.getAll({ includeInactive: 'true' })
+      .then((response) => setSuppliers(response.suppliers || []))
+      .catch(() => setSuppliers([]));
+  }, []);
+
+  useEffect(() => {
+    fetchReturns(1);
+  }, [filters]);
+
+  const fetchReturns = async (page = pagination.page) => {
+    setLoading(true);
+    try {
+      const response = await purchaseService.returns.getAll({ ...filters, page, limit: pagination.limit });
+      setPurchaseReturns(response.purchaseReturns || []);
+      setPagination(response.pagination || { page: 1, limit: 20, total: 0, totalPages: 0 });
+    } catch (error) {
+      console.error('Failed to fetch purchase returns:', error);
+      toast.error('Failed to load purchase returns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openReturn = async (row, print = false) => {
+    try {
+      const response = await purchaseService.returns.getById(row._id);
+      setSelected({ ...response.purchaseReturn, supplier: response.supplier });
+      setSettlement({ ...EMPTY_SETTLEMENT, amount: String(response.purchaseReturn.creditBalance || '') });
+      setPrinting(print);
+
+      if (response.purchaseReturn.creditBalance > 0) {
+        const invoices = await purchaseService.getAll({ supplierId: response.purchaseReturn.supplierId, limit: 100 });
+        setOpenInvoices((invoices.purchases || []).filter((p) => p.dueAmount > 0 && p.status !== 'cancelled'));
+      } else {
+        setOpenInvoices([]);
+      }
+    } catch (error) {
+      toast.error(error.error || 'Failed to load debit note');
+    }
+  };
+
+  const handleReturned = (purchaseReturn) => {
+    setShowCreate(false);
+    fetchReturns(1);
+    openReturn(purchaseReturn, true);
+  };
+
+  const handleSettle = async () => {
+    const amount = Number(settlement.amount);
+    if (!amount || amount <= 0) {
+      toast.error('Enter a valid amount');
+      return;
+    }
+    if (amount > selected.creditBalance) {
+      toast.error(`Amount cannot exceed the open credit of ₹${selected.creditBalance.toFixed(2)}`);
+      return;
+    }
+
+    const isAdjustment = settlement.method === SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT;
+    if (isAdjustment && !settlement.purchaseId) {
+      toast.error('Select the invoice to adjust against');
+      return;
+    }
+
+    setSettling(true);
+    try {
+      const response = await purchaseService.returns.settle({
+        returnId: selected._id,
+        amount,
+        method: settlement.method,
+        purchaseId: isAdjustment ? settlement.purchaseId : undefined,
+        paymentMode: isAdjustment ? undefined : settlement.paymentMode,
+        reference: settlement.reference.trim() || undefined,
+      });
+      toast.success(isAdjustment ? 'Credit adjusted against invoice' : 'Supplier refund recorded');
+      openReturn(response.purchaseReturn);
+      fetchReturns();
+    } catch (error) {
+      toast.error(error.error || 'Failed to settle debit note');
+    } finally {
+      setSettling(false);
+    }
+  };
+
+  const setFilter = (field) => (e) => setFilters((p) => ({ ...p, [field]: e.target.value }));
+
+  const columns = [
+    {
+      key: 'debitNoteNo',
+      title: 'Debit Note',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{val}</p>
+          <p className="text-xs text-gray-500">{formatDate(row.returnDate)}</p>
+        </div>
+      ),
+    },
+    { key: 'supplierName', title: 'Supplier' },
+    { key: 'reason', title: 'Reason', render: (val) => RETURN_REASON_LABELS[val] || val },
+    { key: 'items', title: 'Batches', render: (val) => val?.length || 0 },
+    { key: 'creditAmount', title: 'Credit', render: (val) => `₹${val.toFixed(2)}` },
+    {
+      key: 'creditBalance',
+      title: 'To Receive',
+      render: (val) => <span className={val > 0 ? 'text-red-600 font-medium' : ''}>₹{val.toFixed(2)}</span>,
+    },
+    {
+      key: 'creditStatus',
+      title: 'Status',
+      render: (val) => <Badge variant={CREDIT_STATUS_BADGE[val] || 'gray'}><span className="capitalize">{val}</span></Badge>,
+    },
+  ];
+
+  const supplierOptions = [
+    { value: '', label: 'All suppliers' },
+    ...suppliers.map((s) => ({ value: s._id, label: s.name })),
+  ];
+
+  const invoiceOptions = [
+    { value: '', label: 'Select invoice' },
+    ...openInvoices.map((p) => ({
+      value: p._id,
+      label: `${p.grnNo} / Inv ${p.invoiceNo} - due ₹${p.dueAmount.toFixed(2)}`,
+    })),
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Purchase Returns</h1>
+          <p className="text-gray-500">Stock sent back to suppliers and the credit they owe</p>
+        </div>
+        <div className="flex gap-2">
+          <Link to="/inventory/purchases" className="btn-secondary">
+            Purchases
+          </Link>
+          {canCreate && (
+            <Button onClick={() => setShowCreate(true)} icon={Plus}>
+              New Return
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <Select value={filters.supplierId} onChange={setFilter('supplierId')} options={supplierOptions} />
+        <Select
+          value={filters.creditStatus}
+          onChange={setFilter('creditStatus')}
+          options={[
+            { value: '', label: 'Any credit status' },
+            { value: 'open', label: 'Open' },
+            { value: 'partial', label: 'Partly received' },
+            { value: 'settled', label: 'Settled' },
+          ]}
+        />
+      </div>
+
+      <div>
+        <Table
+          columns={columns}
+          data={purchaseReturns}
+          loading={loading}
+          onRowClick={(row) => openReturn(row)}
+          emptyMessage={
+            <span className="flex flex-col items-center gap-2">
+              <Undo2 className="w-10 h-10 text-gray-300" />
+              No purchase returns found
+            </span>
+          }
+        />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.total}
+            pageSize={pagination.limit}
+            onPageChange={fetchReturns}
+          />
+        )}
+      </div>
+
+      <PurchaseReturnModal
+        isOpen={showCreate}
+        onClose={() => setShowCreate(false)}
+        suppliers={suppliers.filter((s) => s.isActive)}
+        onReturned={handleReturned}
+      />
+
+      {/* Debit Note Detail Modal */}
+      <Modal
+        isOpen={!!selected && !printing}
+        onClose={() => setSelected(null)}
+        title={selected ? `${selected.debitNoteNo} - ${selected.supplierName}` : ''}
+        size="xl"
+      >
+        {selected && (
+          <div className="space-y-4 text-sm">
+            <div className="flex justify-between items-start">
+              <div className="grid grid-cols-3 gap-3 flex-1">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-gray-500">Credit</p>
+                  <p className="font-semibold">₹{selected.creditAmount.toFixed(2)}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-gray-500">Received</p>
+                  <p className="font-semibold text-green-600">₹{selected.creditReceived.toFixed(2)}</p>
+                </div>
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-gray-500">To Receive</p>
+                  <p className="font-semibold text-red-600">₹{selected.creditBalance.toFixed(2)}</p>
+                </div>
+              </div>
+              <Button variant="secondary" size="sm" icon={Printer} onClick={() => setPrinting(true)} className="ml-3">
+                Print
+              </Button>
+            </div>
+
+            <table className="w-full">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase border-b">
+                  <th className="py-2 pr-3">Medicine</th>
+                  <th className="py-2 pr-3">Batch</th>
+                  <th className="py-2 pr-3">Against</th>
+                  <th className="py-2 pr-3 text-right">Qty</th>
+                  <th className="py-2 pr-3 text-right">Rate</th>
+                  <th className="py-2 text-right">Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.items.map((item) => (
+                  <tr key={String(item.batchId)} className="border-b border-gray-100">
+                    <td className="py-2 pr-3 font-medium">{item.medicineName}</td>
+                    <td className="py-2 pr-3">{item.batchNo}</td>
+                    <td className="py-2 pr-3 text-gray-500">{item.grnNo || item.invoiceNo || '-'}</td>
+                    <td className="py-2 pr-3 text-right">{item.quantity}</td>
+                    <td className="py-2 pr-3 text-right">₹{item.rate.toFixed(2)}</td>
+                    <td className="py-2 text-right">₹{item.amount.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {selected.settlements?.length > 0 && (
+              <div>
+                <p className="font-medium mb-2">Credit Received</p>
+                {selected.settlements.map((s) => (
+                  <div key={String(s._id)} className="flex justify-between py-1 border-b border-gray-100">
+                    <span>
+                      {formatDate(s.settledAt)} •{' '}
+                      {s.grnNo ? `Adjusted against ${s.grnNo}` : `Refund (${PAYMENT_MODE_LABELS[s.paymentMode] || s.paymentMode})`}
+                      {s.reference ? ` • ${s.reference}` : ''}
+                    </span>
+                    <span className="font-medium">₹{s.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canSettle && selected.creditBalance > 0 && (
+              <div className="border-t pt-4 space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <Select
+                    label="Settle By"
+                    value={settlement.method}
+                    onChange={(e) => setSettlement((p) => ({ ...p, method: e.target.value }))}
+                    options={[
+                      { value: SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT, label: 'Adjust against invoice' },
+                      { value: SUPPLIER_CREDIT_SETTLEMENT.REFUND, label: 'Refund from supplier' },
+                    ]}
+                  />
+                  {settlement.method === SUPPLIER_CREDIT_SETTLEMENT.ADJUSTMENT ? (
+                    <Select
+                      label="Invoice"
+                      value={settlement.purchaseId}
+                      onChange={(e) => setSettlement((p) => ({ ...p, purchaseId: e.target.value }))}
+                      options={invoiceOptions}
+                    />
+                  ) : (
+                    <Select
+                      label="Payment Mode"
+                      value={settlement.paymentMode}
+                      onChange={(e) => setSettlement((p) => ({ ...p, paymentMode: e.target.value }))}
+                      options={MODE_OPTIONS}
+                    />
+                  )}
+                  <Input
+                    label="Amount"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={settlement.amount}
+                    onChange={(e) => setSettlement((p) => ({ ...p, amount: e.target.value }))}
+                  />
+                </div>
+                <div className="flex gap-3 items-end">
+                  <Input
+                    label="Reference"
+                    value={settlement.reference}
+                    onChange={(e) => setSettlement((p) => ({ ...p, reference: e.target.value }))}
+                    placeholder="Supplier's credit note number"
+                    containerClassName="flex-1"
+                  />
+                  <Button variant="success" onClick={handleSettle} loading={settling}>
+                    Record Credit
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      {selected && printing && (
+        <PrintWrapper
+          title={`Debit Note ${selected.debitNoteNo}`}
+          documentName={`Debit-Note-${selected.debitNoteNo}`}
+          onClose={() => setPrinting(false)}
+        >
+          <DebitNotePrint purchaseReturn={selected} supplier={selected.supplier} />
+        </PrintWrapper>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+import { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Plus, Search, Truck, Undo2, ClipboardList } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Input, Select, Table, Pagination, Modal, Badge } from '../../components/ui';
+import { purchaseService, supplierService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { SUPPLIER_PAYMENT_MODE, SUPPLIER_PAYMENT_MODE_OPTIONS } from '@shared/constants/enums';
+
+const PAYMENT_MODE_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+  cheque: 'Cheque',
+  upi: 'UPI',
+  adjustment: 'Debit Note',
+};
+
+const MODE_OPTIONS = SUPPLIER_PAYMENT_MODE_OPTIONS.map((value) => ({
+  value,
+  label: PAYMENT_MODE_LABELS[value] || value,
+}));
+
+const PAYMENT_STATUS_BADGE = {
+  paid: 'success',
+  partial: 'warning',
+  pending: 'danger',
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy') : '-');
+
+export default function Purchases() {
+  const { can } = useAuth();
+  const [searchParams] = useSearchParams();
+  const [purchases, setPurchases] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [filters, setFilters] = useState({
+    search: '',
+    supplierId: searchParams.get('supplierId') || '',
+    paymentStatus: '',
+  });
+
+  // Detail modal, with the pay form for the same invoice
+  const [selected, setSelected] = useState(null);
+  const [payment, setPayment] = useState({ amount: '', paymentMode: SUPPLIER_PAYMENT_MODE.BANK_TRANSFER, reference: '' });
+  const [paying, setPaying] = useState(false);
+
+  const canCreate = can('purchases-createPurchase');
+  const canPay = can('purchases-recordSupplierPayment');
+
+  useEffect(() => {
+    supplierService.getAll({ includeInactive: 'true' })
+      .then((response) => setSuppliers(response.suppliers || []))
+      .catch(() => setSuppliers([]));
+  }, []);
+
+  useEffect(() => {
+    const debounce = setTimeout(() => fetchPurchases(1), 300);
+    return () => clearTimeout(debounce);
+  }, [filters]);
+
+  const fetchPurchases = async (page = pagination.page) => {
+    setLoading(true);
+    try {
+      const response = await purchaseService.getAll({ ...filters, page, limit: pagination.limit });
+      setPurchases(response.purchases || []);
+      setPagination(response.pagination || { page: 1, limit: 20, total: 0, totalPages: 0 });
+    } catch (error) {
+      console.error('Failed to fetch purchases:', error);
+      toast.error('Failed to load purchases');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openPurchase = async (row) => {
+    try {
+      const response = await purchaseService.getById(row._id);
+      setSelected(response.purchase);
+      setPayment({
+        amount: String(response.purchase.dueAmount || ''),
+        paymentMode: SUPPLIER_PAYMENT_MODE.BANK_TRANSFER,
+        reference: '',
+      });
+    } catch (error) {
+      toast.error(error.error || 'Failed to load purchase');
+    }
+  };
+
+  const handlePay = async () => {
+    const amount = Number(payment.amount);
+    if (!amount || amount <= 0) {
+      toast.error('Enter a valid amount');
+      return;
+    }
+    if (amount > selected.dueAmount) {
+      toast.error(`Amount cannot exceed the due of ₹${selected.dueAmount.toFixed(2)}`);
+      return;
+    }
+
+    setPaying(true);
+    try {
+      const response = await purchaseService.recordPayment({
+        purchaseId: selected._id,
+        amount,
+        paymentMode: payment.paymentMode,
+        reference: payment.reference.trim() || undefined,
+      });
+      toast.success('Supplier payment recorded');
+      setSelected(response.purchase);
+      setPayment((p) => ({ ...p, amount: String(response.purchase.dueAmount || ''), reference: '' }));
+      fetchPurchases();
+    } catch (error) {
+      toast.error(error.error || 'Failed to record payment');
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const setFilter = (field) => (e) => setFilters((p) => ({ ...p, [field]: e.target.value }));
+
+  const columns = [
+    {
+      key: 'grnNo',
+      title: 'GRN',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{val}</p>
+          <p className="text-xs text-gray-500">Inv {row.invoiceNo}</p>
+        </div>
+      ),
+    },
+    { key: 'supplierName', title: 'Supplier' },
+    { key: 'invoiceDate', title: 'Invoice Date', render: formatDate },
+    { key: 'dueDate', title: 'Due By', render: formatDate },
+    { key: 'invoiceTotal', title: 'Total', render: (val) => `₹${val.toFixed(2)}` },
+    {
+      key: 'dueAmount',
+      title: 'Balance',
+      render: (val) => <span className={val > 0 ? 'text-red-600 font-medium' : ''}>₹{val.toFixed(2)}</span>,
+    },
+    {
+      key: 'paymentStatus',
+      title: 'Payment',
+      render: (val) => <Badge variant={PAYMENT_STATUS_BADGE[val] || 'gray'}><span className="capitalize">{val}</span></Badge>,
+    },
+  ];
+
+  const supplierOptions = [
+    { value: '', label: 'All suppliers' },
+    ...suppliers.map((s) => ({ value: s._id, label: s.name })),
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Purchases</h1>
+          <p className="text-gray-500">Goods received against supplier invoices</p>
+        </div>
+        <div className="flex gap-2">
+          <Link to="/inventory/suppliers" className="btn-secondary">
+            <Truck className="w-4 h-4" />
+            Suppliers
+          </Link>
+          <Link to="/inventory/purchase-returns" className="btn-secondary">
+            <Undo2 className="w-4 h-4" />
+            Returns
+          </Link>
+          <Link to="/inventory/purchase-orders" className="btn-secondary">
+            <ClipboardList className="w-4 h-4" />
+            Orders
+          </Link>
+          {canCreate && (
+            <Link to="/inventory/purchases/new" className="btn-primary">
+              <Plus className="w-4 h-4" />
+              New Goods Receipt
+            </Link>
+          )}
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col md:flex-row gap-4">
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={filters.search}
+            onChange={setFilter('search')}
+            placeholder="Search by GRN or invoice number..."
+            className="input pl-10"
+          />
+        </div>
+        <Select value={filters.supplierId} onChange={setFilter('supplierId')} options={supplierOptions} />
+        <Select
+          value={filters.paymentStatus}
+          onChange={setFilter('paymentStatus')}
+          options={[
+            { value: '', label: 'Any payment status' },
+            { value: 'pending', label: 'Unpaid' },
+            { value: 'partial', label: 'Part paid' },
+            { value: 'paid', label: 'Paid' },
+          ]}
+        />
+      </div>
+
+      <div>
+        <Table
+          columns={columns}
+          data={purchases}
+          loading={loading}
+          onRowClick={openPurchase}
+          emptyMessage="No purchases found"
+        />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.total}
+            pageSize={pagination.limit}
+            onPageChange={fetchPurchases}
+          />
+        )}
+      </div>
+
+      {/* Purchase Detail Modal */}
+      <Modal
+        isOpen={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? `${selected.grnNo} - ${selected.supplierName}` : ''}
+        size="xl"
+      >
+        {selected && (
+          <div className="space-y-4 text-sm">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Invoice</p>
+                <p className="font-semibold">{selected.invoiceNo}</p>
+                <p className="text-xs text-gray-500">{formatDate(selected.invoiceDate)}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Invoice Total</p>
+                <p className="font-semibold">₹{selected.invoiceTotal.toFixed(2)}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Paid</p>
+                <p className="font-semibold text-green-600">₹{selected.paidAmount.toFixed(2)}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Balance</p>
+                <p className="font-semibold text-red-600">₹{selected.dueAmount.toFixed(2)}</p>
+                <p className="text-xs text-gray-500">Due by {formatDate(selected.dueDate)}</p>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 uppercase border-b">
+                    <th className="py-2 pr-3">Medicine</th>
+                    <th className="py-2 pr-3">Batch</th>
+                    <th className="py-2 pr-3">Expiry</th>
+                    <th className="py-2 pr-3 text-right">Qty + Free</th>
+                    <th className="py-2 pr-3 text-right">Rate</th>
+                    <th className="py-2 pr-3 text-right">Disc</th>
+                    <th className="py-2 pr-3 text-right">GST</th>
+                    <th className="py-2 pr-3 text-right">Amount</th>
+                    <th className="py-2 text-right">Cost/Unit</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selected.items.map((item) => (
+                    <tr key={String(item.batchId)} className="border-b border-gray-100">
+                      <td className="py-2 pr-3 font-medium">{item.medicineName}</td>
+                      <td className="py-2 pr-3">{item.batchNo}</td>
+                      <td className="py-2 pr-3">{format(new Date(item.expiryDate), 'MM/yyyy')}</td>
+                      <td className="py-2 pr-3 text-right">{item.quantity}{item.freeQty ? ` + ${item.freeQty}` : ''}</td>
+                      <td className="py-2 pr-3 text-right">₹{item.purchasePrice.toFixed(2)}</td>
+                      <td className="py-2 pr-3 text-right">{item.discountPercent ? `${item.discountPercent}%` : '-'}</td>
+                      <td className="py-2 pr-3 text-right">{item.gstRate}%</td>
+                      <td className="py-2 pr-3 text-right">₹{item.lineTotal.toFixed(2)}</td>
+                      <td className="py-2 text-right">₹{item.costPrice.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex justify-end">
+              <div className="w-64 space-y-1">
+                <div className="flex justify-between"><span className="text-gray-500">Taxable</span><span>₹{selected.taxableAmount.toFixed(2)}</span></div>
+                {selected.discountAmount > 0 && (
+                  <div className="flex justify-between"><span className="text-gray-500">Cash Discount</span><span>-₹{selected.discountAmount.toFixed(2)}</span></div>
+                )}
+                <div className="flex justify-between"><span className="text-gray-500">GST</span><span>₹{selected.totalTax.toFixed(2)}</span></div>
+                <div className="flex justify-between"><span className="text-gray-500">Round Off</span><span>₹{selected.roundOff.toFixed(2)}</span></div>
+                <div className="flex justify-between font-bold border-t pt-1"><span>Total</span><span>₹{selected.invoiceTotal.toFixed(2)}</span></div>
+              </div>
+            </div>
+
+            {selected.payments?.length > 0 && (
+              <div>
+                <p className="font-medium mb-2">Payments</p>
+                {selected.payments.map((p) => (
+                  <div key={String(p._id)} className="flex justify-between py-1 border-b border-gray-100">
+                    <span>
+                      {formatDate(p.paidAt)} • {PAYMENT_MODE_LABELS[p.paymentMode] || p.paymentMode}
+                      {p.reference ? ` • ${p.reference}` : ''}
+                    </span>
+                    <span className="font-medium">₹{p.amount.toFixed(2)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {canPay && selected.dueAmount > 0 && (
+              <div className="border-t pt-4 grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                <Input
+                  label="Amount"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={payment.amount}
+                  onChange={(e) => setPayment((p) => ({ ...p, amount: e.target.value }))}
+                />
+                <Select
+                  label="Payment Mode"
+                  value={payment.paymentMode}
+                  onChange={(e) => setPayment((p) => ({ ...p, paymentMode: e.target.value }))}
+                  options={MODE_OPTIONS}
+                />
+                <Input
+                  label="Reference"
+                  value={payment.reference}
+                  onChange={(e) => setPayment((p) => ({ ...p, reference: e.target.value }))}
+                  placeholder="Cheque / UTR"
+                />
+                <Button variant="success" onClick={handlePay} loading={paying}>
+                  Pay Supplier
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
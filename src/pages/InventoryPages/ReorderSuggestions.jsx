@@ -0,0 +1,253 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ClipboardList, RefreshCw, ShoppingCart } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button, Table } from '../../components/ui';
+import { medicineService, purchaseService, supplierService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+
+export default function ReorderSuggestions() {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const [suggestions, setSuggestions] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState('');
+
+  // Order lines keyed by medicine: { selected, quantity, supplierId }
+  const [lines, setLines] = useState({});
+  const [creating, setCreating] = useState(false);
+
+  const canOrder = can('purchases-createPurchaseOrders');
+
+  useEffect(() => {
+    supplierService.getAll()
+      .then((response) => setSuppliers(response.suppliers || []))
+      .catch(() => setSuppliers([]));
+    fetchSuggestions();
+  }, []);
+
+  const fetchSuggestions = async () => {
+    setLoading(true);
+    try {
+      const response = await medicineService.stock.getReorderSuggestions(days || undefined);
+      setSuggestions(response.suggestions || []);
+      setSettings(response.settings);
+      if (!days) setDays(String(response.settings.consumptionDays));
+      setLines(Object.fromEntries(
+        (response.suggestions || []).map((s) => [s._id, {
+          selected: Boolean(s.supplierId),
+          quantity: String(s.suggestedQty),
+          supplierId: s.supplierId || '',
+        }])
+      ));
+    } catch (error) {
+      console.error('Failed to fetch reorder suggestions:', error);
+      toast.error(error.error || 'Failed to load reorder suggestions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const setLine = (id, field, value) => {
+    setLines((p) => ({ ...p, [id]: { ...p[id], [field]: value } }));
+  };
+
+  const selectedRows = suggestions.filter((s) => lines[s._id]?.selected);
+  const supplierCount = new Set(selectedRows.map((s) => lines[s._id].supplierId).filter(Boolean)).size;
+
+  const handleCreateOrders = async () => {
+    const missingSupplier = selectedRows.find((s) => !lines[s._id].supplierId);
+    if (missingSupplier) {
+      toast.error(`Choose a supplier for ${missingSupplier.name}`);
+      return;
+    }
+    const badQty = selectedRows.find((s) => !(parseInt(lines[s._id].quantity, 10) > 0));
+    if (badQty) {
+      toast.error(`Enter a quantity for ${badQty.name}`);
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await purchaseService.orders.create({
+        items: selectedRows.map((s) => {
+          const line = lines[s._id];
+          return {
+            medicineId: s._id,
+            supplierId: line.supplierId,
+            quantity: parseInt(line.quantity, 10),
+            // The last rate only applies if ordering from the same supplier
+            rate: line.supplierId === s.supplierId ? s.lastRate : null,
+          };
+        }),
+      });
+      toast.success(`${response.purchaseOrders.length} draft purchase order(s) created`);
+      navigate('/inventory/purchase-orders?status=draft');
+    } catch (error) {
+      toast.error(error.error || 'Failed to create purchase orders');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const supplierOptions = suppliers.map((s) => ({ value: s._id, label: s.name }));
+
+  const columns = [
+    ...(canOrder ? [{
+      key: 'select',
+      title: (
+        <input
+          type="checkbox"
+          checked={suggestions.length > 0 && selectedRows.length === suggestions.length}
+          onChange={(e) => setLines((p) => Object.fromEntries(
+            Object.entries(p).map(([id, line]) => [id, { ...line, selected: e.target.checked }])
+          ))}
+        />
+      ),
+      render: (_, row) => (
+        <input
+          type="checkbox"
+          checked={Boolean(lines[row._id]?.selected)}
+          onChange={(e) => setLine(row._id, 'selected', e.target.checked)}
+        />
+      ),
+    }] : []),
+    {
+      key: 'name',
+      title: 'Medicine',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{val}</p>
+          <p className="text-xs text-gray-500">{row.medicineId}{row.genericName ? ` • ${row.genericName}` : ''}</p>
+        </div>
+      ),
+    },
+    {
+      key: 'currentStock',
+      title: 'Stock',
+      render: (val, row) => (
+        <div>
+          <p>{val}{row.onOrder > 0 && <span className="text-xs text-blue-600"> +{row.onOrder} on order</span>}</p>
+          <p className={`text-xs ${row.daysOfStock <= row.leadTimeDays ? 'text-red-600' : 'text-orange-600'}`}>
+            {row.daysOfStock} day(s) left
+          </p>
+        </div>
+      ),
+    },
+    {
+      key: 'avgDailyUse',
+      title: 'Daily Use',
+      render: (val, row) => (
+        <div>
+          <p>{val}</p>
+          <p className="text-xs text-gray-500">{row.soldQty} sold</p>
+        </div>
+      ),
+    },
+    {
+      key: 'reorderPoint',
+      title: 'Reorder At',
+      render: (val, row) => (
+        <div>
+          <p>{val}</p>
+          <p className="text-xs text-gray-500">{row.leadTimeDays}d lead + {row.safetyStock} safety</p>
+        </div>
+      ),
+    },
+    {
+      key: 'supplierId',
+      title: 'Supplier',
+      render: (_, row) => (canOrder ? (
+        <select
+          className="input"
+          value={lines[row._id]?.supplierId || ''}
+          onChange={(e) => setLine(row._id, 'supplierId', e.target.value)}
+        >
+          <option value="">{row.supplierName ? `${row.supplierName} (inactive)` : 'Select supplier'}</option>
+          {supplierOptions.map((opt) => (
+            <option key={opt.value} value={opt.value}>{opt.label}</option>
+          ))}
+        </select>
+      ) : (row.supplierName || '-')),
+    },
+    {
+      key: 'lastRate',
+      title: 'Last Rate',
+      render: (val) => (val ? `₹${val.toFixed(2)}` : '-'),
+    },
+    {
+      key: 'suggestedQty',
+      title: 'Order Qty',
+      render: (val, row) => (canOrder ? (
+        <input
+          type="number"
+          min="1"
+          className="input w-24 text-right"
+          value={lines[row._id]?.quantity ?? ''}
+          onChange={(e) => setLine(row._id, 'quantity', e.target.value)}
+        />
+      ) : val),
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Reorder Suggestions</h1>
+          <p className="text-gray-500">
+            From sales over the last {settings?.consumptionDays || '...'} days, keeping{' '}
+            {settings?.safetyDays ?? '...'} days of safety stock and ordering for {settings?.coverDays || '...'} days
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <Link to="/inventory/purchase-orders" className="btn-secondary">
+            Purchase Orders
+          </Link>
+          {canOrder && (
+            <Button
+              onClick={handleCreateOrders}
+              icon={ShoppingCart}
+              loading={creating}
+              disabled={selectedRows.length === 0}
+            >
+              Create Draft POs{supplierCount > 0 ? ` (${supplierCount})` : ''}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex items-end gap-3">
+        <div>
+          <label className="label">Sales history (days)</label>
+          <input
+            type="number"
+            min="7"
+            max="365"
+            className="input w-32"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+          />
+        </div>
+        <Button variant="secondary" icon={RefreshCw} onClick={fetchSuggestions}>
+          Recalculate
+        </Button>
+      </div>
+
+      <Table
+        columns={columns}
+        data={suggestions}
+        loading={loading}
+        emptyMessage={
+          <span className="flex flex-col items-center gap-2">
+            <ClipboardList className="w-10 h-10 text-gray-300" />
+            Nothing needs reordering right now
+          </span>
+        }
+      />
+    </div>
+  );
+}
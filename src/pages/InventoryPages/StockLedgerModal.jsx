@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Modal, Select, Badge } from '../../components/ui';
+import { medicineService } from '../../services';
+
+const TYPE_LABELS = {
+  opening: 'Opening',
+  purchase: 'Purchase',
+  sale: 'Sale',
+  return: 'Return',
+  expired: 'Expired',
+  damaged: 'Damaged',
+  adjustment: 'Adjustment',
+  purchase_return: 'Returned to Supplier',
+};
+
+const TYPE_VARIANTS = {
+  opening: 'purple',
+  purchase: 'success',
+  return: 'blue',
+  sale: 'gray',
+  expired: 'danger',
+  damaged: 'danger',
+  adjustment: 'warning',
+  purchase_return: 'warning',
+};
+
+const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+// Loose units under a pack quantity, when there are any
+const Loose = ({ value, className = 'text-gray-500' }) => (
+  value ? <p className={`text-xs font-normal ${className}`}>{signed(value)} loose</p> : null
+);
+
+export default function StockLedgerModal({ isOpen, onClose, medicine }) {
+  const [ledger, setLedger] = useState(null);
+  const [batchId, setBatchId] = useState('');
+  const [batchOptions, setBatchOptions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && medicine) {
+      setBatchId('');
+      fetchLedger('');
+    }
+  }, [isOpen, medicine]);
+
+  const fetchLedger = async (batch) => {
+    setLoading(true);
+    try {
+      const response = await medicineService.stock.getLedger(medicine._id, batch || undefined);
+      setLedger(response);
+    } catch (error) {
+      console.error('Failed to fetch stock ledger:', error);
+      toast.error(error.error || 'Failed to load stock ledger');
+      setLedger(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBatchChange = (e) => {
+    setBatchId(e.target.value);
+    fetchLedger(e.target.value);
+  };
+
+  // Batch options come from the unfiltered ledger so the filter can be cleared
+  useEffect(() => {
+    if (ledger && !batchId) {
+      setBatchOptions(ledger.batches.map((b) => ({ value: b._id, label: b.batchNo })));
+    }
+  }, [ledger, batchId]);
+
+  const summary = ledger?.summary;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Stock Ledger - ${medicine?.name || ''}`}
+      size="full"
+    >
+      <div className="space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-end justify-between gap-4">
+          <div className="w-full sm:w-56">
+            <Select
+              label="Batch"
+              value={batchId}
+              onChange={handleBatchChange}
+              options={batchOptions}
+              placeholder="All batches"
+            />
+          </div>
+          {summary && (
+            <div className="flex items-center gap-4 text-sm">
+              <span>
+                Current: <strong>{summary.currentQty}</strong>
+                {summary.looseQty > 0 && ` + ${summary.looseQty} loose`}
+              </span>
+              <span>
+                Ledger: <strong>{summary.ledgerQty}</strong>
+                {summary.ledgerLooseQty !== 0 && ` + ${summary.ledgerLooseQty} loose`}
+              </span>
+              {summary.reconciled ? (
+                <Badge variant="success">Reconciled</Badge>
+              ) : (
+                <Badge variant="danger">
+                  Difference {signed(summary.difference)}
+                  {summary.looseDifference !== 0 && `, ${signed(summary.looseDifference)} loose`}
+                </Badge>
+              )}
+            </div>
+          )}
+        </div>
+
+        {loading ? (
+          <p className="text-center py-8 text-gray-500">Loading...</p>
+        ) : ledger && (
+          <>
+            {/* Per batch reconciliation */}
+            <div className="overflow-x-auto">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Batch</th>
+                    <th>Expiry</th>
+                    <th>Status</th>
+                    <th className="text-right">Opening</th>
+                    <th className="text-right">Ledger Qty</th>
+                    <th className="text-right">Current Qty</th>
+                    <th className="text-right">Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.batches.map((batch) => (
+                    <tr key={batch._id}>
+                      <td>{batch.batchNo}</td>
+                      <td>{format(new Date(batch.expiryDate), 'MMM yyyy')}</td>
+                      <td className="capitalize">{batch.status}</td>
+                      <td className="text-right">
+                        {batch.openingQty || (batch.openingLooseQty ? 0 : '-')}
+                        <Loose value={batch.openingLooseQty} />
+                      </td>
+                      <td className="text-right">
+                        {batch.ledgerQty}
+                        <Loose value={batch.ledgerLooseQty} />
+                      </td>
+                      <td className="text-right">
+                        {batch.currentQty}
+                        <Loose value={batch.looseQty} />
+                      </td>
+                      <td className={`text-right ${batch.difference || batch.looseDifference ? 'text-red-600 font-medium' : 'text-gray-400'}`}>
+                        {batch.difference ? signed(batch.difference) : '0'}
+                        <Loose value={batch.looseDifference} className="" />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Movements */}
+            <div className="overflow-x-auto max-h-96">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Batch</th>
+                    <th>Type</th>
+                    <th>Reference</th>
+                    <th className="text-right">Qty</th>
+                    <th className="text-right">Batch Balance</th>
+                    <th className="text-right">Balance</th>
+                    <th>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.movements.length === 0 ? (
+                    <tr><td colSpan={8} className="text-center text-gray-500">No stock movements</td></tr>
+                  ) : ledger.movements.map((movement) => (
+                    <tr key={movement._id}>
+                      <td className="whitespace-nowrap">{format(new Date(movement.createdAt), 'dd MMM yyyy, hh:mm a')}</td>
+                      <td>{movement.batchNo}</td>
+                      <td>
+                        <Badge variant={TYPE_VARIANTS[movement.type] || 'gray'}>
+                          {TYPE_LABELS[movement.type] || movement.type}
+                        </Badge>
+                      </td>
+                      <td>
+                        <p>{movement.referenceNo || '-'}</p>
+                        {movement.remarks && <p className="text-xs text-gray-500">{movement.remarks}</p>}
+                      </td>
+                      <td className={`text-right font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {signed(movement.quantity)}
+                        <Loose value={movement.looseQuantity} className="" />
+                      </td>
+                      <td className="text-right">
+                        {movement.balanceAfter}
+                        <Loose value={movement.looseAfter} />
+                      </td>
+                      <td className="text-right">
+                        {movement.balance}
+                        <Loose value={movement.looseBalance} />
+                      </td>
+                      <td>{movement.userName || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
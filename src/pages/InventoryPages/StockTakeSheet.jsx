@@ -0,0 +1,392 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ArrowLeft, Save, Search, CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Textarea, Modal, Badge } from '../../components/ui';
+import { medicineService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { computeStockTakeVariance } from '@shared/utils/stockTake';
+import { STOCK_TAKE_STATUS_BADGE } from './StockTakes';
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy') : '-');
+
+const formatMoney = (value) => `₹${(value || 0).toFixed(2)}`;
+
+export default function StockTakeSheet() {
+  const { id } = useParams();
+  const { can } = useAuth();
+  const [stockTake, setStockTake] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [varianceOnly, setVarianceOnly] = useState(false);
+
+  // Counts typed on this screen, keyed by batch ID: full packs, and loose
+  // units from opened packs; dirty holds the unsaved ones
+  const [counts, setCounts] = useState({});
+  const [looseCounts, setLooseCounts] = useState({});
+  const [dirty, setDirty] = useState(new Set());
+  const [saving, setSaving] = useState(false);
+
+  const [showApprove, setShowApprove] = useState(false);
+  const [approveRemarks, setApproveRemarks] = useState('');
+  const [showCancel, setShowCancel] = useState(false);
+  const [cancelReason, setCancelReason] = useState('');
+  const [closing, setClosing] = useState(false);
+
+  useEffect(() => {
+    fetchStockTake();
+  }, [id]);
+
+  const fetchStockTake = async () => {
+    setLoading(true);
+    try {
+      const response = await medicineService.stockTake.getById(id);
+      setStockTake(response.stockTake);
+      setCounts(Object.fromEntries(
+        response.stockTake.items.map((item) => [
+          String(item.batchId),
+          item.countedQty === null || item.countedQty === undefined ? '' : String(item.countedQty),
+        ])
+      ));
+      setLooseCounts(Object.fromEntries(
+        response.stockTake.items.map((item) => [
+          String(item.batchId),
+          item.countedLooseQty ? String(item.countedLooseQty) : '',
+        ])
+      ));
+      setDirty(new Set());
+    } catch (error) {
+      toast.error(error.error || 'Failed to load stock take');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const isOpen = stockTake?.status === 'in_progress';
+  const canCount = isOpen && can('medicine-saveStockCount');
+  const canClose = isOpen && can('medicine-approveStockTake');
+
+  // Variances follow what is typed, before it is saved
+  const { items, summary } = useMemo(() => {
+    if (!stockTake) return { items: [], summary: null };
+    return computeStockTakeVariance(
+      stockTake.items.map((item) => ({
+        ...item,
+        countedQty: isOpen ? counts[String(item.batchId)] : item.countedQty,
+        countedLooseQty: isOpen ? looseCounts[String(item.batchId)] : item.countedLooseQty,
+      }))
+    );
+  }, [stockTake, counts, looseCounts, isOpen]);
+
+  const visibleItems = useMemo(() => {
+    const query = searchQuery.trim().toLowerCase();
+    return items.filter((item) => {
+      if (varianceOnly && !item.variance && !item.looseVariance) return false;
+      if (!query) return true;
+      return item.medicineName.toLowerCase().includes(query) || item.batchNo.toLowerCase().includes(query);
+    });
+  }, [items, searchQuery, varianceOnly]);
+
+  const setCount = (batchId, value, setter = setCounts) => {
+    if (value !== '' && !/^\d+$/.test(value)) return;
+    setter((p) => ({ ...p, [batchId]: value }));
+    setDirty((p) => new Set(p).add(batchId));
+  };
+
+  const handleSave = async () => {
+    if (dirty.size === 0) return true;
+    setSaving(true);
+    try {
+      const response = await medicineService.stockTake.saveCounts(
+        stockTake._id,
+        [...dirty].map((batchId) => ({
+          batchId,
+          countedQty: counts[batchId] === '' ? null : Number(counts[batchId]),
+          countedLooseQty: counts[batchId] === '' ? null : Number(looseCounts[batchId] || 0),
+        }))
+      );
+      toast.success(`Progress saved: ${response.countedItems} of ${response.totalItems} counted`);
+      setDirty(new Set());
+      return true;
+    } catch (error) {
+      toast.error(error.error || 'Failed to save counts');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleApprove = async () => {
+    setClosing(true);
+    try {
+      // Unsaved counts go in first so the approval uses what is on screen
+      if (!(await handleSave())) return;
+      await medicineService.stockTake.approve(stockTake._id, approveRemarks.trim() || undefined);
+      toast.success('Stock take approved and stock adjusted');
+      setShowApprove(false);
+      fetchStockTake();
+    } catch (error) {
+      toast.error(error.error || 'Failed to approve stock take');
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!cancelReason.trim()) {
+      toast.error('Enter a reason');
+      return;
+    }
+    setClosing(true);
+    try {
+      await medicineService.stockTake.cancel(stockTake._id, cancelReason.trim());
+      toast.success('Stock take cancelled');
+      setShowCancel(false);
+      fetchStockTake();
+    } catch (error) {
+      toast.error(error.error || 'Failed to cancel stock take');
+    } finally {
+      setClosing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="w-8 h-8 animate-spin text-primary-500" />
+      </div>
+    );
+  }
+
+  if (!stockTake) {
+    return (
+      <div className="text-center py-12">
+        <p className="text-gray-500">Stock take not found</p>
+        <Link to="/inventory/stock-take" className="text-primary-600 hover:underline mt-2 inline-block">
+          Back to stock takes
+        </Link>
+      </div>
+    );
+  }
+
+  const badge = STOCK_TAKE_STATUS_BADGE[stockTake.status] || { variant: 'gray', label: stockTake.status };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div className="flex items-center gap-3">
+          <Link to="/inventory/stock-take" className="p-2 hover:bg-gray-100 rounded-lg">
+            <ArrowLeft className="w-5 h-5" />
+          </Link>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+              {stockTake.stockTakeNo}
+              <Badge variant={badge.variant}>{badge.label}</Badge>
+            </h1>
+            <p className="text-gray-500">
+              <span className="capitalize">{stockTake.category || 'All medicines'}</span>
+              {' • '}Started {formatDate(stockTake.startedAt)} by {stockTake.startedBy}
+              {stockTake.approvedAt && ` • Approved ${formatDate(stockTake.approvedAt)} by ${stockTake.approvedBy}`}
+              {stockTake.cancelledAt && ` • Cancelled ${formatDate(stockTake.cancelledAt)}: ${stockTake.cancelReason}`}
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          {canCount && (
+            <Button variant="secondary" icon={Save} onClick={handleSave} loading={saving} disabled={dirty.size === 0}>
+              Save Progress{dirty.size > 0 ? ` (${dirty.size})` : ''}
+            </Button>
+          )}
+          {canClose && (
+            <>
+              <Button variant="danger" icon={XCircle} onClick={() => setShowCancel(true)}>
+                Cancel
+              </Button>
+              <Button icon={CheckCircle} onClick={() => setShowApprove(true)} disabled={summary.countedItems === 0}>
+                Approve
+              </Button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Variance summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Counted</p>
+          <p className="text-xl font-bold">{summary.countedItems} / {summary.totalItems}</p>
+          <p className="text-xs text-gray-500">{summary.matchedItems} matched</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Short</p>
+          <p className="text-xl font-bold text-red-600">{formatMoney(summary.shortValue)}</p>
+          <p className="text-xs text-gray-500">{summary.shortQty} packs in {summary.shortItems} batch(es)</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Excess</p>
+          <p className="text-xl font-bold text-green-600">{formatMoney(summary.excessValue)}</p>
+          <p className="text-xs text-gray-500">{summary.excessQty} packs in {summary.excessItems} batch(es)</p>
+        </div>
+        <div className="card p-4">
+          <p className="text-sm text-gray-500">Net Variance</p>
+          <p className={`text-xl font-bold ${summary.netValue < 0 ? 'text-red-600' : summary.netValue > 0 ? 'text-green-600' : ''}`}>
+            {formatMoney(summary.netValue)}
+          </p>
+          <p className="text-xs text-gray-500">At purchase price</p>
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search by medicine or batch..."
+            className="input pl-10"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={varianceOnly} onChange={(e) => setVarianceOnly(e.target.checked)} />
+          Variances only
+        </label>
+      </div>
+
+      {/* Count sheet */}
+      <div className="card overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase border-b bg-gray-50">
+              <th className="py-3 px-4">Medicine</th>
+              <th className="py-3 px-4">Batch</th>
+              <th className="py-3 px-4">Expiry</th>
+              <th className="py-3 px-4 text-right">System</th>
+              <th className="py-3 px-4 text-right">Counted</th>
+              <th className="py-3 px-4 text-right">Variance</th>
+              <th className="py-3 px-4 text-right">Value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleItems.map((item) => {
+              const batchId = String(item.batchId);
+              const net = (item.variance || 0) + (item.looseVariance || 0) / (item.packSize || 1);
+              return (
+                <tr key={batchId} className="border-b border-gray-100">
+                  <td className="py-2 px-4">
+                    <p className="font-medium">{item.medicineName}</p>
+                    <p className="text-xs text-gray-500 capitalize">{item.category}</p>
+                  </td>
+                  <td className="py-2 px-4">{item.batchNo}</td>
+                  <td className="py-2 px-4">{formatDate(item.expiryDate)}</td>
+                  <td className="py-2 px-4 text-right">
+                    {item.systemQty}
+                    {item.systemLooseQty > 0 && <p className="text-xs text-gray-500">+ {item.systemLooseQty} loose</p>}
+                  </td>
+                  <td className="py-2 px-4 text-right">
+                    {canCount ? (
+                      <div className="flex justify-end gap-2">
+                        <input
+                          type="text"
+                          inputMode="numeric"
+                          value={counts[batchId] ?? ''}
+                          onChange={(e) => setCount(batchId, e.target.value.trim())}
+                          title="Full packs"
+                          className={`input w-24 text-right ${dirty.has(batchId) ? 'border-primary-400' : ''}`}
+                        />
+                        {item.packSize > 1 && (
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={looseCounts[batchId] ?? ''}
+                            onChange={(e) => setCount(batchId, e.target.value.trim(), setLooseCounts)}
+                            placeholder="Loose"
+                            title="Loose units from opened packs"
+                            className={`input w-20 text-right ${dirty.has(batchId) ? 'border-primary-400' : ''}`}
+                          />
+                        )}
+                      </div>
+                    ) : (
+                      <>
+                        {item.countedQty ?? '-'}
+                        {item.countedLooseQty > 0 && <p className="text-xs text-gray-500">+ {item.countedLooseQty} loose</p>}
+                      </>
+                    )}
+                  </td>
+                  <td className={`py-2 px-4 text-right font-medium ${net < 0 ? 'text-red-600' : net > 0 ? 'text-green-600' : 'text-gray-500'}`}>
+                    {item.variance === null ? '-' : item.variance > 0 ? `+${item.variance}` : item.variance}
+                    {item.looseVariance ? (
+                      <p className="text-xs">{item.looseVariance > 0 ? `+${item.looseVariance}` : item.looseVariance} loose</p>
+                    ) : null}
+                  </td>
+                  <td className="py-2 px-4 text-right">
+                    {item.varianceValue === null ? '-' : formatMoney(item.varianceValue)}
+                  </td>
+                </tr>
+              );
+            })}
+            {visibleItems.length === 0 && (
+              <tr>
+                <td colSpan={7} className="py-8 text-center text-gray-500">No batches match</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Approve Modal */}
+      <Modal
+        isOpen={showApprove}
+        onClose={() => setShowApprove(false)}
+        title={`Approve ${stockTake.stockTakeNo}`}
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowApprove(false)}>Back</Button>
+            <Button onClick={handleApprove} loading={closing}>Approve &amp; Adjust Stock</Button>
+          </>
+        }
+      >
+        <div className="space-y-4 text-sm">
+          <p>
+            {summary.shortItems + summary.excessItems} batch(es) will be adjusted to their counted quantity:
+            {' '}<span className="text-red-600">{summary.shortQty} packs short ({formatMoney(summary.shortValue)})</span>,
+            {' '}<span className="text-green-600">{summary.excessQty} packs excess ({formatMoney(summary.excessValue)})</span>.
+          </p>
+          {summary.countedItems < summary.totalItems && (
+            <p className="text-orange-600">
+              {summary.totalItems - summary.countedItems} batch(es) are not counted and will be left unchanged.
+            </p>
+          )}
+          <Textarea label="Remarks" value={approveRemarks} onChange={(e) => setApproveRemarks(e.target.value)} rows={2} />
+        </div>
+      </Modal>
+
+      {/* Cancel Modal */}
+      <Modal
+        isOpen={showCancel}
+        onClose={() => setShowCancel(false)}
+        title={`Cancel ${stockTake.stockTakeNo}`}
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setShowCancel(false)}>Back</Button>
+            <Button variant="danger" onClick={handleCancel} loading={closing}>Cancel Stock Take</Button>
+          </>
+        }
+      >
+        <div className="space-y-4 text-sm">
+          <p>Counts are discarded and stock is left unchanged.</p>
+          <Textarea
+            label="Reason"
+            value={cancelReason}
+            onChange={(e) => setCancelReason(e.target.value)}
+            rows={2}
+            required
+          />
+        </div>
+      </Modal>
+    </div>
+  );
+}
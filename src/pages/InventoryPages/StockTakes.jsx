@@ -0,0 +1,202 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { ClipboardCheck, Plus } from 'lucide-react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Select, Textarea, Table, Pagination, Modal, Badge } from '../../components/ui';
+import { medicineService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { MEDICINE_CATEGORY_OPTIONS } from '@shared/constants/enums';
+
+export const STOCK_TAKE_STATUS_BADGE = {
+  in_progress: { variant: 'warning', label: 'In Progress' },
+  approved: { variant: 'success', label: 'Approved' },
+  cancelled: { variant: 'gray', label: 'Cancelled' },
+};
+
+const formatDate = (value) => (value ? format(new Date(value), 'dd MMM yyyy, hh:mm a') : '-');
+
+export default function StockTakes() {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const [stockTakes, setStockTakes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [status, setStatus] = useState('');
+
+  const [showStart, setShowStart] = useState(false);
+  const [startForm, setStartForm] = useState({ category: '', remarks: '' });
+  const [starting, setStarting] = useState(false);
+
+  const canStart = can('medicine-startStockTake');
+
+  useEffect(() => {
+    fetchStockTakes(1);
+  }, [status]);
+
+  const fetchStockTakes = async (page = pagination.page) => {
+    setLoading(true);
+    try {
+      const response = await medicineService.stockTake.getAll({ status, page, limit: pagination.limit });
+      setStockTakes(response.stockTakes || []);
+      setPagination(response.pagination || { page: 1, limit: 20, total: 0, totalPages: 0 });
+    } catch (error) {
+      console.error('Failed to fetch stock takes:', error);
+      toast.error('Failed to load stock takes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStart = async (e) => {
+    e.preventDefault();
+    setStarting(true);
+    try {
+      const response = await medicineService.stockTake.start({
+        category: startForm.category || undefined,
+        remarks: startForm.remarks.trim() || undefined,
+      });
+      toast.success(`Stock take ${response.stockTake.stockTakeNo} started`);
+      navigate(`/inventory/stock-take/${response.stockTake._id}`);
+    } catch (error) {
+      toast.error(error.error || 'Failed to start stock take');
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  const columns = [
+    {
+      key: 'stockTakeNo',
+      title: 'Stock Take',
+      render: (val, row) => (
+        <div>
+          <p className="font-medium">{val}</p>
+          <p className="text-xs text-gray-500">{formatDate(row.startedAt)} • {row.startedBy}</p>
+        </div>
+      ),
+    },
+    { key: 'category', title: 'Scope', render: (val) => <span className="capitalize">{val || 'All medicines'}</span> },
+    {
+      key: 'countedItems',
+      title: 'Counted',
+      render: (val, row) => `${val || 0} / ${row.totalItems}`,
+    },
+    {
+      key: 'summary',
+      title: 'Net Variance',
+      render: (val) => {
+        if (!val) return '-';
+        const className = val.netValue < 0 ? 'text-red-600' : val.netValue > 0 ? 'text-green-600' : 'text-gray-500';
+        return <span className={`font-medium ${className}`}>₹{val.netValue.toFixed(2)}</span>;
+      },
+    },
+    {
+      key: 'status',
+      title: 'Status',
+      render: (val) => {
+        const badge = STOCK_TAKE_STATUS_BADGE[val] || { variant: 'gray', label: val };
+        return <Badge variant={badge.variant}>{badge.label}</Badge>;
+      },
+    },
+    {
+      key: 'approvedAt',
+      title: 'Closed',
+      render: (val, row) => (val ? `${formatDate(val)} • ${row.approvedBy}` : formatDate(row.cancelledAt)),
+    },
+  ];
+
+  const openSession = stockTakes.find((s) => s.status === 'in_progress');
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Stock Take</h1>
+          <p className="text-gray-500">Physical counts reconciled against system stock</p>
+        </div>
+        <div className="flex gap-2">
+          <Link to="/inventory" className="btn-secondary">
+            Inventory
+          </Link>
+          {canStart && !openSession && (
+            <Button onClick={() => setShowStart(true)} icon={Plus}>
+              Start Stock Take
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        <Select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          options={[
+            { value: '', label: 'Any status' },
+            ...Object.entries(STOCK_TAKE_STATUS_BADGE).map(([value, { label }]) => ({ value, label })),
+          ]}
+        />
+      </div>
+
+      <div>
+        <Table
+          columns={columns}
+          data={stockTakes}
+          loading={loading}
+          onRowClick={(row) => navigate(`/inventory/stock-take/${row._id}`)}
+          emptyMessage={
+            <span className="flex flex-col items-center gap-2">
+              <ClipboardCheck className="w-10 h-10 text-gray-300" />
+              No stock takes yet
+            </span>
+          }
+        />
+        {pagination.totalPages > 1 && (
+          <Pagination
+            currentPage={pagination.page}
+            totalPages={pagination.totalPages}
+            totalItems={pagination.total}
+            pageSize={pagination.limit}
+            onPageChange={fetchStockTakes}
+          />
+        )}
+      </div>
+
+      {/* Start Stock Take Modal */}
+      <Modal isOpen={showStart} onClose={() => setShowStart(false)} title="Start Stock Take">
+        <form onSubmit={handleStart} className="space-y-4">
+          <p className="text-sm text-gray-500">
+            System quantities of every batch in stock are recorded now. Counts entered later are compared with them.
+          </p>
+          <Select
+            label="Scope"
+            value={startForm.category}
+            onChange={(e) => setStartForm((p) => ({ ...p, category: e.target.value }))}
+            options={[
+              { value: '', label: 'All medicines' },
+              ...MEDICINE_CATEGORY_OPTIONS.map((value) => ({
+                value,
+                label: value.charAt(0).toUpperCase() + value.slice(1),
+              })),
+            ]}
+          />
+          <Textarea
+            label="Remarks"
+            value={startForm.remarks}
+            onChange={(e) => setStartForm((p) => ({ ...p, remarks: e.target.value }))}
+            rows={2}
+          />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setShowStart(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={starting}>
+              Start
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
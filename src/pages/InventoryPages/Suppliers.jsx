@@ -0,0 +1,285 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Plus, Search, Truck } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { Button, Input, Table, Modal, Badge, Textarea } from '../../components/ui';
+import { supplierService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+
+const EMPTY_FORM = {
+  name: '',
+  contactPerson: '',
+  phone: '',
+  email: '',
+  gstin: '',
+  drugLicenseNo: '',
+  address: { line1: '', line2: '', city: '', state: '', pincode: '' },
+  paymentTermsDays: 0,
+  leadTimeDays: '',
+  remarks: '',
+};
+
+export default function Suppliers() {
+  const { can } = useAuth();
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [includeInactive, setIncludeInactive] = useState(false);
+
+  // Add / edit modal; editing holds the supplier being edited
+  const [showForm, setShowForm] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [formLoading, setFormLoading] = useState(false);
+
+  const canManage = can('suppliers-addSupplier');
+
+  useEffect(() => {
+    const debounce = setTimeout(fetchSuppliers, 300);
+    return () => clearTimeout(debounce);
+  }, [searchQuery, includeInactive]);
+
+  const fetchSuppliers = async () => {
+    setLoading(true);
+    try {
+      const response = await supplierService.getAll({
+        search: searchQuery,
+        includeInactive: includeInactive ? 'true' : undefined,
+      });
+      setSuppliers(response.suppliers || []);
+    } catch (error) {
+      console.error('Failed to fetch suppliers:', error);
+      toast.error('Failed to load suppliers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (supplier = null) => {
+    setEditing(supplier);
+    setForm(supplier ? {
+      name: supplier.name || '',
+      contactPerson: supplier.contactPerson || '',
+      phone: supplier.phone || '',
+      email: supplier.email || '',
+      gstin: supplier.gstin || '',
+      drugLicenseNo: supplier.drugLicenseNo || '',
+      address: { ...EMPTY_FORM.address, ...supplier.address },
+      paymentTermsDays: supplier.paymentTermsDays || 0,
+      leadTimeDays: supplier.leadTimeDays ?? '',
+      remarks: supplier.remarks || '',
+    } : EMPTY_FORM);
+    setShowForm(true);
+  };
+
+  const setField = (field) => (e) => setForm((p) => ({ ...p, [field]: e.target.value }));
+  const setAddressField = (field) => (e) =>
+    setForm((p) => ({ ...p, address: { ...p.address, [field]: e.target.value } }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormLoading(true);
+    try {
+      const payload = {
+        ...form,
+        paymentTermsDays: Number(form.paymentTermsDays) || 0,
+        leadTimeDays: form.leadTimeDays === '' ? null : Number(form.leadTimeDays),
+      };
+      if (editing) {
+        await supplierService.update(editing._id, payload);
+        toast.success('Supplier updated');
+      } else {
+        await supplierService.create(payload);
+        toast.success('Supplier added');
+      }
+      setShowForm(false);
+      fetchSuppliers();
+    } catch (error) {
+      toast.error(error.error || 'Failed to save supplier');
+    } finally {
+      setFormLoading(false);
+    }
+  };
+
+  const toggleActive = async (supplier) => {
+    try {
+      await supplierService.update(supplier._id, { isActive: !supplier.isActive });
+      toast.success(supplier.isActive ? 'Supplier deactivated' : 'Supplier activated');
+      fetchSuppliers();
+    } catch (error) {
+      toast.error(error.error || 'Failed to update supplier');
+    }
+  };
+
+  const totalOutstanding = suppliers.reduce((sum, s) => sum + (s.outstanding || 0), 0);
+
+  const columns = [
+    {
+      key: 'name',
+      title: 'Supplier',
+      render: (_, row) => (
+        <div>
+          <p className="font-medium">{row.name}</p>
+          <p className="text-xs text-gray-500">{row.supplierId}{row.contactPerson ? ` • ${row.contactPerson}` : ''}</p>
+        </div>
+      ),
+    },
+    { key: 'phone', title: 'Phone' },
+    { key: 'gstin', title: 'GSTIN', render: (val) => val || '-' },
+    {
+      key: 'paymentTermsDays',
+      title: 'Terms',
+      render: (val) => (val ? `${val} days` : 'Immediate'),
+    },
+    { key: 'purchaseCount', title: 'Invoices' },
+    {
+      key: 'outstanding',
+      title: 'Outstanding',
+      render: (val) => (
+        <span className={val > 0 ? 'text-red-600 font-medium' : 'text-gray-500'}>₹{(val || 0).toFixed(2)}</span>
+      ),
+    },
+    {
+      key: 'creditDue',
+      title: 'Credit Due',
+      render: (val) => (val > 0 ? <span className="text-green-600 font-medium">₹{val.toFixed(2)}</span> : '-'),
+    },
+    {
+      key: 'isActive',
+      title: 'Status',
+      render: (val) => <Badge variant={val ? 'success' : 'gray'}>{val ? 'Active' : 'Inactive'}</Badge>,
+    },
+    {
+      key: 'actions',
+      title: '',
+      render: (_, row) => (
+        <div className="flex gap-1">
+          <Link to={`/inventory/purchases?supplierId=${row._id}`}>
+            <Button variant="ghost" size="sm">Purchases</Button>
+          </Link>
+          {canManage && (
+            <>
+              <Button variant="ghost" size="sm" onClick={() => openForm(row)}>Edit</Button>
+              <Button variant="ghost" size="sm" onClick={() => toggleActive(row)}>
+                {row.isActive ? 'Deactivate' : 'Activate'}
+              </Button>
+            </>
+          )}
+        </div>
+      ),
+    },
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Suppliers</h1>
+          <p className="text-gray-500">Distributors and wholesalers you buy stock from</p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <div className="card px-4 py-2 text-right">
+            <p className="text-xs text-gray-500">Payable</p>
+            <p className="font-bold text-red-600">₹{totalOutstanding.toFixed(2)}</p>
+          </div>
+          {canManage && (
+            <Button onClick={() => openForm()} icon={Plus}>
+              Add Supplier
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Search */}
+      <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+        <div className="flex-1 relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+          <input
+            type="text"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search by name, ID, GSTIN or phone..."
+            className="input pl-10"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="checkbox"
+            checked={includeInactive}
+            onChange={(e) => setIncludeInactive(e.target.checked)}
+          />
+          Show inactive
+        </label>
+      </div>
+
+      <Table
+        columns={columns}
+        data={suppliers}
+        loading={loading}
+        emptyMessage={
+          <span className="flex flex-col items-center gap-2">
+            <Truck className="w-10 h-10 text-gray-300" />
+            No suppliers found
+          </span>
+        }
+      />
+
+      {/* Add / Edit Supplier Modal */}
+      <Modal
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        title={editing ? `Edit Supplier - ${editing.supplierId}` : 'Add Supplier'}
+        size="lg"
+      >
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <Input label="Name" value={form.name} onChange={setField('name')} required />
+            <Input label="Contact Person" value={form.contactPerson} onChange={setField('contactPerson')} />
+            <Input label="Phone" value={form.phone} onChange={setField('phone')} required maxLength={10} />
+            <Input label="Email" type="email" value={form.email} onChange={setField('email')} />
+            <Input
+              label="GSTIN"
+              value={form.gstin}
+              onChange={(e) => setForm((p) => ({ ...p, gstin: e.target.value.toUpperCase() }))}
+              maxLength={15}
+              placeholder="e.g., 27AAAAA0000A1Z5"
+            />
+            <Input label="Drug Licence No" value={form.drugLicenseNo} onChange={setField('drugLicenseNo')} />
+            <Input label="Address Line 1" value={form.address.line1} onChange={setAddressField('line1')} />
+            <Input label="Address Line 2" value={form.address.line2} onChange={setAddressField('line2')} />
+            <Input label="City" value={form.address.city} onChange={setAddressField('city')} />
+            <Input label="State" value={form.address.state} onChange={setAddressField('state')} />
+            <Input label="Pincode" value={form.address.pincode} onChange={setAddressField('pincode')} maxLength={6} />
+            <Input
+              label="Payment Terms (days)"
+              type="number"
+              min="0"
+              max="365"
+              value={form.paymentTermsDays}
+              onChange={setField('paymentTermsDays')}
+            />
+            <Input
+              label="Lead Time (days)"
+              type="number"
+              min="0"
+              max="90"
+              value={form.leadTimeDays}
+              onChange={setField('leadTimeDays')}
+              placeholder="Clinic default"
+            />
+          </div>
+          <Textarea label="Remarks" value={form.remarks} onChange={setField('remarks')} rows={2} />
+          <div className="flex justify-end gap-3 pt-4">
+            <Button type="button" variant="secondary" onClick={() => setShowForm(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={formLoading}>
+              {editing ? 'Save Changes' : 'Add Supplier'}
+            </Button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+}
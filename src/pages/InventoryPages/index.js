@@ -1 +1,9 @@
 export { default as MedicineStockManagement } from './MedicineStockManagement';
+export { default as Suppliers } from './Suppliers';
+export { default as Purchases } from './Purchases';
+export { default as PurchaseEntry } from './PurchaseEntry';
+export { default as PurchaseReturns } from './PurchaseReturns';
+export { default as StockTakes } from './StockTakes';
+export { default as StockTakeSheet } from './StockTakeSheet';
+export { default as ReorderSuggestions } from './ReorderSuggestions';
+export { default as PurchaseOrders } from './PurchaseOrders';
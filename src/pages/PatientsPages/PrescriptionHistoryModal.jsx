@@ -0,0 +1,136 @@
+import { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import toast from 'react-hot-toast';
+import { Button, Modal, Badge } from '../../components/ui';
+import { prescriptionService } from '../../services';
+
+const FIELD_LABELS = {
+  diagnosis: 'Diagnosis',
+  complaints: 'Complaints',
+  examination: 'Examination',
+  medicines: 'Medicines',
+  investigations: 'Investigations',
+  advice: 'Advice',
+  followUpDate: 'Follow-up',
+  vitals: 'Vitals',
+  'vitals.bp': 'BP',
+  'vitals.pulse': 'Pulse',
+  'vitals.temperature': 'Temperature',
+  'vitals.weight': 'Weight',
+  'vitals.spo2': 'SpO2',
+};
+
+const formatDateTime = (date) => format(new Date(date), 'dd MMM yyyy, hh:mm a');
+
+// Render a stored change value in one line
+const formatValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'medicines' && Array.isArray(value)) {
+    if (value.length === 0) return '—';
+    return value
+      .map((m) => [m.name, m.dosage, m.frequency, m.duration].filter(Boolean).join(' '))
+      .join('; ');
+  }
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (field === 'followUpDate') return format(new Date(value), 'dd MMM yyyy');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Revisions of a prescription, latest first: who changed what, when and why
+ */
+export default function PrescriptionHistoryModal({ isOpen, onClose, prescription }) {
+  const [current, setCurrent] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (isOpen && prescription) {
+      fetchVersions(prescription._id);
+    }
+  }, [isOpen, prescription]);
+
+  const fetchVersions = async (id) => {
+    setLoading(true);
+    try {
+      const response = await prescriptionService.getVersions(id);
+      setCurrent(response.prescription);
+      setVersions(response.versions || []);
+    } catch (error) {
+      console.error('Failed to fetch prescription history:', error);
+      toast.error(error.error || 'Failed to load prescription history');
+      setVersions([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`History of ${prescription?.prescriptionId || ''}`}
+      size="xl"
+      footer={
+        <Button variant="secondary" onClick={onClose}>
+          Close
+        </Button>
+      }
+    >
+      {loading || !current ? (
+        <p className="text-center py-6 text-gray-500 text-sm">Loading history...</p>
+      ) : (
+        <div className="space-y-4">
+          {versions.map((revision) => (
+            <div key={revision._id} className="border rounded-lg p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <Badge variant={revision.version === current.version ? 'success' : 'gray'}>
+                  Version {revision.version}
+                </Badge>
+                {revision.version === current.version && <span className="text-xs text-green-700">Current</span>}
+                <span className="text-sm text-gray-600">
+                  {revision.revisedBy?.name || 'Unknown'} • {formatDateTime(revision.revisedAt)}
+                </span>
+              </div>
+              {revision.reason && (
+                <p className="text-sm text-gray-700 mb-2">Reason: {revision.reason}</p>
+              )}
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="py-1 pr-4 font-medium">Field</th>
+                    <th className="py-1 pr-4 font-medium">Before</th>
+                    <th className="py-1 font-medium">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {revision.changes.map((change) => (
+                    <tr key={change.field} className="align-top">
+                      <td className="py-1 pr-4 text-gray-700">{FIELD_LABELS[change.field] || change.field}</td>
+                      <td className="py-1 pr-4 text-red-700 break-words">{formatValue(change.field, change.from)}</td>
+                      <td className="py-1 text-green-700 break-words">{formatValue(change.field, change.to)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+
+          <div className="border rounded-lg p-4">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge variant={current.version === 1 ? 'success' : 'gray'}>Version 1</Badge>
+              {current.version === 1 && <span className="text-xs text-green-700">Current</span>}
+              <span className="text-sm text-gray-600">
+                Generated • {formatDateTime(current.prescriptionDate || current.createdAt)}
+              </span>
+            </div>
+            {versions.length === 0 && (
+              <p className="text-xs text-gray-500 mt-2">This prescription has not been revised.</p>
+            )}
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+}
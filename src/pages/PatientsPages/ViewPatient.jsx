@@ -3,15 +3,18 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { 
   ArrowLeft, Edit, Phone, Mail, MapPin, AlertCircle, Loader2,
   Calendar, FileText, Receipt, Pill, Plus, Eye, User,
-  Droplets, Heart, AlertTriangle, Printer, FlaskConical
+  Droplets, Heart, AlertTriangle, Printer, FlaskConical, History
 } from 'lucide-react';
 import { format } from 'date-fns';
 import { Button, Card, Badge } from '../../components/ui';
 import { patientService, appointmentService, billingService, prescriptionService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import PrescriptionHistoryModal from './PrescriptionHistoryModal';
 
 export default function ViewPatient() {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = useAuth();
   const [patient, setPatient] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -24,6 +27,7 @@ export default function ViewPatient() {
   const [miscBills, setMiscBills] = useState([]);
   const [medicineBills, setMedicineBills] = useState([]);
   const [prescriptions, setPrescriptions] = useState([]);
+  const [historyPrescription, setHistoryPrescription] = useState(null);
   const [dataLoading, setDataLoading] = useState(false);
 
   useEffect(() => {
@@ -649,14 +653,48 @@ export default function ViewPatient() {
                     <tbody>
                       {prescriptions.map((rx) => (
                         <tr key={rx._id} className="border-b last:border-0 hover:bg-gray-50">
-                          <td className="py-3 px-3 font-medium text-primary-600">{rx.prescriptionId}</td>
+                          <td className="py-3 px-3">
+                            <span className="font-medium text-primary-600">{rx.prescriptionId}</span>
+                            {rx.version > 1 && (
+                              <Badge variant="blue" size="sm" className="ml-2">
+                                v{rx.version}
+                              </Badge>
+                            )}
+                          </td>
                           <td className="py-3 px-3">{formatDate(rx.prescriptionDate || rx.createdAt)}</td>
                           <td className="py-3 px-3">{rx.doctor?.name || '-'}</td>
                           <td className="py-3 px-3 max-w-xs truncate">{rx.diagnosis || '-'}</td>
                           <td className="py-3 px-3">
-                            <button className="text-primary-600 hover:text-primary-700">
-                              <Eye className="w-4 h-4" />
-                            </button>
+                            <div className="flex items-center gap-3">
+                              <button className="text-primary-600 hover:text-primary-700">
+                                <Eye className="w-4 h-4" />
+                              </button>
+                              {can('prescriptions-updatePrescription') && !rx.isBlank && (
+                                <Link
+                                  to={`/prescriptions/${rx._id}/edit`}
+                                  className="text-gray-600 hover:text-gray-700"
+                                  title="Edit"
+                                >
+                                  <Edit className="w-4 h-4" />
+                                </Link>
+                              )}
+                              <button
+                                onClick={() => setHistoryPrescription(rx)}
+                                className="text-gray-600 hover:text-gray-700"
+                                title="Version history"
+                              >
+                                <History className="w-4 h-4" />
+                              </button>
+                              {can('billing-medicine-generateMedicineBill') && rx.medicines > 0 && (
+                                <Link
+                                  to={`/billing/medicine/new?prescriptionId=${rx._id}`}
+                                  className="text-green-600 hover:text-green-700"
+                                  title="Dispense"
+                                >
+                                  <Pill className="w-4 h-4" />
+                                </Link>
+                              )}
+                            </div>
                           </td>
                         </tr>
                       ))}
@@ -668,6 +706,12 @@ export default function ViewPatient() {
           )}
         </div>
       </div>
+
+      <PrescriptionHistoryModal
+        isOpen={!!historyPrescription}
+        onClose={() => setHistoryPrescription(null)}
+        prescription={historyPrescription}
+      />
     </div>
   );
 }
@@ -1,10 +1,13 @@
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate, useSearchParams } from 'react-router-dom';
-import { ArrowLeft, Plus, Trash2, Printer, Save, FileText } from 'lucide-react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { ArrowLeft, Plus, Trash2, Printer, Save, FileText, Pill, Bookmark, BookmarkPlus, X, Star } from 'lucide-react';
 import { useReactToPrint } from 'react-to-print';
 import toast from 'react-hot-toast';
-import { Button, Input, Select, Textarea, Card } from '../../components/ui';
-import { prescriptionService, patientService, doctorService } from '../../services';
+import { Button, Input, Select, Textarea, Card, Modal } from '../../components/ui';
+import { prescriptionService, patientService, doctorService, medicineService, interactionService } from '../../services';
+import { useAuth } from '../../context/AuthContext';
+import { InteractionWarnings } from '../../components/clinical';
+import { checkInteractions, blockingWarnings } from '@shared/utils/interactions';
 import PrescriptionPrintView from './PrescriptionPrintView';
 
 const FREQUENCY_OPTIONS = [
@@ -25,7 +28,11 @@ const TIMING_OPTIONS = [
 ];
 
 const EMPTY_MEDICINE = {
+  medicineId: '',
   name: '',
+  // From the catalog, for interaction checks
+  genericName: '',
+  composition: '',
   dosage: '',
   frequency: '',
   duration: '',
@@ -33,20 +40,53 @@ const EMPTY_MEDICINE = {
   instructions: '',
 };
 
+// A template or frequent medicine as a form row
+const toFormMedicine = (medicine) => ({
+  ...EMPTY_MEDICINE,
+  medicineId: medicine.medicineId ? String(medicine.medicineId) : '',
+  name: medicine.name || '',
+  genericName: medicine.genericName || '',
+  composition: medicine.composition || '',
+  dosage: medicine.dosage || '',
+  frequency: medicine.frequency || '',
+  duration: medicine.duration || '',
+  timing: medicine.timing || '',
+  instructions: medicine.instructions || '',
+});
+
 export default function PrescriptionGenerator() {
   const navigate = useNavigate();
+  const { id: editId } = useParams();
   const [searchParams] = useSearchParams();
   const printRef = useRef();
+  const { user, can } = useAuth();
 
   const [loading, setLoading] = useState(false);
   const [doctors, setDoctors] = useState([]);
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [generatedPrescription, setGeneratedPrescription] = useState(null);
   const [showPrintView, setShowPrintView] = useState(false);
+  // Catalog matches for the medicine row being typed in
+  const [catalogSearch, setCatalogSearch] = useState({ index: null, results: [] });
+  const [interactionRules, setInteractionRules] = useState([]);
+  const [interactionOverrideReason, setInteractionOverrideReason] = useState('');
+
+  // Prescription being revised ({ _id, prescriptionId, version }); set when
+  // opened for editing, and after generating so corrections revise it
+  const [editing, setEditing] = useState(null);
+  const [changeReason, setChangeReason] = useState('');
+
+  // The selected doctor's templates and most prescribed medicines
+  const [templates, setTemplates] = useState([]);
+  const [frequentMedicines, setFrequentMedicines] = useState([]);
+  const [showSaveTemplate, setShowSaveTemplate] = useState(false);
+  const [templateName, setTemplateName] = useState('');
+  const [savingTemplate, setSavingTemplate] = useState(false);
 
   const [formData, setFormData] = useState({
     patientId: searchParams.get('patientId') || '',
-    doctorId: '',
+    // A doctor prescribes as the doctor record linked to their account
+    doctorId: user?.doctorId || '',
     diagnosis: '',
     complaints: '',
     examination: '',
@@ -65,11 +105,49 @@ export default function PrescriptionGenerator() {
 
   useEffect(() => {
     fetchDoctors();
-    if (formData.patientId) {
+    fetchInteractionRules();
+    if (editId) {
+      fetchPrescription(editId);
+    } else if (formData.patientId) {
       fetchPatient(formData.patientId);
     }
   }, []);
 
+  const fetchPrescription = async (id) => {
+    try {
+      const response = await prescriptionService.getById(id);
+      const prescription = response.prescription;
+      if (prescription.isBlank) {
+        toast.error('Blank prescriptions cannot be edited');
+        navigate(-1);
+        return;
+      }
+      setSelectedPatient(prescription.patient);
+      setFormData((prev) => ({
+        ...prev,
+        patientId: prescription.patientId,
+        doctorId: prescription.doctorId,
+        diagnosis: prescription.diagnosis || '',
+        complaints: prescription.complaints || '',
+        examination: prescription.examination || '',
+        vitals: { ...prev.vitals, ...(prescription.vitals || {}) },
+        medicines: prescription.medicines?.length > 0
+          ? prescription.medicines.map(toFormMedicine)
+          : [{ ...EMPTY_MEDICINE }],
+        investigations: (prescription.investigations || []).join('\n'),
+        advice: prescription.advice || '',
+        followUpDate: prescription.followUpDate ? prescription.followUpDate.slice(0, 10) : '',
+      }));
+      setEditing({
+        _id: prescription._id,
+        prescriptionId: prescription.prescriptionId,
+        version: prescription.version || 1,
+      });
+    } catch (error) {
+      toast.error(error.error || 'Failed to load prescription');
+    }
+  };
+
   const fetchDoctors = async () => {
     try {
       const response = await doctorService.getAll({ isActive: true });
@@ -79,6 +157,39 @@ export default function PrescriptionGenerator() {
     }
   };
 
+  useEffect(() => {
+    if (formData.doctorId) {
+      fetchDoctorFavourites(formData.doctorId);
+    } else {
+      setTemplates([]);
+      setFrequentMedicines([]);
+    }
+  }, [formData.doctorId]);
+
+  const fetchDoctorFavourites = async (doctorId) => {
+    try {
+      const [templateResponse, frequentResponse] = await Promise.all([
+        prescriptionService.templates.getAll(doctorId),
+        prescriptionService.getFrequentMedicines(doctorId),
+      ]);
+      setTemplates(templateResponse.templates || []);
+      setFrequentMedicines(frequentResponse.medicines || []);
+    } catch (error) {
+      console.error('Failed to fetch templates:', error);
+      setTemplates([]);
+      setFrequentMedicines([]);
+    }
+  };
+
+  const fetchInteractionRules = async () => {
+    try {
+      const response = await interactionService.getAll();
+      setInteractionRules(response.interactions || []);
+    } catch (error) {
+      console.error('Failed to fetch interaction table:', error);
+    }
+  };
+
   const fetchPatient = async (id) => {
     try {
       const response = await patientService.getById(id);
@@ -110,6 +221,41 @@ export default function PrescriptionGenerator() {
     });
   };
 
+  // Typing a name unlinks the row from the catalog until a match is picked
+  const handleMedicineNameChange = async (index, value) => {
+    setFormData((prev) => {
+      const newMedicines = [...prev.medicines];
+      newMedicines[index] = { ...newMedicines[index], name: value, medicineId: '', genericName: '', composition: '' };
+      return { ...prev, medicines: newMedicines };
+    });
+
+    if (value.length < 2) {
+      setCatalogSearch({ index: null, results: [] });
+      return;
+    }
+    try {
+      const response = await medicineService.getAll({ search: value, limit: 8 });
+      setCatalogSearch({ index, results: response.medicines || [] });
+    } catch (error) {
+      console.error('Failed to search medicines:', error);
+    }
+  };
+
+  const handleCatalogSelect = (index, medicine) => {
+    setFormData((prev) => {
+      const newMedicines = [...prev.medicines];
+      newMedicines[index] = {
+        ...newMedicines[index],
+        medicineId: medicine._id,
+        name: medicine.name,
+        genericName: medicine.genericName || '',
+        composition: medicine.composition || '',
+      };
+      return { ...prev, medicines: newMedicines };
+    });
+    setCatalogSearch({ index: null, results: [] });
+  };
+
   const addMedicine = () => {
     setFormData((prev) => ({
       ...prev,
@@ -117,13 +263,99 @@ export default function PrescriptionGenerator() {
     }));
   };
 
+  // Fill in the next empty medicine row, or add one
+  const addFrequentMedicine = (medicine) => {
+    const name = medicine.name.trim().toLowerCase();
+    if (formData.medicines.some((m) => m.name.trim().toLowerCase() === name)) {
+      toast.error(`${medicine.name} is already added`);
+      return;
+    }
+    setFormData((prev) => {
+      const emptyIndex = prev.medicines.findIndex((m) => !m.name);
+      const newMedicines = [...prev.medicines];
+      if (emptyIndex >= 0) {
+        newMedicines[emptyIndex] = toFormMedicine(medicine);
+      } else {
+        newMedicines.push(toFormMedicine(medicine));
+      }
+      return { ...prev, medicines: newMedicines };
+    });
+  };
+
+  const applyTemplate = (template) => {
+    const hasEntries = formData.diagnosis || formData.medicines.some((m) => m.name) ||
+      formData.investigations || formData.advice;
+    if (hasEntries && !window.confirm(`Replace the diagnosis, medicines, investigations and advice with "${template.name}"?`)) {
+      return;
+    }
+    setFormData((prev) => ({
+      ...prev,
+      diagnosis: template.diagnosis || '',
+      medicines: template.medicines.length > 0
+        ? template.medicines.map(toFormMedicine)
+        : [{ ...EMPTY_MEDICINE }],
+      investigations: (template.investigations || []).join('\n'),
+      advice: template.advice || '',
+    }));
+    toast.success(`Applied ${template.name}`);
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    setSavingTemplate(true);
+    try {
+      const response = await prescriptionService.templates.create({
+        doctorId: formData.doctorId,
+        name: templateName,
+        diagnosis: formData.diagnosis || null,
+        medicines: formData.medicines
+          .filter((m) => m.name)
+          .map(({ medicineId, name, dosage, frequency, duration, timing, instructions }) => ({
+            medicineId, name, dosage, frequency, duration, timing, instructions,
+          })),
+        investigations: formData.investigations
+          ? formData.investigations.split('\n').filter(Boolean)
+          : [],
+        advice: formData.advice || null,
+      });
+      setTemplates((prev) => [...prev, response.template].sort((a, b) => a.name.localeCompare(b.name)));
+      setShowSaveTemplate(false);
+      setTemplateName('');
+      toast.success('Template saved');
+    } catch (error) {
+      toast.error(error.error || 'Failed to save template');
+    } finally {
+      setSavingTemplate(false);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    try {
+      await prescriptionService.templates.delete(template._id);
+      setTemplates((prev) => prev.filter((t) => t._id !== template._id));
+      toast.success('Template deleted');
+    } catch (error) {
+      toast.error(error.error || 'Failed to delete template');
+    }
+  };
+
   const removeMedicine = (index) => {
     setFormData((prev) => ({
       ...prev,
       medicines: prev.medicines.filter((_, i) => i !== index),
     }));
+    setCatalogSearch({ index: null, results: [] });
   };
 
+  // Interactions among the medicines and with the patient's allergies
+  const interactionWarnings = checkInteractions({
+    medicines: formData.medicines,
+    allergies: selectedPatient?.allergies,
+    rules: interactionRules,
+  });
+  const needsOverride = blockingWarnings(interactionWarnings).length > 0;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -135,12 +367,14 @@ export default function PrescriptionGenerator() {
       toast.error('Please select a doctor');
       return;
     }
+    if (needsOverride && !interactionOverrideReason.trim()) {
+      toast.error('Enter a reason to override the blocking interaction warnings');
+      return;
+    }
 
     setLoading(true);
     try {
-      const payload = {
-        patientId: selectedPatient._id,
-        doctorId: formData.doctorId,
+      const content = {
         diagnosis: formData.diagnosis || null,
         complaints: formData.complaints || null,
         examination: formData.examination || null,
@@ -151,14 +385,28 @@ export default function PrescriptionGenerator() {
           : [],
         advice: formData.advice || null,
         followUpDate: formData.followUpDate || null,
+        interactionOverrideReason: needsOverride ? interactionOverrideReason.trim() : undefined,
       };
 
-      const response = await prescriptionService.create(payload);
-      setGeneratedPrescription(response.prescription);
+      const response = editing
+        ? await prescriptionService.update(editing._id, {
+          ...content,
+          version: editing.version,
+          reason: changeReason.trim() || undefined,
+        })
+        : await prescriptionService.create({
+          ...content,
+          patientId: selectedPatient._id,
+          doctorId: formData.doctorId,
+        });
+      const saved = response.prescription;
+      setGeneratedPrescription(saved);
+      setEditing({ _id: saved._id, prescriptionId: saved.prescriptionId, version: saved.version || 1 });
+      setChangeReason('');
       setShowPrintView(true);
-      toast.success('Prescription generated successfully!');
+      toast.success(editing ? `Prescription updated to version ${saved.version}` : 'Prescription generated successfully!');
     } catch (error) {
-      toast.error(error.error || 'Failed to generate prescription');
+      toast.error(error.error || (editing ? 'Failed to update prescription' : 'Failed to generate prescription'));
     } finally {
       setLoading(false);
     }
@@ -189,6 +437,15 @@ export default function PrescriptionGenerator() {
             <Button variant="secondary" onClick={() => navigate('/appointments')}>
               Done
             </Button>
+            {can('billing-medicine-generateMedicineBill') && generatedPrescription.medicines?.length > 0 && (
+              <Button
+                variant="secondary"
+                icon={Pill}
+                onClick={() => navigate(`/billing/medicine/new?prescriptionId=${generatedPrescription._id}`)}
+              >
+                Dispense
+              </Button>
+            )}
             <Button onClick={handlePrint} icon={Printer}>
               Print Prescription
             </Button>
@@ -214,8 +471,14 @@ export default function PrescriptionGenerator() {
           <ArrowLeft className="w-6 h-6 text-gray-600" />
         </button>
         <div>
-          <h1 className="text-2xl font-bold text-gray-900">Generate Prescription</h1>
-          <p className="text-gray-500">Create OPD prescription for patient</p>
+          <h1 className="text-2xl font-bold text-gray-900">
+            {editing ? 'Edit Prescription' : 'Generate Prescription'}
+          </h1>
+          <p className="text-gray-500">
+            {editing
+              ? `${editing.prescriptionId} • version ${editing.version}; saving keeps this version in the history`
+              : 'Create OPD prescription for patient'}
+          </p>
         </div>
       </div>
 
@@ -233,6 +496,11 @@ export default function PrescriptionGenerator() {
                   <p className="text-sm text-gray-500">
                     {selectedPatient.age} yrs / {selectedPatient.gender} • {selectedPatient.phone}
                   </p>
+                  {selectedPatient.allergies?.length > 0 && (
+                    <p className="text-sm text-red-600 mt-1">
+                      Allergies: {selectedPatient.allergies.join(', ')}
+                    </p>
+                  )}
                 </div>
               ) : (
                 <Input
@@ -254,11 +522,63 @@ export default function PrescriptionGenerator() {
               onChange={handleChange}
               options={doctorOptions}
               required
+              disabled={!!editing}
               placeholder="Select doctor"
             />
           </div>
         </Card>
 
+        {/* Templates */}
+        {formData.doctorId && (
+          <Card
+            title="Templates"
+            className="mb-6"
+            actions={
+              <Button
+                type="button"
+                variant="secondary"
+                size="sm"
+                onClick={() => setShowSaveTemplate(true)}
+                icon={BookmarkPlus}
+                disabled={!formData.medicines.some((m) => m.name) && !formData.diagnosis}
+              >
+                Save as Template
+              </Button>
+            }
+          >
+            {templates.length === 0 ? (
+              <p className="text-sm text-gray-500">
+                No templates yet. Fill in a prescription and save it as a template to reuse it in one click.
+              </p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {templates.map((template) => (
+                  <div key={template._id} className="flex items-center rounded-lg border border-primary-200 bg-primary-50">
+                    <button
+                      type="button"
+                      onClick={() => applyTemplate(template)}
+                      className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-primary-700 hover:bg-primary-100 rounded-l-lg"
+                      title={template.diagnosis || template.name}
+                    >
+                      <Bookmark className="w-3.5 h-3.5" />
+                      {template.name}
+                      <span className="text-xs text-primary-500">({template.medicines.length})</span>
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => deleteTemplate(template)}
+                      className="px-2 py-1.5 text-primary-400 hover:text-red-600"
+                      title="Delete template"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </Card>
+        )}
+
         {/* Vitals */}
         <Card title="Vitals" className="mb-6">
           <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
@@ -345,6 +665,27 @@ export default function PrescriptionGenerator() {
             </Button>
           }
         >
+          {frequentMedicines.length > 0 && (
+            <div className="mb-4">
+              <p className="flex items-center gap-1 text-xs font-medium text-gray-500 mb-2">
+                <Star className="w-3.5 h-3.5" />
+                Frequently prescribed
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {frequentMedicines.map((medicine) => (
+                  <button
+                    key={`${medicine.medicineId || medicine.name}`}
+                    type="button"
+                    onClick={() => addFrequentMedicine(medicine)}
+                    className="px-2.5 py-1 text-xs rounded-full border border-gray-200 bg-white hover:border-primary-300 hover:bg-primary-50"
+                    title={[medicine.dosage, medicine.frequency, medicine.duration].filter(Boolean).join(' · ')}
+                  >
+                    {medicine.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
           <div className="space-y-4">
             {formData.medicines.map((medicine, index) => (
               <div key={index} className="p-4 bg-gray-50 rounded-lg">
@@ -365,12 +706,36 @@ export default function PrescriptionGenerator() {
                   )}
                 </div>
                 <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
-                  <Input
-                    placeholder="Medicine name"
-                    value={medicine.name}
-                    onChange={(e) => handleMedicineChange(index, 'name', e.target.value)}
-                    containerClassName="col-span-2"
-                  />
+                  <div className="col-span-2 relative">
+                    <Input
+                      placeholder="Search catalog or type name"
+                      value={medicine.name}
+                      onChange={(e) => handleMedicineNameChange(index, e.target.value)}
+                      onBlur={() => setTimeout(() => setCatalogSearch({ index: null, results: [] }), 150)}
+                    />
+                    {medicine.medicineId && (
+                      <p className="text-xs text-green-600 mt-1">From catalog</p>
+                    )}
+                    {catalogSearch.index === index && catalogSearch.results.length > 0 && (
+                      <div className="absolute z-10 w-full mt-1 bg-white border rounded-lg shadow-lg max-h-48 overflow-y-auto">
+                        {catalogSearch.results.map((med) => (
+                          <button
+                            key={med._id}
+                            type="button"
+                            onMouseDown={() => handleCatalogSelect(index, med)}
+                            className="w-full px-3 py-2 text-left hover:bg-gray-50 text-sm"
+                          >
+                            <span className="font-medium">{med.name}</span>
+                            {med.genericName && (
+                              <span className="text-xs text-gray-500 ml-2">
+                                {med.genericName}{med.strength && ` ${med.strength}`}
+                              </span>
+                            )}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
                   <Input
                     placeholder="Dosage"
                     value={medicine.dosage}
@@ -403,6 +768,15 @@ export default function PrescriptionGenerator() {
               </div>
             ))}
           </div>
+          {interactionWarnings.length > 0 && (
+            <div className="mt-4">
+              <InteractionWarnings
+                warnings={interactionWarnings}
+                overrideReason={interactionOverrideReason}
+                onOverrideReasonChange={setInteractionOverrideReason}
+              />
+            </div>
+          )}
         </Card>
 
         {/* Investigations & Advice */}
@@ -437,6 +811,16 @@ export default function PrescriptionGenerator() {
           </div>
         </Card>
 
+        {editing && (
+          <Card title="Reason for Change" className="mb-6">
+            <Input
+              value={changeReason}
+              onChange={(e) => setChangeReason(e.target.value)}
+              placeholder="e.g., Corrected dosage of Paracetamol"
+            />
+          </Card>
+        )}
+
         {/* Actions */}
         <div className="flex items-center justify-end gap-3">
           <Button
@@ -449,12 +833,42 @@ export default function PrescriptionGenerator() {
           <Button
             type="submit"
             loading={loading}
-            icon={FileText}
+            icon={editing ? Save : FileText}
           >
-            Generate Prescription
+            {editing ? 'Save Changes' : 'Generate Prescription'}
           </Button>
         </div>
       </form>
+
+      {/* Save as Template Modal */}
+      <Modal
+        isOpen={showSaveTemplate}
+        onClose={() => setShowSaveTemplate(false)}
+        title="Save as Template"
+        size="sm"
+      >
+        <form onSubmit={handleSaveTemplate} className="space-y-4">
+          <Input
+            label="Template Name"
+            value={templateName}
+            onChange={(e) => setTemplateName(e.target.value)}
+            required
+            placeholder="e.g., Viral fever"
+          />
+          <p className="text-xs text-gray-500">
+            Saves the diagnosis, medicines, investigations and advice for{' '}
+            {doctors.find((d) => d._id === formData.doctorId)?.name || 'this doctor'}.
+          </p>
+          <div className="flex justify-end gap-3 pt-2">
+            <Button type="button" variant="secondary" onClick={() => setShowSaveTemplate(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" loading={savingTemplate} icon={Save}>
+              Save Template
+            </Button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 }
@@ -2,6 +2,7 @@ import { PrescriptionPrint } from '../../components/print';
 
 /**
  * PrescriptionPrintView - Wrapper that uses the new professional print template
+ * Prints the prescription as last revised; revisions carry a version marker.
  */
 export default function PrescriptionPrintView({ prescription, patient, doctor }) {
   if (!prescription) return null;
@@ -0,0 +1,209 @@
+import { useState } from 'react';
+import { ClipboardList, Download, Printer } from 'lucide-react';
+import { format, startOfMonth } from 'date-fns';
+import toast from 'react-hot-toast';
+import { reportService } from '../services';
+import { Button, Input, Select, Badge } from '../components/ui';
+import { ScheduleRegisterPrint, PrintWrapper } from '../components/print';
+import { saleUnitLabel } from '@shared/utils/packs';
+import { REGISTER_SCHEDULES } from '@shared/utils/schedule';
+
+const SCHEDULE_OPTIONS = [
+  { value: '', label: 'All schedules' },
+  ...REGISTER_SCHEDULES.map((type) => ({ value: type, label: `Schedule ${type}` })),
+];
+
+const SCHEDULE_VARIANTS = { H: 'blue', H1: 'warning', X: 'danger' };
+
+// Quote a CSV cell when it holds a comma, quote or newline
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadFile = (content, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const buildCsv = (register) => {
+  const rows = [
+    ['S.No', 'Date', 'Bill No', 'Against Bill', 'Schedule', 'Patient', 'Patient Address', 'Prescriber', 'Reg. No',
+      'Drug', 'Manufacturer', 'Batch', 'Expiry', 'Quantity', 'Unit', 'Dispensed By'],
+    ...register.entries.map((e) => [
+      e.serialNo,
+      format(new Date(e.entryDate), 'dd/MM/yyyy'),
+      e.billNo,
+      e.originalBillNo || '',
+      e.scheduleType,
+      e.patientName,
+      e.patientAddress,
+      e.doctorName,
+      e.doctorRegistrationNo || '',
+      e.medicineName,
+      e.manufacturer || '',
+      e.batchNo,
+      e.expiryDate ? format(new Date(e.expiryDate), 'MM/yyyy') : '',
+      e.quantity,
+      saleUnitLabel(e),
+      e.dispensedBy || '',
+    ]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n');
+};
+
+export default function ScheduleRegister() {
+  const [dateFrom, setDateFrom] = useState(format(startOfMonth(new Date()), 'yyyy-MM-dd'));
+  const [dateTo, setDateTo] = useState(format(new Date(), 'yyyy-MM-dd'));
+  const [scheduleType, setScheduleType] = useState('');
+  const [register, setRegister] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  const fetchRegister = async () => {
+    setLoading(true);
+    try {
+      const response = await reportService.getScheduleRegister({ dateFrom, dateTo, scheduleType });
+      setRegister(response.register);
+    } catch (error) {
+      console.error('Failed to fetch schedule register:', error);
+      toast.error(error.error || 'Failed to load register');
+      setRegister(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fileBase = `Schedule-${scheduleType || 'H-H1-X'}-Register-${dateFrom}-to-${dateTo}`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Schedule Drugs Register</h1>
+          <p className="text-gray-500">Schedule H, H1 and X drugs supplied, for drug inspection</p>
+        </div>
+        {register && (
+          <div className="flex gap-2">
+            <Button
+              variant="secondary"
+              icon={Download}
+              onClick={() => downloadFile(buildCsv(register), `${fileBase}.csv`, 'text/csv')}
+            >
+              CSV
+            </Button>
+            <Button icon={Printer} onClick={() => setPrinting(true)}>
+              Print
+            </Button>
+          </div>
+        )}
+      </div>
+
+      {/* Filters */}
+      <div className="card p-4 flex flex-col sm:flex-row sm:items-end gap-4">
+        <Input label="From" type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} />
+        <Input label="To" type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} />
+        <Select
+          label="Schedule"
+          value={scheduleType}
+          onChange={(e) => setScheduleType(e.target.value)}
+          options={SCHEDULE_OPTIONS}
+        />
+        <Button onClick={fetchRegister} loading={loading} icon={ClipboardList}>
+          Generate
+        </Button>
+      </div>
+
+      {register && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              ['Entries', register.summary.entries],
+              ['Bills', register.summary.bills],
+              ...REGISTER_SCHEDULES.map((type) => [`Schedule ${type}`, register.summary.bySchedule[type]]),
+            ].map(([label, value]) => (
+              <div key={label} className="card p-4">
+                <p className="text-sm text-gray-500">{label}</p>
+                <p className="text-lg font-semibold">{value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="card overflow-x-auto">
+            <table className="table min-w-[1000px]">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Date</th>
+                  <th>Bill</th>
+                  <th>Patient</th>
+                  <th>Prescriber</th>
+                  <th>Drug</th>
+                  <th>Batch</th>
+                  <th className="text-right">Qty</th>
+                  <th>By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {register.entries.length === 0 ? (
+                  <tr><td colSpan={9} className="text-center text-gray-500">No scheduled drugs supplied in this period</td></tr>
+                ) : register.entries.map((entry) => (
+                  <tr key={entry._id}>
+                    <td>{entry.serialNo}</td>
+                    <td className="whitespace-nowrap">{format(new Date(entry.entryDate), 'dd MMM yyyy')}</td>
+                    <td>
+                      <p>{entry.billNo}</p>
+                      {entry.isReturn && <p className="text-xs text-gray-500">Return of {entry.originalBillNo}</p>}
+                    </td>
+                    <td>
+                      <p className="font-medium">{entry.patientName}</p>
+                      <p className="text-xs text-gray-500">{entry.patientAddress}</p>
+                    </td>
+                    <td>
+                      <p>{entry.doctorName}</p>
+                      {entry.doctorRegistrationNo && (
+                        <p className="text-xs text-gray-500">Reg. {entry.doctorRegistrationNo}</p>
+                      )}
+                    </td>
+                    <td>
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium">{entry.medicineName}</span>
+                        <Badge variant={SCHEDULE_VARIANTS[entry.scheduleType]}>{entry.scheduleType}</Badge>
+                      </div>
+                      {entry.manufacturer && <p className="text-xs text-gray-500">{entry.manufacturer}</p>}
+                    </td>
+                    <td>
+                      <p>{entry.batchNo}</p>
+                      {entry.expiryDate && (
+                        <p className="text-xs text-gray-500">Exp {format(new Date(entry.expiryDate), 'MM/yy')}</p>
+                      )}
+                    </td>
+                    <td className={`text-right ${entry.quantity < 0 ? 'text-red-600' : ''}`}>
+                      {entry.quantity} {saleUnitLabel(entry)}
+                    </td>
+                    <td>{entry.dispensedBy || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {register && printing && (
+        <PrintWrapper
+          title="Schedule Drugs Register"
+          documentName={fileBase}
+          onClose={() => setPrinting(false)}
+        >
+          <ScheduleRegisterPrint register={register} />
+        </PrintWrapper>
+      )}
+    </div>
+  );
+}
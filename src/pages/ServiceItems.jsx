@@ -2,6 +2,17 @@ import { useState, useEffect } from 'react';
 import { Plus, Search, Edit2, Trash2, X, Loader2, FlaskConical, Scan, Stethoscope, MoreHorizontal } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { serviceItemService } from '../services';
+import { GST_RATE_OPTIONS } from '@shared/constants/enums';
+
+const EMPTY_FORM = {
+  name: '',
+  category: 'laboratory',
+  rate: '',
+  description: '',
+  taxable: false,
+  gstRate: '18',
+  sacCode: '',
+};
 
 const CATEGORIES = [
   { value: 'laboratory', label: 'Laboratory', icon: FlaskConical, color: 'blue' },
@@ -17,12 +28,7 @@ export default function ServiceItems() {
   const [selectedCategory, setSelectedCategory] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingService, setEditingService] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    category: 'laboratory',
-    rate: '',
-    description: '',
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
@@ -51,14 +57,15 @@ export default function ServiceItems() {
         category: service.category,
         rate: service.rate.toString(),
         description: service.description || '',
+        taxable: Boolean(service.taxable),
+        gstRate: service.taxable ? String(service.gstRate) : '18',
+        sacCode: service.sacCode || '',
       });
     } else {
       setEditingService(null);
       setFormData({
-        name: '',
+        ...EMPTY_FORM,
         category: selectedCategory || 'laboratory',
-        rate: '',
-        description: '',
       });
     }
     setShowModal(true);
@@ -67,7 +74,7 @@ export default function ServiceItems() {
   const handleCloseModal = () => {
     setShowModal(false);
     setEditingService(null);
-    setFormData({ name: '', category: 'laboratory', rate: '', description: '' });
+    setFormData(EMPTY_FORM);
   };
 
   const handleSubmit = async (e) => {
@@ -89,6 +96,9 @@ export default function ServiceItems() {
         category: formData.category,
         rate: Number(formData.rate),
         description: formData.description.trim(),
+        taxable: formData.taxable,
+        gstRate: formData.taxable ? Number(formData.gstRate) : 0,
+        sacCode: formData.sacCode.trim(),
       };
 
       if (editingService) {
@@ -223,7 +233,12 @@ export default function ServiceItems() {
                 <tr key={service._id} className="hover:bg-gray-50">
                   <td className="px-4 py-3 font-medium text-gray-900">{service.name}</td>
                   <td className="px-4 py-3 text-gray-500 text-sm">{service.description || '-'}</td>
-                  <td className="px-4 py-3 text-right font-medium">₹{service.rate.toFixed(2)}</td>
+                  <td className="px-4 py-3 text-right font-medium">
+                    ₹{service.rate.toFixed(2)}
+                    <span className="block text-xs font-normal text-gray-500">
+                      {service.taxable ? `+ GST ${service.gstRate}%` : 'GST exempt'}
+                    </span>
+                  </td>
                   <td className="px-4 py-3">
                     <div className="flex items-center justify-center gap-2">
                       <button
@@ -351,6 +366,41 @@ export default function ServiceItems() {
                   placeholder="Optional description"
                 />
               </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.taxable}
+                    onChange={(e) => setFormData({ ...formData, taxable: e.target.checked })}
+                  />
+                  Taxable under GST (rate is exclusive of GST)
+                </label>
+              </div>
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="label">GST Rate (%)</label>
+                  <select
+                    className="input"
+                    value={formData.gstRate}
+                    onChange={(e) => setFormData({ ...formData, gstRate: e.target.value })}
+                    disabled={!formData.taxable}
+                  >
+                    {GST_RATE_OPTIONS.filter((rate) => rate > 0).map((rate) => (
+                      <option key={rate} value={rate}>{rate}%</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="label">SAC Code</label>
+                  <input
+                    type="text"
+                    className="input"
+                    value={formData.sacCode}
+                    onChange={(e) => setFormData({ ...formData, sacCode: e.target.value })}
+                    placeholder="e.g. 999316"
+                  />
+                </div>
+              </div>
               <div className="flex gap-3 pt-2">
                 <button type="button" onClick={handleCloseModal} className="btn-secondary flex-1">
                   Cancel
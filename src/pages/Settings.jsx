@@ -4,6 +4,16 @@ import toast from 'react-hot-toast';
 import { clinicService } from '../services';
 import { useClinic } from '../context/ClinicContext';
 import { useQueryClient } from '@tanstack/react-query';
+import { DOCUMENT_TYPE, DOCUMENT_TYPE_LABELS } from '@shared/constants/billPrefixes';
+import { GST_RATE_OPTIONS } from '@shared/constants/enums';
+import { formatDocumentNumber, resolveNumbering, validateNumbering } from '@shared/utils/documentNumber';
+import { resolveReorderSettings, validateReorderSettings } from '@shared/utils/reorder';
+
+const DOCUMENT_TYPES = Object.values(DOCUMENT_TYPE);
+
+const buildNumbering = (numbering) => Object.fromEntries(
+  DOCUMENT_TYPES.map((type) => [type, resolveNumbering(numbering, type)])
+);
 
 export default function Settings() {
   const { settings: currentSettings, isLoading: contextLoading } = useClinic();
@@ -29,6 +39,9 @@ export default function Settings() {
     timings: '',
     invoiceTerms: '',
     prescriptionFooter: '',
+    opdGst: { taxable: false, gstRate: 18, sacCode: '' },
+    numbering: buildNumbering(),
+    reorder: resolveReorderSettings(),
   });
 
   // Load current settings into form
@@ -53,6 +66,13 @@ export default function Settings() {
         timings: currentSettings.timings || '',
         invoiceTerms: currentSettings.invoiceTerms || '',
         prescriptionFooter: currentSettings.prescriptionFooter || '',
+        opdGst: {
+          taxable: Boolean(currentSettings.opdGst?.taxable),
+          gstRate: currentSettings.opdGst?.taxable ? currentSettings.opdGst.gstRate : 18,
+          sacCode: currentSettings.opdGst?.sacCode || '',
+        },
+        numbering: buildNumbering(currentSettings.numbering),
+        reorder: resolveReorderSettings(currentSettings.reorder),
       });
     }
   }, [currentSettings]);
@@ -93,6 +113,30 @@ export default function Settings() {
     }));
   };
 
+  const handleOpdGstChange = (field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      opdGst: { ...prev.opdGst, [field]: value },
+    }));
+  };
+
+  const handleNumberingChange = (type, field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      numbering: {
+        ...prev.numbering,
+        [type]: { ...prev.numbering[type], [field]: value },
+      },
+    }));
+  };
+
+  const handleReorderChange = (field, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      reorder: { ...prev.reorder, [field]: value === '' ? '' : Number(value) },
+    }));
+  };
+
   const handleLogoUpload = (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
@@ -121,6 +165,20 @@ export default function Settings() {
       return;
     }
 
+    for (const type of DOCUMENT_TYPES) {
+      const numberingError = validateNumbering(formData.numbering[type]);
+      if (numberingError) {
+        toast.error(`${DOCUMENT_TYPE_LABELS[type]}: ${numberingError}`);
+        return;
+      }
+    }
+
+    const reorderError = validateReorderSettings(formData.reorder);
+    if (reorderError) {
+      toast.error(reorderError);
+      return;
+    }
+
     setLoading(true);
     try {
       // Filter out empty phones
@@ -358,6 +416,130 @@ export default function Settings() {
                   placeholder="Message to display at bottom of prescriptions"
                 />
               </div>
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.opdGst.taxable}
+                    onChange={(e) => handleOpdGstChange('taxable', e.target.checked)}
+                  />
+                  Charge GST on OPD consultations
+                </label>
+                <p className="text-xs text-gray-500 mt-1">
+                  Healthcare services are usually exempt. Lab/misc services are set per service.
+                </p>
+              </div>
+              {formData.opdGst.taxable && (
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="label">OPD GST Rate (%)</label>
+                    <select
+                      className="input"
+                      value={formData.opdGst.gstRate}
+                      onChange={(e) => handleOpdGstChange('gstRate', Number(e.target.value))}
+                    >
+                      {GST_RATE_OPTIONS.filter((rate) => rate > 0).map((rate) => (
+                        <option key={rate} value={rate}>{rate}%</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="label">SAC Code</label>
+                    <input
+                      className="input"
+                      value={formData.opdGst.sacCode}
+                      onChange={(e) => handleOpdGstChange('sacCode', e.target.value)}
+                      placeholder="e.g. 999312"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="card p-6">
+            <h2 className="text-lg font-semibold mb-1">Document Numbering</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Tokens: {'{PREFIX}'}, {'{FY}'} (financial year, e.g. 25-26), {'{YYYY}'}, {'{YY}'}, {'{MM}'},
+              {' '}{'{SEQ}'} or {'{SEQ:4}'} (zero-padded). Yearly reset restarts numbering every April
+              and needs {'{FY}'} in the format. Keep {'{PREFIX}{SEQ}'} to continue existing numbers.
+            </p>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-2 pr-3 font-medium">Document</th>
+                  <th className="py-2 pr-3 font-medium">Prefix</th>
+                  <th className="py-2 pr-3 font-medium">Format</th>
+                  <th className="py-2 pr-3 font-medium">Yearly Reset</th>
+                  <th className="py-2 font-medium">Preview</th>
+                </tr>
+              </thead>
+              <tbody>
+                {DOCUMENT_TYPES.map((type) => {
+                  const config = formData.numbering[type];
+                  const error = validateNumbering(config);
+                  return (
+                    <tr key={type} className="border-t border-gray-100">
+                      <td className="py-2 pr-3 font-medium">{DOCUMENT_TYPE_LABELS[type]}</td>
+                      <td className="py-2 pr-3">
+                        <input
+                          className="input w-24"
+                          value={config.prefix}
+                          onChange={(e) => handleNumberingChange(type, 'prefix', e.target.value)}
+                        />
+                      </td>
+                      <td className="py-2 pr-3">
+                        <input
+                          className="input font-mono"
+                          value={config.format}
+                          onChange={(e) => handleNumberingChange(type, 'format', e.target.value)}
+                        />
+                      </td>
+                      <td className="py-2 pr-3 text-center">
+                        <input
+                          type="checkbox"
+                          checked={config.resetYearly}
+                          onChange={(e) => handleNumberingChange(type, 'resetYearly', e.target.checked)}
+                        />
+                      </td>
+                      <td className="py-2 font-mono">
+                        {error ? (
+                          <span className="text-xs text-red-600 font-sans">{error}</span>
+                        ) : (
+                          formatDocumentNumber(config.format, { prefix: config.prefix, sequence: 1 })
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="card p-6">
+            <h2 className="text-lg font-semibold mb-1">Reorder Suggestions</h2>
+            <p className="text-sm text-gray-500 mb-4">
+              Medicines are suggested for reorder from their average daily sales. Stock is kept for the
+              supplier's lead time plus the safety days, and each order covers the given number of days.
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {[
+                ['consumptionDays', 'Sales history (days)'],
+                ['leadTimeDays', 'Default lead time (days)'],
+                ['safetyDays', 'Safety stock (days)'],
+                ['coverDays', 'Order covers (days)'],
+              ].map(([field, label]) => (
+                <div key={field}>
+                  <label className="label">{label}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    className="input"
+                    value={formData.reorder[field]}
+                    onChange={(e) => handleReorderChange(field, e.target.value)}
+                  />
+                </div>
+              ))}
             </div>
           </div>
         </div>
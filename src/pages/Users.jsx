@@ -4,7 +4,7 @@ import {
   UserCheck, UserX, Key
 } from 'lucide-react';
 import toast from 'react-hot-toast';
-import { userService } from '../services';
+import { userService, doctorService } from '../services';
 import { Button, Input, Select } from '../components/ui';
 
 const ROLE_OPTIONS = [
@@ -25,6 +25,7 @@ const ROLE_COLORS = {
 
 export default function Users() {
   const [users, setUsers] = useState([]);
+  const [doctors, setDoctors] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [showModal, setShowModal] = useState(false);
@@ -37,12 +38,14 @@ export default function Users() {
     role: '',
     email: '',
     phone: '',
+    doctorId: '',
   });
   const [errors, setErrors] = useState({});
   const [saving, setSaving] = useState(false);
 
   useEffect(() => {
     fetchUsers();
+    fetchDoctors();
   }, []);
 
   const fetchUsers = async () => {
@@ -58,6 +61,15 @@ export default function Users() {
     }
   };
 
+  const fetchDoctors = async () => {
+    try {
+      const response = await doctorService.getAll({ isActive: true });
+      setDoctors(response.doctors || []);
+    } catch (error) {
+      console.error('Failed to fetch doctors:', error);
+    }
+  };
+
   const filteredUsers = users.filter(user => 
     user.username?.toLowerCase().includes(searchQuery.toLowerCase()) ||
     user.name?.toLowerCase().includes(searchQuery.toLowerCase()) ||
@@ -74,6 +86,7 @@ export default function Users() {
         role: user.role || '',
         email: user.email || '',
         phone: user.phone || '',
+        doctorId: user.doctorId || '',
       });
     } else {
       setEditingUser(null);
@@ -84,6 +97,7 @@ export default function Users() {
         role: '',
         email: '',
         phone: '',
+        doctorId: '',
       });
     }
     setErrors({});
@@ -101,6 +115,7 @@ export default function Users() {
       role: '',
       email: '',
       phone: '',
+      doctorId: '',
     });
     setErrors({});
   };
@@ -354,6 +369,22 @@ export default function Users() {
                 error={errors.role}
                 required
               />
+
+              {formData.role === 'doctor' && (
+                <div>
+                  <Select
+                    label="Doctor Record"
+                    name="doctorId"
+                    value={formData.doctorId}
+                    onChange={handleChange}
+                    options={doctors.map((doctor) => ({ value: doctor._id, label: doctor.name }))}
+                    placeholder="Not linked"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">
+                    The doctor can only use their own prescription templates and frequent medicines.
+                  </p>
+                </div>
+              )}
               
               <Input
                 label="Email"
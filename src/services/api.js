@@ -10,10 +10,33 @@ const api = axios.create({
   },
 });
 
+// Auth endpoints that must never trigger a token refresh
+const NO_REFRESH_URLS = ['/auth/login', '/auth/refresh', '/auth/logout'];
+
+// In-flight refresh request, shared so parallel 401s refresh only once
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('authRefreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  const { data } = await axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken });
+  localStorage.setItem('authToken', data.token);
+  localStorage.setItem('authRefreshToken', data.refreshToken);
+  localStorage.setItem('authUser', JSON.stringify(data.user));
+  return data.token;
+};
+
 // Request interceptor
 api.interceptors.request.use(
   (config) => {
-    // Add auth token if available (future use)
+    // Add auth token if available
     const token = localStorage.getItem('authToken');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -30,7 +53,29 @@ api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
+    const { config } = error;
+
+    // Access token expired: refresh once and replay the request
+    if (
+      error.response?.status === 401 &&
+      config &&
+      !config._retried &&
+      !NO_REFRESH_URLS.includes(config.url)
+    ) {
+      config._retried = true;
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken();
+        const token = await refreshPromise;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // Fall through to the normal 401 handling below
+      } finally {
+        refreshPromise = null;
+      }
+    }
+
     // Handle different error types
     if (error.response) {
       // Server responded with error status
@@ -43,6 +88,7 @@ api.interceptors.response.use(
         case 401:
           // Clear auth and redirect to login
           localStorage.removeItem('authToken');
+          localStorage.removeItem('authRefreshToken');
           localStorage.removeItem('authUser');
           if (window.location.pathname !== '/login') {
             toast.error('Session expired. Please login again.');
@@ -0,0 +1,23 @@
+/**
+ * Audit Service
+ * Handles audit trail API calls
+ */
+
+import api from './api';
+
+export const auditService = {
+  /**
+   * Search audit logs
+   * @param {Object} params - entityType, entity, userId, action, dateFrom, dateTo, page, limit
+   * @returns {Promise<{logs: Array, pagination: Object}>}
+   */
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/audit/getAuditLogs?${query}`);
+  },
+};
+
+export default auditService;
@@ -6,6 +6,7 @@
 import api from './api';
 
 const TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'authRefreshToken';
 const USER_KEY = 'authUser';
 
 export const authService = {
@@ -13,13 +14,14 @@ export const authService = {
    * Login user
    * @param {string} username 
    * @param {string} password 
-   * @returns {Promise<{user: Object, token: string}>}
+   * @returns {Promise<{user: Object, token: string, refreshToken: string}>}
    */
   login: async (username, password) => {
     const response = await api.post('/auth/login', { username, password });
     
     if (response.token) {
       localStorage.setItem(TOKEN_KEY, response.token);
+      localStorage.setItem(REFRESH_TOKEN_KEY, response.refreshToken);
       localStorage.setItem(USER_KEY, JSON.stringify(response.user));
     }
     
@@ -28,9 +30,26 @@ export const authService = {
 
   /**
    * Logout user
+   * Revokes the session on the server, then clears local storage
    */
-  logout: () => {
+  logout: async () => {
+    try {
+      if (localStorage.getItem(TOKEN_KEY)) {
+        await api.post('/auth/logout');
+      }
+    } catch {
+      // Session may already be gone; clear local state regardless
+    } finally {
+      authService.clearSession();
+    }
+  },
+
+  /**
+   * Clear stored tokens without calling the server
+   */
+  clearSession: () => {
     localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
     localStorage.removeItem(USER_KEY);
   },
 
@@ -18,6 +18,10 @@ export const billingService = {
     create: async (data) => {
       return api.post('/billing/opd/generateOpdBill', data);
     },
+
+    cancel: async (billId, reason) => {
+      return api.post('/billing/opd/cancelOpdBill', { billId, reason });
+    },
   },
 
   // Misc Bills
@@ -37,6 +41,10 @@ export const billingService = {
     create: async (data) => {
       return api.post('/billing/misc/generateMiscBill', data);
     },
+
+    cancel: async (billId, reason) => {
+      return api.post('/billing/misc/cancelMiscBill', { billId, reason });
+    },
   },
 
   // Medicine Bills
@@ -56,6 +64,14 @@ export const billingService = {
     create: async (data) => {
       return api.post('/billing/medicine/generateMedicineBill', data);
     },
+
+    cancel: async (billId, reason) => {
+      return api.post('/billing/medicine/cancelMedicineBill', { billId, reason });
+    },
+
+    createReturn: async (data) => {
+      return api.post('/billing/medicine/returnMedicineBill', data);
+    },
   },
 };
 
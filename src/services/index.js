@@ -9,3 +9,9 @@ export { default as medicineService } from './medicineService';
 export { default as clinicService } from './clinicService';
 export { default as serviceItemService } from './serviceItemService';
 export { default as userService } from './userService';
+export { default as auditService } from './auditService';
+export { default as paymentService } from './paymentService';
+export { default as reportService } from './reportService';
+export { default as supplierService } from './supplierService';
+export { default as purchaseService } from './purchaseService';
+export { default as interactionService } from './interactionService';
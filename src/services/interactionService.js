@@ -0,0 +1,31 @@
+/**
+ * Interaction Service
+ * Handles the drug interaction and contraindication table
+ */
+
+import api from './api';
+
+export const interactionService = {
+  /**
+   * List interaction table entries
+   * @param {Object} params - search, type, includeInactive
+   * @returns {Promise<{interactions: Array, count: number}>}
+   */
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/interactions/getInteractions?${query}`);
+  },
+
+  create: async (data) => {
+    return api.post('/interactions/addInteraction', data);
+  },
+
+  update: async (id, data) => {
+    return api.put('/interactions/updateInteraction', { id, ...data });
+  },
+};
+
+export default interactionService;
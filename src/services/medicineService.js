@@ -22,6 +22,11 @@ export const medicineService = {
     return api.put('/medicine/updateMedicine', { id, ...data });
   },
 
+  // In-stock medicines with the same composition and strength
+  getSubstitutes: async (medicineId) => {
+    return api.get(`/medicine/getSubstitutes?medicineId=${medicineId}`);
+  },
+
   // Stock
   stock: {
     getCurrent: async (medicineId) => {
@@ -41,6 +46,16 @@ export const medicineService = {
       return api.get(`/medicine/getExpiringStock?days=${days}`);
     },
 
+    getReorderSuggestions: async (days) => {
+      const query = days ? `?days=${days}` : '';
+      return api.get(`/medicine/getReorderSuggestions${query}`);
+    },
+
+    getLedger: async (medicineId, batchId) => {
+      const query = batchId ? `&batchId=${batchId}` : '';
+      return api.get(`/medicine/getStockLedger?medicineId=${medicineId}${query}`);
+    },
+
     add: async (data) => {
       return api.post('/medicine/addStock', data);
     },
@@ -49,6 +64,37 @@ export const medicineService = {
       return api.post('/medicine/deductStock', data);
     },
   },
+
+  // Physical stock-take
+  stockTake: {
+    getAll: async (params = {}) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') query.append(key, value);
+      });
+      return api.get(`/medicine/getStockTakes?${query}`);
+    },
+
+    getById: async (id) => {
+      return api.get(`/medicine/getStockTakeById?id=${id}`);
+    },
+
+    start: async (data) => {
+      return api.post('/medicine/startStockTake', data);
+    },
+
+    saveCounts: async (id, counts) => {
+      return api.post('/medicine/saveStockCount', { id, counts });
+    },
+
+    approve: async (id, remarks) => {
+      return api.post('/medicine/approveStockTake', { id, remarks });
+    },
+
+    cancel: async (id, reason) => {
+      return api.post('/medicine/cancelStockTake', { id, reason });
+    },
+  },
 };
 
 export default medicineService;
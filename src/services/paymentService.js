@@ -0,0 +1,40 @@
+/**
+ * Payment Service
+ * Handles follow-up payments against bills with outstanding dues
+ */
+
+import api from './api';
+
+export const paymentService = {
+  /**
+   * List payments
+   * @param {Object} params - billType, billId, patientId, dateFrom, dateTo, page, limit
+   * @returns {Promise<{payments: Array, pagination: Object}>}
+   */
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/payments/getPayments?${query}`);
+  },
+
+  /**
+   * Record a payment against a bill
+   * @param {Object} data - billType, billId, amount, paymentMode, paymentDetails, remarks
+   * @returns {Promise<{payment: Object, bill: Object}>}
+   */
+  record: async (data) => {
+    return api.post('/payments/recordPayment', data);
+  },
+
+  /**
+   * Patients with unpaid balances, grouped with their bills
+   * @returns {Promise<{patients: Array, totalDue: number}>}
+   */
+  getOutstandingDues: async () => {
+    return api.get('/payments/getOutstandingDues');
+  },
+};
+
+export default paymentService;
@@ -16,6 +16,40 @@ export const prescriptionService = {
   create: async (data) => {
     return api.post('/prescriptions/generatePrescription', data);
   },
+
+  // Revise, keeping the previous version
+  update: async (id, data) => {
+    return api.put('/prescriptions/updatePrescription', { id, ...data });
+  },
+
+  getVersions: async (id) => {
+    return api.get(`/prescriptions/getPrescriptionVersions?id=${id}`);
+  },
+
+  // Quantities and stock for billing a prescription at the pharmacy
+  getDispensePlan: async (id) => {
+    return api.get(`/prescriptions/getDispensePlan?id=${id}`);
+  },
+
+  // Per-doctor templates
+  templates: {
+    getAll: async (doctorId) => {
+      return api.get(`/prescriptions/getTemplates?doctorId=${encodeURIComponent(doctorId)}`);
+    },
+
+    create: async (data) => {
+      return api.post('/prescriptions/addTemplate', data);
+    },
+
+    delete: async (id) => {
+      return api.delete(`/prescriptions/deleteTemplate?id=${encodeURIComponent(id)}`);
+    },
+  },
+
+  // Doctor's most prescribed medicines
+  getFrequentMedicines: async (doctorId) => {
+    return api.get(`/prescriptions/getFrequentMedicines?doctorId=${encodeURIComponent(doctorId)}`);
+  },
 };
 
 export default prescriptionService;
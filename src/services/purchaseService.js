@@ -0,0 +1,116 @@
+/**
+ * Purchase Service
+ * Handles goods receipts (supplier invoices) and payments to suppliers
+ */
+
+import api from './api';
+
+export const purchaseService = {
+  /**
+   * List goods receipts
+   * @param {Object} params - supplierId, paymentStatus, search, dateFrom, dateTo, page, limit
+   * @returns {Promise<{purchases: Array, pagination: Object}>}
+   */
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/purchases/getPurchases?${query}`);
+  },
+
+  getById: async (id) => {
+    return api.get(`/purchases/getPurchaseById?id=${id}`);
+  },
+
+  /**
+   * Receive a supplier invoice; creates one stock batch per line
+   * @param {Object} data - supplierId, invoiceNo, invoiceDate, items, paidAmount...
+   */
+  create: async (data) => {
+    return api.post('/purchases/createPurchase', data);
+  },
+
+  /**
+   * Pay against a supplier invoice
+   * @param {Object} data - purchaseId, amount, paymentMode, reference, remarks
+   */
+  recordPayment: async (data) => {
+    return api.post('/purchases/recordSupplierPayment', data);
+  },
+
+  // Purchase returns (debit notes)
+  returns: {
+    getAll: async (params = {}) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') query.append(key, value);
+      });
+      return api.get(`/purchases/getPurchaseReturns?${query}`);
+    },
+
+    getById: async (id) => {
+      return api.get(`/purchases/getPurchaseReturnById?id=${id}`);
+    },
+
+    /**
+     * Stock bought from a supplier that can be sent back
+     * @param {string} supplierId
+     * @param {number} [days] - Only batches expiring within this many days
+     */
+    getReturnableBatches: async (supplierId, days) => {
+      const query = days !== undefined && days !== '' ? `&days=${days}` : '';
+      return api.get(`/purchases/getReturnableBatches?supplierId=${supplierId}${query}`);
+    },
+
+    /**
+     * Return batches to a supplier and raise a debit note
+     * @param {Object} data - supplierId, reason, items: [{ batchId, quantity }], remarks
+     */
+    create: async (data) => {
+      return api.post('/purchases/createPurchaseReturn', data);
+    },
+
+    /**
+     * Record credit received on a debit note
+     * @param {Object} data - returnId, amount, method, purchaseId | paymentMode, reference
+     */
+    settle: async (data) => {
+      return api.post('/purchases/settleDebitNote', data);
+    },
+  },
+
+  // Purchase orders
+  orders: {
+    getAll: async (params = {}) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') query.append(key, value);
+      });
+      return api.get(`/purchases/getPurchaseOrders?${query}`);
+    },
+
+    getById: async (id) => {
+      return api.get(`/purchases/getPurchaseOrderById?id=${id}`);
+    },
+
+    /**
+     * Raise draft orders, one per supplier
+     * @param {Object} data - items: [{ medicineId, supplierId, quantity, rate }], remarks
+     */
+    create: async (data) => {
+      return api.post('/purchases/createPurchaseOrders', data);
+    },
+
+    /**
+     * Edit a draft's lines or change an order's status
+     * @param {string} id
+     * @param {Object} data - items, status, remarks
+     */
+    update: async (id, data) => {
+      return api.put('/purchases/updatePurchaseOrder', { id, ...data });
+    },
+  },
+};
+
+export default purchaseService;
@@ -0,0 +1,37 @@
+/**
+ * Report Service
+ * Handles accounting and regulatory reports such as the GSTR-1 summary and
+ * the schedule drugs register
+ */
+
+import api from './api';
+
+export const reportService = {
+  /**
+   * GSTR-1 summaries for a period
+   * @param {Object} params - dateFrom, dateTo
+   * @returns {Promise<{report: Object, gstr1: Object}>}
+   */
+  getGstReport: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/reports/getGstReport?${query}`);
+  },
+
+  /**
+   * Schedule H/H1/X drugs register for a period
+   * @param {Object} params - dateFrom, dateTo, scheduleType
+   * @returns {Promise<{register: Object}>}
+   */
+  getScheduleRegister: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/reports/getScheduleRegister?${query}`);
+  },
+};
+
+export default reportService;
@@ -0,0 +1,31 @@
+/**
+ * Supplier Service
+ * Handles the supplier master
+ */
+
+import api from './api';
+
+export const supplierService = {
+  /**
+   * List suppliers with their outstanding balance
+   * @param {Object} params - search, includeInactive
+   * @returns {Promise<{suppliers: Array, count: number}>}
+   */
+  getAll: async (params = {}) => {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') query.append(key, value);
+    });
+    return api.get(`/suppliers/getSuppliers?${query}`);
+  },
+
+  create: async (data) => {
+    return api.post('/suppliers/addSupplier', data);
+  },
+
+  update: async (id, data) => {
+    return api.put('/suppliers/updateSupplier', { id, ...data });
+  },
+};
+
+export default supplierService;